@@ -43,6 +43,14 @@ module.exports = {
       return webpackConfig;
     },
   },
+  jest: {
+    configure: (jestConfig) => ({
+      ...jestConfig,
+      // Also pick up the data pipeline tests under scripts/
+      roots: [...jestConfig.roots, '<rootDir>/scripts'],
+      testMatch: [...jestConfig.testMatch, '<rootDir>/scripts/**/__tests__/**/*.test.js'],
+    }),
+  },
   devServer: {
     host: '0.0.0.0',
     port: 5000,
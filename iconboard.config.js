@@ -0,0 +1,81 @@
+// IconBoard pipeline config, read by every script in scripts/.
+// See scripts/lib/config.js for the settings and their defaults.
+module.exports = {
+  paths: {
+    sources: ['backend/icons'],
+    newIcons: 'new-icons',
+    output: 'public',
+    collections: 'collections',
+    exports: 'exports/iconify'
+  },
+
+  chunks: {
+    size: 50,
+    strategy: 'count',
+    targetKb: 64
+  },
+
+  // Display names for category IDs that should not just be capitalized,
+  // e.g. { ai: 'AI' }
+  categories: {},
+
+  ids: {
+    scheme: '{category}_{name}'
+  },
+
+  sanitizer: {
+    allowRasterImages: true,
+    maxBytes: null
+  },
+
+  optimizer: {
+    default: {
+      precision: 3,
+      transformPrecision: 5,
+      removeComments: true,
+      removeTitle: false,
+      removeEditorAttributes: true,
+      collapseWhitespace: true,
+      removeEmptyGroups: true,
+      collapseGroups: true,
+      mergePaths: true
+    },
+    categories: {}
+  },
+
+  lint: {
+    default: {
+      'missing-viewbox': 'error',
+      'viewbox-consistency': 'warning',
+      'hardcoded-color': 'warning',
+      'stroke-width-consistency': 'warning',
+      'raster-image': 'error',
+      'oversized-file': ['warning', { maxBytes: 10240 }]
+    },
+    categories: {
+      'brands & companies': {
+        'hardcoded-color': 'off'
+      }
+    }
+  },
+
+  // Where sync-storage publishes the data. Credentials come from the
+  // environment (see scripts/lib/storage-targets.js).
+  storage: {
+    target: 'supabase',
+    prefix: '',
+    concurrency: 8,
+    local: {
+      dir: 'dist/storage'
+    },
+    s3: {
+      bucket: null,
+      region: 'us-east-1',
+      endpoint: null,
+      publicUrl: null
+    },
+    supabase: {
+      bucket: 'icons'
+    }
+  }
+};
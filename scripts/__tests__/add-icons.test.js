@@ -0,0 +1,223 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IconAdder = require('../add-icons');
+const { Transaction } = require('../lib/transaction');
+const { chunkFilename } = require('../lib/data-manifest');
+
+const tempDirs = [];
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+const icon = (category, name) => ({ id: `${category}_${name}`, name, category, svgContent: '<svg/>' });
+
+// An adder over a temporary public/ holding the given chunks
+function createAdder(chunks, chunkSettings) {
+  const publicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-add-'));
+  tempDirs.push(publicDir);
+  const adder = new IconAdder({ dryRun: true });
+  adder.log = () => {};
+  adder.publicDir = publicDir;
+  adder.config = { ...adder.config, chunks: { ...adder.config.chunks, ...chunkSettings } };
+  adder.chunksIndex = { total_icons: 0, total_chunks: chunks.length, chunks: [] };
+  adder.nextChunkNumber = chunks.length + 1;
+
+  chunks.forEach((icons, index) => {
+    const chunkNumber = index + 1;
+    const filename = `icons-${chunkNumber}.json`;
+    fs.writeFileSync(path.join(publicDir, filename), JSON.stringify(icons));
+    adder.chunksIndex.chunks.push({ chunk_number: chunkNumber, filename, start_index: adder.chunksIndex.total_icons, count: icons.length });
+    adder.chunksIndex.total_icons += icons.length;
+    icons.forEach(({ category }) => {
+      adder.categoryChunks[category] = [...new Set([...(adder.categoryChunks[category] || []), chunkNumber])];
+    });
+  });
+
+  return adder;
+}
+
+const summarize = updates => updates.map(update => ({
+  chunkNumber: update.chunkNumber,
+  created: update.created,
+  ids: update.icons.map(item => item.id)
+}));
+
+describe('buildChunkUpdates', () => {
+  test('keeps chunks category-aligned under the category strategy', () => {
+    const adder = createAdder([
+      [icon('a', '1'), icon('a', '2')],
+      [icon('b', '1'), icon('b', '2'), icon('b', '3')],
+      [icon('c', '1')]
+    ], { strategy: 'category', size: 3, targetKb: 64 });
+
+    const updates = adder.buildChunkUpdates([
+      icon('a', '3'), icon('a', '4'), icon('b', '4'), icon('c', '2'), icon('d', '1')
+    ]);
+
+    expect(summarize(updates)).toEqual([
+      { chunkNumber: 1, created: false, ids: ['a_1', 'a_2', 'a_3'] },
+      { chunkNumber: 3, created: false, ids: ['c_1', 'c_2'] },
+      { chunkNumber: 4, created: true, ids: ['a_4'] },
+      { chunkNumber: 5, created: true, ids: ['b_4'] },
+      { chunkNumber: 6, created: true, ids: ['d_1'] }
+    ]);
+    expect(updates[0].addedIcons.map(item => item.id)).toEqual(['a_3']);
+  });
+
+  test('splits new chunks by size under the bytes strategy', () => {
+    const big = name => ({ ...icon('a', name), svgContent: `<svg>${'x'.repeat(600)}</svg>` });
+    const adder = createAdder([[big('1')]], { strategy: 'bytes', size: 100, targetKb: 1 });
+
+    const updates = adder.buildChunkUpdates([big('2'), big('3'), big('4')]);
+
+    expect(summarize(updates)).toEqual([
+      { chunkNumber: 2, created: true, ids: ['a_2'] },
+      { chunkNumber: 3, created: true, ids: ['a_3'] },
+      { chunkNumber: 4, created: true, ids: ['a_4'] }
+    ]);
+  });
+
+  test('tops up the last chunk under the count strategy', () => {
+    const adder = createAdder([
+      [icon('a', '1'), icon('a', '2')],
+      [icon('b', '1')]
+    ], { strategy: 'count', size: 2, targetKb: 64 });
+
+    const updates = adder.buildChunkUpdates([icon('a', '3'), icon('c', '1')]);
+
+    expect(summarize(updates)).toEqual([
+      { chunkNumber: 2, created: false, ids: ['b_1', 'a_3'] },
+      { chunkNumber: 3, created: true, ids: ['c_1'] }
+    ]);
+  });
+});
+
+describe('buildPlan', () => {
+  test('names chunks by the content-hashed file the run would write', () => {
+    const adder = createAdder([[icon('a', '1')]], { strategy: 'count', size: 2, targetKb: 64 });
+    const newIcons = [icon('a', '2'), icon('b', '1')];
+    const updates = adder.buildChunkUpdates(newIcons);
+
+    const plan = adder.buildPlan(newIcons, updates, new Set());
+
+    expect(plan.chunks.map(chunk => [chunk.chunk_number, chunk.action, chunk.filename])).toEqual([
+      [1, 'update', chunkFilename(1, adder.serializeChunk(updates[0].icons))],
+      [2, 'create', chunkFilename(2, adder.serializeChunk(updates[1].icons))]
+    ]);
+    expect(plan.chunks[1].filename).toMatch(/^chunks\/icons-2\.[0-9a-f]{10}\.json$/);
+  });
+});
+
+describe('run', () => {
+  const svg = d => `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="${d}"/></svg>`;
+
+  // A project with an empty dataset; each run adds what is in new-icons/
+  function createProject() {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-add-'));
+    tempDirs.push(projectRoot);
+    const publicDir = path.join(projectRoot, 'public');
+    fs.mkdirSync(path.join(publicDir, 'chunks'), { recursive: true });
+    fs.writeFileSync(path.join(publicDir, 'chunks-index.json'), JSON.stringify({ total_icons: 0, total_chunks: 0, chunk_size: 50, chunks: [] }));
+    fs.writeFileSync(path.join(publicDir, 'categories.json'), JSON.stringify([{ id: 'all', name: 'All Icons', count: 0 }]));
+    fs.writeFileSync(path.join(publicDir, 'category-chunks.json'), '{}');
+    return projectRoot;
+  }
+
+  function dropIcon(projectRoot, category, name, d) {
+    fs.mkdirSync(path.join(projectRoot, 'new-icons', category), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'new-icons', category, `${name}.svg`), svg(d));
+  }
+
+  async function runAdder(projectRoot) {
+    const adder = new IconAdder({ allowLintErrors: true });
+    adder.log = () => {};
+    adder.projectRoot = projectRoot;
+    adder.publicDir = path.join(projectRoot, 'public');
+    adder.chunksDir = path.join(adder.publicDir, 'chunks');
+    adder.newIconsDir = path.join(projectRoot, 'new-icons');
+    adder.config = { ...adder.config, chunks: { size: 50, strategy: 'count', targetKb: 64 } };
+    await adder.run();
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a run after a crashed commit starts from the restored data', async () => {
+    const projectRoot = createProject();
+    dropIcon(projectRoot, 'arrows', 'up', 'M12 2l8 8h-16z');
+    await runAdder(projectRoot);
+
+    // Die after the new chunk and chunks-index.json are swapped in, before
+    // categories.json, and before the failed commit can restore anything
+    dropIcon(projectRoot, 'arrows', 'down', 'M12 22l8-8h-16z');
+    const renameSync = fs.renameSync;
+    jest.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+      if (from.includes('staging') && path.basename(to) === 'categories.json') throw new Error('disk full');
+      return renameSync(from, to);
+    });
+    jest.spyOn(Transaction.prototype, 'restoreFiles').mockImplementation(() => {
+      throw new Error('process killed');
+    });
+    await runAdder(projectRoot);
+    fs.renameSync.mockRestore();
+    Transaction.prototype.restoreFiles.mockRestore();
+    expect(Transaction.listRuns(projectRoot).map(run => run.status)).toEqual(['committed', 'committing']);
+
+    dropIcon(projectRoot, 'shapes', 'box', 'M4 4h16v16h-16z');
+    process.exit.mockClear();
+    await runAdder(projectRoot);
+
+    expect(process.exit).not.toHaveBeenCalled();
+    const publicDir = path.join(projectRoot, 'public');
+    const chunksIndex = JSON.parse(fs.readFileSync(path.join(publicDir, 'chunks-index.json'), 'utf8'));
+    const ids = chunksIndex.chunks.flatMap(info =>
+      JSON.parse(fs.readFileSync(path.join(publicDir, info.filename), 'utf8')).map(icon => icon.id));
+    expect(ids.sort()).toEqual(['arrows_down', 'arrows_up', 'shapes_box']);
+    expect(chunksIndex.total_icons).toBe(3);
+    const categories = JSON.parse(fs.readFileSync(path.join(publicDir, 'categories.json'), 'utf8'));
+    expect(categories.find(category => category.id === 'arrows').count).toBe(2);
+    expect(Transaction.listRuns(projectRoot).map(run => run.status)).toEqual(['committed', 'recovered', 'committed']);
+  });
+});
+
+describe('collectChangedFiles', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('treats a file that vanishes while being read as removed', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-add-'));
+    tempDirs.push(dir);
+    const file = path.join(dir, 'up.svg');
+    fs.writeFileSync(file, '<svg/>');
+    const adder = new IconAdder({ dryRun: true });
+    adder.log = () => {};
+    adder.projectRoot = dir;
+    adder.fileHashes = new Map([[file, 'old']]);
+
+    // An editor's atomic save replaces the file between the watcher event and the read
+    const readFileSync = fs.readFileSync;
+    jest.spyOn(fs, 'readFileSync').mockImplementation((target, ...args) => {
+      if (target === file) {
+        throw Object.assign(new Error(`ENOENT: no such file or directory, open '${file}'`), { code: 'ENOENT' });
+      }
+      return readFileSync(target, ...args);
+    });
+
+    expect(adder.collectChangedFiles([file]).size).toBe(0);
+    expect(adder.fileHashes.has(file)).toBe(false);
+  });
+});
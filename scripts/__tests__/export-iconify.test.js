@@ -0,0 +1,135 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IconifyExporter = require('../export-iconify');
+const { IconDataset } = require('../lib/icon-dataset');
+const { expandIconifyCollection } = require('../lib/iconify');
+
+const tempDirs = [];
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(process, 'exit').mockImplementation(() => {
+    throw new Error('process.exit');
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M0 0h4v4z"/></svg>';
+const icon = (category, name, extra = {}) => ({
+  id: `${category}_${name}`,
+  name,
+  category,
+  svgContent: svg,
+  tags: [name],
+  ...extra
+});
+
+// An exporter over a temporary public/ holding one chunk per list of icons
+function createExporter(chunks, options = {}) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-export-'));
+  tempDirs.push(projectRoot);
+  const publicDir = path.join(projectRoot, 'public');
+  const collectionsDir = path.join(projectRoot, 'collections');
+  fs.mkdirSync(path.join(publicDir, 'chunks'), { recursive: true });
+  fs.mkdirSync(collectionsDir);
+
+  const chunksIndex = { total_icons: 0, total_chunks: chunks.length, chunks: [] };
+  const categoryChunks = {};
+  chunks.forEach((icons, index) => {
+    const filename = `chunks/icons-${index + 1}.json`;
+    fs.writeFileSync(path.join(publicDir, filename), JSON.stringify(icons));
+    chunksIndex.chunks.push({ chunk_number: index + 1, filename, start_index: chunksIndex.total_icons, count: icons.length });
+    chunksIndex.total_icons += icons.length;
+    icons.forEach(({ category }) => {
+      categoryChunks[category] = [...new Set([...(categoryChunks[category] || []), index + 1])];
+    });
+  });
+  const categories = Object.keys(categoryChunks).map(id => ({ id, name: id.replace(/^\w/, letter => letter.toUpperCase()) }));
+  fs.writeFileSync(path.join(publicDir, 'chunks-index.json'), JSON.stringify(chunksIndex));
+  fs.writeFileSync(path.join(publicDir, 'category-chunks.json'), JSON.stringify(categoryChunks));
+  fs.writeFileSync(path.join(publicDir, 'categories.json'), JSON.stringify(categories));
+  fs.writeFileSync(path.join(collectionsDir, 'feather.json'), JSON.stringify({
+    id: 'feather',
+    name: 'Feather',
+    categories: ['arrows'],
+    source_url: 'https://example.com/feather',
+    license: 'MIT',
+    author: 'Someone'
+  }));
+
+  const exporter = new IconifyExporter({ out: path.join(projectRoot, 'out'), ...options });
+  exporter.config = { ...exporter.config, paths: { ...exporter.config.paths, collections: collectionsDir } };
+  exporter.dataset = new IconDataset(publicDir, null, { config: exporter.config });
+  return exporter;
+}
+
+const readOutput = (exporter, prefix) => JSON.parse(fs.readFileSync(path.join(exporter.outDir, `${prefix}.json`), 'utf8'));
+
+describe('export-iconify', () => {
+  const chunks = [
+    [icon('arrows', 'up', { collection: 'feather', aliases: ['north'] }), icon('brands & more', 'logo')],
+    [icon('arrows', 'down', { collection: 'feather', deprecated: true })]
+  ];
+
+  test('writes one collection per category with info from its manifest', async () => {
+    const exporter = createExporter(chunks);
+
+    await exporter.run();
+
+    expect(fs.readdirSync(exporter.outDir).sort()).toEqual(['arrows.json', 'brands-more.json']);
+    const arrows = readOutput(exporter, 'arrows');
+    expect(arrows.info).toEqual({
+      name: 'Feather',
+      author: { name: 'Someone', url: 'https://example.com/feather' },
+      license: { title: 'MIT', spdx: 'MIT' },
+      total: 1
+    });
+    expect(Object.keys(arrows.icons)).toEqual(['up', 'down']);
+    expect(arrows.icons.down.hidden).toBe(true);
+    expect(arrows.aliases).toEqual({ north: { parent: 'up' } });
+    expect(readOutput(exporter, 'brands-more').info).toEqual({ name: 'Brands & more', total: 1 });
+  });
+
+  test('exported icons import back to the same markup', async () => {
+    const exporter = createExporter(chunks, { categories: ['arrows'] });
+
+    await exporter.run();
+
+    const expanded = expandIconifyCollection(readOutput(exporter, 'arrows'), 'arrows.json');
+    expect(expanded.icons.map(entry => [entry.name, entry.svg, entry.aliases, entry.tags])).toEqual([
+      ['up', svg, ['north'], ['up']]
+    ]);
+    expect(expanded.hidden).toBe(1);
+  });
+
+  test('writes every category into one collection with --combined', async () => {
+    const exporter = createExporter(chunks, { combined: true, prefix: 'mine' });
+
+    await exporter.run();
+
+    const combined = readOutput(exporter, 'mine');
+    expect(Object.keys(combined.icons)).toEqual(['arrows-up', 'arrows-down', 'brands-more-logo']);
+    expect(combined.categories).toEqual({ Arrows: ['arrows-up', 'arrows-down'], 'Brands & more': ['brands-more-logo'] });
+  });
+
+  test('rejects unknown categories and prefixes that are not Iconify names', async () => {
+    await expect(createExporter(chunks, { categories: ['shapes'] }).run()).rejects.toThrow('process.exit');
+    expect(console.error).toHaveBeenCalledWith('❌ Error exporting icons:', 'Unknown category: shapes');
+
+    await expect(createExporter(chunks, { combined: true, prefix: 'My Icons' }).run()).rejects.toThrow('process.exit');
+    expect(console.error).toHaveBeenCalledWith('❌ Error exporting icons:', '--prefix must be lowercase letters, digits and "-" (e.g. "my-icons")');
+  });
+});
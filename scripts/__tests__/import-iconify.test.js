@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IconifyImporter = require('../import-iconify');
+
+const tempDirs = [];
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function writeCollection(data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-iconify-'));
+  tempDirs.push(dir);
+  const file = path.join(dir, 'demo.json');
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  return file;
+}
+
+function createImporter(options) {
+  const importer = new IconifyImporter({ dryRun: true, ...options });
+  importer.log = () => {};
+  return importer;
+}
+
+describe('import-iconify', () => {
+  test('builds icon records with aliases, categories and variants as tags', async () => {
+    const file = writeCollection({
+      prefix: 'demo',
+      width: 24,
+      height: 24,
+      icons: {
+        home: { body: '<path fill="currentColor" d="M2 2h20v20H2z"/>' },
+        old: { body: '<path d="M0 0h4v4z"/>', hidden: true }
+      },
+      aliases: {
+        'my-house': { parent: 'home' },
+        'home-flipped': { parent: 'home', hFlip: true }
+      },
+      categories: { Buildings: ['home'] }
+    });
+    const importer = createImporter({ file, category: 'places' });
+
+    const icons = await importer.processNewIcons();
+
+    expect(icons.map(({ id, category, tags, aliases }) => ({ id, category, tags, aliases }))).toEqual([
+      { id: 'places_home', category: 'places', tags: ['places', 'home', 'buildings', 'my house'], aliases: ['my-house'] },
+      { id: 'places_home-flipped', category: 'places', tags: ['places', 'home flipped', 'buildings', 'home'], aliases: undefined }
+    ]);
+    expect(icons[0].svgContent).toContain('viewBox="0 0 24 24"');
+  });
+
+  test('imports into the set prefix without --category', async () => {
+    const file = writeCollection({ prefix: 'demo', icons: { dot: { body: '<circle cx="8" cy="8" r="4"/>' } } });
+
+    const icons = await createImporter({ file }).processNewIcons();
+
+    expect(icons.map(icon => icon.id)).toEqual(['demo_dot']);
+  });
+
+  test('rejects a missing file and malformed collections', async () => {
+    expect(() => createImporter({}).checkSource()).toThrow('Pass the Iconify JSON file to import');
+    expect(() => createImporter({ file: path.join(os.tmpdir(), 'no-such-set.json') }).checkSource()).toThrow('No such file');
+
+    await expect(createImporter({ file: writeCollection('{') }).processNewIcons()).rejects.toThrow('Invalid Iconify JSON');
+    await expect(createImporter({ file: writeCollection({ prefix: 'demo' }) }).processNewIcons()).rejects.toThrow('"icons" must be an object');
+  });
+});
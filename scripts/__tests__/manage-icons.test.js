@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IconManager = require('../manage-icons');
+const { IconDataset } = require('../lib/icon-dataset');
+const { Transaction } = require('../lib/transaction');
+
+const tempDirs = [];
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+const icon = (category, name, tags = []) => ({
+  id: `${category}_${name}`,
+  name,
+  category,
+  filename: `${name}.svg`,
+  svgContent: '<svg/>',
+  tags: [category, name.replace(/-/g, ' '), ...tags]
+});
+
+// A project whose public/ holds one chunk per list of icons
+function createProject(chunks, redirects) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-manage-'));
+  tempDirs.push(projectRoot);
+  const publicDir = path.join(projectRoot, 'public');
+  fs.mkdirSync(path.join(publicDir, 'chunks'), { recursive: true });
+
+  const chunksIndex = { total_icons: 0, total_chunks: chunks.length, chunks: [] };
+  const counts = {};
+  const categoryChunks = {};
+  chunks.forEach((icons, index) => {
+    const chunkNumber = index + 1;
+    const filename = `chunks/icons-${chunkNumber}.json`;
+    fs.writeFileSync(path.join(publicDir, filename), JSON.stringify(icons, null, 2));
+    chunksIndex.chunks.push({ chunk_number: chunkNumber, filename, start_index: chunksIndex.total_icons, count: icons.length });
+    chunksIndex.total_icons += icons.length;
+    icons.forEach(({ category }) => {
+      counts[category] = (counts[category] || 0) + 1;
+      categoryChunks[category] = [...new Set([...(categoryChunks[category] || []), chunkNumber])];
+    });
+  });
+
+  const write = (file, data) => fs.writeFileSync(path.join(publicDir, file), JSON.stringify(data, null, 2));
+  write('chunks-index.json', chunksIndex);
+  write('categories.json', [
+    { id: 'all', name: 'All Icons', count: chunksIndex.total_icons },
+    ...Object.entries(counts).map(([id, count]) => ({ id, name: id, count }))
+  ]);
+  write('category-chunks.json', categoryChunks);
+  if (redirects) write('icon-redirects.json', redirects);
+  return projectRoot;
+}
+
+async function manage(projectRoot, command, args, options = {}) {
+  const manager = new IconManager();
+  manager.log = () => {};
+  manager.projectRoot = projectRoot;
+  manager.publicDir = path.join(projectRoot, 'public');
+  manager.transaction = new Transaction(projectRoot);
+  manager.dataset = new IconDataset(manager.publicDir, manager.transaction, { config: manager.config });
+  await manager.run(command, args, options);
+  return new IconDataset(manager.publicDir, null, { config: manager.config }).load();
+}
+
+const readJson = (projectRoot, file) => JSON.parse(fs.readFileSync(path.join(projectRoot, 'public', file), 'utf8'));
+
+describe('manage-icons', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('process.exit');
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rename rewrites only the chunk holding the icon and records a redirect', async () => {
+    const projectRoot = createProject([
+      [icon('arrows', 'up'), icon('arrows', 'down', ['navigation'])],
+      [icon('shapes', 'box')]
+    ]);
+
+    const renamed = await manage(projectRoot, 'rename', ['arrows_down', 'south'], { category: 'Shapes' });
+
+    const [first, second] = renamed.chunksIndex.chunks;
+    expect(first.filename).toMatch(/^chunks\/icons-1\.[0-9a-f]{10}\.json$/);
+    expect(second.filename).toBe('chunks/icons-2.json');
+    expect(renamed.findIcon('shapes_south').icon).toMatchObject({
+      name: 'south',
+      category: 'shapes',
+      filename: 'south.svg',
+      tags: ['shapes', 'south', 'navigation']
+    });
+    expect(renamed.redirects).toEqual({ arrows_down: 'shapes_south' });
+    expect(renamed.categoryChunks).toEqual({ arrows: [1], shapes: [1, 2] });
+    expect(renamed.categories.map(({ id, count }) => [id, count])).toEqual([['all', 3], ['arrows', 1], ['shapes', 2]]);
+  });
+
+  test('a second rename repoints the earlier redirects, and renaming back revives the old ID', async () => {
+    const projectRoot = createProject([[icon('arrows', 'up')]], { arrows_top: 'arrows_up' });
+
+    let dataset = await manage(projectRoot, 'rename', ['arrows_up', 'north']);
+    expect(dataset.redirects).toEqual({ arrows_top: 'arrows_north', arrows_up: 'arrows_north' });
+
+    dataset = await manage(projectRoot, 'rename', ['arrows_north', 'up']);
+    expect(dataset.redirects).toEqual({ arrows_top: 'arrows_up', arrows_north: 'arrows_up' });
+    expect(dataset.hasIcon('arrows_up')).toBe(true);
+  });
+
+  test('rename refuses an ID that is taken', async () => {
+    const projectRoot = createProject([[icon('arrows', 'up'), icon('arrows', 'down')]]);
+
+    await expect(manage(projectRoot, 'rename', ['arrows_up', 'down'])).rejects.toThrow('process.exit');
+    expect(console.error).toHaveBeenCalledWith('❌ Error running rename:', 'An icon with ID "arrows_down" already exists');
+    expect(readJson(projectRoot, 'chunks-index.json').chunks[0].filename).toBe('chunks/icons-1.json');
+  });
+
+  test('remove keeps the emptied chunk and drops redirects to the icon', async () => {
+    const projectRoot = createProject([[icon('arrows', 'up')], [icon('shapes', 'box')]], { arrows_top: 'arrows_up', shapes_cube: 'shapes_box' });
+
+    const dataset = await manage(projectRoot, 'remove', ['arrows_up']);
+
+    expect(dataset.chunksIndex.chunks.map(({ chunk_number: number, count, start_index: start }) => [number, count, start])).toEqual([[1, 0, 0], [2, 1, 0]]);
+    expect(dataset.chunksIndex.total_icons).toBe(1);
+    expect(dataset.categoryChunks).toEqual({ shapes: [2] });
+    expect(dataset.categories.map(({ id }) => id)).toEqual(['all', 'shapes']);
+    expect(dataset.redirects).toEqual({ shapes_cube: 'shapes_box' });
+  });
+
+  test('a rename can be rolled back', async () => {
+    const projectRoot = createProject([[icon('arrows', 'up')]]);
+    const before = fs.readFileSync(path.join(projectRoot, 'public', 'chunks-index.json'), 'utf8');
+
+    await manage(projectRoot, 'rename', ['arrows_up', 'north']);
+    const [run] = Transaction.listRuns(projectRoot);
+    Transaction.rollback(projectRoot, run.run_id);
+
+    expect(fs.readFileSync(path.join(projectRoot, 'public', 'chunks-index.json'), 'utf8')).toBe(before);
+    expect(fs.existsSync(path.join(projectRoot, 'public', 'icon-redirects.json'))).toBe(false);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Rechunker = require('../rechunk');
+const { IconDataset } = require('../lib/icon-dataset');
+const { Transaction } = require('../lib/transaction');
+const { loadManifest } = require('../lib/data-manifest');
+
+const tempDirs = [];
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+const icon = (category, name) => ({ id: `${category}_${name}`, name, category, svgContent: '<svg/>', tags: [] });
+
+// A project whose public/ holds one chunk per list of icons
+function createProject(chunks) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-rechunk-'));
+  tempDirs.push(projectRoot);
+  const publicDir = path.join(projectRoot, 'public');
+  fs.mkdirSync(path.join(publicDir, 'chunks'), { recursive: true });
+
+  const chunksIndex = { total_icons: 0, total_chunks: chunks.length, chunks: [] };
+  const categoryChunks = {};
+  chunks.forEach((icons, index) => {
+    const chunkNumber = index + 1;
+    const filename = `chunks/icons-${chunkNumber}.json`;
+    fs.writeFileSync(path.join(publicDir, filename), JSON.stringify(icons));
+    chunksIndex.chunks.push({ chunk_number: chunkNumber, filename, start_index: chunksIndex.total_icons, count: icons.length });
+    chunksIndex.total_icons += icons.length;
+    icons.forEach(({ category }) => {
+      categoryChunks[category] = [...new Set([...(categoryChunks[category] || []), chunkNumber])];
+    });
+  });
+
+  fs.writeFileSync(path.join(publicDir, 'chunks-index.json'), JSON.stringify(chunksIndex, null, 2));
+  fs.writeFileSync(path.join(publicDir, 'categories.json'), JSON.stringify([{ id: 'all', name: 'All Icons', count: chunksIndex.total_icons }]));
+  fs.writeFileSync(path.join(publicDir, 'category-chunks.json'), JSON.stringify(categoryChunks));
+  return projectRoot;
+}
+
+async function rechunk(projectRoot, options) {
+  const rechunker = new Rechunker(options);
+  rechunker.projectRoot = projectRoot;
+  rechunker.publicDir = path.join(projectRoot, 'public');
+  rechunker.transaction = options.dryRun ? null : new Transaction(projectRoot, { command: 'rechunk' });
+  rechunker.dataset = new IconDataset(rechunker.publicDir, rechunker.transaction, { config: rechunker.config });
+  await rechunker.run();
+  return new IconDataset(rechunker.publicDir).load();
+}
+
+const layout = dataset => dataset.chunksIndex.chunks.map(info => dataset.readChunk(info.chunk_number).map(item => item.id));
+
+describe('rechunk', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('process.exit');
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('category strategy compacts gaps and gives each category its own chunks', async () => {
+    const projectRoot = createProject([
+      [icon('a', '1'), icon('b', '1')],
+      [],
+      [icon('a', '2'), icon('b', '2'), icon('a', '3')]
+    ]);
+
+    const dataset = await rechunk(projectRoot, { strategy: 'category', size: 2, targetKb: 64 });
+
+    expect(layout(dataset)).toEqual([['a_1', 'a_2'], ['a_3'], ['b_1', 'b_2']]);
+    expect(dataset.chunksIndex.chunks.map(info => [info.chunk_number, info.start_index, info.count])).toEqual([[1, 0, 2], [2, 2, 1], [3, 3, 2]]);
+    expect(dataset.chunksIndex).toMatchObject({ total_icons: 5, total_chunks: 3, strategy: 'category', chunk_size: 2 });
+    expect(dataset.categoryChunks).toEqual({ a: [1, 2], b: [3] });
+  });
+
+  test('count strategy keeps icon order', async () => {
+    const projectRoot = createProject([[icon('a', '1')], [icon('b', '1'), icon('a', '2')]]);
+
+    const dataset = await rechunk(projectRoot, { strategy: 'count', size: 2, targetKb: 64 });
+
+    expect(layout(dataset)).toEqual([['a_1', 'b_1'], ['a_2']]);
+    expect(dataset.categoryChunks).toEqual({ a: [1, 2], b: [1] });
+  });
+
+  test('replaced chunk files are retired by the manifest, not deleted', async () => {
+    const projectRoot = createProject([[icon('a', '1')], [icon('a', '2')]]);
+
+    const first = await rechunk(projectRoot, { strategy: 'count', size: 2, targetKb: 64 });
+    const [replaced] = first.chunksIndex.chunks.map(info => info.filename);
+    const second = await rechunk(projectRoot, { strategy: 'count', size: 1, targetKb: 64 });
+
+    const retired = loadManifest(path.join(projectRoot, 'public')).retired.map(entry => entry.file);
+    expect(retired).toEqual(expect.arrayContaining([replaced, 'chunks/icons-1.json', 'chunks/icons-2.json']));
+    expect(second.chunksIndex.chunks.map(info => info.filename)).not.toContain(replaced);
+    retired.forEach(file => expect(fs.existsSync(path.join(projectRoot, 'public', file))).toBe(true));
+  });
+
+  test('unchanged chunks are not written again', async () => {
+    const projectRoot = createProject([[icon('a', '1'), icon('a', '2')]]);
+
+    await rechunk(projectRoot, { strategy: 'count', size: 2, targetKb: 64 });
+    console.log.mockClear();
+    await rechunk(projectRoot, { strategy: 'count', size: 2, targetKb: 64 });
+
+    expect(console.log).toHaveBeenCalledWith('   ✅ 0 chunks written, 1 unchanged');
+  });
+
+  test('a dry run writes nothing', async () => {
+    const projectRoot = createProject([[icon('a', '1')], [icon('b', '1')]]);
+    const before = fs.readFileSync(path.join(projectRoot, 'public', 'chunks-index.json'), 'utf8');
+
+    await rechunk(projectRoot, { strategy: 'count', size: 2, targetKb: 64, dryRun: true });
+
+    expect(fs.readFileSync(path.join(projectRoot, 'public', 'chunks-index.json'), 'utf8')).toBe(before);
+    expect(Transaction.listRuns(projectRoot)).toEqual([]);
+  });
+
+  test('rejects an unknown strategy', async () => {
+    const projectRoot = createProject([[icon('a', '1')]]);
+
+    await expect(rechunk(projectRoot, { strategy: 'size' })).rejects.toThrow('process.exit');
+    expect(console.error).toHaveBeenCalledWith('❌ Error rechunking:', 'Unknown strategy "size" (expected count, bytes, category)');
+  });
+});
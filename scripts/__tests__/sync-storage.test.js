@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StorageSync = require('../sync-storage');
+
+const tempDirs = [];
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function writeFiles(root, files) {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  });
+}
+
+describe('options', () => {
+  test('rejects an --endpoint that is not an http(s) URL', () => {
+    ['localhost:9000', 'ftp://example.com', 'http://', ''].forEach(endpoint => {
+      expect(() => new StorageSync({ target: 's3', endpoint })).toThrow('--endpoint must be an http(s) URL');
+    });
+    expect(new StorageSync({ target: 's3', endpoint: 'http://localhost:9000' }).storage.s3.endpoint).toBe('http://localhost:9000');
+  });
+});
+
+describe('run', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('deletes stale data files but leaves everything else at the target alone', async () => {
+    const publicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-sync-'));
+    const targetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-sync-'));
+    tempDirs.push(publicDir, targetDir);
+    const chunk = 'chunks/icons-1.0123456789.json';
+    writeFiles(publicDir, {
+      'chunks-index.json': JSON.stringify({ chunks: [{ chunk_number: 1, filename: chunk }] }),
+      'category-chunks.json': '{}',
+      'categories.json': '[]',
+      [chunk]: '[]'
+    });
+    writeFiles(targetDir, {
+      'index.html': '<html></html>',
+      'assets/app.js': '',
+      'backup/chunks-index.json': '{}',
+      'chunks/icons-2.abcdefabcd.json': '[]',
+      'categories.3333333333.json': '[]'
+    });
+
+    const sync = new StorageSync();
+    sync.publicDir = publicDir;
+    sync.storage = { ...sync.storage, target: 'local', prefix: '', local: { dir: targetDir } };
+    await sync.run();
+
+    expect(process.exit).not.toHaveBeenCalled();
+    const remaining = [];
+    const walk = (dir, relative) => fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const key = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) walk(path.join(dir, entry.name), key);
+      else remaining.push(key);
+    });
+    walk(targetDir, '');
+    expect(remaining.sort()).toEqual([
+      'assets/app.js',
+      'backup/chunks-index.json',
+      'categories.json',
+      'category-chunks.json',
+      'chunks-index.json',
+      chunk,
+      'index.html'
+    ]);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataVerifier = require('../verify-data');
+const { Transaction } = require('../lib/transaction');
+const { loadManifest } = require('../lib/data-manifest');
+
+const tempDirs = [];
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M0 0h4v4z"/></svg>';
+const icon = (category, name) => ({
+  id: `${category}_${name}`,
+  name,
+  category,
+  filename: `${name}.svg`,
+  svgContent: svg,
+  tags: [category, name],
+  downloads: 0,
+  featured: false
+});
+
+// public/ with the given chunk files and hand-written metadata that may
+// disagree with them
+function createProject(chunks, metadata = {}) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-verify-'));
+  tempDirs.push(projectRoot);
+  const publicDir = path.join(projectRoot, 'public');
+  fs.mkdirSync(path.join(publicDir, 'chunks'), { recursive: true });
+
+  const chunksIndex = { total_icons: 0, total_chunks: chunks.length, chunks: [] };
+  const categoryChunks = {};
+  const counts = {};
+  chunks.forEach((icons, index) => {
+    const filename = `chunks/icons-${index + 1}.json`;
+    fs.writeFileSync(path.join(publicDir, filename), JSON.stringify(icons));
+    chunksIndex.chunks.push({ chunk_number: index + 1, filename, start_index: chunksIndex.total_icons, count: icons.length, size_kb: 1 });
+    chunksIndex.total_icons += icons.length;
+    icons.forEach(({ category }) => {
+      counts[category] = (counts[category] || 0) + 1;
+      categoryChunks[category] = [...new Set([...(categoryChunks[category] || []), index + 1])];
+    });
+  });
+
+  const files = {
+    'chunks-index.json': chunksIndex,
+    'category-chunks.json': categoryChunks,
+    'categories.json': [
+      { id: 'all', name: 'All Icons', count: chunksIndex.total_icons },
+      ...Object.entries(counts).map(([id, count]) => ({ id, name: id, count }))
+    ],
+    ...metadata
+  };
+  Object.entries(files).forEach(([file, data]) => {
+    fs.writeFileSync(path.join(publicDir, file), typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+  });
+  return projectRoot;
+}
+
+function createVerifier(projectRoot) {
+  const verifier = new DataVerifier();
+  verifier.log = () => {};
+  verifier.projectRoot = projectRoot;
+  verifier.publicDir = path.join(projectRoot, 'public');
+  verifier.collectionsDir = path.join(projectRoot, 'collections');
+  return verifier;
+}
+
+const errors = report => report.issues.filter(issue => issue.severity === 'error').map(issue => `${issue.file}: ${issue.message}`);
+
+describe('verify-data', () => {
+  test('a consistent dataset has no errors', () => {
+    const projectRoot = createProject([[icon('arrows', 'up'), icon('shapes', 'box')]]);
+
+    expect(errors(createVerifier(projectRoot).verify())).toEqual([]);
+  });
+
+  test('finds drifted metadata and --fix regenerates it from the chunks', () => {
+    const projectRoot = createProject([[icon('arrows', 'up'), icon('shapes', 'box')], [icon('arrows', 'down')]], {
+      'category-chunks.json': { arrows: [1], shapes: [1], misc: [2] },
+      'categories.json': [{ id: 'all', name: 'All Icons', count: 2 }, { id: 'arrows', name: 'Arrows', count: 2 }],
+      'icon-redirects.json': { arrows_top: 'arrows_gone', arrows_north: 'arrows_top', arrows_up: 'arrows_down' }
+    });
+    fs.writeFileSync(path.join(projectRoot, 'public', 'chunks', 'icons-9.json'), '[]');
+    const verifier = createVerifier(projectRoot);
+
+    const report = verifier.verify();
+    expect(errors(report)).toEqual([
+      'chunks/icons-9.json: orphaned: not in chunks-index.json and not retired',
+      'category-chunks.json: "arrows" lists chunks [1], icons are in 1, 2',
+      'category-chunks.json: "misc" has no icons in any chunk',
+      'categories.json: "all" count is 2, expected 3',
+      'categories.json: "shapes" is missing (1 icons)',
+      'icon-redirects.json: "arrows_top" redirects to missing icon "arrows_gone"',
+      'icon-redirects.json: "arrows_up" is a live icon but redirects to "arrows_down"'
+    ]);
+    expect(report.issues.every(issue => issue.fixable)).toBe(true);
+
+    expect(verifier.applyFix(report)).toBe(true);
+    verifier.issues = [];
+    expect(errors(verifier.verify())).toEqual([]);
+
+    const publicDir = path.join(projectRoot, 'public');
+    expect(JSON.parse(fs.readFileSync(path.join(publicDir, 'icon-redirects.json'), 'utf8'))).toEqual({});
+    expect(loadManifest(publicDir).retired.map(entry => entry.file)).toContain('chunks/icons-9.json');
+    expect(Transaction.listRuns(projectRoot).map(run => run.status)).toEqual(['committed']);
+  });
+
+  test('duplicate IDs need a manual fix', () => {
+    const projectRoot = createProject([[icon('arrows', 'up')], [icon('arrows', 'up')]]);
+    const verifier = createVerifier(projectRoot);
+
+    const report = verifier.verify();
+
+    expect(report.issues.find(issue => /duplicate icon ID/.test(issue.message))).toEqual({
+      severity: 'error',
+      file: 'chunks/icons-2.json',
+      message: 'duplicate icon ID "arrows_up" (also in chunks/icons-1.json)',
+      fixable: false
+    });
+  });
+
+  test('does not fix a dataset whose chunks cannot be read', () => {
+    const projectRoot = createProject([[icon('arrows', 'up')]]);
+    fs.writeFileSync(path.join(projectRoot, 'public', 'chunks', 'icons-1.json'), '[{');
+    const verifier = createVerifier(projectRoot);
+
+    expect(verifier.applyFix(verifier.verify())).toBe(false);
+    expect(Transaction.listRuns(projectRoot)).toEqual([]);
+  });
+});
@@ -5,19 +5,156 @@
  * Simple folder-based icon addition to existing chunked system
  * 
  * Usage:
- * 1. Create new-icons/ folder with subfolders for each category
+ * 1. Create new-icons/ folder (paths.newIcons in iconboard.config.js) with
+ *    subfolders for each category
  * 2. Drop SVG files in appropriate category folders
  * 3. Run: npm run add-icons
+ *
+ * Options:
+ *   --dry-run   Print the change plan (chunks, categories, collisions,
+ *               sanitization, size impact) without writing anything
+ *   --json      Emit the plan as JSON on stdout (implies --dry-run)
+ *   --rollback <run-id>
+ *               Restore the chunks and metadata a previous run replaced and
+ *               move its archived SVGs back into new-icons/ (a run whose
+ *               commit was interrupted is recovered the same way)
+ *   --list-runs List previous runs from the journal
+ *   --on-duplicate report|skip|merge-tags|alias
+ *               What to do with an icon whose geometry matches an existing
+ *               icon (or another new one): report and add it anyway (the
+ *               default), skip it, merge its tags into the existing icon, or
+ *               merge its tags and record its name as an alias
+ *   --duplicate-threshold <0-1>
+ *               Similarity needed to count as a near-duplicate (default 0.95)
+ *   --allow-lint-errors
+ *               Add icons even when lint rules at "error" severity fail
+ *   --sprite    Split every SVG that has <symbol id="..."> entries, even if
+ *               it also draws content of its own
+ *   --watch     Keep running and ingest files as they are dropped or saved
+ *               (see below)
+ *   --debounce <ms>
+ *               How long changes must settle before a watch batch runs
+ *               (default 300)
+ *
+ * Sprite sheets (an <svg> holding only <symbol id="..."> entries) are split
+ * into one icon per symbol, named by the symbol ID, with the definitions
+ * each symbol references copied along. Metadata sidecars and _meta.json
+ * entries use the symbol name.
+ *
+ * New icons are linted against their category (see lint-icons and the "lint"
+ * section of iconboard.config.js). Errors abort the run unless --allow-lint-errors is
+ * passed or the rule is lowered for the category; warnings are reported.
+ *
+ * Watch mode loads the chunks once and keeps them, the ID set and the
+ * geometry fingerprints in memory. Each batch of changes ingests only new
+ * or changed files (a changed .meta.json or _meta.json counts as a change to
+ * its icons) and rewrites only the chunks it touches plus the metadata
+ * files. Files stay in the drop folder while watching so they can be edited:
+ * saving an icon this session added (or one whose markup already matches
+ * the published icon with its ID) replaces it in place. Every batch is a
+ * separate run in the journal; stop the watcher before rolling one back.
+ *
+ * Writes are staged and swapped in only once every file is ready, so a
+ * failure never leaves public/ half-updated. Each run is journaled under
+ * .iconboard/runs/<run-id>/, which also keeps the processed SVGs.
+ *
+ * Optional metadata (tags, aliases, description, author, deprecated,
+ * collection) can sit next to an icon as <name>.meta.json, or in one
+ * _meta.json per folder. Icons are linked to the collection (icon set and
+ * license, see collections/) that owns their category unless the metadata
+ * names one.
+ *
+ * Folders, chunk layout, the icon ID scheme, category display names and the
+ * sanitizer and optimizer options come from iconboard.config.js.
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { sanitizeSvg } = require('./lib/svg-sanitizer');
+const { splitSprite } = require('./lib/svg-sprite');
+const {
+  resolveOptimizerOptions,
+  optimizeSvg,
+  formatBytes,
+  formatSavings
+} = require('./lib/svg-optimizer');
+const {
+  SIDECAR_SUFFIX,
+  defaultTags,
+  loadCategoryMetadata,
+  loadIconMetadata,
+  applyIconMetadata
+} = require('./lib/icon-metadata');
+const { Transaction } = require('./lib/transaction');
+const { chunkFilename, publishStagedManifest } = require('./lib/data-manifest');
+const { createChunkStream } = require('./lib/chunk-layout');
+const { stageSearchIndex } = require('./lib/search-index');
+const { loadCollections, createCollectionResolver, stageCollections } = require('./lib/collections');
+const {
+  DEFAULT_THRESHOLD,
+  DUPLICATE_ACTIONS,
+  isValidThreshold,
+  parseThreshold,
+  DuplicateIndex,
+  fingerprintIcon,
+  mergeTags,
+  linkAlias,
+  formatSimilarity
+} = require('./lib/icon-duplicates');
+const { lintIcons } = require('./lib/icon-lint');
+const { loadScriptConfig, categoryDisplayName, formatIconId } = require('./lib/config');
+
+const DEFAULT_DEBOUNCE_MS = 300;
+const CATEGORY_METADATA_FILE = '_meta.json';
+
+// File contents, or null when the file does not exist
+function readIfPresent(file) {
+  try {
+    return fs.readFileSync(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
 
 class IconAdder {
-  constructor() {
+  constructor(options = {}) {
+    this.json = Boolean(options.json);
+    this.dryRun = Boolean(options.dryRun) || this.json;
+    this.sprite = Boolean(options.sprite);
+    this.debounceMs = options.debounce ?? DEFAULT_DEBOUNCE_MS;
+    // Progress goes to stderr in JSON mode so stdout only carries the plan
+    this.log = this.json ? console.error : console.log;
+    
+    // Duplicate handling: { icon, match: { id, chunkNumber, exact, similarity } }
+    this.onDuplicate = options.onDuplicate || 'report';
+    this.duplicateThreshold = options.duplicateThreshold ?? DEFAULT_THRESHOLD;
+    this.duplicates = [];
+    
+    // Existing chunks edited by merge-tags/alias (or replaced icons in watch
+    // mode): chunk number -> icons
+    this.editedChunks = new Map();
+    
+    // Chunks staged by this run: chunk number -> icons
+    this.writtenChunks = new Map();
+    
+    // Watch mode state, kept across batches (null outside watch mode):
+    // committed chunk contents, icon ID -> chunk number, icon ID ->
+    // { svgContent, fingerprint }, and drop-folder file -> content hash
+    this.chunkCache = null;
+    this.iconChunks = null;
+    this.fingerprintCache = null;
+    this.fileHashes = null;
+    // IDs the drop folder owns this session: saving their files replaces them
+    this.ownedIds = null;
+    
     this.projectRoot = path.join(__dirname, '..');
-    this.newIconsDir = path.join(this.projectRoot, 'new-icons');
-    this.publicDir = path.join(this.projectRoot, 'public');
+    this.config = loadScriptConfig(this.projectRoot);
+    this.newIconsDir = this.config.paths.newIcons;
+    this.newIconsLabel = `${path.relative(this.projectRoot, this.newIconsDir)}/`;
+    this.publicDir = this.config.paths.output;
     this.chunksDir = path.join(this.publicDir, 'chunks');
     
     // Current data
@@ -25,54 +162,515 @@ class IconAdder {
     this.categories = [];
     this.categoryChunks = {};
     this.nextChunkNumber = 1;
-    this.iconsPerChunk = 50;
+
+    // Per-file sanitizer results: { file, changes, rejected }
+    this.sanitizationReport = [];
+    
+    // JSON-encoded size of each new icon's original SVG, for the per-chunk
+    // savings report
+    this.originalSvgBytes = new Map();
+    this.optimizationTotals = { before: 0, after: 0 };
+    
+    // Quality rule findings: { id, category, rule, severity, message }
+    this.allowLintErrors = Boolean(options.allowLintErrors);
+    this.lintFindings = [];
+    
+    // Collection manifests (collections/*.json) for provenance and license
+    this.collections = loadCollections(this.config.paths.collections);
+    this.resolveCollection = createCollectionResolver(this.collections);
+    
+    // Staged writes for the current run (null in dry-run mode), journaled
+    // under this command name
+    this.command = 'add-icons';
+    this.transaction = null;
   }
 
   async run() {
-    console.log('🚀 IconBoard - Adding New Icons...\n');
+    this.log('🚀 IconBoard - Adding New Icons...\n');
     
     try {
-      // Check if new-icons folder exists
-      if (!fs.existsSync(this.newIconsDir)) {
-        this.createExampleStructure();
+      if (!DUPLICATE_ACTIONS.includes(this.onDuplicate)) {
+        throw new Error(`Unknown --on-duplicate action "${this.onDuplicate}" (expected ${DUPLICATE_ACTIONS.join(', ')})`);
+      }
+      if (!isValidThreshold(this.duplicateThreshold)) {
+        throw new Error('--duplicate-threshold must be a number from 0 to 1 (e.g. 0.9)');
+      }
+      
+      if (!this.checkSource()) {
         return;
       }
 
       // Load current data
       await this.loadCurrentData();
       
-      // Process new icons
-      const newIcons = await this.processNewIcons();
+      await this.ingest();
       
-      if (newIcons.length === 0) {
-        console.log('📭 No new icons found in new-icons/ folder');
-        console.log('💡 Drop SVG files in category folders and run again');
-        return;
+    } catch (error) {
+      if (this.transaction) {
+        this.transaction.abort();
       }
+      console.error('❌ Error adding icons:', error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Process, check and add the icons in the drop folder.
+   * @param {Set<string>} [files] - Only these SVG paths (watch mode)
+   * @returns {boolean} true when a run was committed
+   */
+  async ingest(files = null) {
+    this.resetRunState();
+    
+    // Process new icons
+    const processedIcons = await this.processNewIcons(files);
+    const { added, replaced } = this.partitionOwnedIcons(processedIcons);
+    
+    if (added.length === 0 && replaced.length === 0) {
+      if (!this.watching) {
+        this.log(`📭 No new icons found in ${this.newIconsLabel} folder`);
+        this.log('💡 Drop SVG files in category folders and run again');
+      } else {
+        this.log('   ✅ Nothing changed in the data');
+      }
+      return false;
+    }
+    
+    // Check quality rules against the rest of each category
+    this.lintFindings = this.lintNewIcons([...added, ...replaced]);
+    this.printLintReport();
+    const lintErrors = this.lintFindings.filter(finding => finding.severity === 'error');
+    if (lintErrors.length > 0 && !this.allowLintErrors && !this.dryRun) {
+      throw new Error(`${lintErrors.length} lint errors (see above). Fix the icons, lower the rule in iconboard.config.js or pass --allow-lint-errors`);
+    }
+    
+    // Compare geometry against the whole chunk set
+    this.duplicates = await this.findDuplicates(added);
+    this.printDuplicateReport();
+    const newIcons = this.resolveDuplicates(added);
+
+    // Dry run: report what would happen and stop before any write
+    if (this.dryRun) {
+      const existingIds = await this.getAllExistingIds();
+      const plan = this.buildPlan(newIcons, this.buildChunkUpdates(newIcons), existingIds);
+      this.printPlan(plan);
+      if (plan.collisions.length > 0 || (lintErrors.length > 0 && !this.allowLintErrors)) {
+        process.exitCode = 1;
+      }
+      return false;
+    }
 
-      // Add icons to chunks
-      const iconsAdded = await this.addIconsToChunks(newIcons);
+    this.transaction = new Transaction(this.projectRoot, { command: this.command });
+    this.replaceOwnedIcons(replaced);
+    
+    // Add icons to chunks
+    const iconsAdded = await this.addIconsToChunks(newIcons);
+    
+    // Only update metadata and cleanup if something actually changed
+    if (iconsAdded > 0 || (newIcons.length === 0 && this.editedChunks.size > 0)) {
+      // Update metadata
+      await this.updateMetadata(newIcons);
       
-      // Only update metadata and cleanup if icons were actually added
-      if (iconsAdded > 0) {
-        // Update metadata
-        await this.updateMetadata(newIcons);
-        
-        // Clean up
-        this.cleanup();
+      // Swap the staged files into public/
+      this.log('\n💾 Committing changes...');
+      this.transaction.commit({
+        icons_added: newIcons.map(icon => icon.id),
+        ...(replaced.length > 0 ? { icons_replaced: replaced.map(icon => icon.id) } : {}),
+        total_icons: this.chunksIndex.total_icons,
+        duplicates: this.duplicates.map(duplicate => ({
+          id: duplicate.icon.id,
+          duplicate_of: duplicate.match.id,
+          action: this.onDuplicate
+        })),
+        lint_errors_allowed: lintErrors.map(finding => ({ id: finding.id, rule: finding.rule }))
+      });
+      this.log(`   ✅ Wrote ${this.transaction.stagedPaths.length} files`);
+      if (this.watching) {
+        this.commitWatchState(newIcons);
+      }
+      
+      // Clean up
+      this.cleanup();
+      
+      if (iconsAdded > 0 || replaced.length === 0) {
+        this.log(`\n✅ Successfully added ${iconsAdded} icons!`);
+      }
+      if (replaced.length > 0) {
+        this.log(`${iconsAdded > 0 ? '' : '\n'}♻️  Replaced ${replaced.length} icons from changed files`);
+      }
+      if (this.duplicates.length > 0 && (this.onDuplicate === 'merge-tags' || this.onDuplicate === 'alias')) {
+        this.log(`🔗 Updated ${this.duplicates.length} existing icons instead of adding duplicates`);
+      }
+      this.log('🎯 Your app is ready with the new icons');
+      this.log(`↩️  Undo with: npm run add-icons -- --rollback ${this.transaction.runId}`);
+      return true;
+    }
+    
+    this.transaction.abort();
+    this.transaction = null;
+    if (this.watching && newIcons.length > 0) {
+      throw new Error('Nothing was added (see above)');
+    }
+    return false;
+  }
+
+  // Per-run state; watch mode runs many times in one process
+  resetRunState() {
+    this.editedChunks = new Map();
+    this.writtenChunks = new Map();
+    this.sanitizationReport = [];
+    this.originalSvgBytes = new Map();
+    this.optimizationTotals = { before: 0, after: 0 };
+    this.lintFindings = [];
+    this.duplicates = [];
+    this.transaction = null;
+  }
+
+  get watching() {
+    return this.chunkCache !== null;
+  }
+
+  /**
+   * Split processed icons into new ones and, in watch mode, saved versions
+   * of icons the drop folder owns. Unchanged icons are dropped, and an icon
+   * whose markup matches the published icon with its ID becomes owned.
+   * @returns {{ added: object[], replaced: object[] }}
+   */
+  partitionOwnedIcons(icons) {
+    if (!this.watching) {
+      return { added: icons, replaced: [] };
+    }
+    
+    const added = [];
+    const replaced = [];
+    let unchanged = 0;
+    for (const icon of icons) {
+      const chunkNumber = this.iconChunks.get(icon.id);
+      if (chunkNumber === undefined) {
+        added.push(icon);
+        continue;
+      }
+      
+      const current = this.readChunk(chunkNumber).find(other => other.id === icon.id);
+      if (!this.ownedIds.has(icon.id) && current.svgContent !== icon.svgContent) {
+        added.push(icon); // Reported as an ID collision
+        continue;
+      }
+      
+      this.ownedIds.add(icon.id);
+      if (current.category !== icon.category) {
+        throw new Error(`${icon.id} moved from "${current.category}" to "${icon.category}"; use npm run rename-icon to move icons between categories`);
+      }
+      if (JSON.stringify(current) !== JSON.stringify(icon)) {
+        replaced.push(icon);
+      } else {
+        unchanged++;
+      }
+    }
+    
+    if (unchanged > 0) {
+      this.log(`   🟰 ${unchanged} icons already match the published data`);
+    }
+    return { added, replaced };
+  }
+
+  // Swap saved versions of owned icons into their chunks
+  replaceOwnedIcons(icons) {
+    for (const icon of icons) {
+      const chunkNumber = this.iconChunks.get(icon.id);
+      const chunkIcons = [...this.readChunk(chunkNumber)];
+      chunkIcons[chunkIcons.findIndex(other => other.id === icon.id)] = icon;
+      this.editedChunks.set(chunkNumber, chunkIcons);
+      this.log(`   ♻️  Replacing ${icon.id} in chunk ${chunkNumber}`);
+    }
+  }
+
+  /**
+   * Watch the drop folder and ingest changes in debounced batches until
+   * interrupted. Errors are reported and the watcher keeps going; a failed
+   * batch is retried with the next change.
+   */
+  async watch() {
+    this.log('🚀 IconBoard - Watching for New Icons...\n');
+    
+    try {
+      if (this.dryRun) {
+        throw new Error('--watch cannot be combined with --dry-run or --json');
+      }
+      if (!DUPLICATE_ACTIONS.includes(this.onDuplicate)) {
+        throw new Error(`Unknown --on-duplicate action "${this.onDuplicate}" (expected ${DUPLICATE_ACTIONS.join(', ')})`);
+      }
+      if (!isValidThreshold(this.duplicateThreshold)) {
+        throw new Error('--duplicate-threshold must be a number from 0 to 1 (e.g. 0.9)');
+      }
+      if (!(this.debounceMs >= 0)) {
+        throw new Error('--debounce must be a number of milliseconds');
+      }
+      if (!fs.existsSync(this.newIconsDir)) {
+        this.createExampleStructure();
+      }
+      
+      await this.loadCurrentData();
+      this.loadWatchState();
+    } catch (error) {
+      console.error('❌ Error starting watch mode:', error.message);
+      process.exit(1);
+    }
+    
+    const pending = new Set();
+    // Files of a failed batch, retried with the next change
+    const retry = new Set();
+    const watchers = new Map();
+    let timer = null;
+    let busy = false;
+    // Set while the data files could not be reloaded after a failed batch
+    let stale = false;
+    
+    const reload = async () => {
+      try {
+        await this.loadCurrentData();
+        stale = false;
+      } catch (error) {
+        stale = true;
+        console.error('❌ Error reloading icon data (retrying with the next change):', error.message);
+      }
+    };
+    
+    const flush = async () => {
+      timer = null;
+      if (busy || pending.size === 0) return;
+      busy = true;
+      
+      const batch = new Set([...retry, ...pending]);
+      retry.clear();
+      pending.clear();
+      
+      // Runs from a timer: nothing may escape, and busy must be reset
+      try {
+        const changed = this.collectChangedFiles(batch);
         
-        console.log(`\n✅ Successfully added ${iconsAdded} icons!`);
-        console.log('🎯 Your app is ready with the new icons');
+        if (changed.size > 0) {
+          this.log(`\n🔄 ${new Date().toLocaleTimeString()} - ${changed.size} changed files`);
+          const started = Date.now();
+          if (stale) {
+            await reload();
+          }
+          if (stale) {
+            changed.forEach((hash, file) => retry.add(file));
+          } else {
+            try {
+              await this.ingest(new Set(changed.keys()));
+              changed.forEach((hash, file) => this.fileHashes.set(file, hash));
+              this.log(`⏱️  Batch done in ${Date.now() - started} ms`);
+            } catch (error) {
+              if (this.transaction) {
+                this.transaction.abort();
+              }
+              console.error('❌ Error adding icons:', error.message);
+              changed.forEach((hash, file) => retry.add(file));
+              await reload();
+            }
+          }
+          this.log(`\n👀 Watching ${this.newIconsLabel} (Ctrl+C to stop)`);
+        }
+      } catch (error) {
+        console.error('❌ Error checking changed files (retrying with the next change):', error.message);
+        batch.forEach(file => retry.add(file));
+      } finally {
+        busy = false;
+        if (pending.size > 0 && !timer) schedule();
       }
+    };
+    
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(flush, this.debounceMs);
+    };
+    
+    const watchFolder = folder => {
+      if (watchers.has(folder) || !fs.existsSync(folder)) return;
+      const watcher = fs.watch(folder, (eventType, filename) => {
+        if (!filename) return;
+        const changedPath = path.join(folder, filename.toString());
+        if (folder === this.newIconsDir) {
+          // New category folders are watched as they appear
+          if (fs.existsSync(changedPath) && fs.statSync(changedPath).isDirectory()) {
+            watchFolder(changedPath);
+            this.listSvgFiles(changedPath).forEach(file => pending.add(file));
+            schedule();
+          } else if (!fs.existsSync(changedPath) && watchers.has(changedPath)) {
+            watchers.get(changedPath).close();
+            watchers.delete(changedPath);
+          }
+          return;
+        }
+        this.affectedSvgFiles(folder, filename.toString()).forEach(file => pending.add(file));
+        schedule();
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(folder);
+      });
+      watchers.set(folder, watcher);
+    };
+    
+    watchFolder(this.newIconsDir);
+    for (const folder of this.listCategoryFolders()) {
+      watchFolder(folder);
+      // Files already waiting are ingested (or recognized) first
+      this.listSvgFiles(folder).forEach(file => pending.add(file));
+    }
+    
+    process.on('SIGINT', () => {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      this.log(`\n👋 Stopped watching. Ingested files are still in ${this.newIconsLabel}; remove them before the next plain add-icons run`);
+      process.exit(0);
+    });
+    
+    this.log(`\n👀 Watching ${this.newIconsLabel} (Ctrl+C to stop)`);
+    schedule();
+  }
+
+  /**
+   * Read every chunk once and build the in-memory ID set and locations for
+   * watch mode.
+   */
+  loadWatchState() {
+    this.log('\n🧠 Loading chunks into memory...');
+    this.chunkCache = new Map();
+    this.iconChunks = new Map();
+    this.fingerprintCache = new Map();
+    this.fileHashes = new Map();
+    this.ownedIds = new Set();
+    
+    for (const chunkInfo of this.chunksIndex.chunks) {
+      const icons = JSON.parse(fs.readFileSync(this.getChunkPath(chunkInfo.chunk_number), 'utf8'));
+      this.chunkCache.set(chunkInfo.chunk_number, icons);
+      icons.forEach(icon => this.iconChunks.set(icon.id, chunkInfo.chunk_number));
+    }
+    this.log(`   🎯 ${this.iconChunks.size} icon IDs in ${this.chunkCache.size} chunks`);
+  }
+
+  // Fold a committed batch into the watch state
+  commitWatchState(newIcons) {
+    for (const [chunkNumber, icons] of this.writtenChunks) {
+      this.chunkCache.set(chunkNumber, icons);
+      icons.forEach(icon => this.iconChunks.set(icon.id, chunkNumber));
+    }
+    newIcons.forEach(icon => this.ownedIds.add(icon.id));
+    this.nextChunkNumber = this.chunksIndex.total_chunks + 1;
+  }
+
+  listCategoryFolders() {
+    return fs.readdirSync(this.newIconsDir)
+      .map(item => path.join(this.newIconsDir, item))
+      .filter(itemPath => fs.statSync(itemPath).isDirectory());
+  }
+
+  listSvgFiles(folder) {
+    return fs.readdirSync(folder)
+      .filter(file => file.toLowerCase().endsWith('.svg'))
+      .map(file => path.join(folder, file));
+  }
+
+  // SVG files whose icons depend on a changed file in a category folder
+  affectedSvgFiles(folder, filename) {
+    if (filename === CATEGORY_METADATA_FILE) {
+      return fs.existsSync(folder) ? this.listSvgFiles(folder) : [];
+    }
+    if (filename.toLowerCase().endsWith(SIDECAR_SUFFIX)) {
+      return [path.join(folder, `${filename.slice(0, -SIDECAR_SUFFIX.length)}.svg`)];
+    }
+    return filename.toLowerCase().endsWith('.svg') ? [path.join(folder, filename)] : [];
+  }
+
+  /**
+   * Hash the SVG files of a batch with their metadata and keep the ones that
+   * changed since they were last ingested.
+   * @returns {Map<string, string>} file -> content hash
+   */
+  collectChangedFiles(files) {
+    const changed = new Map();
+    for (const file of files) {
+      // Editors save by replacing the file, so it can vanish between any
+      // two calls; missing files count as removed
+      const svgContent = readIfPresent(file);
+      if (svgContent === null) {
+        if (this.fileHashes.delete(file)) {
+          this.log(`   🗑️  ${path.relative(this.projectRoot, file)} was removed; its icon stays (use npm run remove-icon)`);
+        }
+        continue;
+      }
+      
+      const hash = crypto.createHash('sha1');
+      const sidecar = `${file.slice(0, -'.svg'.length)}${SIDECAR_SUFFIX}`;
+      const categoryMetadata = path.join(path.dirname(file), CATEGORY_METADATA_FILE);
+      for (const content of [svgContent, readIfPresent(sidecar), readIfPresent(categoryMetadata)]) {
+        hash.update(content || '');
+        hash.update('\0');
+      }
+      const digest = hash.digest('hex');
       
+      if (this.fileHashes.get(file) !== digest) {
+        changed.set(file, digest);
+      }
+    }
+    return changed;
+  }
+
+  rollback(runId) {
+    this.log(`↩️  Rolling back run ${runId}...`);
+    
+    try {
+      const journal = Transaction.rollback(this.projectRoot, runId);
+      if (journal.status === 'recovered') {
+        this.log('   ✅ Restored the files its interrupted commit had replaced');
+      } else {
+        this.log(`   ✅ Restored ${journal.files.filter(file => file.existed).length} files`);
+        this.log(`   🗑️  Removed ${journal.files.filter(file => !file.existed).length} files created by the run`);
+      }
+      this.log(`   📂 Moved ${journal.archived.length} files back to ${this.newIconsLabel}`);
     } catch (error) {
-      console.error('❌ Error adding icons:', error.message);
+      console.error('❌ Error rolling back:', error.message);
       process.exit(1);
     }
   }
 
+  listRuns() {
+    const runs = Transaction.listRuns(this.projectRoot);
+    if (runs.length === 0) {
+      this.log('📭 No runs recorded yet');
+      return;
+    }
+    
+    this.log('📜 Runs (oldest first):');
+    runs.forEach(run => {
+      const added = run.summary.icons_added ? `${run.summary.icons_added.length} icons, ` : '';
+      this.log(`   ${run.run_id}  ${run.status.padEnd(11)} ${run.command || ''}  ${added}${run.files.length} files`);
+    });
+  }
+
+  /**
+   * Make sure there is somewhere to read icons from. Subclasses that read
+   * another source override this with processNewIcons() and cleanup().
+   * @returns {boolean} false when the run should stop
+   */
+  checkSource() {
+    if (fs.existsSync(this.newIconsDir)) {
+      return true;
+    }
+    
+    if (this.dryRun) {
+      this.log(`📭 No ${this.newIconsLabel} folder - nothing to plan`);
+    } else {
+      this.createExampleStructure();
+    }
+    return false;
+  }
+
   createExampleStructure() {
-    console.log('📁 Creating new-icons/ folder structure...\n');
+    this.log(`📁 Creating ${this.newIconsLabel} folder structure...\n`);
     
     // Create main folder
     fs.mkdirSync(this.newIconsDir, { recursive: true });
@@ -85,7 +683,7 @@ class IconAdder {
       fs.mkdirSync(categoryDir, { recursive: true });
       
       // Create a README in each folder
-      const readmeContent = `# ${category.charAt(0).toUpperCase() + category.slice(1)} Icons
+      const readmeContent = `# ${categoryDisplayName(this.config, category)} Icons
 
 Drop your SVG files here. Files should be:
 - Valid SVG format
@@ -97,28 +695,34 @@ Then run: npm run add-icons
       fs.writeFileSync(path.join(categoryDir, 'README.md'), readmeContent);
     });
     
-    console.log('✅ Created folder structure:');
-    console.log(`📂 new-icons/`);
+    this.log('✅ Created folder structure:');
+    this.log(`📂 ${this.newIconsLabel}`);
     exampleCategories.forEach(cat => {
-      console.log(`   📂 ${cat}/  (drop ${cat} SVG files here)`);
+      this.log(`   📂 ${cat}/  (drop ${cat} SVG files here)`);
     });
     
-    console.log('\n🎯 Next steps:');
-    console.log('1. Drop your SVG files in the appropriate category folders');
-    console.log('2. Run: npm run add-icons');
-    console.log('3. Your icons will be added to the app automatically!\n');
+    this.log('\n🎯 Next steps:');
+    this.log('1. Drop your SVG files in the appropriate category folders');
+    this.log('2. Run: npm run add-icons');
+    this.log('3. Your icons will be added to the app automatically!\n');
   }
 
   async loadCurrentData() {
-    console.log('📊 Loading current data...');
+    this.log('📊 Loading current data...');
+    
+    // Undo a commit that crashed partway before reading anything, so the
+    // run starts from the restored files (dry runs only read)
+    if (!this.dryRun) {
+      Transaction.recoverInterrupted(this.projectRoot);
+    }
     
     // Load chunks index
     const chunksIndexPath = path.join(this.publicDir, 'chunks-index.json');
     if (fs.existsSync(chunksIndexPath)) {
       this.chunksIndex = JSON.parse(fs.readFileSync(chunksIndexPath, 'utf8'));
       this.nextChunkNumber = this.chunksIndex.total_chunks + 1;
-      console.log(`   📦 Current chunks: ${this.chunksIndex.total_chunks}`);
-      console.log(`   🎯 Total icons: ${this.chunksIndex.total_icons}`);
+      this.log(`   📦 Current chunks: ${this.chunksIndex.total_chunks}`);
+      this.log(`   🎯 Total icons: ${this.chunksIndex.total_icons}`);
     } else {
       throw new Error('chunks-index.json not found. Run the main build process first.');
     }
@@ -127,7 +731,7 @@ Then run: npm run add-icons
     const categoriesPath = path.join(this.publicDir, 'categories.json');
     if (fs.existsSync(categoriesPath)) {
       this.categories = JSON.parse(fs.readFileSync(categoriesPath, 'utf8'));
-      console.log(`   📂 Current categories: ${this.categories.length}`);
+      this.log(`   📂 Current categories: ${this.categories.length}`);
     }
     
     // Load category chunks mapping
@@ -137,175 +741,624 @@ Then run: npm run add-icons
     }
   }
 
-  async processNewIcons() {
-    console.log('\n🔍 Processing new icons...');
+  /**
+   * @param {Set<string>} [files] - Only process these SVG paths
+   */
+  async processNewIcons(files = null) {
+    this.log('\n🔍 Processing new icons...');
     
     const newIcons = [];
+    const addedIds = new Set();
     const categoryFolders = fs.readdirSync(this.newIconsDir)
       .filter(item => {
         const itemPath = path.join(this.newIconsDir, item);
         return fs.statSync(itemPath).isDirectory();
       });
     
-    console.log(`   📂 Found ${categoryFolders.length} category folders`);
+    this.log(`   📂 Found ${categoryFolders.length} category folders`);
     
     for (const categoryFolder of categoryFolders) {
       const categoryPath = path.join(this.newIconsDir, categoryFolder);
       const svgFiles = fs.readdirSync(categoryPath)
-        .filter(file => file.toLowerCase().endsWith('.svg'));
+        .filter(file => file.toLowerCase().endsWith('.svg'))
+        .filter(file => !files || files.has(path.join(categoryPath, file)));
       
       if (svgFiles.length > 0) {
-        console.log(`   📁 ${categoryFolder}: ${svgFiles.length} SVG files`);
+        this.log(`   📁 ${categoryFolder}: ${svgFiles.length} SVG files`);
+        const categoryMetadata = loadCategoryMetadata(categoryPath);
         
         for (const svgFile of svgFiles) {
-          const iconData = this.createIconData(categoryFolder, svgFile, categoryPath);
-          if (iconData) {
-            newIcons.push(iconData);
+          const symbols = this.splitSpriteFile(categoryPath, svgFile);
+          const sources = symbols
+            ? symbols.map(symbol => ({ filename: `${symbol.name}.svg`, svgContent: symbol.svgContent }))
+            : [{ filename: svgFile }];
+          
+          for (const source of sources) {
+            const iconData = this.createIconData(categoryFolder, source.filename, categoryPath, categoryMetadata, source.svgContent);
+            if (!iconData) continue;
+            if (addedIds.has(iconData.id)) {
+              this.log(`   ⚠️  Skipping ${source.filename} from ${svgFile}: ${iconData.id} is already being added`);
+              continue;
+            }
+            addedIds.add(iconData.id);
+            newIcons.push(this.resolveCollection(iconData));
           }
         }
       }
     }
     
-    console.log(`\n📈 Total new icons to add: ${newIcons.length}`);
+    this.printSanitizationReport();
+    
+    this.log(`\n📈 Total new icons to add: ${newIcons.length}`);
     return newIcons;
   }
 
-  createIconData(category, filename, categoryPath) {
+  /**
+   * Split a sprite sheet into its symbols.
+   * @returns {Array<{ name, svgContent }>|null} null for ordinary icon files
+   */
+  splitSpriteFile(categoryPath, filename) {
+    let symbols = null;
     try {
-      const svgPath = path.join(categoryPath, filename);
-      const svgContent = fs.readFileSync(svgPath, 'utf8');
-      const iconName = path.basename(filename, '.svg');
+      symbols = splitSprite(fs.readFileSync(path.join(categoryPath, filename), 'utf8'), { force: this.sprite });
+    } catch (error) {
+      // Unparsable files are reported by the sanitizer like any other icon
+      return null;
+    }
+    
+    if (symbols) {
+      this.log(`   🧩 ${filename}: sprite with ${symbols.length} symbols`);
+    }
+    return symbols;
+  }
+
+  createIconData(category, filename, categoryPath, categoryMetadata = {}, svgContent = null) {
+    // Metadata errors are configuration mistakes: let them abort the run
+    const metadata = loadIconMetadata(categoryMetadata, path.join(categoryPath, filename));
+    
+    try {
+      const markup = svgContent ?? fs.readFileSync(path.join(categoryPath, filename), 'utf8');
+      return this.buildIconRecord(category, filename, markup, metadata);
+    } catch (error) {
+      this.log(`   ❌ Error processing ${filename}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Sanitize and optimize one SVG and build its icon record.
+   * @returns {object|null} null when the sanitizer rejects the markup
+   */
+  buildIconRecord(category, filename, svgContent, metadata = {}) {
+    const iconName = path.basename(filename, '.svg');
+    const file = `${category}/${filename}`;
+    
+    // Validate and sanitize SVG against the allowlist
+    const result = sanitizeSvg(svgContent, this.config.sanitizer);
+    if (!result.accepted) {
+      this.log(`   ⚠️  Skipping ${filename}: ${result.reason}`);
+      this.sanitizationReport.push({ file, changes: [result.reason], rejected: true });
+      return null;
+    }
+    
+    if (result.changes.length > 0) {
+      this.sanitizationReport.push({ file, changes: result.changes, rejected: false });
+    }
+    
+    // Optimize with the category's settings
+    const optimized = optimizeSvg(
+      result.svgContent,
+      resolveOptimizerOptions(this.config.optimizer, category)
+    );
+    const originalBytes = Buffer.byteLength(svgContent, 'utf8');
+    this.optimizationTotals.before += originalBytes;
+    this.optimizationTotals.after += optimized.after;
+    this.log(`   🗜️  ${file}: ${formatSavings(originalBytes, optimized.after)}`);
+    
+    const id = formatIconId(this.config, category, iconName);
+    this.originalSvgBytes.set(id, Buffer.byteLength(JSON.stringify(svgContent), 'utf8'));
+    
+    return applyIconMetadata({
+      id,
+      name: iconName,
+      category: category.toLowerCase(),
+      filename: filename,
+      svgContent: optimized.svgContent,
+      tags: defaultTags(category, iconName),
+      downloads: 0,
+      featured: false
+    }, metadata);
+  }
+
+  /**
+   * Lint the new icons, with the existing icons of their categories as the
+   * consistency baseline.
+   */
+  lintNewIcons(newIcons) {
+    this.log('\n🔎 Linting new icons...');
+    const categories = new Set(newIcons.map(icon => icon.category));
+    const chunkNumbers = new Set([...categories].flatMap(category => this.categoryChunks[category] || []));
+    
+    const context = [];
+    for (const chunkNumber of chunkNumbers) {
+      try {
+        context.push(...this.readChunk(chunkNumber).filter(icon => categories.has(icon.category)));
+      } catch (error) {
+        this.log(`   ⚠️  Warning: Could not read chunk ${chunkNumber}`);
+      }
+    }
+    
+    return lintIcons(newIcons, this.config.lint, { context });
+  }
+
+  printLintReport() {
+    if (this.lintFindings.length === 0) {
+      this.log('   ✅ No lint findings');
+      return;
+    }
+    
+    const errors = this.lintFindings.filter(finding => finding.severity === 'error').length;
+    this.log(`   📋 ${errors} errors, ${this.lintFindings.length - errors} warnings`);
+    this.lintFindings.forEach(finding => {
+      this.log(`   ${finding.severity === 'error' ? '❌' : '⚠️ '} ${finding.id}: ${finding.message} [${finding.rule}]`);
+    });
+    
+    if (errors > 0) {
+      this.log(this.allowLintErrors
+        ? '   💡 --allow-lint-errors: adding them anyway'
+        : '   💡 Errors block the run. Fix the icons, lower the rule in iconboard.config.js or pass --allow-lint-errors');
+    }
+  }
+
+  printSanitizationReport() {
+    if (this.sanitizationReport.length === 0) {
+      return;
+    }
+    
+    const rejected = this.sanitizationReport.filter(entry => entry.rejected).length;
+    const cleaned = this.sanitizationReport.length - rejected;
+    
+    this.log(`\n🧼 Sanitizer: ${cleaned} files cleaned, ${rejected} rejected`);
+    this.sanitizationReport.forEach(entry => {
+      this.log(`   ${entry.rejected ? '⛔' : '🧽'} ${entry.file}`);
+      entry.changes.forEach(change => this.log(`      - ${change}`));
+    });
+  }
+
+  // Chunk size as written vs. as it would have been with unoptimized SVGs
+  reportChunkSize(chunkNumber, chunkIcons) {
+    const after = Buffer.byteLength(JSON.stringify(chunkIcons), 'utf8');
+    const before = chunkIcons.reduce((total, icon) => {
+      if (!this.originalSvgBytes.has(icon.id)) return total;
+      return total + this.originalSvgBytes.get(icon.id) - Buffer.byteLength(JSON.stringify(icon.svgContent), 'utf8');
+    }, after);
+    
+    this.log(`   🗜️  Chunk ${chunkNumber}: ${formatSavings(before, after)}`);
+  }
+
+  // Resolve through the index: chunk files are named by content hash
+  getChunkPath(chunkNumber) {
+    const chunkInfo = this.chunksIndex.chunks.find(info => info.chunk_number === chunkNumber);
+    return chunkInfo
+      ? path.join(this.publicDir, chunkInfo.filename)
+      : path.join(this.chunksDir, `icons-${chunkNumber}.json`);
+  }
+
+  serializeChunk(icons) {
+    return JSON.stringify(icons, null, 2);
+  }
+
+  // Icons of an existing chunk, including edits made by this run
+  readChunk(chunkNumber) {
+    if (this.writtenChunks.has(chunkNumber)) {
+      return this.writtenChunks.get(chunkNumber);
+    }
+    if (this.editedChunks.has(chunkNumber)) {
+      return this.editedChunks.get(chunkNumber);
+    }
+    if (this.watching && this.chunkCache.has(chunkNumber)) {
+      return this.chunkCache.get(chunkNumber);
+    }
+    const chunkPath = this.getChunkPath(chunkNumber);
+    return JSON.parse(this.transaction ? this.transaction.readFile(chunkPath) : fs.readFileSync(chunkPath, 'utf8'));
+  }
+
+  /**
+   * Match each new icon's geometry against every existing icon and the new
+   * icons before it.
+   * @returns {Array<{ icon, match: { id, chunkNumber, exact, similarity } }>}
+   *   chunkNumber is null when the match is another new icon
+   */
+  async findDuplicates(newIcons) {
+    this.log('\n🧬 Checking for duplicate geometry...');
+    const index = new DuplicateIndex({ threshold: this.duplicateThreshold });
+    
+    for (const chunkInfo of this.chunksIndex.chunks) {
+      try {
+        for (const icon of this.readChunk(chunkInfo.chunk_number)) {
+          index.add({ id: icon.id, chunkNumber: chunkInfo.chunk_number, fingerprint: this.fingerprint(icon) });
+        }
+      } catch (error) {
+        this.log(`   ⚠️  Warning: Could not read chunk ${chunkInfo.chunk_number}`);
+      }
+    }
+    
+    const existingCount = index.entries.length;
+    const duplicates = [];
+    for (const icon of newIcons) {
+      const fingerprint = fingerprintIcon(icon);
+      // Same-ID matches are ID collisions, reported separately
+      const match = index.match(fingerprint).find(candidate => candidate.entry.id !== icon.id);
       
-      // Validate SVG
-      if (!svgContent.includes('<svg') || !svgContent.includes('</svg>')) {
-        console.log(`   ⚠️  Skipping ${filename}: Invalid SVG format`);
-        return null;
+      if (match) {
+        duplicates.push({
+          icon,
+          match: {
+            id: match.entry.id,
+            chunkNumber: match.entry.chunkNumber,
+            exact: match.exact,
+            similarity: Math.round(match.similarity * 1000) / 1000
+          }
+        });
+      } else {
+        index.add({ id: icon.id, chunkNumber: null, fingerprint });
+      }
+    }
+    
+    this.log(`   🔎 Compared ${newIcons.length} new icons with ${existingCount} existing icons`);
+    return duplicates;
+  }
+
+  // Geometry fingerprint, remembered across watch batches
+  fingerprint(icon) {
+    if (!this.fingerprintCache) {
+      return fingerprintIcon(icon);
+    }
+    const cached = this.fingerprintCache.get(icon.id);
+    if (cached && cached.svgContent === icon.svgContent) {
+      return cached.fingerprint;
+    }
+    const fingerprint = fingerprintIcon(icon);
+    this.fingerprintCache.set(icon.id, { svgContent: icon.svgContent, fingerprint });
+    return fingerprint;
+  }
+
+  printDuplicateReport() {
+    if (this.duplicates.length === 0) {
+      this.log('   ✅ No duplicates found');
+      return;
+    }
+    
+    const exact = this.duplicates.filter(duplicate => duplicate.match.exact).length;
+    this.log(`\n🧬 Duplicates: ${exact} exact, ${this.duplicates.length - exact} near (action: ${this.onDuplicate})`);
+    this.duplicates.forEach(({ icon, match }) => {
+      const where = match.chunkNumber === null ? 'new icon' : `chunk ${match.chunkNumber}`;
+      this.log(`   ${match.exact ? '🟰' : '≈ '} ${icon.category}/${icon.filename} → ${match.id} (${formatSimilarity(match)}, ${where})`);
+    });
+    
+    if (this.onDuplicate === 'report') {
+      this.log('   💡 They will be added anyway. Pass --on-duplicate skip|merge-tags|alias to change that');
+    }
+  }
+
+  /**
+   * Apply the --on-duplicate action. merge-tags and alias fold the duplicate
+   * into the icon it matched (an existing chunk entry or an earlier new icon).
+   * @returns {object[]} The new icons that should still be added
+   */
+  resolveDuplicates(newIcons) {
+    if (this.onDuplicate === 'report') {
+      return newIcons;
+    }
+    
+    const matches = new Map(this.duplicates.map(duplicate => [duplicate.icon, duplicate.match]));
+    const combine = this.onDuplicate === 'merge-tags' ? mergeTags : linkAlias;
+    const kept = [];
+    
+    for (const icon of newIcons) {
+      const match = matches.get(icon);
+      if (!match) {
+        kept.push(icon);
+        continue;
       }
       
-      // Clean SVG content - remove potential XSS
-      const cleanSvgContent = svgContent
-        .replace(/<script[^>]*>.*?<\/script>/gi, '')
-        .replace(/on\w+="[^"]*"/gi, '')
-        .replace(/javascript:/gi, '')
-        .trim();
+      if (this.onDuplicate === 'skip') {
+        this.log(`   ⏭️  Skipping ${icon.id}`);
+        continue;
+      }
       
-      return {
-        id: `${category}_${iconName}`,
-        name: iconName,
-        category: category.toLowerCase(),
-        filename: filename,
-        svgContent: cleanSvgContent,
-        tags: [category.toLowerCase(), iconName.replace(/-/g, ' ').replace(/_/g, ' ')],
-        downloads: 0,
-        featured: false
-      };
-    } catch (error) {
-      console.log(`   ❌ Error processing ${filename}:`, error.message);
-      return null;
+      if (match.chunkNumber === null) {
+        const index = kept.findIndex(other => other.id === match.id);
+        kept[index] = combine(kept[index], icon);
+      } else {
+        const icons = [...this.readChunk(match.chunkNumber)];
+        const index = icons.findIndex(other => other.id === match.id);
+        icons[index] = combine(icons[index], icon);
+        this.editedChunks.set(match.chunkNumber, icons);
+      }
+      this.log(`   🔗 ${this.onDuplicate === 'merge-tags' ? 'Merged tags of' : 'Linked'} ${icon.id} into ${match.id}`);
+    }
+    
+    return kept;
+  }
+
+  /**
+   * Work out which chunks receive which icons, without writing anything.
+   * Icons are laid out with the chunks strategy from iconboard.config.js,
+   * as rechunk does: the last chunk (for the category strategy, the last
+   * chunk of each icon's category) is topped up first, then new chunks are
+   * created. Existing chunks edited by duplicate handling are included with
+   * no added icons.
+   * @returns {Array<{ chunkNumber, created, addedIcons, icons }>}
+   */
+  buildChunkUpdates(newIcons) {
+    const { strategy, size, targetKb } = this.config.chunks;
+    const stream = createChunkStream({ strategy, maxIcons: size, targetBytes: targetKb * 1024 });
+    
+    // First icon of each resumed chunk -> { chunkNumber, count }
+    const resumed = new Map();
+    const tailChunks = strategy === 'category'
+      ? [...new Set(newIcons.map(icon => icon.category))]
+        .map(category => Math.max(...(this.categoryChunks[category] || [])))
+        .filter(Number.isFinite)
+      : this.chunksIndex.chunks.slice(-1).map(info => info.chunk_number);
+    
+    for (const chunkNumber of tailChunks) {
+      const icons = this.readChunk(chunkNumber);
+      // A category's last chunk only continues if it holds nothing else
+      const aligned = strategy !== 'category' || icons.every(icon => icon.category === icons[0].category);
+      if (aligned && stream.resume(icons)) {
+        resumed.set(icons[0], { chunkNumber, count: icons.length });
+      }
+    }
+    
+    const chunks = newIcons.map(icon => stream.push(icon)).filter(Boolean);
+    chunks.push(...stream.flush());
+    
+    const updates = [];
+    let nextChunkNumber = this.nextChunkNumber;
+    for (const icons of chunks) {
+      const existing = resumed.get(icons[0]);
+      if (existing) {
+        if (icons.length > existing.count) {
+          updates.push({
+            chunkNumber: existing.chunkNumber,
+            created: false,
+            addedIcons: icons.slice(existing.count),
+            icons
+          });
+        }
+      } else {
+        updates.push({ chunkNumber: nextChunkNumber++, created: true, addedIcons: icons, icons });
+      }
     }
+    
+    for (const [editedChunkNumber, icons] of this.editedChunks) {
+      if (updates.some(update => update.chunkNumber === editedChunkNumber)) continue;
+      updates.push({
+        chunkNumber: editedChunkNumber,
+        created: false,
+        addedIcons: [],
+        icons
+      });
+    }
+    
+    return updates.sort((a, b) => a.chunkNumber - b.chunkNumber);
   }
 
   async addIconsToChunks(newIcons) {
-    console.log('\n📦 Adding icons to chunks...');
+    this.log('\n📦 Adding icons to chunks...');
     
     // Check for ID collisions
     const existingIds = await this.getAllExistingIds();
     const duplicates = newIcons.filter(icon => existingIds.has(icon.id));
     
     if (duplicates.length > 0) {
-      console.log('\n⚠️  Found duplicate icon IDs:');
-      duplicates.forEach(icon => console.log(`   - ${icon.id}`));
-      console.log('\n💡 Rename these files and try again\n');
+      this.log('\n⚠️  Found duplicate icon IDs:');
+      duplicates.forEach(icon => this.log(`   - ${icon.id}`));
+      this.log('\n💡 Rename these files and try again\n');
       return 0; // Return 0 icons added
     }
     
-    let currentChunk = [];
-    let currentChunkNumber = this.nextChunkNumber;
     let iconsAdded = 0;
     
-    // Try to fill the last existing chunk first if it's not full
-    const lastChunkInfo = this.chunksIndex.chunks[this.chunksIndex.chunks.length - 1];
-    if (lastChunkInfo && lastChunkInfo.count < this.iconsPerChunk) {
-      console.log(`   📄 Filling last chunk ${lastChunkInfo.chunk_number} (${lastChunkInfo.count}/${this.iconsPerChunk})`);
-      
-      // Load existing chunk
-      const lastChunkPath = path.join(this.chunksDir, `icons-${lastChunkInfo.chunk_number}.json`);
-      const existingIcons = JSON.parse(fs.readFileSync(lastChunkPath, 'utf8'));
+    for (const update of this.buildChunkUpdates(newIcons)) {
+      const content = this.serializeChunk(update.icons);
+      const filename = chunkFilename(update.chunkNumber, content);
+      this.transaction.writeFile(path.join(this.publicDir, filename), content);
+      this.writtenChunks.set(update.chunkNumber, update.icons);
+      const sizeKb = Math.round(JSON.stringify(update.icons).length / 1024 * 100) / 100;
       
-      // Add icons to fill the chunk
-      const spaceAvailable = this.iconsPerChunk - lastChunkInfo.count;
-      const iconsToAdd = newIcons.splice(0, spaceAvailable);
-      const updatedChunk = [...existingIcons, ...iconsToAdd];
-      
-      // Save updated chunk
-      fs.writeFileSync(lastChunkPath, JSON.stringify(updatedChunk, null, 2));
-      
-      // Update chunk info
-      lastChunkInfo.count = updatedChunk.length;
-      lastChunkInfo.size_kb = Math.round(JSON.stringify(updatedChunk).length / 1024 * 100) / 100;
+      if (update.created) {
+        this.chunksIndex.chunks.push({
+          chunk_number: update.chunkNumber,
+          filename,
+          start_index: 0,
+          count: update.icons.length,
+          size_kb: sizeKb
+        });
+        this.log(`   ✅ Created chunk ${update.chunkNumber} with ${update.icons.length} icons`);
+      } else if (update.addedIcons.length === 0) {
+        const chunkInfo = this.chunksIndex.chunks.find(info => info.chunk_number === update.chunkNumber);
+        chunkInfo.filename = filename;
+        chunkInfo.size_kb = sizeKb;
+        this.log(`   🔗 Updated existing icons in chunk ${update.chunkNumber}`);
+      } else {
+        const chunkInfo = this.chunksIndex.chunks.find(info => info.chunk_number === update.chunkNumber);
+        this.log(`   📄 Filling chunk ${update.chunkNumber} (${chunkInfo.count} icons)`);
+        chunkInfo.filename = filename;
+        chunkInfo.count = update.icons.length;
+        chunkInfo.size_kb = sizeKb;
+        this.log(`   ✅ Added ${update.addedIcons.length} icons to chunk ${update.chunkNumber}`);
+      }
       
-      iconsAdded += iconsToAdd.length;
-      console.log(`   ✅ Added ${iconsToAdd.length} icons to chunk ${lastChunkInfo.chunk_number}`);
+      this.reportChunkSize(update.chunkNumber, update.icons);
+      iconsAdded += update.addedIcons.length;
     }
     
-    // Create new chunks for remaining icons
-    while (newIcons.length > 0) {
-      const iconsForThisChunk = newIcons.splice(0, this.iconsPerChunk);
-      
-      // Save chunk
-      const chunkPath = path.join(this.chunksDir, `icons-${currentChunkNumber}.json`);
-      fs.writeFileSync(chunkPath, JSON.stringify(iconsForThisChunk, null, 2));
-      
-      // Add chunk info
-      const chunkInfo = {
-        chunk_number: currentChunkNumber,
-        filename: `chunks/icons-${currentChunkNumber}.json`,
-        start_index: this.chunksIndex.total_icons + iconsAdded,
-        count: iconsForThisChunk.length,
-        size_kb: Math.round(JSON.stringify(iconsForThisChunk).length / 1024 * 100) / 100
-      };
-      
-      this.chunksIndex.chunks.push(chunkInfo);
-      iconsAdded += iconsForThisChunk.length;
-      
-      console.log(`   ✅ Created chunk ${currentChunkNumber} with ${iconsForThisChunk.length} icons`);
-      currentChunkNumber++;
+    // Update totals; topping up a chunk before the last one moves the
+    // start index of every chunk after it
+    let startIndex = 0;
+    for (const info of this.chunksIndex.chunks) {
+      info.start_index = startIndex;
+      startIndex += info.count;
     }
-    
-    // Update totals
     this.chunksIndex.total_icons += iconsAdded;
     this.chunksIndex.total_chunks = this.chunksIndex.chunks.length;
     
-    console.log(`   📊 Updated totals: ${this.chunksIndex.total_icons} icons in ${this.chunksIndex.total_chunks} chunks`);
+    this.log(`   📊 Updated totals: ${this.chunksIndex.total_icons} icons in ${this.chunksIndex.total_chunks} chunks`);
     
     return iconsAdded; // Return number of icons actually added
   }
 
-  async updateMetadata(newIcons) {
-    console.log('\n📝 Updating metadata...');
-    
-    // Count icons by category
+  // Per-category count changes caused by adding newIcons
+  computeCategoryChanges(newIcons) {
     const categoryIconCounts = {};
     newIcons.forEach(icon => {
       categoryIconCounts[icon.category] = (categoryIconCounts[icon.category] || 0) + 1;
     });
     
-    // Update category counts and add new categories
-    for (const [categoryId, newCount] of Object.entries(categoryIconCounts)) {
+    return Object.entries(categoryIconCounts).map(([categoryId, delta]) => {
       const existingCategory = this.categories.find(cat => cat.id === categoryId);
+      const before = existingCategory ? existingCategory.count : 0;
+      return { id: categoryId, created: !existingCategory, before, after: before + delta, delta };
+    });
+  }
+
+  /**
+   * Describe everything a run would change. Plain data, safe to print as JSON.
+   */
+  buildPlan(newIcons, chunkUpdates, existingIds) {
+    const chunks = chunkUpdates.map(update => {
+      const chunkPath = this.getChunkPath(update.chunkNumber);
+      const bytesBefore = !update.created && fs.existsSync(chunkPath) ? fs.statSync(chunkPath).size : 0;
+      const content = this.serializeChunk(update.icons);
+      return {
+        chunk_number: update.chunkNumber,
+        // The content-hashed name the run would write the chunk under
+        filename: chunkFilename(update.chunkNumber, content),
+        action: update.created ? 'create' : 'update',
+        icons_added: update.addedIcons.map(icon => icon.id),
+        count_after: update.icons.length,
+        bytes_before: bytesBefore,
+        bytes_after: Buffer.byteLength(content, 'utf8')
+      };
+    });
+    
+    const bytesBefore = chunks.reduce((total, chunk) => total + chunk.bytes_before, 0);
+    const bytesAfter = chunks.reduce((total, chunk) => total + chunk.bytes_after, 0);
+    const iconsAdded = newIcons.length;
+    
+    return {
+      dry_run: true,
+      generated_at: new Date().toISOString(),
+      totals: {
+        icons_before: this.chunksIndex.total_icons,
+        icons_after: this.chunksIndex.total_icons + iconsAdded,
+        chunks_before: this.chunksIndex.total_chunks,
+        chunks_after: this.chunksIndex.total_chunks + chunks.filter(chunk => chunk.action === 'create').length
+      },
+      collisions: newIcons.filter(icon => existingIds.has(icon.id)).map(icon => icon.id),
+      duplicates: this.duplicates.map(({ icon, match }) => ({
+        id: icon.id,
+        duplicate_of: match.id,
+        chunk_number: match.chunkNumber,
+        exact: match.exact,
+        similarity: match.similarity,
+        action: this.onDuplicate
+      })),
+      chunks,
+      categories: this.computeCategoryChanges(newIcons),
+      collections: newIcons.reduce((counts, icon) => {
+        const collection = icon.collection || 'none';
+        counts[collection] = (counts[collection] || 0) + 1;
+        return counts;
+      }, {}),
+      sanitization: this.sanitizationReport,
+      lint: this.lintFindings,
+      size: {
+        svg_bytes_original: this.optimizationTotals.before,
+        svg_bytes_optimized: this.optimizationTotals.after,
+        chunk_bytes_before: bytesBefore,
+        chunk_bytes_after: bytesAfter,
+        chunk_bytes_delta: bytesAfter - bytesBefore
+      }
+    };
+  }
+
+  printPlan(plan) {
+    if (this.json) {
+      process.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+      return;
+    }
+    
+    this.log('\n📋 Change plan (dry run - nothing was written)');
+    this.log(`   🎯 Icons: ${plan.totals.icons_before} → ${plan.totals.icons_after}`);
+    this.log(`   📦 Chunks: ${plan.totals.chunks_before} → ${plan.totals.chunks_after}`);
+    
+    this.log('\n📦 Chunks:');
+    plan.chunks.forEach(chunk => {
+      const icon = chunk.action === 'create' ? '🆕' : chunk.icons_added.length === 0 ? '🔗' : '📄';
+      this.log(`   ${icon} ${chunk.action} ${chunk.filename}: +${chunk.icons_added.length} icons (${chunk.count_after} total), ${formatBytes(chunk.bytes_before)} → ${formatBytes(chunk.bytes_after)}`);
+    });
+    
+    this.log('\n📂 Categories:');
+    plan.categories.forEach(category => {
+      const label = category.created ? 'new category' : `${category.before} → ${category.after}`;
+      this.log(`   📂 ${category.id}: +${category.delta} (${label})`);
+    });
+    
+    this.log('\n📜 Collections:');
+    Object.entries(plan.collections).forEach(([collection, count]) => {
+      this.log(`   ${collection === 'none' ? '⚠️  no collection (license unknown)' : `📜 ${collection}`}: ${count} icons`);
+    });
+    
+    if (plan.collisions.length > 0) {
+      this.log('\n⚠️  ID collisions (the real run would abort):');
+      plan.collisions.forEach(id => this.log(`   - ${id}`));
+    } else {
+      this.log('\n✅ No ID collisions');
+    }
+    
+    if (plan.duplicates.length > 0) {
+      this.log(`🧬 Duplicates: ${plan.duplicates.length} (${plan.duplicates[0].action}, details above)`);
+    }
+    
+    const lintErrors = plan.lint.filter(finding => finding.severity === 'error').length;
+    if (lintErrors > 0) {
+      this.log(`${this.allowLintErrors ? '⚠️ ' : '⛔'} Lint: ${lintErrors} errors (${this.allowLintErrors ? 'allowed' : 'the real run would abort'}, details above)`);
+    }
+    
+    const sanitized = plan.sanitization.filter(entry => !entry.rejected).length;
+    const rejected = plan.sanitization.length - sanitized;
+    this.log(`\n🧼 Sanitization: ${sanitized} files changed, ${rejected} rejected (details above)`);
+    
+    this.log('\n📏 Size impact:');
+    this.log(`   SVG markup: ${formatSavings(plan.size.svg_bytes_original, plan.size.svg_bytes_optimized)}`);
+    this.log(`   Chunk files: ${plan.size.chunk_bytes_delta >= 0 ? '+' : ''}${(plan.size.chunk_bytes_delta / 1024).toFixed(1)} KB`);
+    this.log('\n💡 Run without --dry-run to apply');
+  }
+
+  async updateMetadata(newIcons) {
+    this.log('\n📝 Updating metadata...');
+    
+    // Update category counts and add new categories
+    const categoryChanges = this.computeCategoryChanges(newIcons);
+    for (const change of categoryChanges) {
+      const existingCategory = this.categories.find(cat => cat.id === change.id);
       
       if (existingCategory) {
-        existingCategory.count += newCount;
-        console.log(`   📂 Updated "${categoryId}": +${newCount} icons (total: ${existingCategory.count})`);
+        existingCategory.count = change.after;
+        this.log(`   📂 Updated "${change.id}": +${change.delta} icons (total: ${existingCategory.count})`);
       } else {
         // Add new category
         const newCategory = {
-          id: categoryId,
-          name: categoryId.charAt(0).toUpperCase() + categoryId.slice(1),
-          count: newCount
+          id: change.id,
+          name: categoryDisplayName(this.config, change.id),
+          count: change.delta
         };
         this.categories.push(newCategory);
-        console.log(`   📂 Added new category "${categoryId}": ${newCount} icons`);
+        this.log(`   📂 Added new category "${change.id}": ${change.delta} icons`);
       }
     }
     
@@ -315,52 +1368,52 @@ Then run: npm run add-icons
       allCategory.count = this.chunksIndex.total_icons;
     }
     
-    // Update category chunks mapping
-    // For simplicity, we'll rebuild the mapping for updated categories
-    for (const categoryId of Object.keys(categoryIconCounts)) {
-      const chunksWithThisCategory = [];
-      
-      for (const chunkInfo of this.chunksIndex.chunks) {
-        const chunkPath = path.join(this.chunksDir, `icons-${chunkInfo.chunk_number}.json`);
-        const chunkIcons = JSON.parse(fs.readFileSync(chunkPath, 'utf8'));
-        
-        if (chunkIcons.some(icon => icon.category === categoryId)) {
-          chunksWithThisCategory.push(chunkInfo.chunk_number);
+    // Update category chunks mapping: adding icons only ever puts a
+    // category into the chunks this run wrote
+    for (const [chunkNumber, icons] of this.writtenChunks) {
+      for (const categoryId of new Set(icons.map(icon => icon.category))) {
+        const chunkNumbers = this.categoryChunks[categoryId] || [];
+        if (!chunkNumbers.includes(chunkNumber)) {
+          this.categoryChunks[categoryId] = [...chunkNumbers, chunkNumber].sort((a, b) => a - b);
         }
       }
-      
-      this.categoryChunks[categoryId] = chunksWithThisCategory;
     }
     
-    // Save updated files
-    fs.writeFileSync(
+    // Stage updated files
+    this.transaction.writeFile(
       path.join(this.publicDir, 'chunks-index.json'),
       JSON.stringify(this.chunksIndex, null, 2)
     );
     
-    fs.writeFileSync(
+    this.transaction.writeFile(
       path.join(this.publicDir, 'categories.json'),
       JSON.stringify(this.categories, null, 2)
     );
     
-    fs.writeFileSync(
+    this.transaction.writeFile(
       path.join(this.publicDir, 'category-chunks.json'),
       JSON.stringify(this.categoryChunks, null, 2)
     );
     
-    console.log('   ✅ Updated all metadata files');
+    stageSearchIndex(this.config, this.publicDir, this.transaction, this.chunksIndex, chunkNumber => this.readChunk(chunkNumber));
+    stageCollections(this.publicDir, this.transaction, this.collections);
+    const manifest = publishStagedManifest(this.publicDir, this.transaction);
+    this.log(`   ✅ Staged all metadata files (data version ${manifest.version})`);
   }
 
   async getAllExistingIds() {
+    if (this.watching) {
+      return new Set(this.iconChunks.keys());
+    }
+    
     const existingIds = new Set();
     
     for (const chunkInfo of this.chunksIndex.chunks) {
-      const chunkPath = path.join(this.chunksDir, `icons-${chunkInfo.chunk_number}.json`);
       try {
-        const chunkIcons = JSON.parse(fs.readFileSync(chunkPath, 'utf8'));
+        const chunkIcons = JSON.parse(fs.readFileSync(this.getChunkPath(chunkInfo.chunk_number), 'utf8'));
         chunkIcons.forEach(icon => existingIds.add(icon.id));
       } catch (error) {
-        console.log(`   ⚠️  Warning: Could not read chunk ${chunkInfo.chunk_number}`);
+        this.log(`   ⚠️  Warning: Could not read chunk ${chunkInfo.chunk_number}`);
       }
     }
     
@@ -368,9 +1421,14 @@ Then run: npm run add-icons
   }
 
   cleanup() {
-    console.log('\n🧹 Cleaning up...');
+    // Watched files stay where they are so they can still be edited
+    if (this.watching) {
+      return;
+    }
+    
+    this.log('\n🧹 Cleaning up...');
     
-    // Remove processed SVG files but keep folder structure
+    // Archive processed SVG files with the run but keep folder structure
     const categoryFolders = fs.readdirSync(this.newIconsDir)
       .filter(item => {
         const itemPath = path.join(this.newIconsDir, item);
@@ -382,21 +1440,53 @@ Then run: npm run add-icons
       const files = fs.readdirSync(categoryPath);
       
       for (const file of files) {
-        if (file.toLowerCase().endsWith('.svg')) {
-          fs.unlinkSync(path.join(categoryPath, file));
+        const lowerFile = file.toLowerCase();
+        if (lowerFile.endsWith('.svg') || lowerFile.endsWith(SIDECAR_SUFFIX)) {
+          this.transaction.archive(path.join(categoryPath, file));
         }
       }
     }
     
-    console.log('   ✅ Cleaned up processed SVG files');
-    console.log('   📁 Kept folder structure for future use');
+    this.log(`   ✅ Archived processed SVG and .meta.json files to .iconboard/runs/${this.transaction.runId}/`);
+    this.log('   📁 Kept folder structure for future use');
   }
 }
 
 // Run the script
 if (require.main === module) {
-  const adder = new IconAdder();
-  adder.run();
+  const { values } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      rollback: { type: 'string' },
+      'list-runs': { type: 'boolean', default: false },
+      'on-duplicate': { type: 'string', default: 'report' },
+      'duplicate-threshold': { type: 'string' },
+      'allow-lint-errors': { type: 'boolean', default: false },
+      sprite: { type: 'boolean', default: false },
+      watch: { type: 'boolean', default: false },
+      debounce: { type: 'string' }
+    }
+  });
+  
+  const adder = new IconAdder({
+    dryRun: values['dry-run'],
+    json: values.json,
+    onDuplicate: values['on-duplicate'],
+    duplicateThreshold: parseThreshold(values['duplicate-threshold']),
+    allowLintErrors: values['allow-lint-errors'],
+    sprite: values.sprite,
+    debounce: values.debounce === undefined ? undefined : Number(values.debounce)
+  });
+  if (values.rollback) {
+    adder.rollback(values.rollback);
+  } else if (values['list-runs']) {
+    adder.listRuns();
+  } else if (values.watch) {
+    adder.watch();
+  } else {
+    adder.run();
+  }
 }
 
 module.exports = IconAdder;
\ No newline at end of file
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * IconBoard - Apply Collections Script
+ * Link icons that are already in the chunked data to their collection
+ * manifests and publish public/collections.json
+ *
+ * Usage:
+ *   npm run apply-collections -- [--dry-run]
+ *
+ * Every icon without a `collection` gets the one that owns its category (see
+ * collections/). Icons that already name a collection keep it. Categories no
+ * manifest claims are listed so their license can be looked up.
+ *
+ * Only chunks with changed icons are rewritten. The run is journaled and can
+ * be undone with: npm run add-icons -- --rollback <run-id>
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { IconDataset } = require('./lib/icon-dataset');
+const { Transaction } = require('./lib/transaction');
+const {
+  loadCollections,
+  createCollectionResolver,
+  stageCollections
+} = require('./lib/collections');
+const { loadScriptConfig } = require('./lib/config');
+
+class CollectionApplier {
+  constructor(options = {}) {
+    this.dryRun = Boolean(options.dryRun);
+
+    this.projectRoot = path.join(__dirname, '..');
+    this.config = loadScriptConfig(this.projectRoot);
+    this.publicDir = this.config.paths.output;
+    this.transaction = this.dryRun ? null : new Transaction(this.projectRoot, { command: 'apply-collections' });
+    this.dataset = new IconDataset(this.publicDir, this.transaction, { config: this.config });
+  }
+
+  async run() {
+    console.log('🚀 IconBoard - Applying Collections...\n');
+
+    try {
+      const collections = loadCollections(this.config.paths.collections);
+      const resolveCollection = createCollectionResolver(collections);
+      console.log(`📜 Loaded ${collections.length} collection manifests`);
+
+      this.dataset.load();
+      const { linked, counts, uncovered } = this.linkIcons(resolveCollection);
+
+      console.log('\n📜 Icons per collection:');
+      Object.entries(counts).sort().forEach(([collection, count]) => {
+        console.log(`   📜 ${collection}: ${count}`);
+      });
+      if (Object.keys(uncovered).length > 0) {
+        console.log('\n⚠️  Categories without a collection (license unknown):');
+        Object.entries(uncovered).sort().forEach(([category, count]) => {
+          console.log(`   - ${category}: ${count} icons`);
+        });
+      }
+
+      console.log(`\n🔗 ${linked} icons ${this.dryRun ? 'would be' : 'were'} linked to a collection`);
+
+      if (this.dryRun) {
+        console.log('\n💡 Dry run - nothing was written. Run without --dry-run to apply');
+        return;
+      }
+
+      stageCollections(this.publicDir, this.transaction, collections);
+      this.dataset.refreshMetadata();
+      this.dataset.stage();
+      this.transaction.commit({ linked, collections: collections.length });
+
+      console.log(`\n✅ Wrote ${this.transaction.stagedPaths.length} files`);
+      console.log(`↩️  Undo with: npm run add-icons -- --rollback ${this.transaction.runId}`);
+    } catch (error) {
+      if (this.transaction) {
+        this.transaction.abort();
+      }
+      console.error('❌ Error applying collections:', error.message);
+      process.exit(1);
+    }
+  }
+
+  linkIcons(resolveCollection) {
+    const counts = {};
+    const uncovered = {};
+    let linked = 0;
+
+    for (const info of this.dataset.chunksIndex.chunks) {
+      const icons = this.dataset.readChunk(info.chunk_number);
+      let changed = false;
+
+      icons.forEach((icon, index) => {
+        const resolved = resolveCollection(icon);
+        if (resolved !== icon) {
+          icons[index] = resolved;
+          changed = true;
+          linked++;
+        }
+
+        if (resolved.collection) {
+          counts[resolved.collection] = (counts[resolved.collection] || 0) + 1;
+        } else {
+          uncovered[resolved.category] = (uncovered[resolved.category] || 0) + 1;
+        }
+      });
+
+      if (changed) {
+        this.dataset.markChunk(info.chunk_number);
+      }
+    }
+
+    return { linked, counts, uncovered };
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const applier = new CollectionApplier({ dryRun: values['dry-run'] });
+  applier.run();
+}
+
+module.exports = CollectionApplier;
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * IconBoard - Export Iconify Script
+ * Write the chunked data as Iconify JSON collections for other tools
+ *
+ * Usage:
+ *   npm run export-iconify -- [--category <id> ...] [--combined] [options]
+ *
+ * Each category becomes <out>/<prefix>.json, its prefix being the category
+ * ID in Iconify form ("brands & companies" -> "brands-companies"). Each
+ * icon's body is the markup inside its <svg>, with root paint attributes
+ * kept on a wrapping <g>; its viewBox becomes left/top/width/height, the
+ * most common size being the collection default. Aliases become Iconify
+ * aliases, tags go into a "tags" object, deprecated icons are hidden, and
+ * the category's collection manifest (if any) fills in "info".
+ *
+ * Options:
+ *   --category <id>  Only export this category (repeatable)
+ *   --combined       Write one collection holding every exported category,
+ *                    listed under "categories"
+ *   --prefix <name>  Prefix of the combined collection (default iconboard)
+ *   --out <dir>      Output folder (default: paths.exports in
+ *                    iconboard.config.js)
+ *
+ * The published data is only read. Files in the output folder are overwritten.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { IconDataset } = require('./lib/icon-dataset');
+const { loadCollections } = require('./lib/collections');
+const { toIconifyName, buildIconifyCollection } = require('./lib/iconify');
+const { formatBytes } = require('./lib/svg-optimizer');
+const { loadScriptConfig } = require('./lib/config');
+
+const DEFAULT_COMBINED_PREFIX = 'iconboard';
+
+// Unique Iconify names for a list of values, in order
+function uniqueNames(values) {
+  const used = new Set();
+  return values.map(value => {
+    const base = toIconifyName(value);
+    let name = base;
+    for (let suffix = 2; used.has(name); suffix++) {
+      name = `${base}-${suffix}`;
+    }
+    used.add(name);
+    return name;
+  });
+}
+
+class IconifyExporter {
+  constructor(options = {}) {
+    this.categories = (options.categories || []).map(category => category.toLowerCase());
+    this.combined = Boolean(options.combined);
+    this.prefix = options.prefix || DEFAULT_COMBINED_PREFIX;
+
+    this.projectRoot = path.join(__dirname, '..');
+    this.config = loadScriptConfig(this.projectRoot);
+    this.publicDir = this.config.paths.output;
+    this.outDir = options.out ? path.resolve(this.projectRoot, options.out) : this.config.paths.exports;
+    this.dataset = new IconDataset(this.publicDir, null, { config: this.config });
+  }
+
+  async run() {
+    console.log('🚀 IconBoard - Exporting Iconify Collections...\n');
+
+    try {
+      if (toIconifyName(this.prefix) !== this.prefix) {
+        throw new Error(`--prefix must be lowercase letters, digits and "-" (e.g. "${toIconifyName(this.prefix)}")`);
+      }
+
+      this.dataset.load();
+      const collections = new Map(loadCollections(this.config.paths.collections).map(collection => [collection.id, collection]));
+      const byCategory = this.readIcons();
+      console.log(`📦 Read ${[...byCategory.values()].reduce((total, icons) => total + icons.length, 0)} icons in ${byCategory.size} categories`);
+
+      fs.mkdirSync(this.outDir, { recursive: true });
+      console.log(`\n📝 Writing to ${path.relative(this.projectRoot, this.outDir) || '.'}/`);
+
+      if (this.combined) {
+        const icons = [...byCategory.values()].flat();
+        const names = uniqueNames(icons.map(icon => icon.id));
+        this.writeCollection(this.prefix, { name: 'IconBoard' }, icons.map((icon, index) => this.toEntry(icon, names[index], true)));
+      } else {
+        for (const [category, icons] of byCategory) {
+          const names = uniqueNames(icons.map(icon => icon.name));
+          this.writeCollection(
+            toIconifyName(category),
+            this.buildInfo(category, icons, collections),
+            icons.map((icon, index) => this.toEntry(icon, names[index], false))
+          );
+        }
+      }
+
+      console.log('\n✅ Export complete');
+    } catch (error) {
+      console.error('❌ Error exporting icons:', error.message);
+      process.exit(1);
+    }
+  }
+
+  // category -> icons in chunk order, for the requested categories
+  readIcons() {
+    const known = this.dataset.categories.map(category => category.id);
+    const unknown = this.categories.filter(category => !known.includes(category));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown categor${unknown.length > 1 ? 'ies' : 'y'}: ${unknown.join(', ')}`);
+    }
+
+    const chunkNumbers = this.categories.length > 0
+      ? Array.from(new Set(this.categories.flatMap(category => this.dataset.categoryChunks[category] || []))).sort((a, b) => a - b)
+      : this.dataset.chunksIndex.chunks.map(info => info.chunk_number);
+
+    const byCategory = new Map();
+    for (const chunkNumber of chunkNumbers) {
+      for (const icon of this.dataset.readChunk(chunkNumber)) {
+        if (this.categories.length > 0 && !this.categories.includes(icon.category)) continue;
+        if (!byCategory.has(icon.category)) byCategory.set(icon.category, []);
+        byCategory.get(icon.category).push(icon);
+      }
+    }
+    return byCategory;
+  }
+
+  toEntry(icon, name, withCategory) {
+    return {
+      name,
+      svgContent: icon.svgContent,
+      aliases: icon.aliases,
+      tags: icon.tags,
+      category: withCategory ? this.categoryName(icon.category) : undefined,
+      hidden: Boolean(icon.deprecated)
+    };
+  }
+
+  categoryName(categoryId) {
+    const category = this.dataset.categories.find(cat => cat.id === categoryId);
+    return category ? category.name : categoryId;
+  }
+
+  // Iconify "info" from the collection manifest shared by the category's icons
+  buildInfo(category, icons, collections) {
+    const ids = new Set(icons.map(icon => icon.collection));
+    const collection = ids.size === 1 ? collections.get([...ids][0]) : null;
+    if (!collection) {
+      return { name: this.categoryName(category) };
+    }
+
+    const license = { title: collection.license };
+    if (!collection.license.startsWith('LicenseRef-')) license.spdx = collection.license;
+    if (collection.license_url) license.url = collection.license_url;
+
+    const info = {
+      name: collection.name,
+      author: { name: collection.author, url: collection.source_url },
+      license
+    };
+    if (collection.version) info.version = collection.version;
+    return info;
+  }
+
+  writeCollection(prefix, info, icons) {
+    const { collection, skipped } = buildIconifyCollection({ prefix, info, icons });
+    const content = JSON.stringify(collection, null, 2);
+    fs.writeFileSync(path.join(this.outDir, `${prefix}.json`), content);
+
+    const count = Object.keys(collection.icons).length;
+    console.log(`   📄 ${prefix}.json: ${count} icons, ${Object.keys(collection.aliases || {}).length} aliases, ${formatBytes(Buffer.byteLength(content, 'utf8'))}`);
+    if (skipped.length > 0) {
+      console.log(`      ⚠️  Skipped ${skipped.length} without a usable viewBox or size: ${skipped.slice(0, 5).join(', ')}${skipped.length > 5 ? ', ...' : ''}`);
+    }
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      category: { type: 'string', multiple: true },
+      combined: { type: 'boolean', default: false },
+      prefix: { type: 'string' },
+      out: { type: 'string' }
+    }
+  });
+
+  const exporter = new IconifyExporter({
+    categories: values.category,
+    combined: values.combined,
+    prefix: values.prefix,
+    out: values.out
+  });
+  exporter.run();
+}
+
+module.exports = IconifyExporter;
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * IconBoard - Find Duplicates Script
+ * Report icons in the chunked data that share the same geometry, whatever
+ * their names or categories
+ *
+ * Usage:
+ *   npm run find-duplicates -- [--threshold <0-1>] [--json] [--apply merge-tags|alias]
+ *
+ * Geometry is normalized before comparing (viewBox scale, transforms,
+ * coordinate precision, path command style, attribute order and colors), so
+ * the same glyph exported twice is an exact duplicate. Near-duplicates are
+ * pairs whose outlines overlap by at least --threshold (default 0.95).
+ *
+ * Options:
+ *   --threshold <0-1>  Similarity needed to report a near-duplicate
+ *   --json             Print the report as JSON on stdout
+ *   --apply merge-tags|alias
+ *                      Resolve every exact group into its first icon (in chunk
+ *                      order): merge-tags adds the other icons' tags to it,
+ *                      alias also records their names as its aliases. The
+ *                      other icons are removed and their IDs redirected to the
+ *                      kept one. Near-duplicates are only reported.
+ *
+ * --apply is journaled and can be undone with:
+ *   npm run add-icons -- --rollback <run-id>
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { IconDataset } = require('./lib/icon-dataset');
+const { Transaction } = require('./lib/transaction');
+const { loadScriptConfig } = require('./lib/config');
+const {
+  DEFAULT_THRESHOLD,
+  isValidThreshold,
+  parseThreshold,
+  DuplicateIndex,
+  fingerprintIcon,
+  mergeTags,
+  linkAlias
+} = require('./lib/icon-duplicates');
+
+const APPLY_ACTIONS = ['merge-tags', 'alias'];
+
+class DuplicateFinder {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? DEFAULT_THRESHOLD;
+    this.json = Boolean(options.json);
+    this.apply = options.apply || null;
+    // Progress goes to stderr in JSON mode so stdout only carries the report
+    this.log = this.json ? console.error : console.log;
+
+    this.projectRoot = path.join(__dirname, '..');
+    this.config = loadScriptConfig(this.projectRoot);
+    this.publicDir = this.config.paths.output;
+    this.transaction = this.apply ? new Transaction(this.projectRoot, { command: 'find-duplicates' }) : null;
+    this.dataset = new IconDataset(this.publicDir, this.transaction, { config: this.config });
+  }
+
+  async run() {
+    this.log('🚀 IconBoard - Finding Duplicate Icons...\n');
+
+    try {
+      if (this.apply && !APPLY_ACTIONS.includes(this.apply)) {
+        throw new Error(`Unknown --apply action "${this.apply}" (expected ${APPLY_ACTIONS.join(' or ')})`);
+      }
+      if (!isValidThreshold(this.threshold)) {
+        throw new Error('--threshold must be a number from 0 to 1 (e.g. 0.9)');
+      }
+
+      this.dataset.load();
+      const index = new DuplicateIndex({ threshold: this.threshold });
+      const unmeasurable = this.indexIcons(index);
+
+      const { exact, near } = index.findAll();
+      const report = this.buildReport(index, unmeasurable, exact, near);
+      this.printReport(report);
+
+      if (this.apply && exact.length > 0) {
+        const summary = this.resolveGroups(exact);
+        this.log('\n📝 Updating metadata...');
+        this.dataset.refreshMetadata();
+        this.dataset.stage();
+        this.transaction.commit(summary);
+        this.log(`   ✅ Wrote ${this.transaction.stagedPaths.length} files`);
+        this.log(`\n↩️  Undo with: npm run add-icons -- --rollback ${this.transaction.runId}`);
+      } else if (this.transaction) {
+        this.transaction.abort();
+      }
+    } catch (error) {
+      if (this.transaction) {
+        this.transaction.abort();
+      }
+      console.error('❌ Error finding duplicates:', error.message);
+      process.exit(1);
+    }
+  }
+
+  // Fingerprint every icon; returns the IDs whose geometry could not be read
+  indexIcons(index) {
+    this.log('🧬 Fingerprinting icons...');
+    const unmeasurable = [];
+
+    for (const info of this.dataset.chunksIndex.chunks) {
+      for (const icon of this.dataset.readChunk(info.chunk_number)) {
+        const fingerprint = fingerprintIcon(icon);
+        if (fingerprint) {
+          index.add({ id: icon.id, chunkNumber: info.chunk_number, fingerprint });
+        } else {
+          unmeasurable.push(icon.id);
+        }
+      }
+    }
+
+    this.log(`   🎯 ${index.entries.length} icons fingerprinted, ${unmeasurable.length} without measurable geometry`);
+    return unmeasurable;
+  }
+
+  buildReport(index, unmeasurable, exact, near) {
+    const describe = entry => ({ id: entry.id, chunk_number: entry.chunkNumber });
+    return {
+      generated_at: new Date().toISOString(),
+      threshold: this.threshold,
+      icons_scanned: index.entries.length + unmeasurable.length,
+      unmeasurable,
+      exact: exact.map(group => group.map(describe)),
+      near: near.map(pair => ({
+        a: describe(pair.a),
+        b: describe(pair.b),
+        similarity: Math.round(pair.similarity * 1000) / 1000
+      }))
+    };
+  }
+
+  printReport(report) {
+    if (this.json) {
+      process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+      return;
+    }
+
+    const chunks = icons => Array.from(new Set(icons.map(icon => icon.chunk_number))).join(', ');
+
+    this.log(`\n🟰 Exact duplicates: ${report.exact.length} groups`);
+    report.exact.forEach(group => {
+      this.log(`   ${group.map(icon => icon.id).join(' = ')} (chunks ${chunks(group)})`);
+    });
+
+    this.log(`\n≈  Near duplicates (≥ ${Math.round(report.threshold * 100)}% similar): ${report.near.length} pairs`);
+    report.near.forEach(pair => {
+      this.log(`   ${pair.a.id} ~ ${pair.b.id} (${Math.round(pair.similarity * 100)}%)`);
+    });
+
+    if (!this.apply && report.exact.length > 0) {
+      this.log('\n💡 Resolve exact groups with --apply merge-tags or --apply alias');
+    }
+  }
+
+  /**
+   * Fold each exact group into its first icon and remove the rest.
+   */
+  resolveGroups(groups) {
+    this.log(`\n🔗 Resolving ${groups.length} exact groups (${this.apply})...`);
+    const combine = this.apply === 'alias' ? linkAlias : mergeTags;
+    const removed = [];
+
+    for (const [keeper, ...others] of groups) {
+      for (const other of others) {
+        const duplicate = this.dataset.findIcon(other.id);
+        this.dataset.removeIcon(duplicate);
+
+        const target = this.dataset.findIcon(keeper.id);
+        this.dataset.replaceIcon(target, combine(target.icon, duplicate.icon));
+        this.dataset.addRedirect(other.id, keeper.id);
+        removed.push(other.id);
+      }
+      this.log(`   ✅ ${keeper.id} ← ${others.map(other => other.id).join(', ')}`);
+    }
+
+    return { action: this.apply, kept: groups.map(group => group[0].id), removed };
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      threshold: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      apply: { type: 'string' }
+    }
+  });
+
+  const finder = new DuplicateFinder({
+    threshold: parseThreshold(values.threshold),
+    json: values.json,
+    apply: values.apply
+  });
+  finder.run();
+}
+
+module.exports = DuplicateFinder;
@@ -1,232 +1,367 @@
 #!/usr/bin/env node
 /**
  * Generate static icons data for Vercel deployment (Node.js version)
+ *
+ * Source folders, output folder, chunking, IDs and SVG options come from
+ * iconboard.config.js.
+ *
+ * SVG files are sanitized, optimized and merged with their metadata by a
+ * pool of worker threads. Results come back in file order and each chunk is
+ * written as soon as it fills, so the whole library is never held in memory.
+ *
+ * Usage:
+ *   node scripts/generate-icons-data.js [--workers <n>] [--verbose]
+ *
+ * Options:
+ *   --workers <n>  Worker threads (default: one per CPU core, less one)
+ *   --verbose      Log every file and chunk instead of a progress line
  */
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { formatSavings } = require('./lib/svg-optimizer');
+const { chunkFilename, publishManifest } = require('./lib/data-manifest');
+const { SEARCH_INDEX_FILE, buildSearchIndex } = require('./lib/search-index');
+const {
+    COLLECTIONS_FILE,
+    loadCollections,
+    createCollectionResolver,
+    buildCollectionsFile
+} = require('./lib/collections');
+const { createChunkStream } = require('./lib/chunk-layout');
+const { WorkerPool } = require('./lib/worker-pool');
+const {
+    loadConfig,
+    loadScriptConfig,
+    categoryDisplayName
+} = require('./lib/config');
 
-function generateIconsData() {
-    console.log('🚀 Generating icons data...');
-    
-    const iconsDir = path.join(__dirname, '..', 'backend', 'icons');
-    const publicDir = path.join(__dirname, '..', 'public');
-    
-    // Ensure public directory exists
-    if (!fs.existsSync(publicDir)) {
-        fs.mkdirSync(publicDir, { recursive: true });
-    }
-    
-    if (!fs.existsSync(iconsDir)) {
-        console.error(`❌ Icons directory not found: ${iconsDir}`);
-        return false;
-    }
-    
-    console.log(`📁 Loading icons from: ${iconsDir}`);
-    
-    const icons = [];
-    const categories = {};
-    
-    // Get all SVG files recursively
-    function getAllSvgFiles(dir) {
-        const files = [];
-        const items = fs.readdirSync(dir);
-        
-        for (const item of items) {
-            const fullPath = path.join(dir, item);
-            if (fs.statSync(fullPath).isDirectory()) {
-                files.push(...getAllSvgFiles(fullPath));
-            } else if (item.endsWith('.svg')) {
-                files.push(fullPath);
-            }
+const PROJECT_ROOT = path.join(__dirname, '..');
+const WORKER_FILE = path.join(__dirname, 'lib', 'icon-worker.js');
+
+// Get all SVG files recursively
+function getAllSvgFiles(dir) {
+    const files = [];
+    const items = fs.readdirSync(dir);
+
+    for (const item of items) {
+        const fullPath = path.join(dir, item);
+        if (fs.statSync(fullPath).isDirectory()) {
+            files.push(...getAllSvgFiles(fullPath));
+        } else if (item.endsWith('.svg')) {
+            files.push(fullPath);
         }
-        return files;
     }
-    
-    const svgFiles = getAllSvgFiles(iconsDir);
-    console.log(`📄 Found ${svgFiles.length} SVG files`);
-    
-    for (const svgFile of svgFiles) {
-        try {
-            // Get category from parent directory
-            const category = path.basename(path.dirname(svgFile)).toLowerCase();
-            
-            // Skip if in root icons directory
-            if (category === 'icons') {
-                continue;
-            }
-            
-            // Read SVG content
-            const svgContent = fs.readFileSync(svgFile, 'utf-8');
-            const fileName = path.basename(svgFile);
-            const iconName = path.basename(svgFile, '.svg');
-            
-            // Create icon object
-            const icon = {
-                id: `${category}_${iconName}`,
-                name: iconName,
-                category: category,
-                filename: fileName,
-                svgContent: svgContent,
-                tags: [category, iconName.replace(/-/g, ' ').replace(/_/g, ' ')],
-                downloads: 0,
-                featured: false
-            };
-            
-            icons.push(icon);
-            
-            // Count category
-            if (!categories[category]) {
-                categories[category] = 0;
+    return files;
+}
+
+function formatDuration(ms) {
+    return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Progress line that redraws in place on a terminal and logs every 10% otherwise
+function createProgress(total, label) {
+    const started = Date.now();
+    const interactive = process.stdout.isTTY;
+    let count = 0;
+    let lastDraw = 0;
+    let lastDecile = 0;
+
+    const line = () => `📄 ${label} ${count}/${total} files (${total ? Math.floor(count / total * 100) : 100}%) in ${formatDuration(Date.now() - started)}`;
+    const clear = () => {
+        if (interactive) process.stdout.write('\r\x1b[K');
+    };
+
+    return {
+        tick() {
+            count++;
+            if (interactive) {
+                if (Date.now() - lastDraw >= 100 || count === total) {
+                    process.stdout.write(`\r\x1b[K${line()}`);
+                    lastDraw = Date.now();
+                }
+            } else if (Math.floor(count / total * 10) > lastDecile) {
+                lastDecile = Math.floor(count / total * 10);
+                console.log(line());
             }
-            categories[category]++;
-            
-        } catch (error) {
-            console.error(`❌ Error processing ${svgFile}:`, error.message);
-            continue;
+        },
+        // Log a message without garbling the progress line
+        log(method, ...args) {
+            clear();
+            console[method](...args);
+            if (interactive && count > 0) process.stdout.write(line());
+        },
+        done() {
+            if (interactive && count > 0) process.stdout.write('\n');
         }
-    }
-    
-    // Create categories list
-    const categoriesList = [{ id: "all", name: "All Icons", count: icons.length }];
-    for (const [cat, count] of Object.entries(categories).sort()) {
-        categoriesList.push({
-            id: cat,
-            name: cat.charAt(0).toUpperCase() + cat.slice(1),
-            count: count
-        });
-    }
-    
-    // Save icons data
-    const iconsPath = path.join(publicDir, 'icons.json');
-    fs.writeFileSync(iconsPath, JSON.stringify(icons, null, 0));
-    
-    // Save categories data
-    const categoriesPath = path.join(publicDir, 'categories.json');
-    fs.writeFileSync(categoriesPath, JSON.stringify(categoriesList, null, 2));
-    
-    console.log(`✅ Generated ${iconsPath} (${icons.length} icons)`);
-    console.log(`✅ Generated ${categoriesPath} (${categoriesList.length} categories)`);
-    
-    return { icons, categories: categoriesList };
+    };
 }
 
-function createChunkedData() {
-    console.log('🔄 Creating chunked data...');
-    
-    const publicDir = path.join(__dirname, '..', 'public');
-    const iconsPath = path.join(publicDir, 'icons.json');
-    
-    if (!fs.existsSync(iconsPath)) {
-        console.error('❌ Icons file not found. Run generateIconsData first.');
+/**
+ * Build the whole dataset from the source folders: chunks, chunks-index.json,
+ * category-chunks.json, categories.json, collections.json, the search index
+ * and the data manifest.
+ *
+ * @param {object} [config] - Pipeline config (loaded when omitted)
+ * @param {object} [options]
+ * @param {number} [options.workers] - Worker threads (default: cores - 1)
+ * @param {boolean} [options.verbose] - Log every file and chunk
+ * @returns {Promise<object|false>} { categories, chunksIndex, manifest }, or
+ *   false when a source folder is missing
+ */
+async function generateIconsData(config = loadConfig(PROJECT_ROOT), options = {}) {
+    console.log('🚀 Generating icons data...');
+    const startedAt = Date.now();
+    const timings = [];
+    let phaseStart = startedAt;
+    const endPhase = (label) => {
+        const now = Date.now();
+        timings.push([label, now - phaseStart]);
+        phaseStart = now;
+    };
+
+    const sourceDirs = config.paths.sources;
+    const publicDir = config.paths.output;
+    const verbose = Boolean(options.verbose);
+
+    const missingDirs = sourceDirs.filter(dir => !fs.existsSync(dir));
+    if (missingDirs.length > 0) {
+        missingDirs.forEach(dir => console.error(`❌ Icons directory not found: ${dir}`));
         return false;
     }
-    
-    const allIcons = JSON.parse(fs.readFileSync(iconsPath, 'utf-8'));
-    console.log(`📊 Total icons to process: ${allIcons.length}`);
-    
-    // Create chunks directory
+
+    sourceDirs.forEach(dir => console.log(`📁 Loading icons from: ${dir}`));
+
+    // Provenance and license of each icon set (collections/*.json)
+    const collections = loadCollections(config.paths.collections);
+    const resolveCollection = createCollectionResolver(collections);
+    console.log(`📜 Loaded ${collections.length} collection manifests`);
+
+    const svgFiles = sourceDirs.flatMap(dir => getAllSvgFiles(dir)
+        // Skip files in the root of a source directory
+        .filter(file => path.dirname(file) !== dir));
+    console.log(`📄 Found ${svgFiles.length} SVG files`);
+    endPhase('Scan source folders');
+
+    // Chunks are written under their content-hashed names as they fill
     const chunksDir = path.join(publicDir, 'chunks');
-    if (!fs.existsSync(chunksDir)) {
-        fs.mkdirSync(chunksDir, { recursive: true });
-    }
-    
-    // Split into chunks of 50 icons each
-    const chunkSize = 50;
+    fs.mkdirSync(chunksDir, { recursive: true });
+
+    const { size: chunkSize, strategy, targetKb } = config.chunks;
+    const chunkStream = createChunkStream({ strategy, maxIcons: chunkSize, targetBytes: targetKb * 1024 });
     const chunksInfo = [];
-    
-    for (let i = 0; i < allIcons.length; i += chunkSize) {
-        const chunkNumber = Math.floor(i / chunkSize) + 1;
-        const chunk = allIcons.slice(i, i + chunkSize);
-        const chunkFileName = `icons-${chunkNumber}.json`;
-        const chunkPath = path.join(chunksDir, chunkFileName);
-        
-        // Save chunk
-        fs.writeFileSync(chunkPath, JSON.stringify(chunk, null, 0));
-        
-        const stats = fs.statSync(chunkPath);
+    const categoryMapping = {};
+    let startIndex = 0;
+
+    const progress = createProgress(svgFiles.length, 'Processed');
+
+    // JSON size of the unoptimized SVG of icons in chunks not yet written
+    const originalSvgBytes = new Map();
+
+    const writeChunk = (chunk) => {
+        const chunkNumber = chunksInfo.length + 1;
+        const chunkContent = JSON.stringify(chunk, null, 0);
+        const chunkFileName = chunkFilename(chunkNumber, chunkContent);
+        fs.writeFileSync(path.join(publicDir, chunkFileName), chunkContent);
+
+        const chunkBytes = Buffer.byteLength(chunkContent, 'utf-8');
+        const unoptimizedBytes = chunk.reduce((total, icon) => {
+            const originalBytes = originalSvgBytes.get(icon.id);
+            originalSvgBytes.delete(icon.id);
+            if (originalBytes === undefined) return total;
+            return total + originalBytes - Buffer.byteLength(JSON.stringify(icon.svgContent), 'utf-8');
+        }, chunkBytes);
+
         chunksInfo.push({
             chunk_number: chunkNumber,
-            filename: `chunks/${chunkFileName}`,
-            start_index: i,
+            filename: chunkFileName,
+            start_index: startIndex,
             count: chunk.length,
-            size_kb: Math.round(stats.size / 1024 * 100) / 100
+            size_kb: Math.round(chunkBytes / 1024 * 100) / 100
         });
-        
-        if (chunkNumber <= 10 || chunkNumber % 50 === 0) {
-            console.log(`✅ Created chunk ${chunkNumber}: ${chunk.length} icons (${chunksInfo[chunksInfo.length - 1].size_kb} KB)`);
+        startIndex += chunk.length;
+
+        for (const icon of chunk) {
+            const chunkNumbers = categoryMapping[icon.category] || (categoryMapping[icon.category] = []);
+            if (chunkNumbers[chunkNumbers.length - 1] !== chunkNumber) {
+                chunkNumbers.push(chunkNumber);
+            }
+        }
+
+        if (verbose) {
+            progress.log('log', `🗜️  Chunk ${chunkNumber}: ${chunk.length} icons, ${formatSavings(unoptimizedBytes, chunkBytes)}`);
         }
+    };
+
+    const categories = {};
+    let iconCount = 0;
+    let sanitizedCount = 0;
+    let rejectedCount = 0;
+    let failedCount = 0;
+    let withoutCollection = 0;
+    let originalTotalBytes = 0;
+    let optimizedTotalBytes = 0;
+
+    const pool = new WorkerPool(WORKER_FILE, { size: options.workers, workerData: { config } });
+    console.log(`🧵 Processing with ${pool.size} worker thread${pool.size === 1 ? '' : 's'}`);
+
+    try {
+        await pool.forEachOrdered(svgFiles, (result, index) => {
+            const svgFile = svgFiles[index];
+            progress.tick();
+
+            if (result.status === 'failed') {
+                progress.log('error', `❌ Error processing ${svgFile}:`, result.error);
+                failedCount++;
+                return;
+            }
+            if (result.status === 'rejected') {
+                progress.log('warn', `⛔ Rejected ${result.category}/${result.fileName}: ${result.reason}`);
+                rejectedCount++;
+                return;
+            }
+
+            const icon = resolveCollection(result.icon);
+            const label = `${icon.category}/${icon.filename}`;
+            if (result.changes.length > 0) {
+                progress.log('log', [`🧽 Sanitized ${label}:`, ...result.changes.map(change => `   - ${change}`)].join('\n'));
+                sanitizedCount++;
+            }
+            if (verbose) {
+                progress.log('log', `🗜️  ${label}: ${formatSavings(result.originalBytes, result.optimizedBytes)}`);
+            }
+            originalTotalBytes += result.originalBytes;
+            optimizedTotalBytes += result.optimizedBytes;
+            originalSvgBytes.set(icon.id, result.originalJsonBytes);
+
+            categories[icon.category] = (categories[icon.category] || 0) + 1;
+            if (!icon.collection) withoutCollection++;
+            iconCount++;
+
+            const completed = chunkStream.push(icon);
+            if (completed) writeChunk(completed);
+        });
+        chunkStream.flush().forEach(writeChunk);
+    } finally {
+        progress.done();
+        await pool.close();
+    }
+    endPhase(`Process and write chunks (${pool.size} worker${pool.size === 1 ? '' : 's'})`);
+
+    // Create categories list
+    const categoriesList = [{ id: "all", name: "All Icons", count: iconCount }];
+    for (const [cat, count] of Object.entries(categories).sort()) {
+        categoriesList.push({
+            id: cat,
+            name: categoryDisplayName(config, cat),
+            count: count
+        });
     }
-    
+
+    const categoriesContent = JSON.stringify(categoriesList, null, 2);
+    fs.writeFileSync(path.join(publicDir, 'categories.json'), categoriesContent);
+
+    // Save collection manifests
+    const collectionsContent = buildCollectionsFile(collections);
+    fs.writeFileSync(path.join(publicDir, COLLECTIONS_FILE), collectionsContent);
+
     // Save chunks index
     const chunksIndex = {
-        total_icons: allIcons.length,
+        total_icons: iconCount,
         chunk_size: chunkSize,
+        strategy,
         total_chunks: chunksInfo.length,
         chunks: chunksInfo,
         created_at: new Date().toISOString()
     };
-    
-    const chunksIndexPath = path.join(publicDir, 'chunks-index.json');
-    fs.writeFileSync(chunksIndexPath, JSON.stringify(chunksIndex, null, 2));
-    
-    // Create category mapping
-    const categoryMapping = {};
-    
-    for (const chunkInfo of chunksInfo) {
-        const chunkPath = path.join(publicDir, chunkInfo.filename);
-        const chunkIcons = JSON.parse(fs.readFileSync(chunkPath, 'utf-8'));
-        
-        for (const icon of chunkIcons) {
-            const category = icon.category;
-            if (!categoryMapping[category]) {
-                categoryMapping[category] = [];
-            }
-            
-            if (!categoryMapping[category].includes(chunkInfo.chunk_number)) {
-                categoryMapping[category].push(chunkInfo.chunk_number);
-            }
-        }
-    }
-    
+    const chunksIndexContent = JSON.stringify(chunksIndex, null, 2);
+    fs.writeFileSync(path.join(publicDir, 'chunks-index.json'), chunksIndexContent);
+
     // Save category mapping
-    const categoryChunksPath = path.join(publicDir, 'category-chunks.json');
-    fs.writeFileSync(categoryChunksPath, JSON.stringify(categoryMapping, null, 2));
-    
+    const categoryChunksContent = JSON.stringify(categoryMapping, null, 2);
+    fs.writeFileSync(path.join(publicDir, 'category-chunks.json'), categoryChunksContent);
+
+    // Search index: every icon's searchable fields, without SVG bodies,
+    // read back one chunk at a time
+    const chunkFiles = new Map(chunksInfo.map(info => [info.chunk_number, info.filename]));
+    const searchIndex = buildSearchIndex(config, chunksIndex, chunkNumber =>
+        JSON.parse(fs.readFileSync(path.join(publicDir, chunkFiles.get(chunkNumber)), 'utf-8')));
+    fs.writeFileSync(path.join(publicDir, SEARCH_INDEX_FILE), searchIndex);
+
+    // Versioned manifest pointing at hashed copies of the metadata files
+    const manifest = publishManifest(publicDir, {
+        writeFile: (filePath, content) => fs.writeFileSync(filePath, content),
+        removeFile: filePath => fs.unlinkSync(filePath)
+    }, {
+        'chunks-index.json': chunksIndexContent,
+        'category-chunks.json': categoryChunksContent,
+        'categories.json': categoriesContent,
+        [SEARCH_INDEX_FILE]: searchIndex,
+        [COLLECTIONS_FILE]: collectionsContent
+    });
+    endPhase('Write indexes and manifest');
+
+    console.log(`🧼 Sanitizer: ${sanitizedCount} files cleaned, ${rejectedCount} rejected`);
+    console.log(`🗜️  Optimizer: ${formatSavings(originalTotalBytes, optimizedTotalBytes)}`);
+    if (failedCount > 0) {
+        console.log(`⚠️  ${failedCount} files could not be processed`);
+    }
+    console.log(`✅ Generated categories.json (${categoriesList.length} categories)`);
+    console.log(`✅ Generated ${COLLECTIONS_FILE} (${collections.length} collections, ${withoutCollection} icons without one)`);
+
     console.log(`\n🎯 SUMMARY:`);
-    console.log(`   Total icons: ${allIcons.length}`);
+    console.log(`   Total icons: ${iconCount}`);
     console.log(`   Total chunks: ${chunksInfo.length}`);
-    console.log(`   Chunk size: ${chunkSize} icons each`);
-    console.log(`   Average chunk size: ${(chunksInfo.reduce((sum, c) => sum + c.size_kb, 0) / chunksInfo.length).toFixed(1)} KB`);
+    console.log(`   Chunk size: up to ${chunkSize} icons each (${strategy} strategy)`);
+    console.log(`   Average chunk size: ${(chunksInfo.reduce((sum, c) => sum + c.size_kb, 0) / (chunksInfo.length || 1)).toFixed(1)} KB`);
     console.log(`   Chunks index: chunks-index.json`);
     console.log(`   Category mapping: category-chunks.json`);
-    
-    return true;
+    console.log(`   Search index: ${SEARCH_INDEX_FILE} (${(Buffer.byteLength(searchIndex) / 1024).toFixed(1)} KB)`);
+    console.log(`   Data manifest: data-manifest.json (version ${manifest.version})`);
+
+    const totalMs = Date.now() - startedAt;
+    console.log(`\n⏱️  TIMING:`);
+    timings.forEach(([label, ms]) => console.log(`   ${label}: ${formatDuration(ms)}`));
+    console.log(`   Total: ${formatDuration(totalMs)} (${Math.round(svgFiles.length / Math.max(totalMs, 1) * 1000)} files/s)`);
+
+    return { categories: categoriesList, chunksIndex, manifest };
 }
 
-function main() {
+async function main(options) {
     console.log('🚀 Starting icon data generation...');
-    
-    // Step 1: Generate icon data
-    const result = generateIconsData();
-    if (!result) {
-        console.error('❌ Failed to generate icons data');
-        process.exit(1);
-    }
-    
-    // Step 2: Create chunked data
-    if (createChunkedData()) {
+    const config = loadScriptConfig(PROJECT_ROOT);
+
+    try {
+        if (!await generateIconsData(config, options)) {
+            console.error('❌ Failed to generate icons data');
+            process.exit(1);
+        }
+
         console.log('\n🎯 All data generated successfully!');
         console.log('\n📋 Next steps:');
         console.log('   1. Build frontend with generated data');
         console.log('   2. Deploy to Vercel');
-    } else {
-        console.error('❌ Failed to create chunked data');
+    } catch (error) {
+        console.error('❌ Failed to generate icons data:', error.message);
         process.exit(1);
     }
 }
 
 if (require.main === module) {
-    main();
+    const { values } = parseArgs({
+        options: {
+            workers: { type: 'string' },
+            verbose: { type: 'boolean', default: false }
+        }
+    });
+
+    const workers = values.workers === undefined ? undefined : Number(values.workers);
+    if (workers !== undefined && !(Number.isInteger(workers) && workers > 0)) {
+        console.error('❌ --workers must be a positive integer');
+        process.exit(1);
+    }
+
+    main({ workers, verbose: values.verbose });
 }
 
-module.exports = { generateIconsData, createChunkedData };
\ No newline at end of file
+module.exports = { generateIconsData };
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * IconBoard - Import Iconify Script
+ * Add a whole icon set from a local Iconify JSON collection file
+ *
+ * Usage:
+ *   npm run import-iconify -- <collection.json> [--category <id>] [options]
+ *
+ * Every icon becomes an IconBoard icon with a viewBox built from the set's
+ * default and per-icon width/height/left/top (rotations and flips applied).
+ * Plain aliases are recorded as aliases and tags of their icon; aliases that
+ * rotate, flip or resize an icon are imported as icons of their own. Hidden
+ * icons are skipped. Iconify categories (and the "tags" that export-iconify
+ * writes) become tags.
+ *
+ * The icons then go through the same pipeline as add-icons: sanitizing,
+ * optimizing, linting, duplicate checks, chunking and metadata updates.
+ *
+ * Options:
+ *   --category <id>  Category to import into (default: the set's prefix)
+ *   --dry-run, --json, --on-duplicate, --duplicate-threshold,
+ *   --allow-lint-errors
+ *                    As for add-icons
+ *
+ * The run is journaled and can be undone with:
+ *   npm run add-icons -- --rollback <run-id>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const IconAdder = require('./add-icons');
+const { expandIconifyCollection } = require('./lib/iconify');
+const { parseThreshold } = require('./lib/icon-duplicates');
+
+class IconifyImporter extends IconAdder {
+  constructor(options = {}) {
+    super(options);
+    this.file = options.file ? path.resolve(options.file) : null;
+    this.category = options.category || null;
+    this.command = 'import-iconify';
+  }
+
+  checkSource() {
+    if (!this.file) {
+      throw new Error('Pass the Iconify JSON file to import: npm run import-iconify -- <collection.json>');
+    }
+    if (!fs.existsSync(this.file)) {
+      throw new Error(`No such file: ${this.file}`);
+    }
+    return true;
+  }
+
+  async processNewIcons() {
+    this.log(`\n🔍 Reading ${path.basename(this.file)}...`);
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid Iconify JSON ${this.file}: ${error.message}`);
+    }
+
+    const collection = expandIconifyCollection(data, this.file);
+    const category = this.category || collection.prefix;
+    const info = collection.info || {};
+    const aliasCount = collection.icons.reduce((total, entry) => total + entry.aliases.length, 0);
+    const variantCount = collection.icons.filter(entry => entry.variantOf).length;
+
+    this.log(`   📚 ${info.name || collection.prefix} (prefix "${collection.prefix}") → category "${category}"`);
+    this.log(`   🎯 ${collection.icons.length} icons (${variantCount} from transformed aliases), ${aliasCount} plain aliases, ${collection.hidden} hidden skipped`);
+    if (collection.brokenAliases.length > 0) {
+      this.log(`   ⚠️  ${collection.brokenAliases.length} aliases point at missing icons: ${collection.brokenAliases.slice(0, 5).join(', ')}${collection.brokenAliases.length > 5 ? ', ...' : ''}`);
+    }
+
+    const newIcons = [];
+    for (const entry of collection.icons) {
+      const tags = [
+        ...entry.categories,
+        ...entry.tags,
+        ...entry.aliases.map(alias => alias.replace(/-/g, ' ')),
+        ...(entry.variantOf ? [entry.variantOf.replace(/-/g, ' ')] : [])
+      ];
+      const icon = this.buildIconRecord(category, `${entry.name}.svg`, entry.svg, { tags, aliases: entry.aliases });
+      if (icon) {
+        newIcons.push(this.resolveCollection(icon));
+      }
+    }
+
+    this.printSanitizationReport();
+
+    if (newIcons.length > 0 && !newIcons[0].collection) {
+      const license = info.license ? info.license.spdx || info.license.title : null;
+      const author = info.author ? info.author.name : null;
+      this.log(`\n⚠️  No collection manifest owns "${category}" (license unknown to IconBoard)`);
+      this.log(`   💡 Add ${path.relative(this.projectRoot, path.join(this.config.paths.collections, `${collection.prefix}.json`))}${license || author ? ` (set says: ${[license, author].filter(Boolean).join(', ')})` : ''}`);
+    }
+
+    this.log(`\n📈 Total new icons to add: ${newIcons.length}`);
+    return newIcons;
+  }
+
+  // The source file stays where it is; the run journal records what was added
+  cleanup() {
+    this.log(`\n📚 Imported from ${this.file}`);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      category: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      'on-duplicate': { type: 'string', default: 'report' },
+      'duplicate-threshold': { type: 'string' },
+      'allow-lint-errors': { type: 'boolean', default: false }
+    }
+  });
+
+  const importer = new IconifyImporter({
+    file: positionals[0],
+    category: values.category,
+    dryRun: values['dry-run'],
+    json: values.json,
+    onDuplicate: values['on-duplicate'],
+    duplicateThreshold: parseThreshold(values['duplicate-threshold']),
+    allowLintErrors: values['allow-lint-errors']
+  });
+  importer.run();
+}
+
+module.exports = IconifyImporter;
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+
+const { planChunks, createChunkStream } = require('../chunk-layout');
+
+const icon = (category, name, bytes = 0) => ({ id: `${category}_${name}`, category, svgContent: 'x'.repeat(bytes) });
+const ids = chunks => chunks.map(chunk => chunk.map(item => item.id));
+
+describe('planChunks', () => {
+  const icons = [icon('a', '1'), icon('b', '1'), icon('a', '2'), icon('b', '2'), icon('a', '3')];
+
+  test('count fills chunks to the max icons in order', () => {
+    expect(ids(planChunks(icons, { strategy: 'count', maxIcons: 2, targetBytes: 1 }))).toEqual([
+      ['a_1', 'b_1'], ['a_2', 'b_2'], ['a_3']
+    ]);
+  });
+
+  test('bytes closes a chunk before it would pass the target size', () => {
+    const big = [icon('a', '1', 300), icon('a', '2', 300), icon('a', '3', 100), icon('a', '4', 900)];
+
+    expect(ids(planChunks(big, { strategy: 'bytes', maxIcons: 10, targetBytes: 900 }))).toEqual([
+      ['a_1', 'a_2', 'a_3'], ['a_4']
+    ]);
+  });
+
+  test('category never mixes categories and keeps their first-seen order', () => {
+    expect(ids(planChunks(icons, { strategy: 'category', maxIcons: 2, targetBytes: 1024 }))).toEqual([
+      ['a_1', 'a_2'], ['a_3'], ['b_1', 'b_2']
+    ]);
+  });
+});
+
+describe('createChunkStream', () => {
+  test('gives each category its own chunk under the category strategy', () => {
+    const stream = createChunkStream({ strategy: 'category', maxIcons: 2, targetBytes: 1024 });
+    const closed = [icon('a', '1'), icon('b', '1'), icon('a', '2'), icon('a', '3')].map(stream.push).filter(Boolean);
+
+    expect(ids(closed)).toEqual([['a_1', 'a_2']]);
+    expect(ids(stream.flush())).toEqual([['a_3'], ['b_1']]);
+  });
+
+  test('tops up a resumed chunk, and refuses one that is full', () => {
+    const stream = createChunkStream({ strategy: 'count', maxIcons: 3, targetBytes: 1 });
+
+    expect(stream.resume([icon('a', '1'), icon('a', '2')])).toBe(true);
+    expect(ids([stream.push(icon('a', '3')), stream.push(icon('a', '4'))].filter(Boolean))).toEqual([['a_1', 'a_2', 'a_3']]);
+    expect(ids(stream.flush())).toEqual([['a_4']]);
+
+    const full = createChunkStream({ strategy: 'count', maxIcons: 2, targetBytes: 1 });
+    expect(full.resume([icon('a', '1'), icon('a', '2')])).toBe(false);
+    expect(full.flush()).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateCollection, loadCollections, createCollectionResolver } = require('../collections');
+
+const tempDirs = [];
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+const manifest = (id, categories, extra = {}) => ({
+  id,
+  name: id,
+  categories,
+  source_url: `https://example.com/${id}`,
+  license: 'MIT',
+  author: 'Someone',
+  ...extra
+});
+
+function createCollectionsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-collections-'));
+  tempDirs.push(dir);
+  Object.entries(files).forEach(([file, content]) => {
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  });
+  return dir;
+}
+
+describe('validateCollection', () => {
+  test('requires provenance and license fields', () => {
+    expect(() => validateCollection({ id: 'x', name: 'X', categories: [] }, 'x.json'))
+      .toThrow('x.json: missing source_url, license, author');
+    expect(() => validateCollection(manifest('x', [], { homepage: 'y' }), 'x.json')).toThrow('unknown collection field "homepage"');
+    expect(() => validateCollection(manifest('Bad Id', []), 'x.json')).toThrow('id "Bad Id" must be lowercase');
+    expect(() => validateCollection(manifest('x', [], { license_text: 'a', license_file: 'b' }), 'x.json')).toThrow('either license_text or license_file');
+  });
+
+  test('lowercases categories', () => {
+    expect(validateCollection(manifest('x', ['Arrows']), 'x.json').categories).toEqual(['arrows']);
+  });
+});
+
+describe('loadCollections', () => {
+  test('reads license files into license_text and sorts by ID', () => {
+    const dir = createCollectionsDir({
+      'b.json': manifest('b', ['shapes'], { license_file: 'b.LICENSE' }),
+      'b.LICENSE': 'Permission is granted',
+      'a.json': manifest('a', ['arrows'])
+    });
+
+    const collections = loadCollections(dir);
+
+    expect(collections.map(collection => collection.id)).toEqual(['a', 'b']);
+    expect(collections[1].license_text).toBe('Permission is granted');
+    expect(collections[1]).not.toHaveProperty('license_file');
+  });
+
+  test('a category belongs to one collection', () => {
+    const dir = createCollectionsDir({ 'a.json': manifest('a', ['arrows']), 'b.json': manifest('b', ['arrows']) });
+
+    expect(() => loadCollections(dir)).toThrow('category "arrows" already belongs to "a"');
+  });
+
+  test('the shipped manifests are valid', () => {
+    expect(loadCollections(path.join(__dirname, '..', '..', '..', 'collections')).length).toBeGreaterThan(0);
+  });
+});
+
+describe('createCollectionResolver', () => {
+  const resolve = createCollectionResolver([manifest('a', ['arrows']), manifest('b', ['shapes'])]);
+
+  test('takes the collection from the category, or from the icon\'s metadata', () => {
+    expect(resolve({ id: 'arrows_up', category: 'arrows' }).collection).toBe('a');
+    expect(resolve({ id: 'arrows_box', category: 'arrows', collection: 'b' }).collection).toBe('b');
+    expect(resolve({ id: 'misc_x', category: 'misc' })).not.toHaveProperty('collection');
+  });
+
+  test('rejects a collection without a manifest', () => {
+    expect(() => resolve({ id: 'arrows_up', category: 'arrows', collection: 'c' })).toThrow('arrows_up: unknown collection "c"');
+  });
+});
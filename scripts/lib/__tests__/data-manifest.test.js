@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  RETENTION_MS,
+  chunkFilename,
+  hashedName,
+  isHashedName,
+  loadManifest,
+  publishManifest
+} = require('../data-manifest');
+
+const tempDirs = [];
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+// Plain fs calls, as a full regeneration uses
+const writer = {
+  writeFile: (file, content) => fs.writeFileSync(file, content),
+  removeFile: file => fs.rmSync(file, { force: true })
+};
+
+// Write the given chunks under their hashed names and publish a manifest
+function publish(publicDir, chunks) {
+  const chunksIndex = { total_icons: 0, total_chunks: chunks.length, chunks: [] };
+  chunks.forEach((content, index) => {
+    const filename = chunkFilename(index + 1, content);
+    fs.writeFileSync(path.join(publicDir, filename), content);
+    chunksIndex.chunks.push({ chunk_number: index + 1, filename });
+  });
+  return publishManifest(publicDir, writer, {
+    'chunks-index.json': JSON.stringify(chunksIndex),
+    'category-chunks.json': '{}',
+    'categories.json': '[]'
+  });
+}
+
+function createPublicDir() {
+  const publicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-manifest-'));
+  tempDirs.push(publicDir);
+  fs.mkdirSync(path.join(publicDir, 'chunks'));
+  return publicDir;
+}
+
+describe('hashed names', () => {
+  test('name files by their content', () => {
+    expect(chunkFilename(3, '[]')).toMatch(/^chunks\/icons-3\.[0-9a-f]{10}\.json$/);
+    expect(hashedName('categories.json', '[]')).toBe(hashedName('categories.json', '[]'));
+    expect(hashedName('categories.json', '[]')).not.toBe(hashedName('categories.json', '[1]'));
+    expect(isHashedName(hashedName('categories.json', '[]'))).toBe(true);
+    expect(isHashedName('categories.json')).toBe(false);
+  });
+});
+
+describe('publishManifest', () => {
+  test('points at the hashed metadata copies and versions them', () => {
+    const publicDir = createPublicDir();
+
+    const manifest = publish(publicDir, ['[1]']);
+
+    expect(Object.keys(manifest.files)).toEqual(['chunks-index.json', 'category-chunks.json', 'categories.json']);
+    Object.values(manifest.files).forEach(file => expect(fs.existsSync(path.join(publicDir, file))).toBe(true));
+    expect(loadManifest(publicDir)).toEqual(manifest);
+    expect(publish(publicDir, ['[1]']).version).toBe(manifest.version);
+    expect(publish(publicDir, ['[2]']).version).not.toBe(manifest.version);
+  });
+
+  test('retires files the new version no longer uses and deletes them after the retention period', () => {
+    const publicDir = createPublicDir();
+    const first = publish(publicDir, ['[1]']);
+    const oldChunk = chunkFilename(1, '[1]');
+
+    const second = publish(publicDir, ['[2]']);
+    const retired = second.retired.map(entry => entry.file);
+    expect(retired).toEqual([oldChunk, first.files['chunks-index.json']].sort());
+    expect(fs.existsSync(path.join(publicDir, oldChunk))).toBe(true);
+
+    // Once the retention period has passed, the next publish deletes them
+    const expired = new Date(Date.now() - RETENTION_MS - 1000).toISOString();
+    fs.writeFileSync(path.join(publicDir, 'data-manifest.json'), JSON.stringify({
+      ...second,
+      retired: second.retired.map(entry => ({ ...entry, retired_at: expired }))
+    }));
+    const third = publish(publicDir, ['[2]']);
+
+    expect(third.retired).toEqual([]);
+    expect(fs.existsSync(path.join(publicDir, oldChunk))).toBe(false);
+  });
+
+  test('a retired file that is used again is no longer retired', () => {
+    const publicDir = createPublicDir();
+    publish(publicDir, ['[1]']);
+    publish(publicDir, ['[2]']);
+
+    const manifest = publish(publicDir, ['[1]']);
+
+    expect(manifest.retired.map(entry => entry.file)).not.toContain(chunkFilename(1, '[1]'));
+    expect(manifest.retired.map(entry => entry.file)).toContain(chunkFilename(1, '[2]'));
+  });
+});
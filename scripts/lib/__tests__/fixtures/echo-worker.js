@@ -0,0 +1,9 @@
+// Worker for the worker-pool tests: doubles task.value after task.delay ms
+const { serveTasks } = require('../../worker-pool');
+
+serveTasks(async (task, workerData) => {
+  if (task.crash) process.exit(3);
+  if (task.fail) throw new Error(`task ${task.value} failed`);
+  await new Promise(resolve => setTimeout(resolve, task.delay || 0));
+  return { value: task.value * (workerData ? workerData.factor : 2) };
+});
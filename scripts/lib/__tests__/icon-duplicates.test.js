@@ -0,0 +1,23 @@
+/**
+ * @jest-environment node
+ */
+
+const { DuplicateIndex, isValidThreshold, parseThreshold } = require('../icon-duplicates');
+
+describe('thresholds', () => {
+  test('parses the command-line option', () => {
+    expect(parseThreshold(undefined)).toBeUndefined();
+    expect(parseThreshold(' 0.9 ')).toBe(0.9);
+    expect(parseThreshold('0')).toBe(0);
+  });
+
+  test('blank or non-numeric options are rejected instead of becoming 0', () => {
+    ['', '   ', 'high', '1.5', '-0.1'].forEach(text => {
+      expect(isValidThreshold(parseThreshold(text))).toBe(false);
+    });
+  });
+
+  test('the index refuses an invalid threshold', () => {
+    expect(() => new DuplicateIndex({ threshold: parseThreshold('') })).toThrow('between 0 and 1');
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+
+const { normalizeLintConfig, resolveLintRules, inspectSvg, lintIcons } = require('../icon-lint');
+
+const svg = (body, viewBox = '0 0 24 24') => `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}">${body}</svg>`;
+const stroked = (width, viewBox) => svg(`<path stroke="currentColor" stroke-width="${width}" d="M2 2h20"/>`, viewBox);
+const icon = (id, svgContent, category = 'arrows') => ({ id, category, svgContent });
+const rulesOf = findings => findings.map(finding => `${finding.id} ${finding.rule} ${finding.severity}`);
+
+describe('inspectSvg', () => {
+  test('collects hard-coded colors from attributes, styles and <style>', () => {
+    const facts = inspectSvg(svg(
+      '<style>.a { fill: #f00; stroke: currentColor }</style>' +
+      '<path fill="#00F" d="M0 0h4v4z"/><path style="stroke: red" d="M0 0h4"/><path fill="none" d="M0 0"/>'
+    ));
+
+    expect(facts.colors.sort()).toEqual(['#00F', '#f00', 'red']);
+  });
+
+  test('ignores colors inside masks and clip paths', () => {
+    const facts = inspectSvg(svg('<mask id="m"><rect fill="white" width="24" height="24"/></mask><path mask="url(#m)" d="M0 0h4"/>'));
+
+    expect(facts.colors).toEqual([]);
+  });
+
+  test('scales stroke widths to a 24-unit grid and inherits them from groups', () => {
+    expect(inspectSvg(stroked(1, '0 0 48 48')).strokeWidth).toBe('0.5');
+    expect(inspectSvg(svg('<g stroke="currentColor" stroke-width="2"><path d="M0 0h4"/><line x2="4"/></g>')).strokeWidth).toBe('2');
+    expect(inspectSvg(svg('<path fill="currentColor" stroke-width="2" d="M0 0h4"/>')).strokeWidth).toBeNull();
+  });
+
+  test('reports markup that does not parse', () => {
+    expect(inspectSvg('<svg><path></svg>').error).toBeDefined();
+    expect(inspectSvg('<div/>').error).toBe('no <svg> root element');
+  });
+});
+
+describe('lintIcons', () => {
+  test('uses the built-in severities', () => {
+    const findings = lintIcons([
+      icon('arrows_clean', svg('<path fill="currentColor" d="M0 0h4v4z"/>')),
+      icon('arrows_noviewbox', '<svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0h4v4z"/></svg>'),
+      icon('arrows_red', svg('<path fill="#f00" d="M0 0h4v4z"/>')),
+      icon('arrows_photo', svg('<image href="photo.png" width="24" height="24"/>'))
+    ], normalizeLintConfig({}));
+
+    expect(rulesOf(findings)).toEqual([
+      'arrows_noviewbox missing-viewbox error',
+      'arrows_red hardcoded-color warning',
+      'arrows_photo raster-image error'
+    ]);
+  });
+
+  test('flags icons that differ from what most of their category uses', () => {
+    const findings = lintIcons([
+      icon('arrows_a', stroked(2)),
+      icon('arrows_b', stroked(2)),
+      icon('arrows_c', stroked(4, '0 0 48 48')),
+      icon('arrows_d', stroked(1.5))
+    ], normalizeLintConfig({}));
+
+    expect(findings.map(finding => `${finding.id}: ${finding.message}`)).toEqual([
+      'arrows_c: viewBox "0 0 48 48" differs from the 24x24 used by 75% of "arrows"',
+      'arrows_d: stroke width 1.5 (on a 24px grid) differs from the 2 used by 75% of "arrows"'
+    ]);
+  });
+
+  test('takes the consistency baseline from context icons without reporting them', () => {
+    const existing = [icon('arrows_a', stroked(1.5)), icon('arrows_b', stroked(1.5)), icon('arrows_c', stroked(3))];
+
+    const findings = lintIcons([icon('arrows_new', stroked(2))], normalizeLintConfig({}), { context: existing });
+
+    expect(rulesOf(findings)).toEqual(['arrows_new stroke-width-consistency warning']);
+  });
+
+  test('applies configured severities, options and category overrides', () => {
+    const config = normalizeLintConfig({
+      default: {
+        'hardcoded-color': ['error', { allow: ['#FFF'] }],
+        'oversized-file': ['warning', { maxBytes: 120 }],
+        'viewbox-consistency': ['error', { expected: '0 0 24 24' }]
+      },
+      categories: { Brands: { 'hardcoded-color': 'off' } }
+    });
+    const colored = svg('<path fill="#fff" d="M0 0h4v4z"/><path fill="#1da1f2" d="M4 4h4v4z"/>');
+
+    const findings = lintIcons([
+      icon('arrows_colored', colored),
+      icon('brands_colored', colored, 'brands'),
+      icon('arrows_big', svg('<path fill="currentColor" d="M0 0h4v4z"/>', '0 0 16 16'))
+    ], config);
+
+    expect(findings.map(finding => `${finding.id} ${finding.rule} ${finding.severity}: ${finding.message}`)).toEqual([
+      'arrows_colored hardcoded-color error: hard-coded color #1da1f2 (use currentColor)',
+      'arrows_colored oversized-file warning: 135 bytes (limit 120)',
+      'arrows_big viewbox-consistency error: viewBox "0 0 16 16" is not 24x24',
+      'brands_colored oversized-file warning: 135 bytes (limit 120)'
+    ]);
+  });
+
+  test('reports unparsable markup as an error whatever the config says', () => {
+    const config = normalizeLintConfig({ default: { 'missing-viewbox': 'off' } });
+
+    expect(lintIcons([icon('arrows_broken', '<svg><path></svg>')], config)).toEqual([
+      expect.objectContaining({ id: 'arrows_broken', rule: 'parse', severity: 'error' })
+    ]);
+  });
+});
+
+describe('lint config', () => {
+  test('category overrides merge with the defaults rule by rule', () => {
+    const config = normalizeLintConfig({
+      default: { 'oversized-file': ['error', { maxBytes: 4096 }] },
+      categories: { Brands: { 'oversized-file': 'warning' } }
+    });
+
+    expect(resolveLintRules(config, 'brands')['oversized-file']).toEqual({ severity: 'warning', options: { maxBytes: 4096 } });
+    expect(resolveLintRules(config, 'arrows')['oversized-file']).toEqual({ severity: 'error', options: { maxBytes: 4096 } });
+    expect(resolveLintRules(config, 'arrows')['raster-image']).toEqual({ severity: 'error', options: {} });
+  });
+
+  test('rejects unknown rules, severities and settings', () => {
+    expect(() => normalizeLintConfig({ default: { 'no-such-rule': 'error' } })).toThrow('unknown lint rule "no-such-rule"');
+    expect(() => normalizeLintConfig({ default: { 'raster-image': 'fatal' } })).toThrow('severity must be off, warning, error');
+    expect(() => normalizeLintConfig({ default: { 'raster-image': ['error', 'strict'] } })).toThrow('rule options must be an object');
+    expect(() => normalizeLintConfig({ rules: {} })).toThrow('unknown setting "rules"');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateMetadata,
+  defaultTags,
+  loadCategoryMetadata,
+  loadIconMetadata,
+  applyIconMetadata
+} = require('../icon-metadata');
+
+const tempDirs = [];
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function createCategory(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-meta-'));
+  tempDirs.push(dir);
+  Object.entries(files).forEach(([file, content]) => {
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  });
+  return dir;
+}
+
+describe('validateMetadata', () => {
+  test('rejects unknown fields and wrong types', () => {
+    expect(() => validateMetadata({ tag: ['x'] }, 'x.meta.json')).toThrow('x.meta.json: unknown metadata field "tag"');
+    expect(() => validateMetadata({ tags: 'trash' }, 'x.meta.json')).toThrow('"tags" must be an array of strings');
+    expect(() => validateMetadata({ deprecated: 'yes' }, 'x.meta.json')).toThrow('"deprecated" must be a boolean');
+    expect(() => validateMetadata([], 'x.meta.json')).toThrow('metadata must be an object');
+  });
+});
+
+describe('loadIconMetadata', () => {
+  test('layers the sidecar over the icon\'s _meta.json entry over "*"', () => {
+    const dir = createCategory({
+      '_meta.json': { '*': { author: 'Studio', tags: ['ui'] }, delete: { tags: ['bin'], description: 'Delete it' } },
+      'delete.svg': '<svg/>',
+      'delete.meta.json': { tags: ['trash'] },
+      'add.svg': '<svg/>'
+    });
+    const categoryMetadata = loadCategoryMetadata(dir);
+
+    expect(loadIconMetadata(categoryMetadata, path.join(dir, 'delete.svg'))).toEqual({ author: 'Studio', tags: ['trash'], description: 'Delete it' });
+    expect(loadIconMetadata(categoryMetadata, path.join(dir, 'add.svg'))).toEqual({ author: 'Studio', tags: ['ui'] });
+  });
+
+  test('names the file and entry that are invalid', () => {
+    const dir = createCategory({ '_meta.json': { delete: { aliases: [1] } } });
+
+    expect(() => loadCategoryMetadata(dir)).toThrow(`${path.join(dir, '_meta.json')} [delete]: "aliases" must be an array of strings`);
+    expect(() => loadCategoryMetadata(createCategory({ '_meta.json': '{' }))).toThrow('Invalid metadata file');
+  });
+
+  test('a folder without metadata files has none', () => {
+    const dir = createCategory({ 'add.svg': '<svg/>' });
+
+    expect(loadIconMetadata(loadCategoryMetadata(dir), path.join(dir, 'add.svg'))).toEqual({});
+  });
+});
+
+describe('applyIconMetadata', () => {
+  test('adds tags to the default ones and only writes fields that are set', () => {
+    const icon = { id: 'ui_delete', name: 'delete', category: 'ui', tags: defaultTags('UI', 'delete_forever') };
+
+    expect(applyIconMetadata(icon, { tags: ['Trash', ' ui '], aliases: ['Remove'], description: ' Delete it ', deprecated: false })).toEqual({
+      id: 'ui_delete',
+      name: 'delete',
+      category: 'ui',
+      tags: ['ui', 'delete forever', 'trash'],
+      aliases: ['remove'],
+      description: 'Delete it'
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * @jest-environment node
+ */
+
+const {
+  validateIconifyCollection,
+  buildSvg,
+  expandIconifyCollection,
+  toIconifyName,
+  svgToIconifyIcon,
+  buildIconifyCollection
+} = require('../iconify');
+
+const body = '<path d="M0 0h4v4z"/>';
+
+describe('buildSvg', () => {
+  test('uses the 16x16 default box and the given dimensions', () => {
+    expect(buildSvg(body, {})).toBe(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16">${body}</svg>`);
+    expect(buildSvg(body, { left: -2, top: 1, width: 20, height: 24 }))
+      .toBe(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="-2 1 20 24">${body}</svg>`);
+  });
+
+  test('applies rotations and flips the way Iconify renders them', () => {
+    const box = { width: 24, height: 20 };
+
+    expect(buildSvg(body, { ...box, hFlip: true })).toContain('viewBox="0 0 24 20"><g transform="translate(24 0) scale(-1 1)">');
+    expect(buildSvg(body, { ...box, vFlip: true })).toContain('viewBox="0 0 24 20"><g transform="translate(0 20) scale(1 -1)">');
+    expect(buildSvg(body, { ...box, rotate: 1 })).toContain('viewBox="0 0 20 24"><g transform="rotate(90 10 10)">');
+    expect(buildSvg(body, { ...box, rotate: 2 })).toContain('viewBox="0 0 24 20"><g transform="rotate(180 12 10)">');
+    expect(buildSvg(body, { ...box, rotate: -1 })).toContain('viewBox="0 0 20 24"><g transform="rotate(-90 12 12)">');
+  });
+
+  test('treats flipping both ways as a half turn', () => {
+    expect(buildSvg(body, { width: 24, height: 24, hFlip: true, vFlip: true }))
+      .toBe(buildSvg(body, { width: 24, height: 24, rotate: 2 }));
+  });
+});
+
+describe('expandIconifyCollection', () => {
+  const collection = {
+    prefix: 'demo',
+    width: 24,
+    height: 24,
+    icons: {
+      home: { body },
+      wide: { body, width: 32 },
+      old: { body, hidden: true }
+    },
+    aliases: {
+      house: { parent: 'home' },
+      dwelling: { parent: 'house' },
+      'home-flipped': { parent: 'home', hFlip: true },
+      'house-turned': { parent: 'house', rotate: 1 },
+      legacy: { parent: 'home', hidden: true },
+      broken: { parent: 'missing' },
+      loop: { parent: 'loop' }
+    },
+    categories: { Buildings: ['home', 'wide'], Arrows: ['house-turned'] },
+    tags: { home: ['residence', 42] },
+    info: { name: 'Demo Icons', license: { spdx: 'MIT' } }
+  };
+
+  test('turns plain aliases into alias names and transformed ones into icons', () => {
+    const result = expandIconifyCollection(collection, 'demo.json');
+
+    expect(result.icons.map(({ name, aliases, categories, tags, variantOf }) => ({ name, aliases, categories, tags, variantOf }))).toEqual([
+      { name: 'home', aliases: ['house', 'dwelling'], categories: ['Buildings'], tags: ['residence'], variantOf: undefined },
+      { name: 'wide', aliases: [], categories: ['Buildings'], tags: [], variantOf: undefined },
+      { name: 'home-flipped', aliases: [], categories: ['Buildings'], tags: [], variantOf: 'home' },
+      { name: 'house-turned', aliases: [], categories: ['Arrows'], tags: [], variantOf: 'home' }
+    ]);
+    expect(result.hidden).toBe(2);
+    expect(result.brokenAliases).toEqual(['broken', 'loop']);
+    expect(result.info).toEqual(collection.info);
+  });
+
+  test('builds each icon from the set defaults and its own box', () => {
+    const svgs = Object.fromEntries(expandIconifyCollection(collection, 'demo.json').icons.map(entry => [entry.name, entry.svg]));
+
+    expect(svgs.home).toContain('viewBox="0 0 24 24"');
+    expect(svgs.wide).toContain('viewBox="0 0 32 24"');
+    expect(svgs['home-flipped']).toContain('transform="translate(24 0) scale(-1 1)"');
+    expect(svgs['house-turned']).toContain('transform="rotate(90 12 12)"');
+  });
+});
+
+describe('validateIconifyCollection', () => {
+  test('accepts a minimal collection', () => {
+    expect(() => validateIconifyCollection({ prefix: 'demo', icons: {} }, 'demo.json')).not.toThrow();
+  });
+
+  test.each([
+    [[], 'an Iconify collection must be a JSON object'],
+    [{ prefix: 'Demo', icons: {} }, '"prefix" must be lowercase letters, digits and "-"'],
+    [{ prefix: 'demo' }, '"icons" must be an object'],
+    [{ prefix: 'demo', icons: { home: { d: 'M0 0' } } }, 'icon "home" needs a "body" string'],
+    [{ prefix: 'demo', icons: { home: { body, width: '24' } } }, 'demo.json [home]: "width" must be a number'],
+    [{ prefix: 'demo', icons: { home: { body, hFlip: 1 } } }, 'demo.json [home]: "hFlip" must be a boolean'],
+    [{ prefix: 'demo', icons: {}, aliases: { house: {} } }, 'alias "house" needs a "parent" string']
+  ])('rejects %j', (data, message) => {
+    expect(() => validateIconifyCollection(data, 'demo.json')).toThrow(message);
+  });
+});
+
+describe('toIconifyName', () => {
+  test('keeps lowercase letters and digits in "-"-separated groups', () => {
+    expect(toIconifyName('Brands & Companies')).toBe('brands-companies');
+    expect(toIconifyName('arrows_up_2')).toBe('arrows-up-2');
+    expect(toIconifyName('__')).toBe('icon');
+  });
+});
+
+describe('svgToIconifyIcon', () => {
+  test('splits markup into a body and the viewBox', () => {
+    expect(svgToIconifyIcon(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="-1 2 20 24">${body}</svg>`))
+      .toEqual({ body, left: -1, top: 2, width: 20, height: 24 });
+  });
+
+  test('falls back to width and height and moves root paint onto a <g>', () => {
+    expect(svgToIconifyIcon(`<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" fill="none" stroke="currentColor">${body}</svg>`))
+      .toEqual({ body: `<g fill="none" stroke="currentColor">${body}</g>`, left: 0, top: 0, width: 32, height: 32 });
+  });
+
+  test('returns null without a usable size', () => {
+    expect(svgToIconifyIcon(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 0 24">${body}</svg>`)).toBeNull();
+    expect(svgToIconifyIcon(`<svg xmlns="http://www.w3.org/2000/svg" width="100%">${body}</svg>`)).toBeNull();
+  });
+});
+
+describe('buildIconifyCollection', () => {
+  const svg = (viewBox, inner = body) => `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}">${inner}</svg>`;
+
+  test('makes the most common size the default and writes only what differs', () => {
+    const { collection, skipped } = buildIconifyCollection({
+      prefix: 'demo',
+      info: { name: 'Demo' },
+      icons: [
+        { name: 'home', svgContent: svg('0 0 24 24'), aliases: ['House', 'home'], tags: ['building'], category: 'Places' },
+        { name: 'wide', svgContent: svg('0 -4 32 24'), category: 'Places' },
+        { name: 'gone', svgContent: svg('0 0 24 24'), hidden: true },
+        { name: 'broken', svgContent: '<svg><path></svg>' }
+      ]
+    });
+
+    expect(collection).toEqual({
+      prefix: 'demo',
+      info: { name: 'Demo', total: 2 },
+      width: 24,
+      height: 24,
+      icons: {
+        home: { body },
+        wide: { body, top: -4, width: 32 },
+        gone: { body, hidden: true }
+      },
+      aliases: { house: { parent: 'home' } },
+      categories: { Places: ['home', 'wide'] },
+      tags: { home: ['building'] }
+    });
+    expect(skipped).toEqual(['broken']);
+  });
+
+  test('round-trips through expandIconifyCollection', () => {
+    const icons = [
+      { name: 'home', svgContent: svg('0 0 24 24'), aliases: ['house'], tags: ['building'], category: 'Places' },
+      { name: 'wide', svgContent: svg('-2 0 32 24', '<g fill="none"><path d="M1 1h8"/></g>') }
+    ];
+
+    const { collection } = buildIconifyCollection({ prefix: 'demo', icons });
+    const expanded = expandIconifyCollection(JSON.parse(JSON.stringify(collection)), 'demo.json');
+
+    expect(expanded.icons).toEqual([
+      { name: 'home', svg: icons[0].svgContent, aliases: ['house'], categories: ['Places'], tags: ['building'] },
+      { name: 'wide', svg: icons[1].svgContent, aliases: [], categories: [], tags: [] }
+    ]);
+  });
+});
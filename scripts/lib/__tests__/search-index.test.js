@@ -0,0 +1,37 @@
+/**
+ * @jest-environment node
+ */
+
+const { buildSearchIndex } = require('../search-index');
+const { IconSearchIndex } = require('../../../src/services/iconSearch');
+
+const config = { ids: { scheme: '{name}--{category}' } };
+
+const icon = (category, name, id = `${name}--${category}`) => ({
+  id,
+  name,
+  category,
+  filename: `${name}.svg`,
+  tags: [category, name.replace(/-/g, ' ')]
+});
+
+const chunksIndex = { chunks: [{ chunk_number: 1 }] };
+const chunk = [icon('material', 'arrow-up'), icon('material', 'home', 'legacy_home')];
+
+test('IDs that follow the configured scheme are left out of the index', () => {
+  const index = JSON.parse(buildSearchIndex(config, chunksIndex, () => chunk));
+
+  expect(index.id_scheme).toBe('{name}--{category}');
+  expect(index.icons).toEqual([
+    ['arrow-up', 0, 1],
+    ['home', 0, 1, [], { id: 'legacy_home' }]
+  ]);
+});
+
+test('the client derives the same IDs from the index', () => {
+  const searchIndex = new IconSearchIndex();
+  searchIndex.loadPrebuilt(JSON.parse(buildSearchIndex(config, chunksIndex, () => chunk)));
+
+  expect(searchIndex.getMetadata('arrow-up--material')).toMatchObject({ name: 'arrow-up', category: 'material' });
+  expect(searchIndex.locate('legacy_home')).toBe(1);
+});
@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+
+const { optimizeSvg, resolveOptimizerOptions } = require('../svg-optimizer');
+
+const svg = body => `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24">${body}</svg>`;
+const optimize = (body, options) => optimizeSvg(svg(body), options).svgContent;
+
+describe('path merging', () => {
+  test('merges adjacent paths that look alike and do not overlap', () => {
+    expect(optimize('<path fill="red" d="M0 0L4 0L4 4Z"/><path fill="red" d="m10 10l4 0l0 4z"/>'))
+      .toBe(svg('<path fill="red" d="M0 0 4 0 4 4ZM10 10l4 0 0 4z"/>'));
+  });
+
+  test('keeps overlapping paths apart', () => {
+    const body = '<path fill="red" d="M0 0L4 0L4 4Z"/><path fill="red" d="M2 2L6 2L6 6Z"/>';
+
+    expect(optimize(body)).toBe(svg(body));
+  });
+
+  test('keeps paths with different attributes apart', () => {
+    const body = '<path fill="red" d="M0 0L4 0L4 4Z"/><path fill="blue" d="M10 10L14 10L14 14Z"/>';
+
+    expect(optimize(body)).toBe(svg(body));
+  });
+});
+
+describe('groups', () => {
+  test('pushes a single-child group\'s attributes down, joining transforms', () => {
+    expect(optimize('<g transform="translate(1 1)" fill="red"><path transform="scale(2)" d="M0 0h4v4z"/></g>'))
+      .toBe(svg('<path transform="translate(1 1) scale(2)" fill="red" d="M0 0h4v4z"/>'));
+  });
+
+  test('keeps groups whose attributes would change meaning on a child', () => {
+    expect(optimize('<g opacity="0.5"><path d="M0 0h4v4z"/></g>')).toBe(svg('<g opacity=".5"><path d="M0 0h4v4z"/></g>'));
+  });
+
+  test('unwraps plain groups and drops empty ones', () => {
+    expect(optimize('<g><path d="M0 0h4v4z"/><circle cx="12" cy="12" r="2"/></g><g></g><defs/>'))
+      .toBe(svg('<path d="M0 0h4v4z"/><circle cx="12" cy="12" r="2"/>'));
+  });
+});
+
+describe('optimizeSvg', () => {
+  test('drops editor attributes and comments and rounds numbers', () => {
+    const result = optimizeSvg('<svg xmlns="http://www.w3.org/2000/svg" version="1.1" id="Layer_1" x="0px" y="0px" ' +
+      'viewBox="0 0 24.00001 24" xmlns:xlink="http://www.w3.org/1999/xlink"><!-- c --><path d="M1.23456 2.00001L3.5 4.49999"/></svg>');
+
+    expect(result.svgContent).toBe(svg('<path d="M1.235 2 3.5 4.5"/>'));
+    expect(result.after).toBeLessThan(result.before);
+  });
+
+  test('never makes a file bigger', () => {
+    const input = '<svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0h1"/></svg>';
+
+    expect(optimizeSvg(input)).toEqual({ svgContent: input, before: input.length, after: input.length });
+  });
+
+  test('passes markup through when disabled', () => {
+    const input = svg('<g><path d="M0.123456 0h1"/></g>');
+
+    expect(optimizeSvg(input, { enabled: false }).svgContent).toBe(input);
+  });
+});
+
+describe('resolveOptimizerOptions', () => {
+  test('layers category options over the defaults', () => {
+    const config = { default: { precision: 2 }, categories: { flags: { mergePaths: false } } };
+
+    expect(resolveOptimizerOptions(config, 'Flags')).toMatchObject({ precision: 2, mergePaths: false, collapseGroups: true });
+    expect(resolveOptimizerOptions(config, 'arrows')).toMatchObject({ precision: 2, mergePaths: true });
+  });
+});
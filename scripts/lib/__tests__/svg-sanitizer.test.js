@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+
+const { sanitizeSvg, sanitizeCss } = require('../svg-sanitizer');
+const { parseSvg } = require('../svg-parser');
+
+describe('comments', () => {
+  test('removes comments that would end early when parsed as HTML', () => {
+    const result = sanitizeSvg('<svg><!--><img src=x onerror=alert(1)>--></svg>');
+
+    expect(result.accepted).toBe(true);
+    expect(result.svgContent).toBe('<svg/>');
+    expect(result.changes).toContain('removed comment');
+  });
+
+  test('removes ordinary comments inside <svg>', () => {
+    const result = sanitizeSvg('<svg><!-- Generator: x --><path d="M0 0h1"/></svg>');
+
+    expect(result.svgContent).toBe('<svg><path d="M0 0h1"/></svg>');
+  });
+
+  test('the parser rejects "--" inside a comment', () => {
+    expect(() => parseSvg('<svg><!-- a -- b --></svg>')).toThrow('"--" is not allowed inside a comment');
+    expect(() => parseSvg('<svg><!-- a ---></svg>')).toThrow('"--" is not allowed inside a comment');
+    expect(sanitizeSvg('<svg><!-- a -- b --></svg>').accepted).toBe(false);
+  });
+});
+
+describe('CSS escapes', () => {
+  test('removes an escaped @import in <style>', () => {
+    const result = sanitizeSvg('<svg><style>@\\69mport "https://evil/x.css";.a{fill:red}</style></svg>');
+
+    expect(result.svgContent).not.toMatch(/evil/);
+    expect(result.svgContent).toContain('.a{fill:red}');
+    expect(result.changes).toContain('removed CSS @import');
+  });
+
+  test('removes an escaped url() in a style attribute', () => {
+    const result = sanitizeSvg('<svg><path style="fill: \\75 rl(https://evil/p)" d="M0 0h1"/></svg>');
+
+    expect(result.svgContent).not.toMatch(/evil/);
+    expect(result.changes.some(change => change.startsWith('removed external CSS'))).toBe(true);
+  });
+
+  test('removes an escaped url() in a presentation attribute', () => {
+    const result = sanitizeSvg('<svg><path fill="\\75 rl(https://evil/p)" d="M0 0h1"/></svg>');
+
+    expect(result.svgContent).not.toMatch(/evil/);
+  });
+
+  test('drops CSS whose escapes spell a script hook', () => {
+    expect(sanitizeCss('width: e\\78pression(alert(1))').css).toBe('');
+  });
+
+  test('keeps harmless escapes as written', () => {
+    expect(sanitizeCss('.a::before { content: "\\201C" }')).toEqual({
+      css: '.a::before { content: "\\201C" }',
+      reasons: []
+    });
+  });
+});
+
+describe('script URLs', () => {
+  test('sees through spaces and control characters inside the scheme', () => {
+    const result = sanitizeSvg('<svg><path d="M0 0h1" class="java\tscr\u0085ipt:alert(1)"/></svg>');
+
+    expect(result.svgContent).toBe('<svg><path d="M0 0h1"/></svg>');
+    expect(result.changes).toEqual(['removed script URL in class on <path>']);
+  });
+});
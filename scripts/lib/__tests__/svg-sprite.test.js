@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+
+const { splitSprite } = require('../svg-sprite');
+
+const sprite = body => `<svg xmlns="http://www.w3.org/2000/svg">${body}</svg>`;
+const byName = icons => Object.fromEntries(icons.map(icon => [icon.name, icon.svgContent]));
+
+describe('splitSprite', () => {
+  test('turns each symbol into a standalone icon', () => {
+    const icons = splitSprite(sprite(
+      '<symbol id="arrow up" viewBox="0 0 24 24" fill="none" stroke="currentColor"><path d="M12 2v20"/></symbol>' +
+      '<defs><symbol id="dot" viewBox="0 0 16 16"><circle cx="8" cy="8" r="4"/></symbol></defs>'
+    ));
+
+    expect(icons).toEqual([
+      { name: 'arrow-up', svgContent: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor"><path d="M12 2v20"/></svg>' },
+      { name: 'dot', svgContent: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><circle cx="8" cy="8" r="4"/></svg>' }
+    ]);
+  });
+
+  test('copies the definitions a symbol references, following references between them', () => {
+    const icons = byName(splitSprite(sprite(
+      '<defs>' +
+        '<linearGradient id="base"><stop offset="0" stop-color="currentColor"/></linearGradient>' +
+        '<linearGradient id="fade" href="#base"/>' +
+        '<clipPath id="unused"><rect width="4" height="4"/></clipPath>' +
+      '</defs>' +
+      '<symbol id="sun" viewBox="0 0 24 24"><circle fill="url(#fade)" r="8"/></symbol>' +
+      '<symbol id="moon" viewBox="0 0 24 24"><path d="M4 4h8"/></symbol>'
+    )));
+
+    expect(icons.sun).toBe(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><defs>' +
+      '<linearGradient id="base"><stop offset="0" stop-color="currentColor"/></linearGradient>' +
+      '<linearGradient id="fade" href="#base"/>' +
+      '</defs><circle fill="url(#fade)" r="8"/></svg>'
+    );
+    expect(icons.moon).not.toContain('<defs>');
+  });
+
+  test('copies symbols used through <use> and keeps the xlink namespace', () => {
+    const icons = byName(splitSprite(sprite(
+      '<symbol id="ring" viewBox="0 0 24 24"><circle r="10"/></symbol>' +
+      '<symbol id="target" viewBox="0 0 24 24"><use xlink:href="#ring"/><circle r="2"/></symbol>'
+    ).replace('<svg ', '<svg xmlns:xlink="http://www.w3.org/1999/xlink" ')));
+
+    expect(icons.target).toBe(
+      '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 24 24"><defs>' +
+      '<symbol id="ring" viewBox="0 0 24 24"><circle r="10"/></symbol>' +
+      '</defs><use xlink:href="#ring"/><circle r="2"/></svg>'
+    );
+  });
+
+  test('copies shared styles only into icons that use classes', () => {
+    const icons = byName(splitSprite(sprite(
+      '<style>.line { stroke: currentColor }</style>' +
+      '<symbol id="styled" viewBox="0 0 24 24"><path class="line" d="M0 0h4"/></symbol>' +
+      '<symbol id="plain" viewBox="0 0 24 24"><path d="M0 0h4"/></symbol>'
+    )));
+
+    expect(icons.styled).toContain('<defs><style>.line { stroke: currentColor }</style></defs>');
+    expect(icons.plain).not.toContain('<style>');
+  });
+
+  test('leaves ordinary icons alone', () => {
+    expect(splitSprite('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M0 0h4"/></svg>')).toBeNull();
+    expect(splitSprite(sprite('<symbol viewBox="0 0 24 24"><path d="M0 0h4"/></symbol>'))).toBeNull();
+  });
+
+  test('splits files that also draw outside their symbols only when forced', () => {
+    const markup = sprite(
+      '<symbol id="a" viewBox="0 0 24 24"><path d="M0 0h4"/></symbol>' +
+      '<use href="#a"/><rect width="24" height="24"/>'
+    );
+
+    expect(splitSprite(markup)).toBeNull();
+    expect(splitSprite(markup, { force: true }).map(icon => icon.name)).toEqual(['a']);
+    expect(splitSprite(markup.replace('<rect width="24" height="24"/>', '')).map(icon => icon.name)).toEqual(['a']);
+  });
+});
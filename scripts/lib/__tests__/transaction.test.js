@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transaction } = require('../transaction');
+
+let projectRoot;
+const dataPath = name => path.join(projectRoot, 'public', name);
+const read = name => fs.readFileSync(dataPath(name), 'utf8');
+
+beforeEach(() => {
+  projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-transaction-'));
+  fs.mkdirSync(path.join(projectRoot, 'public'));
+  fs.writeFileSync(dataPath('a.json'), 'old a');
+  fs.writeFileSync(dataPath('b.json'), 'old b');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+// Commit a run that dies after swapping a.json and c.json, before b.json,
+// leaving its journal "committing"
+function interruptedRun() {
+  const transaction = new Transaction(projectRoot, { command: 'test' });
+  transaction.writeFile(dataPath('a.json'), 'new a');
+  transaction.writeFile(dataPath('c.json'), 'new c');
+  transaction.writeFile(dataPath('b.json'), 'new b');
+
+  const renameSync = fs.renameSync;
+  jest.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+    if (to === dataPath('b.json')) throw new Error('disk full');
+    return renameSync(from, to);
+  });
+  jest.spyOn(transaction, 'restoreFiles').mockImplementation(() => {
+    throw new Error('process killed');
+  });
+
+  expect(() => transaction.commit()).toThrow('process killed');
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  return transaction.runId;
+}
+
+test('an interrupted commit is left half-applied and "committing"', () => {
+  const runId = interruptedRun();
+
+  expect(Transaction.loadJournal(projectRoot, runId).status).toBe('committing');
+  expect(read('a.json')).toBe('new a');
+  expect(read('b.json')).toBe('old b');
+});
+
+test('the next transaction recovers an interrupted commit', () => {
+  const runId = interruptedRun();
+
+  const next = new Transaction(projectRoot);
+
+  expect(next.recovered.map(journal => journal.run_id)).toEqual([runId]);
+  expect(Transaction.loadJournal(projectRoot, runId).status).toBe('recovered');
+  expect(read('a.json')).toBe('old a');
+  expect(read('b.json')).toBe('old b');
+  expect(fs.existsSync(dataPath('c.json'))).toBe(false);
+});
+
+test('rolling back an interrupted commit recovers it', () => {
+  const runId = interruptedRun();
+
+  const journal = Transaction.rollback(projectRoot, runId);
+
+  expect(journal.status).toBe('recovered');
+  expect(read('a.json')).toBe('old a');
+  expect(fs.existsSync(dataPath('c.json'))).toBe(false);
+});
+
+test('a committed run still rolls back', () => {
+  const transaction = new Transaction(projectRoot);
+  transaction.writeFile(dataPath('a.json'), 'new a');
+  transaction.commit();
+
+  expect(Transaction.rollback(projectRoot, transaction.runId).status).toBe('rolled_back');
+  expect(read('a.json')).toBe('old a');
+});
+
+test('a commit that dies while cleaning up is not reverted', () => {
+  const transaction = new Transaction(projectRoot);
+  transaction.writeFile(dataPath('a.json'), 'new a');
+  jest.spyOn(fs, 'rmSync').mockImplementation(() => {
+    throw new Error('process killed');
+  });
+  expect(() => transaction.commit()).toThrow('process killed');
+  fs.rmSync.mockRestore();
+
+  expect(new Transaction(projectRoot).recovered).toEqual([]);
+  expect(read('a.json')).toBe('new a');
+});
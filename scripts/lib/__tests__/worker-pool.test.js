@@ -0,0 +1,93 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorkerPool } = require('../worker-pool');
+const { createIconProcessor } = require('../icon-processor');
+const { loadScriptConfig } = require('../config');
+
+const ECHO_WORKER = path.join(__dirname, 'fixtures', 'echo-worker.js');
+const ICON_WORKER = path.join(__dirname, '..', 'icon-worker.js');
+
+const pools = [];
+const tempDirs = [];
+
+afterEach(async () => {
+  await Promise.all(pools.splice(0).map(pool => pool.close()));
+});
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function createPool(workerFile, options) {
+  const pool = new WorkerPool(workerFile, options);
+  pools.push(pool);
+  return pool;
+}
+
+describe('WorkerPool', () => {
+  test('runs tasks with the pool workerData', async () => {
+    const pool = createPool(ECHO_WORKER, { size: 2, workerData: { factor: 3 } });
+
+    await expect(Promise.all([1, 2, 3].map(value => pool.run({ value })))).resolves.toEqual([
+      { value: 3 }, { value: 6 }, { value: 9 }
+    ]);
+  });
+
+  test('rejects a failing task and keeps serving the others', async () => {
+    const pool = createPool(ECHO_WORKER, { size: 1 });
+
+    await expect(pool.run({ value: 1, fail: true })).rejects.toThrow('task 1 failed');
+    await expect(pool.run({ value: 2 })).resolves.toEqual({ value: 4 });
+  });
+
+  test('forEachOrdered hands results over in task order', async () => {
+    const pool = createPool(ECHO_WORKER, { size: 3 });
+    const tasks = [30, 0, 20, 0, 10, 0, 0].map((delay, value) => ({ value, delay }));
+    const results = [];
+
+    await pool.forEachOrdered(tasks, (result, index) => results.push([index, result.value]), 2);
+
+    expect(results).toEqual(tasks.map(task => [task.value, task.value * 2]));
+  });
+
+  test('forEachOrdered stops at the first error', async () => {
+    const pool = createPool(ECHO_WORKER, { size: 2 });
+    const onResult = jest.fn();
+
+    await expect(pool.forEachOrdered([{ value: 1, delay: 50 }, { value: 2, fail: true }, { value: 3 }], onResult)).rejects.toThrow('task 2 failed');
+    await expect(pool.forEachOrdered([{ value: 1 }], () => { throw new Error('write failed'); })).rejects.toThrow('write failed');
+    expect(onResult).not.toHaveBeenCalled();
+  });
+
+  test('a crashed worker fails the pool', async () => {
+    const pool = createPool(ECHO_WORKER, { size: 1 });
+
+    await expect(pool.run({ crash: true })).rejects.toThrow('Worker thread exited with code 3');
+    await expect(pool.run({ value: 1 })).rejects.toThrow('Worker thread exited with code 3');
+  });
+});
+
+describe('icon worker', () => {
+  test('processes icons the same way as the main thread', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iconboard-worker-'));
+    tempDirs.push(dir);
+    fs.mkdirSync(path.join(dir, 'Arrows'));
+    const files = ['up', 'down'].map(name => path.join(dir, 'Arrows', `${name}.svg`));
+    fs.writeFileSync(files[0], '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M12.000 2L12 22"/></svg>');
+    fs.writeFileSync(files[1], '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><script>alert(1)</script></svg>');
+    const config = loadScriptConfig(path.join(__dirname, '..', '..', '..'));
+    const pool = createPool(ICON_WORKER, { size: 2, workerData: { config } });
+    const results = [];
+
+    await pool.forEachOrdered(files, result => results.push(result));
+
+    const processIconFile = createIconProcessor(config);
+    expect(results).toEqual(files.map(file => processIconFile(file)));
+    expect(results[0]).toEqual(expect.objectContaining({ status: 'processed', icon: expect.objectContaining({ id: 'arrows_up' }) }));
+  });
+});
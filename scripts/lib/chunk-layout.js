@@ -0,0 +1,127 @@
+/**
+ * IconBoard - Chunk Layout
+ * How icons are split into chunk files, shared by generate-icons-data,
+ * rechunk and add-icons.
+ *
+ * Strategies:
+ *   count     Fixed number of icons per chunk
+ *   bytes     Fill each chunk up to a target size
+ *   category  Never mix categories in a chunk; each category is split by
+ *             the target size
+ */
+
+const CHUNK_STRATEGIES = ['count', 'bytes', 'category'];
+
+const iconBytes = icon => Buffer.byteLength(JSON.stringify(icon), 'utf8') + 1;
+
+// Fills one chunk at a time by the max count and, unless counting, target size
+function createSplitter({ strategy, maxIcons, targetBytes }) {
+  let current = [];
+  let currentBytes = 2; // "[]"
+
+  return {
+    // Carry on filling an existing chunk before any icon is pushed; returns
+    // false, leaving the splitter empty, when that chunk is already full
+    resume(icons) {
+      const bytes = icons.reduce((total, icon) => total + iconBytes(icon), 2);
+      const full = icons.length >= maxIcons || (strategy !== 'count' && bytes >= targetBytes);
+      if (current.length > 0 || full) return false;
+      current = [...icons];
+      currentBytes = bytes;
+      return true;
+    },
+
+    // Add an icon; returns the chunk it closed, if any
+    push(icon) {
+      const size = iconBytes(icon);
+      const full = current.length >= maxIcons ||
+        (strategy !== 'count' && currentBytes + size > targetBytes);
+
+      let closed = null;
+      if (full && current.length > 0) {
+        closed = current;
+        current = [];
+        currentBytes = 2;
+      }
+      current.push(icon);
+      currentBytes += size;
+      return closed;
+    },
+
+    // The partly filled chunk, if any
+    flush() {
+      const rest = current;
+      current = [];
+      currentBytes = 2;
+      return rest.length > 0 ? rest : null;
+    }
+  };
+}
+
+function splitIcons(icons, options) {
+  const splitter = createSplitter(options);
+  const chunks = icons.map(icon => splitter.push(icon)).filter(Boolean);
+  const rest = splitter.flush();
+  return rest ? [...chunks, rest] : chunks;
+}
+
+/**
+ * Split icons into chunks. Icon order is kept, grouped by category (in
+ * order of first appearance) for the category strategy.
+ *
+ * @param {object[]} icons
+ * @param {object} options
+ * @param {string} options.strategy - count | bytes | category
+ * @param {number} options.maxIcons - Max icons per chunk
+ * @param {number} options.targetBytes - Target chunk size for bytes/category
+ * @returns {object[][]} Icons of each chunk
+ */
+function planChunks(icons, options) {
+  if (options.strategy !== 'category') {
+    return splitIcons(icons, options);
+  }
+
+  const groups = new Map();
+  icons.forEach(icon => {
+    if (!groups.has(icon.category)) groups.set(icon.category, []);
+    groups.get(icon.category).push(icon);
+  });
+
+  return Array.from(groups.values()).flatMap(group => splitIcons(group, options));
+}
+
+/**
+ * planChunks for icons that arrive one at a time, so chunks can be written
+ * while later icons are still being produced. With the category strategy
+ * each category fills its own chunk, and chunks come out in the order they
+ * fill rather than grouped by category.
+ *
+ * Existing chunks can be topped up by resuming them before pushing: the
+ * resumed icons lead the next chunk of their stream (their category, for the
+ * category strategy).
+ *
+ * @param {object} options - As for planChunks
+ * @returns {{ resume(icons): boolean, push(icon): object[]|null, flush(): object[][] }}
+ *   resume returns false when the chunk is already full; push returns the
+ *   chunk an icon completed; flush returns the remaining partial chunks
+ */
+function createChunkStream(options) {
+  const splitters = new Map();
+  const splitterFor = icon => {
+    const key = options.strategy === 'category' ? icon.category : '';
+    if (!splitters.has(key)) splitters.set(key, createSplitter(options));
+    return splitters.get(key);
+  };
+
+  return {
+    resume: icons => icons.length > 0 && splitterFor(icons[0]).resume(icons),
+    push: icon => splitterFor(icon).push(icon),
+    flush: () => Array.from(splitters.values(), splitter => splitter.flush()).filter(Boolean)
+  };
+}
+
+module.exports = {
+  CHUNK_STRATEGIES,
+  planChunks,
+  createChunkStream
+};
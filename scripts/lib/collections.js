@@ -0,0 +1,186 @@
+/**
+ * IconBoard - Collection Manifests
+ * Provenance and license of each icon set, kept as one JSON file per set in
+ * the collections folder (paths.collections in iconboard.config.js,
+ * collections/ by default):
+ *
+ *   {
+ *     "id": "feather",
+ *     "name": "Feather",
+ *     "categories": ["feather"],          categories whose icons belong to the set
+ *     "source_url": "https://github.com/feathericons/feather",
+ *     "version": "4.29.0",                upstream release (optional)
+ *     "license": "MIT",                   SPDX identifier, or LicenseRef-...
+ *     "license_url": "https://...",       (optional)
+ *     "license_text": "...",              (optional) or "license_file": "feather.LICENSE"
+ *     "author": "Cole Bemis",
+ *     "trademark_notes": "...",           (optional)
+ *     "attribution_required": true        (optional)
+ *   }
+ *
+ * Ingestion stores the set's ID on every icon as `collection` (an icon's
+ * metadata can name another set), and the manifests are published together
+ * as public/collections.json for the client.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COLLECTIONS_DIR = 'collections';
+const COLLECTIONS_FILE = 'collections.json';
+
+const FIELDS = {
+  id: 'string',
+  name: 'string',
+  categories: 'string[]',
+  source_url: 'string',
+  version: 'string',
+  license: 'string',
+  license_url: 'string',
+  license_text: 'string',
+  license_file: 'string',
+  author: 'string',
+  trademark_notes: 'string',
+  attribution_required: 'boolean'
+};
+
+const REQUIRED_FIELDS = ['id', 'name', 'categories', 'source_url', 'license', 'author'];
+
+/**
+ * Check a collection manifest.
+ * @returns {object} A copy containing only known fields
+ * @throws {Error} On missing or unknown fields and wrong types
+ */
+function validateCollection(manifest, source) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error(`${source}: collection manifest must be an object`);
+  }
+
+  const result = {};
+  for (const [field, value] of Object.entries(manifest)) {
+    const type = FIELDS[field];
+    if (!type) {
+      throw new Error(`${source}: unknown collection field "${field}" (expected ${Object.keys(FIELDS).join(', ')})`);
+    }
+
+    const valid = type === 'string[]'
+      ? Array.isArray(value) && value.every(item => typeof item === 'string')
+      : typeof value === type;
+    if (!valid) {
+      throw new Error(`${source}: "${field}" must be ${type === 'string[]' ? 'an array of strings' : `a ${type}`}`);
+    }
+
+    result[field] = value;
+  }
+
+  const missing = REQUIRED_FIELDS.filter(field => result[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`${source}: missing ${missing.join(', ')}`);
+  }
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(result.id)) {
+    throw new Error(`${source}: id "${result.id}" must be lowercase letters, digits and "-"`);
+  }
+  if (result.license_text !== undefined && result.license_file !== undefined) {
+    throw new Error(`${source}: use either license_text or license_file, not both`);
+  }
+
+  result.categories = result.categories.map(category => category.toLowerCase());
+  return result;
+}
+
+/**
+ * Load and validate every manifest in the collections folder.
+ * license_file is read into license_text.
+ * @param {string} collectionsDir - Folder holding the manifests
+ * @returns {object[]} Manifests sorted by ID
+ */
+function loadCollections(collectionsDir) {
+  if (!fs.existsSync(collectionsDir)) {
+    return [];
+  }
+
+  const collections = [];
+  const owners = new Map();
+
+  for (const file of fs.readdirSync(collectionsDir).filter(name => name.endsWith('.json')).sort()) {
+    const manifestPath = path.join(collectionsDir, file);
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid collection manifest ${manifestPath}: ${error.message}`);
+    }
+
+    const collection = validateCollection(manifest, manifestPath);
+    if (collections.some(other => other.id === collection.id)) {
+      throw new Error(`${manifestPath}: duplicate collection id "${collection.id}"`);
+    }
+    for (const category of collection.categories) {
+      if (owners.has(category)) {
+        throw new Error(`${manifestPath}: category "${category}" already belongs to "${owners.get(category)}"`);
+      }
+      owners.set(category, collection.id);
+    }
+
+    if (collection.license_file) {
+      collection.license_text = fs.readFileSync(path.join(collectionsDir, collection.license_file), 'utf8');
+      delete collection.license_file;
+    }
+    collections.push(collection);
+  }
+
+  return collections.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Build a function that records each icon's collection: the one named in
+ * its metadata, or else the one that owns its category.
+ * @param {object[]} collections - Result of loadCollections
+ * @returns {function(object): object} icon -> icon with `collection` when known
+ */
+function createCollectionResolver(collections) {
+  const ids = new Set(collections.map(collection => collection.id));
+  const byCategory = new Map();
+  for (const collection of collections) {
+    collection.categories.forEach(category => byCategory.set(category, collection.id));
+  }
+
+  return icon => {
+    if (icon.collection) {
+      if (!ids.has(icon.collection)) {
+        throw new Error(`${icon.id}: unknown collection "${icon.collection}" (add ${COLLECTIONS_DIR}/${icon.collection}.json)`);
+      }
+      return icon;
+    }
+    return byCategory.has(icon.category) ? { ...icon, collection: byCategory.get(icon.category) } : icon;
+  };
+}
+
+/**
+ * Serialize public/collections.json.
+ * @param {object[]} collections - Result of loadCollections
+ */
+function buildCollectionsFile(collections) {
+  return JSON.stringify(collections, null, 2);
+}
+
+/**
+ * Stage public/collections.json.
+ * @param {Transaction} transaction
+ * @param {object[]} collections - Result of loadCollections
+ */
+function stageCollections(publicDir, transaction, collections) {
+  const content = buildCollectionsFile(collections);
+  transaction.writeFile(path.join(publicDir, COLLECTIONS_FILE), content);
+  return content;
+}
+
+module.exports = {
+  COLLECTIONS_DIR,
+  COLLECTIONS_FILE,
+  validateCollection,
+  loadCollections,
+  createCollectionResolver,
+  buildCollectionsFile,
+  stageCollections
+};
@@ -0,0 +1,356 @@
+/**
+ * IconBoard - Pipeline Config
+ * One config file for every script, in the project root: iconboard.config.js
+ * (module.exports = { ... }) or iconboard.config.json. Every section is
+ * optional; missing values fall back to DEFAULT_CONFIG.
+ *
+ *   paths       sources     Folders generate-icons-data reads, each holding
+ *                           <category>/<icon>.svg
+ *               newIcons    Drop folder for add-icons and lint-icons
+ *               output      Published data (chunks and metadata files)
+ *               collections Collection manifests
+ *               exports     Default output folder of export-iconify
+ *   chunks      size        Max icons per chunk
+ *               strategy    count | bytes | category (see rechunk)
+ *               targetKb    Target chunk size for bytes and category
+ *   categories  Display names by category ID ("ai" -> "AI"); others are
+ *               capitalized
+ *   ids         scheme      Icon ID template using {category} and {name}
+ *   sanitizer   allowRasterImages, maxBytes (see svg-sanitizer)
+ *   optimizer   { default: {...}, categories: { id: {...} } } (see svg-optimizer)
+ *   lint        { default: {...}, categories: { id: {...} } } (see icon-lint)
+ *   storage     target      local | s3 | supabase, used by sync-storage
+ *               prefix      Folder inside the target the data goes to
+ *               concurrency Parallel uploads and deletions
+ *               local       { dir }
+ *               s3          { bucket, region, endpoint, publicUrl }
+ *               supabase    { bucket }
+ *
+ * Relative paths are resolved against the project root. The config is
+ * validated when loaded; every problem is reported at once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OPTIONS: OPTIMIZER_DEFAULTS } = require('./svg-optimizer');
+const { DEFAULT_OPTIONS: SANITIZER_DEFAULTS } = require('./svg-sanitizer');
+const { normalizeLintConfig } = require('./icon-lint');
+const { CHUNK_STRATEGIES } = require('./chunk-layout');
+const { STORAGE_TARGETS } = require('./storage-targets');
+
+const CONFIG_FILES = ['iconboard.config.js', 'iconboard.config.json'];
+
+// Files whose settings now live in the config
+const RETIRED_FILES = {
+  'optimize.config.json': 'optimizer',
+  'lint.config.json': 'lint'
+};
+
+const ID_PLACEHOLDERS = ['category', 'name'];
+
+const DEFAULT_CONFIG = {
+  paths: {
+    sources: ['backend/icons'],
+    newIcons: 'new-icons',
+    output: 'public',
+    collections: 'collections',
+    exports: 'exports/iconify'
+  },
+  chunks: {
+    size: 50,
+    strategy: 'count',
+    targetKb: 64
+  },
+  categories: {},
+  ids: {
+    scheme: '{category}_{name}'
+  },
+  sanitizer: { ...SANITIZER_DEFAULTS },
+  optimizer: { default: {}, categories: {} },
+  lint: { default: {}, categories: {} },
+  storage: {
+    target: 'supabase',
+    prefix: '',
+    concurrency: 8,
+    local: { dir: 'dist/storage' },
+    s3: { bucket: null, region: 'us-east-1', endpoint: null, publicUrl: null },
+    supabase: { bucket: 'icons' }
+  }
+};
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+  return Array.isArray(value) ? 'an array' : value === null ? 'null' : typeof value;
+}
+
+/**
+ * Read the raw config.
+ * @returns {{ file: string|null, raw: object }}
+ */
+function readConfigFile(projectRoot) {
+  const found = CONFIG_FILES.filter(file => fs.existsSync(path.join(projectRoot, file)));
+  if (found.length > 1) {
+    throw new Error(`Both ${found.join(' and ')} exist; keep one`);
+  }
+  if (found.length === 0) {
+    return { file: null, raw: {} };
+  }
+
+  const file = found[0];
+  const configPath = path.join(projectRoot, file);
+  let raw;
+  try {
+    if (file.endsWith('.js')) {
+      delete require.cache[require.resolve(configPath)];
+      raw = require(configPath);
+    } else {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    }
+  } catch (error) {
+    throw new Error(`Could not load ${file}: ${error.message}`);
+  }
+
+  if (!isObject(raw)) {
+    throw new Error(`${file} must export an object (got ${describe(raw)})`);
+  }
+  return { file, raw };
+}
+
+// An absolute http: or https: URL with a host, e.g. an S3 endpoint
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && Boolean(url.host);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a raw config and merge it over the defaults.
+ * @param {object} raw - Parsed config file contents
+ * @param {string} source - File name for error messages
+ * @returns {object} Config with every section filled in (paths still relative)
+ * @throws {Error} Listing every problem found
+ */
+function validateConfig(raw, source = 'config') {
+  const problems = [];
+  const check = (condition, message) => {
+    if (!condition) problems.push(message);
+    return condition;
+  };
+
+  for (const key of Object.keys(raw)) {
+    check(key in DEFAULT_CONFIG, `unknown section "${key}" (expected ${Object.keys(DEFAULT_CONFIG).join(', ')})`);
+  }
+
+  // Sections that merge key by key over their defaults
+  const section = (name, validators) => {
+    const value = raw[name] === undefined ? {} : raw[name];
+    if (!check(isObject(value), `"${name}" must be an object (got ${describe(value)})`)) {
+      return { ...DEFAULT_CONFIG[name] };
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (check(validators[key], `unknown setting "${name}.${key}" (expected ${Object.keys(validators).join(', ')})`)) {
+        validators[key](item, `${name}.${key}`);
+      }
+    }
+    return { ...DEFAULT_CONFIG[name], ...value };
+  };
+
+  const string = (value, label) => check(typeof value === 'string' && value.trim() !== '', `"${label}" must be a non-empty string`);
+  const positive = (value, label) => check(typeof value === 'number' && value > 0 && Number.isFinite(value), `"${label}" must be a positive number`);
+  const integer = (value, label) => check(Number.isInteger(value) && value > 0, `"${label}" must be a positive integer`);
+
+  const paths = section('paths', {
+    sources: (value, label) => {
+      const list = typeof value === 'string' ? [value] : value;
+      if (check(Array.isArray(list) && list.length > 0, `"${label}" must be a folder or a non-empty array of folders`)) {
+        list.forEach((item, index) => string(item, `${label}[${index}]`));
+      }
+    },
+    newIcons: string,
+    output: string,
+    collections: string,
+    exports: string
+  });
+  if (typeof paths.sources === 'string') paths.sources = [paths.sources];
+
+  const chunks = section('chunks', {
+    size: integer,
+    strategy: (value, label) => check(CHUNK_STRATEGIES.includes(value), `"${label}" must be one of ${CHUNK_STRATEGIES.join(', ')} (got ${JSON.stringify(value)})`),
+    targetKb: positive
+  });
+
+  const categories = raw.categories === undefined ? {} : raw.categories;
+  const categoryNames = {};
+  if (check(isObject(categories), `"categories" must be an object of display names (got ${describe(categories)})`)) {
+    for (const [id, name] of Object.entries(categories)) {
+      if (string(name, `categories.${id}`)) categoryNames[id.toLowerCase()] = name;
+    }
+  }
+
+  const ids = section('ids', {
+    scheme: (value, label) => {
+      if (!string(value, label)) return;
+      const placeholders = Array.from(value.matchAll(/\{([^}]*)\}/g), match => match[1]);
+      check(placeholders.includes('name'), `"${label}" must contain {name}`);
+      placeholders
+        .filter(placeholder => !ID_PLACEHOLDERS.includes(placeholder))
+        .forEach(placeholder => problems.push(`"${label}" has unknown placeholder {${placeholder}} (expected ${ID_PLACEHOLDERS.map(p => `{${p}}`).join(', ')})`));
+    }
+  });
+
+  const sanitizer = section('sanitizer', {
+    allowRasterImages: (value, label) => check(typeof value === 'boolean', `"${label}" must be true or false`),
+    maxBytes: (value, label) => value === null || integer(value, label)
+  });
+
+  // optimizer: { default, categories } holding the optimizer's own options
+  const optimizerRaw = raw.optimizer === undefined ? {} : raw.optimizer;
+  const optimizer = { default: {}, categories: {} };
+  const checkOptimizerOptions = (options, label) => {
+    if (!check(isObject(options), `"${label}" must be an object`)) return {};
+    for (const [key, value] of Object.entries(options)) {
+      if (!check(key in OPTIMIZER_DEFAULTS, `unknown optimizer option "${label}.${key}" (expected ${Object.keys(OPTIMIZER_DEFAULTS).join(', ')})`)) continue;
+      check(typeof value === typeof OPTIMIZER_DEFAULTS[key], `"${label}.${key}" must be a ${typeof OPTIMIZER_DEFAULTS[key]}`);
+    }
+    return options;
+  };
+  if (check(isObject(optimizerRaw), `"optimizer" must be an object (got ${describe(optimizerRaw)})`)) {
+    Object.keys(optimizerRaw)
+      .filter(key => key !== 'default' && key !== 'categories')
+      .forEach(key => problems.push(`unknown setting "optimizer.${key}" (expected default, categories)`));
+    optimizer.default = checkOptimizerOptions(optimizerRaw.default || {}, 'optimizer.default');
+    const byCategory = optimizerRaw.categories || {};
+    if (check(isObject(byCategory), '"optimizer.categories" must be an object')) {
+      for (const [category, options] of Object.entries(byCategory)) {
+        optimizer.categories[category.toLowerCase()] = checkOptimizerOptions(options, `optimizer.categories.${category}`);
+      }
+    }
+  }
+
+  let lint = { default: {}, categories: {} };
+  try {
+    lint = normalizeLintConfig(raw.lint === undefined ? {} : raw.lint, 'lint');
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  // storage: flat settings plus one object of settings per target
+  const storageRaw = raw.storage === undefined ? {} : raw.storage;
+  const storage = {
+    ...DEFAULT_CONFIG.storage,
+    ...Object.fromEntries(STORAGE_TARGETS.map(target => [target, { ...DEFAULT_CONFIG.storage[target] }]))
+  };
+  const optionalString = (value, label) => value === null || string(value, label);
+  const targetValidators = {
+    local: { dir: string },
+    s3: {
+      bucket: optionalString,
+      region: string,
+      endpoint: (value, label) => value === null || check(typeof value === 'string' && isHttpUrl(value), `"${label}" must be an http(s) URL`),
+      publicUrl: optionalString
+    },
+    supabase: { bucket: string }
+  };
+  if (check(isObject(storageRaw), `"storage" must be an object (got ${describe(storageRaw)})`)) {
+    for (const [key, value] of Object.entries(storageRaw)) {
+      if (key === 'target') {
+        if (check(STORAGE_TARGETS.includes(value), `"storage.target" must be one of ${STORAGE_TARGETS.join(', ')} (got ${JSON.stringify(value)})`)) storage.target = value;
+      } else if (key === 'prefix') {
+        if (check(typeof value === 'string', '"storage.prefix" must be a string')) storage.prefix = value.replace(/^\/+|\/+$/g, '');
+      } else if (key === 'concurrency') {
+        if (integer(value, 'storage.concurrency')) storage.concurrency = value;
+      } else if (STORAGE_TARGETS.includes(key)) {
+        if (!check(isObject(value), `"storage.${key}" must be an object (got ${describe(value)})`)) continue;
+        for (const [setting, item] of Object.entries(value)) {
+          const validate = targetValidators[key][setting];
+          if (check(validate, `unknown setting "storage.${key}.${setting}" (expected ${Object.keys(targetValidators[key]).join(', ')})`) && validate(item, `storage.${key}.${setting}`)) {
+            storage[key][setting] = item;
+          }
+        }
+      } else {
+        problems.push(`unknown setting "storage.${key}" (expected target, prefix, concurrency, ${STORAGE_TARGETS.join(', ')})`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return { paths, chunks, categories: categoryNames, ids, sanitizer, optimizer, lint, storage };
+}
+
+/**
+ * Load, validate and resolve the pipeline config.
+ * @returns {object} The config, with absolute paths, plus projectRoot and
+ *   file (the config file name, or null when running on defaults)
+ */
+function loadConfig(projectRoot) {
+  for (const [file, sectionName] of Object.entries(RETIRED_FILES)) {
+    if (fs.existsSync(path.join(projectRoot, file))) {
+      throw new Error(`${file} is no longer read; move its contents to the "${sectionName}" section of ${CONFIG_FILES[0]}`);
+    }
+  }
+
+  const { file, raw } = readConfigFile(projectRoot);
+  const config = validateConfig(raw, file || 'config');
+  const resolve = value => path.resolve(projectRoot, value);
+
+  return {
+    ...config,
+    paths: {
+      sources: config.paths.sources.map(resolve),
+      newIcons: resolve(config.paths.newIcons),
+      output: resolve(config.paths.output),
+      collections: resolve(config.paths.collections),
+      exports: resolve(config.paths.exports)
+    },
+    storage: {
+      ...config.storage,
+      local: { dir: resolve(config.storage.local.dir) }
+    },
+    projectRoot,
+    file
+  };
+}
+
+/**
+ * loadConfig for a script constructor: reports the problems and exits
+ * instead of throwing.
+ */
+function loadScriptConfig(projectRoot) {
+  try {
+    return loadConfig(projectRoot);
+  } catch (error) {
+    console.error('❌ Error loading config:', error.message);
+    process.exit(1);
+  }
+}
+
+/** Display name of a category. */
+function categoryDisplayName(config, categoryId) {
+  return (config && config.categories[categoryId]) || categoryId.charAt(0).toUpperCase() + categoryId.slice(1);
+}
+
+/** Icon ID for a category and icon name, following ids.scheme. */
+function formatIconId(config, category, name) {
+  const scheme = (config && config.ids.scheme) || DEFAULT_CONFIG.ids.scheme;
+  return scheme.replace(/\{category\}/g, category).replace(/\{name\}/g, name);
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULT_CONFIG,
+  validateConfig,
+  isHttpUrl,
+  loadConfig,
+  loadScriptConfig,
+  categoryDisplayName,
+  formatIconId
+};
@@ -0,0 +1,165 @@
+/**
+ * IconBoard - Data Manifest
+ * Content-hashed file names and the versioned manifest that points at them.
+ *
+ * Chunk files are written as chunks/icons-<n>.<hash>.json and listed by that
+ * name in chunks-index.json. public/data-manifest.json is the only file with
+ * a stable URL the client has to revalidate; it names the hashed copies of
+ * chunks-index.json, category-chunks.json, categories.json and (when built)
+ * search-index.json and collections.json for the current dataset version. Everything it
+ * references can be cached forever, and a client that loads one manifest
+ * sees one consistent dataset.
+ *
+ * Files that stop being referenced are kept for RETENTION_MS so sessions
+ * started on the previous version can finish, then deleted by a later
+ * publish.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = 'data-manifest.json';
+const HASH_LENGTH = 10;
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Metadata files published under a hashed name next to their stable copy
+const HASHED_METADATA_FILES = ['chunks-index.json', 'category-chunks.json', 'categories.json'];
+const OPTIONAL_HASHED_FILES = ['search-index.json', 'collections.json'];
+
+const HASHED_NAME = new RegExp(`\\.[0-9a-f]{${HASH_LENGTH}}\\.json$`);
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, HASH_LENGTH);
+}
+
+// "chunks-index.json" + content -> "chunks-index.1a2b3c4d5e.json"
+function hashedName(filename, content) {
+  return filename.replace(/\.json$/, `.${hashContent(content)}.json`);
+}
+
+/** Relative filename (as stored in chunks-index.json) for a chunk's content. */
+function chunkFilename(chunkNumber, content) {
+  return `chunks/${hashedName(`icons-${chunkNumber}.json`, content)}`;
+}
+
+function isHashedName(filename) {
+  return HASHED_NAME.test(filename);
+}
+
+function loadManifest(publicDir) {
+  const manifestPath = path.join(publicDir, MANIFEST_FILE);
+  return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+}
+
+// Every published data file currently on disk, relative to publicDir
+function listPublishedFiles(publicDir) {
+  const chunksDir = path.join(publicDir, 'chunks');
+  const chunkFiles = fs.existsSync(chunksDir)
+    ? fs.readdirSync(chunksDir).filter(file => /^icons-\d+(\.[0-9a-f]+)?\.json$/.test(file)).map(file => `chunks/${file}`)
+    : [];
+  const metadataFiles = fs.readdirSync(publicDir)
+    .filter(file => isHashedName(file) &&
+      [...HASHED_METADATA_FILES, ...OPTIONAL_HASHED_FILES].includes(file.replace(HASHED_NAME, '.json')));
+  return [...chunkFiles, ...metadataFiles];
+}
+
+/**
+ * Write the hashed metadata copies and data-manifest.json for a dataset.
+ *
+ * @param {string} publicDir
+ * @param {object} writer - { writeFile(path, content), removeFile(path) };
+ *   a Transaction, or plain fs calls for a full regeneration
+ * @param {object} contents - Serialized chunks-index.json, category-chunks.json,
+ *   categories.json and optionally search-index.json and collections.json,
+ *   keyed by file name
+ * @returns {object} The new manifest
+ */
+function publishManifest(publicDir, writer, contents) {
+  const previous = loadManifest(publicDir);
+  const now = Date.now();
+
+  const files = {};
+  for (const filename of HASHED_METADATA_FILES) {
+    if (contents[filename] === undefined) {
+      throw new Error(`publishManifest: missing ${filename}`);
+    }
+    files[filename] = hashedName(filename, contents[filename]);
+    writer.writeFile(path.join(publicDir, files[filename]), contents[filename]);
+  }
+  for (const filename of OPTIONAL_HASHED_FILES.filter(name => contents[name] !== undefined)) {
+    files[filename] = hashedName(filename, contents[filename]);
+    writer.writeFile(path.join(publicDir, files[filename]), contents[filename]);
+  }
+
+  const chunksIndex = JSON.parse(contents['chunks-index.json']);
+  const referenced = new Set([
+    ...Object.values(files),
+    ...chunksIndex.chunks.map(info => info.filename)
+  ]);
+
+  // Retire files the new version no longer uses; delete long-retired ones
+  const retired = {};
+  for (const entry of (previous && previous.retired) || []) {
+    retired[entry.file] = entry.retired_at;
+  }
+  for (const file of listPublishedFiles(publicDir)) {
+    if (!referenced.has(file) && !retired[file]) {
+      retired[file] = new Date(now).toISOString();
+    }
+  }
+
+  const stillRetired = [];
+  for (const [file, retiredAt] of Object.entries(retired)) {
+    if (referenced.has(file) || !fs.existsSync(path.join(publicDir, file))) continue;
+    if (now - Date.parse(retiredAt) >= RETENTION_MS) {
+      writer.removeFile(path.join(publicDir, file));
+    } else {
+      stillRetired.push({ file, retired_at: retiredAt });
+    }
+  }
+
+  const manifest = {
+    version: hashContent(Object.values(files).join('\n')),
+    created_at: new Date(now).toISOString(),
+    total_icons: chunksIndex.total_icons,
+    total_chunks: chunksIndex.total_chunks,
+    files,
+    retired: stillRetired.sort((a, b) => a.file.localeCompare(b.file))
+  };
+
+  writer.writeFile(path.join(publicDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/**
+ * Serialize the stable metadata files as they exist (or are staged) and
+ * publish a manifest for them.
+ * @param {Transaction} transaction
+ */
+function publishStagedManifest(publicDir, transaction) {
+  const contents = {};
+  for (const filename of HASHED_METADATA_FILES) {
+    contents[filename] = transaction.readFile(path.join(publicDir, filename));
+  }
+  for (const filename of OPTIONAL_HASHED_FILES) {
+    if (transaction.exists(path.join(publicDir, filename))) {
+      contents[filename] = transaction.readFile(path.join(publicDir, filename));
+    }
+  }
+  return publishManifest(publicDir, transaction, contents);
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  RETENTION_MS,
+  HASHED_METADATA_FILES,
+  OPTIONAL_HASHED_FILES,
+  hashContent,
+  hashedName,
+  chunkFilename,
+  isHashedName,
+  loadManifest,
+  publishManifest,
+  publishStagedManifest
+};
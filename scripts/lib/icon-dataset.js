@@ -0,0 +1,285 @@
+/**
+ * IconBoard - Chunked Dataset
+ * Loads the published chunk set (chunks-index.json, categories.json,
+ * category-chunks.json, icon-redirects.json) and keeps it consistent while
+ * scripts edit icons in place. All writes go through a Transaction.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { chunkFilename, publishStagedManifest } = require('./data-manifest');
+const { stageSearchIndex } = require('./search-index');
+const { categoryDisplayName } = require('./config');
+
+const REDIRECTS_FILE = 'icon-redirects.json';
+
+function readJson(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    if (fallback !== undefined) return fallback;
+    throw new Error(`${path.basename(filePath)} not found. Run the main build process first.`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+class IconDataset {
+  /**
+   * @param {string} publicDir - Directory holding chunks/ and the metadata files
+   * @param {Transaction} [transaction] - Required for any write
+   * @param {object} [options]
+   * @param {object} [options.config] - Pipeline config, for category display names
+   */
+  constructor(publicDir, transaction = null, options = {}) {
+    this.publicDir = publicDir;
+    this.config = options.config || null;
+    this.chunksDir = path.join(publicDir, 'chunks');
+    this.transaction = transaction;
+
+    this.chunksIndex = null;
+    this.categories = [];
+    this.categoryChunks = {};
+    this.redirects = {};
+
+    // chunk number -> parsed icons, for chunks read or written this run
+    this.chunkCache = new Map();
+    this.dirtyChunks = new Set();
+    this.touchedCategories = new Set();
+    this.redirectsChanged = false;
+  }
+
+  load() {
+    this.chunksIndex = readJson(path.join(this.publicDir, 'chunks-index.json'));
+    this.categories = readJson(path.join(this.publicDir, 'categories.json'), []);
+    this.categoryChunks = readJson(path.join(this.publicDir, 'category-chunks.json'), {});
+    this.redirects = readJson(path.join(this.publicDir, REDIRECTS_FILE), {});
+    return this;
+  }
+
+  // Chunk files are named by content hash; the index holds the current name
+  getChunkPath(chunkNumber) {
+    const info = this.chunksIndex && this.chunksIndex.chunks.find(chunk => chunk.chunk_number === chunkNumber);
+    return info ? path.join(this.publicDir, info.filename) : path.join(this.chunksDir, `icons-${chunkNumber}.json`);
+  }
+
+  readChunk(chunkNumber) {
+    if (!this.chunkCache.has(chunkNumber)) {
+      const chunkPath = this.getChunkPath(chunkNumber);
+      const content = this.transaction
+        ? this.transaction.readFile(chunkPath)
+        : fs.readFileSync(chunkPath, 'utf8');
+      this.chunkCache.set(chunkNumber, JSON.parse(content));
+    }
+    return this.chunkCache.get(chunkNumber);
+  }
+
+  // Chunks that can hold icons of a category, judged from the ID prefix
+  candidateChunks(iconId) {
+    const candidates = new Set();
+    for (const [categoryId, chunkNumbers] of Object.entries(this.categoryChunks)) {
+      if (iconId.startsWith(`${categoryId}_`)) {
+        chunkNumbers.forEach(chunkNumber => candidates.add(chunkNumber));
+      }
+    }
+    return Array.from(candidates).sort((a, b) => a - b);
+  }
+
+  /**
+   * Find an icon by ID. Checks the chunks listed for its category first and
+   * falls back to scanning every chunk in the index.
+   * @returns {{ chunkNumber: number, index: number, icon: object } | null}
+   */
+  findIcon(iconId) {
+    const candidates = this.candidateChunks(iconId);
+    const remaining = this.chunksIndex.chunks
+      .map(info => info.chunk_number)
+      .filter(chunkNumber => !candidates.includes(chunkNumber));
+
+    for (const chunkNumber of [...candidates, ...remaining]) {
+      const icons = this.readChunk(chunkNumber);
+      const index = icons.findIndex(icon => icon.id === iconId);
+      if (index !== -1) {
+        return { chunkNumber, index, icon: icons[index] };
+      }
+    }
+    return null;
+  }
+
+  hasIcon(iconId) {
+    return this.findIcon(iconId) !== null;
+  }
+
+  replaceIcon(location, icon) {
+    const icons = this.readChunk(location.chunkNumber);
+    const previous = icons[location.index];
+    icons[location.index] = icon;
+    this.markChunk(location.chunkNumber);
+
+    if (previous.category !== icon.category) {
+      this.adjustCategoryCount(previous.category, -1);
+      this.adjustCategoryCount(icon.category, 1);
+    }
+  }
+
+  removeIcon(location) {
+    const icons = this.readChunk(location.chunkNumber);
+    const [removed] = icons.splice(location.index, 1);
+    this.markChunk(location.chunkNumber);
+    this.adjustCategoryCount(removed.category, -1);
+    return removed;
+  }
+
+  markChunk(chunkNumber) {
+    this.dirtyChunks.add(chunkNumber);
+    this.readChunk(chunkNumber).forEach(icon => this.touchedCategories.add(icon.category));
+  }
+
+  adjustCategoryCount(categoryId, delta) {
+    this.touchedCategories.add(categoryId);
+    let category = this.categories.find(cat => cat.id === categoryId);
+    if (!category) {
+      category = { id: categoryId, name: categoryDisplayName(this.config, categoryId), count: 0 };
+      this.categories.push(category);
+    }
+    category.count += delta;
+  }
+
+  /** Point oldId (and anything that already redirected to it) at newId. */
+  addRedirect(oldId, newId) {
+    for (const [from, to] of Object.entries(this.redirects)) {
+      if (to === oldId) this.redirects[from] = newId;
+    }
+    this.redirects[oldId] = newId;
+    // Renaming back to an old ID makes that ID live again
+    delete this.redirects[newId];
+    this.redirectsChanged = true;
+  }
+
+  /** Drop redirects that would lead to a removed icon. */
+  removeRedirectsTo(iconId) {
+    for (const [from, to] of Object.entries(this.redirects)) {
+      if (to === iconId) {
+        delete this.redirects[from];
+        this.redirectsChanged = true;
+      }
+    }
+  }
+
+  // Keep the existing file's formatting so rewrites produce small diffs
+  serializeChunk(chunkNumber, icons) {
+    const chunkPath = this.getChunkPath(chunkNumber);
+    const pretty = fs.existsSync(chunkPath) && fs.readFileSync(chunkPath, 'utf8').startsWith('[\n');
+    return pretty ? JSON.stringify(icons, null, 2) : JSON.stringify(icons);
+  }
+
+  /**
+   * Recompute everything derived from the chunks that changed: chunk counts,
+   * start indexes, totals, category counts and category-chunks.json.
+   */
+  refreshMetadata() {
+    for (const chunkNumber of this.dirtyChunks) {
+      const icons = this.readChunk(chunkNumber);
+      const info = this.chunksIndex.chunks.find(chunk => chunk.chunk_number === chunkNumber);
+      info.count = icons.length;
+      info.size_kb = Math.round(JSON.stringify(icons).length / 1024 * 100) / 100;
+      icons.forEach(icon => this.touchedCategories.add(icon.category));
+    }
+
+    let startIndex = 0;
+    for (const info of this.chunksIndex.chunks) {
+      info.start_index = startIndex;
+      startIndex += info.count;
+    }
+    this.chunksIndex.total_icons = startIndex;
+    this.chunksIndex.total_chunks = this.chunksIndex.chunks.length;
+
+    for (const categoryId of this.touchedCategories) {
+      const chunkNumbers = this.chunksIndex.chunks
+        .map(info => info.chunk_number)
+        .filter(chunkNumber => this.readChunk(chunkNumber).some(icon => icon.category === categoryId));
+
+      if (chunkNumbers.length > 0) {
+        this.categoryChunks[categoryId] = chunkNumbers;
+      } else {
+        delete this.categoryChunks[categoryId];
+      }
+    }
+
+    // Drop categories that no longer have icons and keep "all" in sync
+    this.categories = this.categories.filter(cat => cat.id === 'all' || cat.count > 0);
+    const allCategory = this.categories.find(cat => cat.id === 'all');
+    if (allCategory) {
+      allCategory.count = this.chunksIndex.total_icons;
+    }
+  }
+
+  /**
+   * Recompute chunk counts, category counts and category-chunks.json for
+   * every chunk from the chunk files themselves, for metadata that drifted.
+   */
+  rebuildMetadata() {
+    const counts = new Map();
+    for (const info of this.chunksIndex.chunks) {
+      const icons = this.readChunk(info.chunk_number);
+      info.count = icons.length;
+      info.size_kb = Math.round(JSON.stringify(icons).length / 1024 * 100) / 100;
+      icons.forEach(icon => counts.set(icon.category, (counts.get(icon.category) || 0) + 1));
+    }
+
+    for (const category of this.categories.filter(cat => cat.id !== 'all')) {
+      category.count = counts.get(category.id) || 0;
+    }
+    for (const [categoryId, count] of counts) {
+      if (!this.categories.some(cat => cat.id === categoryId)) {
+        this.categories.push({ id: categoryId, name: categoryDisplayName(this.config, categoryId), count });
+      }
+    }
+
+    Object.keys(this.categoryChunks).forEach(categoryId => this.touchedCategories.add(categoryId));
+    counts.forEach((count, categoryId) => this.touchedCategories.add(categoryId));
+    this.refreshMetadata();
+  }
+
+  /**
+   * Stage every changed file under its content-hashed name, then the search
+   * index and data manifest. Call refreshMetadata() first.
+   */
+  stage() {
+    if (!this.transaction) {
+      throw new Error('IconDataset was loaded read-only');
+    }
+
+    for (const chunkNumber of this.dirtyChunks) {
+      const content = this.serializeChunk(chunkNumber, this.readChunk(chunkNumber));
+      const info = this.chunksIndex.chunks.find(chunk => chunk.chunk_number === chunkNumber);
+      info.filename = chunkFilename(chunkNumber, content);
+      this.transaction.writeFile(path.join(this.publicDir, info.filename), content);
+    }
+
+    this.transaction.writeFile(
+      path.join(this.publicDir, 'chunks-index.json'),
+      JSON.stringify(this.chunksIndex, null, 2)
+    );
+    this.transaction.writeFile(
+      path.join(this.publicDir, 'categories.json'),
+      JSON.stringify(this.categories, null, 2)
+    );
+    this.transaction.writeFile(
+      path.join(this.publicDir, 'category-chunks.json'),
+      JSON.stringify(this.categoryChunks, null, 2)
+    );
+
+    if (this.redirectsChanged) {
+      this.transaction.writeFile(
+        path.join(this.publicDir, REDIRECTS_FILE),
+        JSON.stringify(this.redirects, null, 2)
+      );
+    }
+
+    stageSearchIndex(this.config, this.publicDir, this.transaction, this.chunksIndex);
+    publishStagedManifest(this.publicDir, this.transaction);
+  }
+}
+
+module.exports = {
+  IconDataset,
+  REDIRECTS_FILE
+};
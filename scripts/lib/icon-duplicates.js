@@ -0,0 +1,174 @@
+/**
+ * IconBoard - Duplicate Detection
+ * Finds icons whose normalized geometry is identical (exact duplicates) or
+ * close (near-duplicates), whatever their ID, name or category.
+ *
+ * Candidates come from MinHash banding over the outline cells of each
+ * fingerprint (see svg-fingerprint.js) and are confirmed with the Jaccard
+ * index, so a lookup stays cheap against the whole chunk set.
+ */
+
+const { fingerprintSvg, cellSimilarity, MINHASH_SIZE } = require('./svg-fingerprint');
+
+const DEFAULT_THRESHOLD = 0.95;
+const BAND_SIZE = 4;
+
+// Similarity thresholds are fractions of the outline that must overlap
+function isValidThreshold(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+// A threshold option as given on the command line; blank text is NaN (not
+// the 0 Number() makes of it) so isValidThreshold rejects it
+function parseThreshold(text) {
+  return text === undefined ? undefined : Number(text.trim() || NaN);
+}
+
+// What to do with a new icon that duplicates an existing one
+const DUPLICATE_ACTIONS = ['report', 'skip', 'merge-tags', 'alias'];
+
+/**
+ * Fingerprint an icon's SVG.
+ * @returns {object|null} null when the geometry cannot be measured
+ */
+function fingerprintIcon(icon) {
+  try {
+    return fingerprintSvg(icon.svgContent || '');
+  } catch (error) {
+    return null;
+  }
+}
+
+class DuplicateIndex {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.threshold] - Minimum similarity (0-1) for a near-duplicate
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? DEFAULT_THRESHOLD;
+    if (!isValidThreshold(this.threshold)) {
+      throw new Error(`Duplicate threshold must be between 0 and 1 (got ${options.threshold})`);
+    }
+
+    this.entries = [];
+    this.byExact = new Map();
+    this.buckets = new Map();
+  }
+
+  bandKeys(fingerprint) {
+    const keys = [];
+    for (let band = 0; band < MINHASH_SIZE / BAND_SIZE; band++) {
+      const values = fingerprint.minhash.slice(band * BAND_SIZE, (band + 1) * BAND_SIZE);
+      keys.push(`${band}:${values.join(',')}`);
+    }
+    return keys;
+  }
+
+  /**
+   * @param {object} entry - { id, chunkNumber?, fingerprint, ... }; entries
+   *   without a fingerprint are ignored
+   */
+  add(entry) {
+    if (!entry.fingerprint) return;
+
+    this.entries.push(entry);
+    const exact = this.byExact.get(entry.fingerprint.exact);
+    if (exact) {
+      exact.push(entry);
+    } else {
+      this.byExact.set(entry.fingerprint.exact, [entry]);
+    }
+
+    for (const key of this.bandKeys(entry.fingerprint)) {
+      if (!this.buckets.has(key)) this.buckets.set(key, []);
+      this.buckets.get(key).push(entry);
+    }
+  }
+
+  /**
+   * Entries that duplicate a fingerprint, exact matches first, then by
+   * descending similarity.
+   * @returns {Array<{ entry: object, exact: boolean, similarity: number }>}
+   */
+  match(fingerprint) {
+    if (!fingerprint) return [];
+
+    const matches = new Map();
+    for (const entry of this.byExact.get(fingerprint.exact) || []) {
+      matches.set(entry, { entry, exact: true, similarity: 1 });
+    }
+
+    for (const key of this.bandKeys(fingerprint)) {
+      for (const entry of this.buckets.get(key) || []) {
+        if (matches.has(entry)) continue;
+        const similarity = cellSimilarity(fingerprint.cells, entry.fingerprint.cells);
+        matches.set(entry, similarity >= this.threshold ? { entry, exact: false, similarity } : null);
+      }
+    }
+
+    return Array.from(matches.values())
+      .filter(Boolean)
+      .sort((a, b) => (b.exact - a.exact) || (b.similarity - a.similarity));
+  }
+
+  /**
+   * Every duplicate in the index.
+   * @returns {{ exact: object[][], near: Array<{ a: object, b: object, similarity: number }> }}
+   *   exact groups in insertion order, and near pairs that are not exact
+   */
+  findAll() {
+    const exact = Array.from(this.byExact.values()).filter(group => group.length > 1);
+
+    const near = [];
+    const position = new Map(this.entries.map((entry, index) => [entry, index]));
+    for (const [index, entry] of this.entries.entries()) {
+      const seen = new Set();
+      for (const key of this.bandKeys(entry.fingerprint)) {
+        for (const other of this.buckets.get(key)) {
+          if (position.get(other) <= index || seen.has(other)) continue;
+          seen.add(other);
+          if (other.fingerprint.exact === entry.fingerprint.exact) continue;
+
+          const similarity = cellSimilarity(entry.fingerprint.cells, other.fingerprint.cells);
+          if (similarity >= this.threshold) {
+            near.push({ a: entry, b: other, similarity });
+          }
+        }
+      }
+    }
+
+    near.sort((x, y) => y.similarity - x.similarity);
+    return { exact, near };
+  }
+}
+
+/** The target icon with the source's tags added to its own. */
+function mergeTags(target, source) {
+  return {
+    ...target,
+    tags: Array.from(new Set([...(target.tags || []), ...(source.tags || [])]))
+  };
+}
+
+/** mergeTags, plus the source's name and aliases recorded as aliases of the target. */
+function linkAlias(target, source) {
+  const aliases = Array.from(new Set([...(target.aliases || []), source.name, ...(source.aliases || [])]))
+    .filter(alias => alias !== target.name);
+  return { ...mergeTags(target, source), aliases };
+}
+
+function formatSimilarity(match) {
+  return match.exact ? 'exact' : `${Math.round(match.similarity * 100)}% similar`;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  DUPLICATE_ACTIONS,
+  isValidThreshold,
+  parseThreshold,
+  DuplicateIndex,
+  fingerprintIcon,
+  mergeTags,
+  linkAlias,
+  formatSimilarity
+};
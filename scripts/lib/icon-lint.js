@@ -0,0 +1,371 @@
+/**
+ * IconBoard - Icon Lint
+ * Quality rules for icon markup, run by lint-icons and by add-icons before
+ * anything is written.
+ *
+ * Rules:
+ *   missing-viewbox           The root <svg> has no usable viewBox, so the
+ *                             icon cannot scale
+ *   viewbox-consistency       The viewBox size differs from the one most of
+ *                             the category uses (or from "expected")
+ *   hardcoded-color           fill, stroke, stop-color or color set to a
+ *                             literal color instead of currentColor, which
+ *                             breaks theming and dark mode
+ *   stroke-width-consistency  The stroke width, scaled to a 24-unit grid,
+ *                             differs from the category's usual width
+ *   raster-image              An embedded <image>; icons should be vectors
+ *   oversized-file            The markup is larger than "maxBytes"
+ *
+ * Severities come from the "lint" section of iconboard.config.js, shaped
+ * like the "optimizer" section:
+ *
+ *   lint: {
+ *     default: { 'hardcoded-color': 'error', 'oversized-file': ['warning', { maxBytes: 8192 }] },
+ *     categories: { 'all brands': { 'hardcoded-color': 'off' } }
+ *   }
+ *
+ * A rule is "off", "warning" or "error", optionally with options as
+ * [severity, { ... }]. Category entries override the defaults rule by rule.
+ */
+
+const { parseSvg, getRootElement, walkElements } = require('./svg-parser');
+
+const SEVERITIES = ['off', 'warning', 'error'];
+
+const LINT_RULES = {
+  'missing-viewbox': { severity: 'error', options: {} },
+  'viewbox-consistency': { severity: 'warning', options: { expected: null } },
+  'hardcoded-color': { severity: 'warning', options: { allow: [] } },
+  'stroke-width-consistency': { severity: 'warning', options: { expected: null } },
+  'raster-image': { severity: 'error', options: {} },
+  'oversized-file': { severity: 'warning', options: { maxBytes: 10 * 1024 } }
+};
+
+// Paint values that follow the theme or paint nothing
+const NEUTRAL_PAINT = /^(none|currentcolor|inherit|transparent|context-fill|context-stroke|url\(.*\))$/i;
+const PAINT_ATTRIBUTES = ['fill', 'stroke', 'stop-color', 'color'];
+const CSS_PAINT_DECLARATION = /(?:^|[;{\s])(fill|stroke|stop-color|color)\s*:\s*([^;}]+)/g;
+
+// Subtrees whose colors only select coverage, not what is painted
+const COVERAGE_ELEMENTS = new Set(['mask', 'clipPath']);
+const STROKED_ELEMENTS = new Set(['path', 'line', 'polyline', 'polygon', 'rect', 'circle', 'ellipse']);
+
+// Stroke widths are compared as if every icon were drawn on this grid
+const STROKE_GRID = 24;
+
+// "error" or ["error", { ... }] -> { severity, options }
+function normalizeRuleSetting(setting, source) {
+  const [severity, options = {}] = Array.isArray(setting) ? setting : [setting];
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`${source}: severity must be ${SEVERITIES.join(', ')} (got ${JSON.stringify(severity)})`);
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`${source}: rule options must be an object`);
+  }
+  return { severity, options };
+}
+
+function normalizeRuleSet(rules, source) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`${source} must be an object of rule settings`);
+  }
+
+  const result = {};
+  for (const [rule, setting] of Object.entries(rules)) {
+    if (!LINT_RULES[rule]) {
+      throw new Error(`${source}: unknown lint rule "${rule}" (expected ${Object.keys(LINT_RULES).join(', ')})`);
+    }
+    result[rule] = normalizeRuleSetting(setting, `${source} [${rule}]`);
+  }
+  return result;
+}
+
+/**
+ * Validate a lint config section ({ default, categories }).
+ * @param {object} config - Raw section; {} means the built-in severities
+ * @param {string} source - Label for error messages
+ * @returns {{ default: object, categories: object }} Rule settings as { severity, options }
+ */
+function normalizeLintConfig(config, source = 'lint') {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${source} must be an object with "default" and "categories"`);
+  }
+  const unknown = Object.keys(config).filter(key => key !== 'default' && key !== 'categories');
+  if (unknown.length > 0) {
+    throw new Error(`${source}: unknown setting "${unknown[0]}" (expected default, categories)`);
+  }
+
+  const categories = {};
+  for (const [category, rules] of Object.entries(config.categories || {})) {
+    categories[category.toLowerCase()] = normalizeRuleSet(rules, `${source}.categories.${category}`);
+  }
+  return {
+    default: normalizeRuleSet(config.default || {}, `${source}.default`),
+    categories
+  };
+}
+
+/**
+ * Effective rule settings for a category.
+ * @returns {object} rule -> { severity, options }
+ */
+function resolveLintRules(config, category) {
+  const overrides = [
+    (config && config.default) || {},
+    (config && config.categories && config.categories[String(category).toLowerCase()]) || {}
+  ];
+
+  const rules = {};
+  for (const [rule, defaults] of Object.entries(LINT_RULES)) {
+    rules[rule] = { severity: defaults.severity, options: { ...defaults.options } };
+    for (const override of overrides) {
+      if (override[rule]) {
+        rules[rule] = {
+          severity: override[rule].severity,
+          options: { ...rules[rule].options, ...override[rule].options }
+        };
+      }
+    }
+  }
+  return rules;
+}
+
+function parseStyleAttribute(style) {
+  const declarations = {};
+  for (const declaration of (style || '').split(';')) {
+    const index = declaration.indexOf(':');
+    if (index > 0) {
+      declarations[declaration.slice(0, index).trim()] = declaration.slice(index + 1).trim();
+    }
+  }
+  return declarations;
+}
+
+function parseViewBox(value) {
+  const numbers = String(value || '').trim().split(/[\s,]+/).map(Number);
+  if (numbers.length !== 4 || numbers.some(number => !Number.isFinite(number)) || numbers[2] <= 0 || numbers[3] <= 0) {
+    return null;
+  }
+  return numbers;
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+  let best = null;
+  for (const [value, count] of counts) {
+    if (!best || count > best.count) best = { value, count };
+  }
+  return best && { value: best.value, share: best.count / values.length };
+}
+
+/**
+ * Collect what the rules look at from an icon's markup.
+ * @returns {{ bytes: number, viewBox: string|null, size: string|null,
+ *   colors: string[], strokeWidth: string|null, images: number, error?: string }}
+ *   size is "<width>x<height>" of the viewBox; strokeWidth is the icon's
+ *   most common stroke width on a 24-unit grid
+ */
+function inspectSvg(svgContent) {
+  const facts = {
+    bytes: Buffer.byteLength(svgContent, 'utf8'),
+    viewBox: null,
+    size: null,
+    colors: [],
+    strokeWidth: null,
+    images: 0
+  };
+
+  let root;
+  try {
+    root = getRootElement(parseSvg(svgContent));
+  } catch (error) {
+    return { ...facts, error: error.message };
+  }
+  if (!root || root.name !== 'svg') {
+    return { ...facts, error: 'no <svg> root element' };
+  }
+
+  const viewBox = parseViewBox(root.attributes.viewBox);
+  if (viewBox) {
+    facts.viewBox = viewBox.map(formatNumber).join(' ');
+    facts.size = `${formatNumber(viewBox[2])}x${formatNumber(viewBox[3])}`;
+  }
+  const scale = viewBox ? STROKE_GRID / viewBox[2] : 1;
+
+  const colors = new Set();
+  const strokeWidths = [];
+  const inherited = new Map([[root, { stroke: undefined, strokeWidth: '1', coverage: false }]]);
+
+  walkElements(root, (element, parent) => {
+    const context = { ...(inherited.get(parent) || inherited.get(root)) };
+    if (COVERAGE_ELEMENTS.has(element.name)) context.coverage = true;
+
+    const declarations = parseStyleAttribute(element.attributes.style);
+    const paint = property => declarations[property] ?? element.attributes[property];
+
+    if (!context.coverage) {
+      PAINT_ATTRIBUTES
+        .map(paint)
+        .filter(value => value !== undefined && !NEUTRAL_PAINT.test(value.trim()))
+        .forEach(value => colors.add(value.trim()));
+    }
+    if (element.name === 'style') {
+      const css = element.children.map(child => child.value || '').join('');
+      for (const [, , value] of css.matchAll(CSS_PAINT_DECLARATION)) {
+        if (!NEUTRAL_PAINT.test(value.trim())) colors.add(value.trim());
+      }
+    }
+    if (element.name === 'image') {
+      facts.images++;
+    }
+
+    if (paint('stroke') !== undefined) context.stroke = paint('stroke').trim();
+    if (paint('stroke-width') !== undefined) context.strokeWidth = paint('stroke-width').trim();
+    if (STROKED_ELEMENTS.has(element.name) && !context.coverage && context.stroke && context.stroke !== 'none') {
+      const width = parseFloat(context.strokeWidth);
+      if (Number.isFinite(width) && width > 0) {
+        strokeWidths.push(formatNumber(width * scale));
+      }
+    }
+
+    inherited.set(element, context);
+  });
+
+  facts.colors = Array.from(colors);
+  const common = mostCommon(strokeWidths);
+  facts.strokeWidth = common ? common.value : null;
+  return facts;
+}
+
+/**
+ * What most icons of a category look like, for the consistency rules.
+ * @param {object[]} factsList - inspectSvg results
+ * @returns {{ size: object|null, strokeWidth: object|null }} Each { value, share }
+ */
+function buildBaseline(factsList) {
+  return {
+    size: mostCommon(factsList.map(facts => facts.size).filter(Boolean)),
+    strokeWidth: mostCommon(factsList.map(facts => facts.strokeWidth).filter(Boolean))
+  };
+}
+
+function describeShare(common, category) {
+  return `${Math.round(common.share * 100)}% of "${category}"`;
+}
+
+/**
+ * Run every enabled rule on one icon.
+ * @returns {Array<{ rule, severity, message }>}
+ */
+function lintFacts(facts, rules, baseline, category) {
+  const findings = [];
+  const report = (rule, message) => {
+    if (rules[rule].severity !== 'off') {
+      findings.push({ rule, severity: rules[rule].severity, message });
+    }
+  };
+
+  if (facts.error) {
+    return [{ rule: 'parse', severity: 'error', message: `unparsable SVG: ${facts.error}` }];
+  }
+
+  if (!facts.viewBox) {
+    report('missing-viewbox', 'no viewBox on the root <svg>');
+  } else {
+    const expected = rules['viewbox-consistency'].options.expected;
+    if (expected) {
+      const expectedSize = String(expected).replace(/^0 0 /, '').replace(/\s+/, 'x');
+      if (facts.size !== expectedSize) {
+        report('viewbox-consistency', `viewBox "${facts.viewBox}" is not ${expectedSize}`);
+      }
+    } else if (baseline.size && facts.size !== baseline.size.value) {
+      report('viewbox-consistency', `viewBox "${facts.viewBox}" differs from the ${baseline.size.value} used by ${describeShare(baseline.size, category)}`);
+    }
+  }
+
+  const allowed = new Set((rules['hardcoded-color'].options.allow || []).map(color => color.toLowerCase()));
+  const colors = facts.colors.filter(color => !allowed.has(color.toLowerCase()));
+  if (colors.length > 0) {
+    report('hardcoded-color', `hard-coded color${colors.length > 1 ? 's' : ''} ${colors.join(', ')} (use currentColor)`);
+  }
+
+  if (facts.strokeWidth) {
+    const expected = rules['stroke-width-consistency'].options.expected;
+    if (expected !== null && expected !== undefined) {
+      if (facts.strokeWidth !== formatNumber(Number(expected))) {
+        report('stroke-width-consistency', `stroke width ${facts.strokeWidth} (on a ${STROKE_GRID}px grid) is not ${expected}`);
+      }
+    } else if (baseline.strokeWidth && facts.strokeWidth !== baseline.strokeWidth.value) {
+      report('stroke-width-consistency', `stroke width ${facts.strokeWidth} (on a ${STROKE_GRID}px grid) differs from the ${baseline.strokeWidth.value} used by ${describeShare(baseline.strokeWidth, category)}`);
+    }
+  }
+
+  if (facts.images > 0) {
+    report('raster-image', `${facts.images} embedded <image> element${facts.images > 1 ? 's' : ''}`);
+  }
+
+  const maxBytes = rules['oversized-file'].options.maxBytes;
+  if (facts.bytes > maxBytes) {
+    report('oversized-file', `${facts.bytes} bytes (limit ${maxBytes})`);
+  }
+
+  return findings;
+}
+
+/**
+ * Lint icons category by category.
+ *
+ * @param {object[]} icons - Icon records ({ id, category, svgContent }) to report on
+ * @param {object} config - Result of loadLintConfig
+ * @param {object} [options]
+ * @param {object[]} [options.context] - Further icons of the same categories
+ *   (e.g. the existing ones when linting new icons); they shape the
+ *   consistency baseline but are not reported on
+ * @returns {Array<{ id, category, rule, severity, message }>}
+ */
+function lintIcons(icons, config, { context = [] } = {}) {
+  const byCategory = new Map();
+  const group = category => {
+    if (!byCategory.has(category)) byCategory.set(category, { icons: [], facts: [] });
+    return byCategory.get(category);
+  };
+
+  for (const icon of context) {
+    group(icon.category).facts.push(inspectSvg(icon.svgContent));
+  }
+  for (const icon of icons) {
+    const facts = inspectSvg(icon.svgContent);
+    const entry = group(icon.category);
+    entry.icons.push({ icon, facts });
+    entry.facts.push(facts);
+  }
+
+  const findings = [];
+  for (const [category, entry] of byCategory) {
+    if (entry.icons.length === 0) continue;
+    const rules = resolveLintRules(config, category);
+    const baseline = buildBaseline(entry.facts);
+    for (const { icon, facts } of entry.icons) {
+      lintFacts(facts, rules, baseline, category).forEach(finding => {
+        findings.push({ id: icon.id, category, ...finding });
+      });
+    }
+  }
+  return findings;
+}
+
+module.exports = {
+  SEVERITIES,
+  LINT_RULES,
+  normalizeLintConfig,
+  resolveLintRules,
+  inspectSvg,
+  buildBaseline,
+  lintIcons
+};
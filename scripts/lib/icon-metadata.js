@@ -0,0 +1,152 @@
+/**
+ * IconBoard - Icon Metadata Sidecars
+ * Optional per-icon and per-category metadata files read at ingestion.
+ *
+ *   <category>/delete.svg
+ *   <category>/delete.meta.json   { "tags": ["trash"], "aliases": ["remove"] }
+ *   <category>/_meta.json         { "*": { "author": "..." }, "delete": { ... } }
+ *
+ * The "*" entry in _meta.json applies to every icon in the folder; entries
+ * keyed by icon name override it, and a .meta.json sidecar overrides both.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATEGORY_METADATA_FILE = '_meta.json';
+const SIDECAR_SUFFIX = '.meta.json';
+
+const FIELDS = {
+  tags: 'string[]',
+  aliases: 'string[]',
+  description: 'string',
+  author: 'string',
+  deprecated: 'boolean',
+  collection: 'string'
+};
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid metadata file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Check a metadata object against the supported fields.
+ * @returns {object} A copy containing only known fields
+ * @throws {Error} On unknown fields or wrong types
+ */
+function validateMetadata(metadata, source) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error(`${source}: metadata must be an object`);
+  }
+
+  const result = {};
+  for (const [field, value] of Object.entries(metadata)) {
+    const type = FIELDS[field];
+    if (!type) {
+      throw new Error(`${source}: unknown metadata field "${field}" (expected ${Object.keys(FIELDS).join(', ')})`);
+    }
+
+    const valid = type === 'string[]'
+      ? Array.isArray(value) && value.every(item => typeof item === 'string')
+      : typeof value === type;
+    if (!valid) {
+      throw new Error(`${source}: "${field}" must be ${type === 'string[]' ? 'an array of strings' : `a ${type}`}`);
+    }
+
+    result[field] = value;
+  }
+  return result;
+}
+
+/**
+ * Load _meta.json for a category folder.
+ * @returns {object} icon name (or "*") -> validated metadata
+ */
+function loadCategoryMetadata(categoryPath) {
+  const metaPath = path.join(categoryPath, CATEGORY_METADATA_FILE);
+  if (!fs.existsSync(metaPath)) {
+    return {};
+  }
+
+  const entries = readJson(metaPath);
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error(`${metaPath}: expected an object keyed by icon name`);
+  }
+
+  const result = {};
+  for (const [iconName, metadata] of Object.entries(entries)) {
+    result[iconName] = validateMetadata(metadata, `${metaPath} [${iconName}]`);
+  }
+  return result;
+}
+
+/**
+ * Resolve the metadata for one icon from its category entries and sidecar.
+ * @param {object} categoryMetadata - Result of loadCategoryMetadata
+ * @param {string} svgPath - Path to the icon's SVG file
+ */
+function loadIconMetadata(categoryMetadata, svgPath) {
+  const iconName = path.basename(svgPath, path.extname(svgPath));
+  const sidecarPath = path.join(path.dirname(svgPath), `${iconName}${SIDECAR_SUFFIX}`);
+  const sidecar = fs.existsSync(sidecarPath)
+    ? validateMetadata(readJson(sidecarPath), sidecarPath)
+    : {};
+
+  return {
+    ...(categoryMetadata['*'] || {}),
+    ...(categoryMetadata[iconName] || {}),
+    ...sidecar
+  };
+}
+
+/** Tags every icon gets from its category and name. */
+function defaultTags(category, name) {
+  return [category.toLowerCase(), name.replace(/-/g, ' ').replace(/_/g, ' ')];
+}
+
+function uniqueLowercase(values) {
+  return Array.from(new Set(values.map(value => value.trim().toLowerCase()).filter(Boolean)));
+}
+
+/**
+ * Merge resolved metadata into an icon record. Optional fields are only
+ * written when set so chunk records stay small.
+ */
+function applyIconMetadata(icon, metadata) {
+  const merged = {
+    ...icon,
+    tags: uniqueLowercase([...(icon.tags || []), ...(metadata.tags || [])])
+  };
+
+  if (metadata.aliases && metadata.aliases.length > 0) {
+    merged.aliases = uniqueLowercase(metadata.aliases);
+  }
+  if (metadata.description) {
+    merged.description = metadata.description.trim();
+  }
+  if (metadata.author) {
+    merged.author = metadata.author.trim();
+  }
+  if (metadata.deprecated) {
+    merged.deprecated = true;
+  }
+  if (metadata.collection) {
+    merged.collection = metadata.collection.trim();
+  }
+
+  return merged;
+}
+
+module.exports = {
+  CATEGORY_METADATA_FILE,
+  SIDECAR_SUFFIX,
+  validateMetadata,
+  defaultTags,
+  loadCategoryMetadata,
+  loadIconMetadata,
+  applyIconMetadata
+};
@@ -0,0 +1,78 @@
+/**
+ * IconBoard - Icon Processor
+ * Turn one source SVG into an icon record: read, sanitize, optimize with
+ * the category's settings and merge sidecar metadata. Runs inside the
+ * generate-icons-data worker threads (see icon-worker.js), so it only
+ * takes and returns plain data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sanitizeSvg } = require('./svg-sanitizer');
+const { resolveOptimizerOptions, optimizeSvg } = require('./svg-optimizer');
+const { loadCategoryMetadata, loadIconMetadata, applyIconMetadata } = require('./icon-metadata');
+const { formatIconId } = require('./config');
+
+/**
+ * Create a processor for one pipeline config. _meta.json files are read
+ * once per category folder.
+ *
+ * @param {object} config - Loaded pipeline config
+ * @returns {function(string): object} svgFile -> one of
+ *   { status: 'rejected', category, fileName, reason }
+ *   { status: 'failed', error }
+ *   { status: 'processed', icon, changes, originalBytes, optimizedBytes,
+ *     originalJsonBytes }  (icon without its collection resolved)
+ */
+function createIconProcessor(config) {
+  const categoryMetadataCache = new Map();
+  const getCategoryMetadata = dir => {
+    if (!categoryMetadataCache.has(dir)) {
+      categoryMetadataCache.set(dir, loadCategoryMetadata(dir));
+    }
+    return categoryMetadataCache.get(dir);
+  };
+
+  return function processIconFile(svgFile) {
+    try {
+      // Category from the parent directory
+      const category = path.basename(path.dirname(svgFile)).toLowerCase();
+      const fileName = path.basename(svgFile);
+      const iconName = path.basename(svgFile, '.svg');
+
+      const rawSvgContent = fs.readFileSync(svgFile, 'utf-8');
+      const result = sanitizeSvg(rawSvgContent, config.sanitizer);
+      if (!result.accepted) {
+        return { status: 'rejected', category, fileName, reason: result.reason };
+      }
+
+      const optimized = optimizeSvg(result.svgContent, resolveOptimizerOptions(config.optimizer, category));
+      const metadata = loadIconMetadata(getCategoryMetadata(path.dirname(svgFile)), svgFile);
+      const icon = applyIconMetadata({
+        id: formatIconId(config, category, iconName),
+        name: iconName,
+        category,
+        filename: fileName,
+        svgContent: optimized.svgContent,
+        tags: [category, iconName.replace(/-/g, ' ').replace(/_/g, ' ')],
+        downloads: 0,
+        featured: false
+      }, metadata);
+
+      return {
+        status: 'processed',
+        icon,
+        changes: result.changes,
+        originalBytes: Buffer.byteLength(rawSvgContent, 'utf-8'),
+        optimizedBytes: optimized.after,
+        originalJsonBytes: Buffer.byteLength(JSON.stringify(rawSvgContent), 'utf-8')
+      };
+    } catch (error) {
+      return { status: 'failed', error: error.message };
+    }
+  };
+}
+
+module.exports = {
+  createIconProcessor
+};
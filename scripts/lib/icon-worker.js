@@ -0,0 +1,13 @@
+/**
+ * IconBoard - Icon Worker
+ * Worker thread entry for generate-icons-data: processes the SVG file
+ * paths it is sent with the config it was started with (workerData).
+ */
+
+const { workerData } = require('worker_threads');
+const { serveTasks } = require('./worker-pool');
+const { createIconProcessor } = require('./icon-processor');
+
+const processIconFile = createIconProcessor(workerData.config);
+
+serveTasks(svgFile => processIconFile(svgFile));
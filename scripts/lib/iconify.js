@@ -0,0 +1,368 @@
+/**
+ * IconBoard - Iconify JSON
+ * Read icon sets in the Iconify JSON collection format:
+ *
+ *   {
+ *     "prefix": "mdi",
+ *     "width": 24, "height": 24,              defaults for every icon (16 if unset)
+ *     "icons": {
+ *       "home": { "body": "<path d=\"...\"/>", "width": 20, "hidden": false }
+ *     },
+ *     "aliases": {
+ *       "house": { "parent": "home" },          another name for the same icon
+ *       "home-flipped": { "parent": "home", "hFlip": true }
+ *     },
+ *     "categories": { "Buildings": ["home"] },
+ *     "info": { "name": "...", "author": { "name": "..." }, "license": { "spdx": "..." } }
+ *   }
+ *
+ * Icons and aliases may set left, top, width, height, rotate (quarter
+ * turns), hFlip and vFlip. Plain aliases become alias names on their icon;
+ * aliases that change the geometry become icons of their own.
+ *
+ * Exported collections use the same format, plus a "tags" object (icon
+ * name -> tags) that Iconify tools ignore.
+ */
+
+const { parseSvg, stringifySvg, getRootElement } = require('./svg-parser');
+
+const DEFAULT_BOX = { left: 0, top: 0, width: 16, height: 16 };
+const DIMENSIONS = ['left', 'top', 'width', 'height'];
+const TRANSFORMS = ['rotate', 'hFlip', 'vFlip'];
+
+// Root attributes that describe the document, not how the body is painted
+const DOCUMENT_ATTRIBUTES = new Set(['viewBox', 'width', 'height', 'version', 'x', 'y', 'id', 'class', 'style', 'preserveAspectRatio']);
+
+function formatNumber(value) {
+  return String(Math.round(value * 1e5) / 1e5);
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkProps(entry, source) {
+  for (const field of [...DIMENSIONS, 'rotate']) {
+    if (entry[field] !== undefined && !Number.isFinite(entry[field])) {
+      throw new Error(`${source}: "${field}" must be a number`);
+    }
+  }
+  for (const field of ['hFlip', 'vFlip', 'hidden']) {
+    if (entry[field] !== undefined && typeof entry[field] !== 'boolean') {
+      throw new Error(`${source}: "${field}" must be a boolean`);
+    }
+  }
+}
+
+/**
+ * Check the parts of a collection the importer relies on.
+ * @throws {Error} On a missing prefix or icons, or malformed entries
+ */
+function validateIconifyCollection(data, source) {
+  if (!isObject(data)) {
+    throw new Error(`${source}: an Iconify collection must be a JSON object`);
+  }
+  if (typeof data.prefix !== 'string' || !/^[a-z0-9-]+$/.test(data.prefix)) {
+    throw new Error(`${source}: "prefix" must be lowercase letters, digits and "-"`);
+  }
+  if (!isObject(data.icons)) {
+    throw new Error(`${source}: "icons" must be an object`);
+  }
+  checkProps(data, source);
+
+  for (const [name, icon] of Object.entries(data.icons)) {
+    if (!isObject(icon) || typeof icon.body !== 'string') {
+      throw new Error(`${source}: icon "${name}" needs a "body" string`);
+    }
+    checkProps(icon, `${source} [${name}]`);
+  }
+
+  for (const [name, alias] of Object.entries(data.aliases || {})) {
+    if (!isObject(alias) || typeof alias.parent !== 'string') {
+      throw new Error(`${source}: alias "${name}" needs a "parent" string`);
+    }
+    checkProps(alias, `${source} [${name}]`);
+  }
+}
+
+/**
+ * Build standalone SVG markup for an icon body, applying Iconify's
+ * rotation and flips the way Iconify renders them.
+ * @param {string} body - Inner markup
+ * @param {object} props - { left, top, width, height, rotate, hFlip, vFlip }
+ */
+function buildSvg(body, props) {
+  const box = {
+    left: props.left ?? DEFAULT_BOX.left,
+    top: props.top ?? DEFAULT_BOX.top,
+    width: props.width ?? DEFAULT_BOX.width,
+    height: props.height ?? DEFAULT_BOX.height
+  };
+  const transforms = [];
+  let rotation = props.rotate || 0;
+
+  if (props.hFlip) {
+    if (props.vFlip) {
+      rotation += 2;
+    } else {
+      transforms.push(`translate(${formatNumber(box.width + box.left)} ${formatNumber(-box.top)})`, 'scale(-1 1)');
+      box.top = box.left = 0;
+    }
+  } else if (props.vFlip) {
+    transforms.push(`translate(${formatNumber(-box.left)} ${formatNumber(box.height + box.top)})`, 'scale(1 -1)');
+    box.top = box.left = 0;
+  }
+
+  rotation = ((rotation % 4) + 4) % 4;
+  if (rotation === 1) {
+    const center = formatNumber(box.height / 2 + box.top);
+    transforms.unshift(`rotate(90 ${center} ${center})`);
+  } else if (rotation === 2) {
+    transforms.unshift(`rotate(180 ${formatNumber(box.width / 2 + box.left)} ${formatNumber(box.height / 2 + box.top)})`);
+  } else if (rotation === 3) {
+    const center = formatNumber(box.width / 2 + box.left);
+    transforms.unshift(`rotate(-90 ${center} ${center})`);
+  }
+
+  if (rotation % 2 === 1) {
+    [box.left, box.top] = [box.top, box.left];
+    [box.width, box.height] = [box.height, box.width];
+  }
+
+  const content = transforms.length > 0 ? `<g transform="${transforms.join(' ')}">${body}</g>` : body;
+  const viewBox = [box.left, box.top, box.width, box.height].map(formatNumber).join(' ');
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}">${content}</svg>`;
+}
+
+// Layer alias props over their parent's: dimensions replace, turns add up, flips toggle
+function mergeProps(parent, child) {
+  const merged = { ...parent };
+  DIMENSIONS.filter(field => child[field] !== undefined).forEach(field => { merged[field] = child[field]; });
+  if (child.rotate) merged.rotate = (merged.rotate || 0) + child.rotate;
+  if (child.hFlip) merged.hFlip = !merged.hFlip;
+  if (child.vFlip) merged.vFlip = !merged.vFlip;
+  return merged;
+}
+
+function changesGeometry(alias) {
+  return [...DIMENSIONS, ...TRANSFORMS].some(field => alias[field] !== undefined);
+}
+
+/**
+ * Expand a collection into one entry per icon to import.
+ *
+ * @param {object} data - Parsed Iconify JSON
+ * @param {string} source - File name for error messages
+ * @returns {{ prefix: string, info: object|null, icons: Array<{ name, svg, aliases, categories, tags }>,
+ *   hidden: number, brokenAliases: string[] }}
+ *   hidden counts icons and aliases marked hidden (kept upstream for old
+ *   names only); brokenAliases lists aliases whose parent does not exist
+ */
+function expandIconifyCollection(data, source) {
+  validateIconifyCollection(data, source);
+
+  const defaults = {};
+  DIMENSIONS.filter(field => data[field] !== undefined).forEach(field => { defaults[field] = data[field]; });
+  const aliases = data.aliases || {};
+
+  const categoriesByIcon = new Map();
+  for (const [category, names] of Object.entries(isObject(data.categories) ? data.categories : {})) {
+    (Array.isArray(names) ? names : []).forEach(name => {
+      if (!categoriesByIcon.has(name)) categoriesByIcon.set(name, []);
+      categoriesByIcon.get(name).push(category);
+    });
+  }
+
+  // Tags written by our own exporter
+  const tagsFor = name => (isObject(data.tags) && Array.isArray(data.tags[name]) ? data.tags[name].filter(tag => typeof tag === 'string') : []);
+
+  const entries = new Map();
+  let hidden = 0;
+  for (const [name, icon] of Object.entries(data.icons)) {
+    if (icon.hidden) {
+      hidden++;
+      continue;
+    }
+    entries.set(name, {
+      name,
+      svg: buildSvg(icon.body, mergeProps(defaults, icon)),
+      aliases: [],
+      categories: categoriesByIcon.get(name) || [],
+      tags: tagsFor(name)
+    });
+  }
+
+  // Follow an alias to its icon: { root, props, geometry } or null when broken
+  const resolve = (name, seen = new Set()) => {
+    if (seen.has(name)) return null;
+    seen.add(name);
+    if (data.icons[name]) {
+      return { root: name, props: mergeProps(defaults, data.icons[name]), geometry: false };
+    }
+    const alias = aliases[name];
+    const parent = alias && resolve(alias.parent, seen);
+    return parent && {
+      root: parent.root,
+      props: mergeProps(parent.props, alias),
+      geometry: parent.geometry || changesGeometry(alias)
+    };
+  };
+
+  const brokenAliases = [];
+  for (const [name, alias] of Object.entries(aliases)) {
+    const resolved = resolve(name);
+    if (!resolved) {
+      brokenAliases.push(name);
+    } else if (alias.hidden) {
+      hidden++;
+    } else if (resolved.geometry) {
+      entries.set(name, {
+        name,
+        svg: buildSvg(data.icons[resolved.root].body, resolved.props),
+        aliases: [],
+        categories: categoriesByIcon.get(name) || categoriesByIcon.get(resolved.root) || [],
+        tags: tagsFor(name),
+        variantOf: resolved.root
+      });
+    } else if (entries.has(resolved.root)) {
+      entries.get(resolved.root).aliases.push(name);
+    }
+  }
+
+  return {
+    prefix: data.prefix,
+    info: isObject(data.info) ? data.info : null,
+    icons: Array.from(entries.values()),
+    hidden,
+    brokenAliases
+  };
+}
+
+/**
+ * Turn any text into an Iconify name: lowercase letters and digits in
+ * "-"-separated groups.
+ */
+function toIconifyName(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'icon';
+}
+
+/**
+ * Split standalone SVG markup into an Iconify body and box. Presentation
+ * attributes on the root <svg> (fill, stroke, ...) move to a wrapping <g>.
+ * @returns {{ body, left, top, width, height }|null} null without a viewBox
+ *   or numeric width and height
+ * @throws {SvgParseError} On malformed markup
+ */
+function svgToIconifyIcon(svgContent) {
+  const root = getRootElement(parseSvg(svgContent));
+  if (!root || root.name !== 'svg') {
+    return null;
+  }
+
+  const viewBox = String(root.attributes.viewBox || '').trim().split(/[\s,]+/).map(Number);
+  let box;
+  if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+    box = { left: viewBox[0], top: viewBox[1], width: viewBox[2], height: viewBox[3] };
+  } else {
+    const width = parseFloat(root.attributes.width);
+    const height = parseFloat(root.attributes.height);
+    if (!(width > 0 && height > 0)) return null;
+    box = { left: 0, top: 0, width, height };
+  }
+
+  const paint = Object.entries(root.attributes)
+    .filter(([name]) => !DOCUMENT_ATTRIBUTES.has(name) && name !== 'xmlns' && !name.startsWith('xmlns:'));
+  const children = root.children.filter(child => child.type === 'element' || (child.type === 'text' && child.value.trim()));
+  const inner = children.map(stringifySvg).join('');
+  const body = paint.length > 0 && inner
+    ? stringifySvg({ type: 'element', name: 'g', attributes: Object.fromEntries(paint), children })
+    : inner;
+
+  return { body, ...box };
+}
+
+/**
+ * Build an Iconify collection.
+ *
+ * @param {object} options
+ * @param {string} options.prefix
+ * @param {object} [options.info] - Iconify "info" block
+ * @param {Array<{ name, svgContent, aliases?, tags?, category?, hidden? }>} options.icons
+ *   Names must already be unique Iconify names
+ * @returns {{ collection: object, skipped: string[] }} skipped lists icons
+ *   whose markup has no usable size or does not parse
+ */
+function buildIconifyCollection({ prefix, info, icons }) {
+  const converted = [];
+  const skipped = [];
+  for (const icon of icons) {
+    let result = null;
+    try {
+      result = svgToIconifyIcon(icon.svgContent);
+    } catch (error) {
+      result = null;
+    }
+    if (result) {
+      converted.push({ icon, ...result });
+    } else {
+      skipped.push(icon.name);
+    }
+  }
+
+  // The most common size becomes the collection default
+  const sizes = new Map();
+  converted.forEach(({ width, height }) => {
+    const key = `${width} ${height}`;
+    sizes.set(key, (sizes.get(key) || 0) + 1);
+  });
+  const [defaultWidth, defaultHeight] = ([...sizes].sort((a, b) => b[1] - a[1])[0] || ['16 16'])[0].split(' ').map(Number);
+
+  const collection = { prefix };
+  if (info) collection.info = { ...info, total: converted.filter(entry => !entry.icon.hidden).length };
+  collection.width = defaultWidth;
+  collection.height = defaultHeight;
+  collection.icons = {};
+  collection.aliases = {};
+  collection.categories = {};
+  collection.tags = {};
+
+  const taken = new Set(converted.map(entry => entry.icon.name));
+  for (const { icon, body, left, top, width, height } of converted) {
+    const entry = { body };
+    if (left !== 0) entry.left = left;
+    if (top !== 0) entry.top = top;
+    if (width !== defaultWidth) entry.width = width;
+    if (height !== defaultHeight) entry.height = height;
+    if (icon.hidden) entry.hidden = true;
+    collection.icons[icon.name] = entry;
+
+    for (const alias of (icon.aliases || []).map(toIconifyName)) {
+      if (!taken.has(alias)) {
+        collection.aliases[alias] = { parent: icon.name };
+        taken.add(alias);
+      }
+    }
+    if (icon.category) {
+      if (!collection.categories[icon.category]) collection.categories[icon.category] = [];
+      collection.categories[icon.category].push(icon.name);
+    }
+    if (icon.tags && icon.tags.length > 0) {
+      collection.tags[icon.name] = icon.tags;
+    }
+  }
+
+  for (const field of ['aliases', 'categories', 'tags']) {
+    if (Object.keys(collection[field]).length === 0) delete collection[field];
+  }
+  return { collection, skipped };
+}
+
+module.exports = {
+  DEFAULT_BOX,
+  validateIconifyCollection,
+  buildSvg,
+  expandIconifyCollection,
+  toIconifyName,
+  svgToIconifyIcon,
+  buildIconifyCollection
+};
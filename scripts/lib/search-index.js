@@ -0,0 +1,112 @@
+/**
+ * IconBoard - Search Index Artifact
+ * Builds public/search-index.json: every icon's searchable fields and chunk
+ * number, without SVG bodies, so the client can search the whole library
+ * after one small download.
+ *
+ *   {
+ *     "format": 1,
+ *     "total_icons": 13160,
+ *     "id_scheme": "{category}_{name}",
+ *     "categories": ["radix", ...],
+ *     "category_collections": ["radix-icons", ...],
+ *     "icons": [[name, categoryIndex, chunkNumber, extraTags?, extra?], ...]
+ *   }
+ *
+ * To keep the file small, the generated tags (category and name words) are
+ * left out of extraTags and rebuilt by the client, and `extra` only appears
+ * when the icon has an id that does not follow id_scheme (ids.scheme in
+ * iconboard.config.js) or a filename other than <name>.svg,
+ * belongs to another collection than most of its category, or carries
+ * aliases, a description, an author or the deprecated flag.
+ */
+
+const path = require('path');
+const { defaultTags } = require('./icon-metadata');
+const { DEFAULT_CONFIG, formatIconId } = require('./config');
+
+const SEARCH_INDEX_FILE = 'search-index.json';
+const FORMAT_VERSION = 1;
+
+function compactIcon(config, icon, categoryIndex, chunkNumber, categoryCollection) {
+  const generated = defaultTags(icon.category, icon.name);
+  const extraTags = (icon.tags || []).filter(tag => !generated.includes(tag));
+
+  const extra = {};
+  if (icon.id !== formatIconId(config, icon.category, icon.name)) extra.id = icon.id;
+  if (icon.filename !== `${icon.name}.svg`) extra.filename = icon.filename;
+  if (icon.aliases && icon.aliases.length > 0) extra.aliases = icon.aliases;
+  if (icon.description) extra.description = icon.description;
+  if (icon.author) extra.author = icon.author;
+  if (icon.deprecated) extra.deprecated = true;
+  if ((icon.collection || null) !== categoryCollection) extra.collection = icon.collection || null;
+
+  const row = [icon.name, categoryIndex, chunkNumber];
+  if (extraTags.length > 0 || Object.keys(extra).length > 0) row.push(extraTags);
+  if (Object.keys(extra).length > 0) row.push(extra);
+  return row;
+}
+
+/**
+ * @param {object|null} config - Pipeline config, for the icon ID scheme
+ * @param {object} chunksIndex - Parsed chunks-index.json
+ * @param {function(number): object[]} readChunk - Icons of a chunk by number
+ * @returns {string} Serialized search index
+ */
+function buildSearchIndex(config, chunksIndex, readChunk) {
+  const categories = [];
+  const categoryIndexes = new Map();
+  const collectionCounts = [];
+  const entries = [];
+
+  for (const info of chunksIndex.chunks) {
+    for (const icon of readChunk(info.chunk_number)) {
+      if (!categoryIndexes.has(icon.category)) {
+        categoryIndexes.set(icon.category, categories.length);
+        categories.push(icon.category);
+        collectionCounts.push(new Map());
+      }
+      const categoryIndex = categoryIndexes.get(icon.category);
+      const counts = collectionCounts[categoryIndex];
+      counts.set(icon.collection || null, (counts.get(icon.collection || null) || 0) + 1);
+      entries.push([icon, categoryIndex, info.chunk_number]);
+    }
+  }
+
+  // Each category's most common collection; other icons name theirs
+  const categoryCollections = collectionCounts.map(counts =>
+    Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0][0]);
+
+  return JSON.stringify({
+    format: FORMAT_VERSION,
+    total_icons: entries.length,
+    id_scheme: (config && config.ids.scheme) || DEFAULT_CONFIG.ids.scheme,
+    categories,
+    category_collections: categoryCollections,
+    icons: entries.map(([icon, categoryIndex, chunkNumber]) =>
+      compactIcon(config, icon, categoryIndex, chunkNumber, categoryCollections[categoryIndex]))
+  });
+}
+
+/**
+ * Stage search-index.json for the chunk set as it will be after commit.
+ * @param {object|null} config - Pipeline config
+ * @param {Transaction} transaction
+ * @param {function(number): object[]} [readChunk] - Icons of a chunk as
+ *   staged, when the caller already holds them (read through the
+ *   transaction otherwise)
+ */
+function stageSearchIndex(config, publicDir, transaction, chunksIndex, readChunk = null) {
+  const content = buildSearchIndex(config, chunksIndex, readChunk || (chunkNumber => {
+    const info = chunksIndex.chunks.find(chunk => chunk.chunk_number === chunkNumber);
+    return JSON.parse(transaction.readFile(path.join(publicDir, info.filename)));
+  }));
+  transaction.writeFile(path.join(publicDir, SEARCH_INDEX_FILE), content);
+  return content;
+}
+
+module.exports = {
+  SEARCH_INDEX_FILE,
+  buildSearchIndex,
+  stageSearchIndex
+};
@@ -0,0 +1,390 @@
+/**
+ * IconBoard - Storage Targets
+ * Places sync-storage can publish the data to. Every target offers the same
+ * four calls, with keys relative to the configured prefix:
+ *
+ *   list()                      Map of key -> MD5 hex of the stored content
+ *                               (null when the target cannot tell)
+ *   put(key, body, headers)     headers: { contentType, cacheControl, maxAge }
+ *   remove(key)
+ *   describe()                  One line for the log
+ *
+ * and a publicUrl (the REACT_APP_STATIC_BASE to use) when one is known.
+ * A target that cannot store headers.cacheControl as given also offers
+ * cacheControl(headers), the header it will serve instead, and a
+ * cacheControlNote saying why.
+ *
+ *   local     Mirror into a folder, e.g. one served by a CDN origin
+ *   s3        Any S3-compatible API (AWS, R2, MinIO, ...), signed with
+ *             Signature Version 4. Credentials: S3_ACCESS_KEY_ID and
+ *             S3_SECRET_ACCESS_KEY, or the AWS_* equivalents (and
+ *             AWS_SESSION_TOKEN). With an endpoint, requests use path-style
+ *             URLs (<endpoint>/<bucket>/<key>), so plain http stand-in
+ *             servers work too.
+ *   supabase  Supabase Storage. Credentials: SUPABASE_PROJECT_ID and
+ *             SUPABASE_SERVICE_ROLE_KEY (or SUPABASE_ANON_KEY when the
+ *             bucket's policies allow writes). Uploads only take a max-age,
+ *             so hashed files are served without "immutable"; put a CDN
+ *             in front that adds it if revalidation matters.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORAGE_TARGETS = ['local', 's3', 'supabase'];
+
+function md5(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+function joinKey(prefix, key) {
+  return prefix ? `${prefix}/${key}` : key;
+}
+
+// "prefix/a/b.json" -> "a/b.json"; null for keys outside the prefix
+function stripPrefix(prefix, key) {
+  if (!prefix) return key;
+  return key.startsWith(`${prefix}/`) ? key.slice(prefix.length + 1) : null;
+}
+
+// Run fn over items with at most `limit` calls in flight
+async function forEachLimit(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+class LocalTarget {
+  constructor(settings, prefix) {
+    this.root = path.join(settings.dir, prefix);
+    this.publicUrl = null;
+  }
+
+  describe() {
+    return `local folder ${this.root}`;
+  }
+
+  async list() {
+    const files = new Map();
+    const walk = (dir, relative) => {
+      if (!fs.existsSync(dir)) return;
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const key = relative ? `${relative}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          walk(path.join(dir, entry.name), key);
+        } else if (entry.isFile()) {
+          files.set(key, md5(fs.readFileSync(path.join(dir, entry.name))));
+        }
+      }
+    };
+    walk(this.root, '');
+    return files;
+  }
+
+  async put(key, body) {
+    const filePath = path.join(this.root, key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, body);
+  }
+
+  async remove(key) {
+    fs.rmSync(path.join(this.root, key), { force: true });
+  }
+}
+
+// RFC 3986 encoding as Signature Version 4 expects it
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function hmac(key, content) {
+  return crypto.createHmac('sha256', key).update(content).digest();
+}
+
+/**
+ * Signature Version 4 headers for an S3 request.
+ *
+ * @param {object} request - { method, host, path (already encoded),
+ *   query: { name: value }, headers: { name: value }, payloadHash }
+ * @param {object} credentials - { accessKeyId, secretAccessKey, sessionToken }
+ * @param {string} region
+ * @param {Date} [now]
+ * @returns {object} The request's headers plus x-amz-* and Authorization
+ */
+function signS3Request(request, credentials, region, now = new Date()) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const headers = {
+    ...request.headers,
+    host: request.host,
+    'x-amz-content-sha256': request.payloadHash,
+    'x-amz-date': amzDate
+  };
+  if (credentials.sessionToken) {
+    headers['x-amz-security-token'] = credentials.sessionToken;
+  }
+
+  const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = names.map(name => `${name}:${String(lowerCased[name]).trim().replace(/\s+/g, ' ')}\n`).join('');
+  const signedHeaders = names.join(';');
+  const canonicalQuery = Object.entries(request.query || {})
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    request.method,
+    request.path,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    request.payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${credentials.secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  delete headers.host;
+  headers.Authorization = `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  return headers;
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Single-part uploads have the content's MD5 as their ETag
+function etagToMd5(etag) {
+  const value = (etag || '').replace(/"/g, '').toLowerCase();
+  return /^[0-9a-f]{32}$/.test(value) ? value : null;
+}
+
+class S3Target {
+  constructor(settings, prefix, env = process.env) {
+    if (!settings.bucket) {
+      throw new Error('storage.s3.bucket is not set');
+    }
+    const accessKeyId = env.S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID;
+    const secretAccessKey = env.S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY;
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error('S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY (or AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY) environment variables are required');
+    }
+
+    this.bucket = settings.bucket;
+    this.region = settings.region;
+    this.prefix = prefix;
+    this.credentials = { accessKeyId, secretAccessKey, sessionToken: env.AWS_SESSION_TOKEN };
+
+    if (settings.endpoint) {
+      this.origin = settings.endpoint.replace(/\/+$/, '');
+      this.basePath = `/${encodeRfc3986(this.bucket)}`;
+    } else {
+      this.origin = `https://${this.bucket}.s3.${this.region}.amazonaws.com`;
+      this.basePath = '';
+    }
+    this.publicUrl = settings.publicUrl
+      ? settings.publicUrl.replace(/\/+$/, '')
+      : `${this.origin}${this.basePath}${prefix ? `/${prefix}` : ''}`;
+  }
+
+  describe() {
+    return `S3 bucket ${this.bucket} at ${this.origin}${this.prefix ? ` under ${this.prefix}/` : ''}`;
+  }
+
+  async request(method, key, { query = {}, body = null, headers = {} } = {}) {
+    const requestPath = key === null
+      ? `${this.basePath}/`
+      : `${this.basePath}/${key.split('/').map(encodeRfc3986).join('/')}`;
+    const payload = body === null ? '' : body;
+    const signed = signS3Request({
+      method,
+      host: new URL(this.origin).host,
+      path: requestPath,
+      query,
+      headers,
+      payloadHash: sha256(payload)
+    }, this.credentials, this.region);
+
+    const search = Object.entries(query).map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`).join('&');
+    const response = await fetch(`${this.origin}${requestPath}${search ? `?${search}` : ''}`, {
+      method,
+      headers: signed,
+      body: body === null ? undefined : body
+    });
+    const text = await response.text();
+    if (!response.ok) {
+      const detail = xmlValue(text, 'Code')
+        ? `${xmlValue(text, 'Code')}: ${xmlValue(text, 'Message')}`
+        : text.slice(0, 200) || response.statusText;
+      throw new Error(`S3 ${method} ${key === null ? this.bucket : key} failed (${response.status}) ${detail}`);
+    }
+    return { response, text };
+  }
+
+  async list() {
+    const files = new Map();
+    let continuationToken = null;
+    do {
+      const query = { 'list-type': '2' };
+      if (this.prefix) query.prefix = `${this.prefix}/`;
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const { text } = await this.request('GET', null, { query });
+      for (const [, entry] of text.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const key = stripPrefix(this.prefix, xmlValue(entry, 'Key'));
+        if (key) files.set(key, etagToMd5(xmlValue(entry, 'ETag')));
+      }
+      continuationToken = xmlValue(text, 'IsTruncated') === 'true' ? xmlValue(text, 'NextContinuationToken') : null;
+    } while (continuationToken);
+    return files;
+  }
+
+  async put(key, body, { contentType, cacheControl }) {
+    await this.request('PUT', joinKey(this.prefix, key), {
+      body,
+      headers: {
+        'Content-Type': contentType,
+        'Cache-Control': cacheControl,
+        'Content-MD5': crypto.createHash('md5').update(body).digest('base64')
+      }
+    });
+  }
+
+  async remove(key) {
+    await this.request('DELETE', joinKey(this.prefix, key));
+  }
+}
+
+class SupabaseTarget {
+  constructor(settings, prefix, env = process.env) {
+    const projectId = env.SUPABASE_PROJECT_ID;
+    const key = env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_ANON_KEY;
+    if (!projectId) {
+      throw new Error('SUPABASE_PROJECT_ID environment variable is required');
+    }
+    if (!key) {
+      throw new Error('SUPABASE_SERVICE_ROLE_KEY (or SUPABASE_ANON_KEY) environment variable is required');
+    }
+
+    let createClient;
+    try {
+      ({ createClient } = require('@supabase/supabase-js'));
+    } catch (error) {
+      throw new Error('The supabase target needs @supabase/supabase-js (npm install @supabase/supabase-js)');
+    }
+
+    this.bucket = settings.bucket;
+    this.prefix = prefix;
+    this.projectId = projectId;
+    const supabaseUrl = `https://${projectId}.supabase.co`;
+    this.storage = createClient(supabaseUrl, key).storage.from(this.bucket);
+    this.publicUrl = `${supabaseUrl}/storage/v1/object/public/${this.bucket}${prefix ? `/${prefix}` : ''}`;
+    this.cacheControlNote = 'Supabase Storage only stores a max-age, so hashed files are served without "immutable"';
+  }
+
+  // supabase-js sends cacheControl as "max-age=<value>"
+  cacheControl({ maxAge }) {
+    return `max-age=${maxAge}`;
+  }
+
+  describe() {
+    return `Supabase bucket ${this.bucket} in project ${this.projectId}${this.prefix ? ` under ${this.prefix}/` : ''}`;
+  }
+
+  async list() {
+    const files = new Map();
+    const walk = async folder => {
+      const pageSize = 1000;
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await this.storage.list(folder, { limit: pageSize, offset });
+        if (error) {
+          if (/not found|does not exist/i.test(error.message)) {
+            throw new Error(`Bucket "${this.bucket}" does not exist; create it as a public bucket at https://supabase.com/dashboard/project/${this.projectId}/storage/buckets`);
+          }
+          throw error;
+        }
+        for (const entry of data) {
+          const fullKey = folder ? `${folder}/${entry.name}` : entry.name;
+          if (entry.id === null) {
+            // Folders have no ID
+            await walk(fullKey);
+          } else {
+            const key = stripPrefix(this.prefix, fullKey);
+            if (key) files.set(key, etagToMd5(entry.metadata && entry.metadata.eTag));
+          }
+        }
+        if (data.length < pageSize) break;
+      }
+    };
+    await walk(this.prefix);
+    return files;
+  }
+
+  async put(key, body, { contentType, maxAge }) {
+    const { error } = await this.storage.upload(joinKey(this.prefix, key), body, {
+      contentType,
+      cacheControl: String(maxAge),
+      upsert: true
+    });
+    if (error) throw new Error(`Upload of ${key} failed: ${error.message}`);
+  }
+
+  async remove(key) {
+    const { error } = await this.storage.remove([joinKey(this.prefix, key)]);
+    if (error) throw new Error(`Removing ${key} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Create a target from the storage section of the config.
+ * @param {object} storage - config.storage, with any CLI overrides applied
+ */
+function createStorageTarget(storage) {
+  switch (storage.target) {
+    case 'local':
+      return new LocalTarget(storage.local, storage.prefix);
+    case 's3':
+      return new S3Target(storage.s3, storage.prefix);
+    case 'supabase':
+      return new SupabaseTarget(storage.supabase, storage.prefix);
+    default:
+      throw new Error(`Unknown storage target "${storage.target}" (expected ${STORAGE_TARGETS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  STORAGE_TARGETS,
+  md5,
+  forEachLimit,
+  signS3Request,
+  createStorageTarget
+};
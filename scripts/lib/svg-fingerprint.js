@@ -0,0 +1,519 @@
+/**
+ * IconBoard - SVG Geometry Fingerprints
+ * Normalized geometry signatures for duplicate detection.
+ *
+ * Every drawable element is converted to absolute path segments, transforms
+ * are applied and coordinates are mapped into a unit box derived from the
+ * viewBox, so the same glyph exported at another scale, precision, command
+ * style or attribute order yields the same result.
+ *
+ *   exact   Hash of the rounded, normalized segments plus the paint style
+ *           (filled/stroked, fill rule, relative stroke width). Colors are
+ *           ignored, so recolored copies count as exact duplicates.
+ *   cells   Grid cells touched by the sampled outline, compared with the
+ *           Jaccard index to find near-duplicates.
+ *   minhash MinHash of the cells, used to find candidate pairs without
+ *           comparing every icon with every other one.
+ */
+
+const crypto = require('crypto');
+const { parseSvg, getRootElement } = require('./svg-parser');
+const { parsePathData } = require('./svg-path');
+
+const GRID_SIZE = 32;
+const EXACT_PRECISION = 100; // coordinates rounded to 1/100 of the icon box
+const MINHASH_SIZE = 32;
+
+// Fixed seeds so signatures are stable across runs
+const MINHASH_SEEDS = Array.from({ length: MINHASH_SIZE }, (_, index) => Math.imul(index + 1, 0x9e3779b1) >>> 0);
+
+// 32-bit integer mix (murmur3 finalizer)
+function mixHash(value, seed) {
+  let hash = (value ^ seed) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// Containers whose content is not rendered directly
+const NON_RENDERED = new Set([
+  'defs', 'symbol', 'clipPath', 'mask', 'marker', 'pattern', 'title', 'desc', 'style',
+  'linearGradient', 'radialGradient', 'filter', 'metadata'
+]);
+
+const SHAPES = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon']);
+
+const STYLE_PROPERTIES = ['fill', 'stroke', 'stroke-width', 'fill-rule', 'display', 'visibility'];
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function number(value, fallback = 0) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+function apply(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+function parseTransform(value) {
+  let matrix = IDENTITY;
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = pattern.exec(value || ''))) {
+    const args = (match[2].match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+    let next = IDENTITY;
+
+    switch (match[1]) {
+      case 'matrix':
+        if (args.length === 6) next = args;
+        break;
+      case 'translate':
+        next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        next = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+        break;
+      case 'rotate': {
+        const angle = ((args[0] || 0) * Math.PI) / 180;
+        const [cx, cy] = [args[1] || 0, args[2] || 0];
+        next = multiply(
+          multiply([1, 0, 0, 1, cx, cy], [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]),
+          [1, 0, 0, 1, -cx, -cy]
+        );
+        break;
+      }
+      case 'skewX':
+        next = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        next = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+      default:
+        break;
+    }
+    matrix = multiply(matrix, next);
+  }
+
+  return matrix;
+}
+
+function parseStyleAttribute(style) {
+  const declarations = {};
+  for (const declaration of (style || '').split(';')) {
+    const index = declaration.indexOf(':');
+    if (index > 0) {
+      declarations[declaration.slice(0, index).trim()] = declaration.slice(index + 1).trim();
+    }
+  }
+  return declarations;
+}
+
+// Presentation properties of an element, inheriting from its parent
+function resolveStyle(element, inherited) {
+  const style = { ...inherited };
+  const declarations = parseStyleAttribute(element.attributes.style);
+  for (const property of STYLE_PROPERTIES) {
+    const value = declarations[property] ?? element.attributes[property];
+    if (value !== undefined) style[property] = value.trim();
+  }
+  return style;
+}
+
+/** Convert any path data to absolute M/L/C/Q/A/Z segments. */
+function toAbsoluteSegments(segments) {
+  const result = [];
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let controlX = 0;
+  let controlY = 0;
+  let previous = '';
+
+  for (const { command, args } of segments) {
+    const relative = command !== command.toUpperCase();
+    const type = command.toUpperCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+
+    switch (type) {
+      case 'M':
+        x = ox + args[0];
+        y = oy + args[1];
+        startX = x;
+        startY = y;
+        result.push({ type: 'M', points: [[x, y]] });
+        break;
+      case 'L':
+      case 'H':
+      case 'V':
+        if (type === 'L') {
+          x = ox + args[0];
+          y = oy + args[1];
+        } else if (type === 'H') {
+          x = ox + args[0];
+        } else {
+          y = oy + args[0];
+        }
+        result.push({ type: 'L', points: [[x, y]] });
+        break;
+      case 'C':
+      case 'S': {
+        const first = type === 'C'
+          ? [ox + args[0], oy + args[1]]
+          : (previous === 'C' || previous === 'S') ? [2 * x - controlX, 2 * y - controlY] : [x, y];
+        const offset = type === 'C' ? 2 : 0;
+        controlX = ox + args[offset];
+        controlY = oy + args[offset + 1];
+        x = ox + args[offset + 2];
+        y = oy + args[offset + 3];
+        result.push({ type: 'C', points: [first, [controlX, controlY], [x, y]] });
+        break;
+      }
+      case 'Q':
+      case 'T':
+        if (type === 'Q') {
+          controlX = ox + args[0];
+          controlY = oy + args[1];
+          x = ox + args[2];
+          y = oy + args[3];
+        } else {
+          if (previous === 'Q' || previous === 'T') {
+            controlX = 2 * x - controlX;
+            controlY = 2 * y - controlY;
+          } else {
+            controlX = x;
+            controlY = y;
+          }
+          x = ox + args[0];
+          y = oy + args[1];
+        }
+        result.push({ type: 'Q', points: [[controlX, controlY], [x, y]] });
+        break;
+      case 'A':
+        result.push({
+          type: 'A',
+          from: [x, y],
+          arc: [Math.abs(args[0]), Math.abs(args[1]), args[2], args[3], args[4]],
+          points: [[ox + args[5], oy + args[6]]]
+        });
+        x = ox + args[5];
+        y = oy + args[6];
+        break;
+      case 'Z':
+        result.push({ type: 'Z', points: [] });
+        x = startX;
+        y = startY;
+        break;
+      default:
+        break;
+    }
+
+    if (type !== 'C' && type !== 'S' && type !== 'Q' && type !== 'T') {
+      controlX = x;
+      controlY = y;
+    }
+    previous = type;
+  }
+
+  return result;
+}
+
+function ellipseSegments(cx, cy, rx, ry) {
+  if (rx <= 0 || ry <= 0) return [];
+  return [
+    { type: 'M', points: [[cx + rx, cy]] },
+    { type: 'A', from: [cx + rx, cy], arc: [rx, ry, 0, 1, 1], points: [[cx - rx, cy]] },
+    { type: 'A', from: [cx - rx, cy], arc: [rx, ry, 0, 1, 1], points: [[cx + rx, cy]] },
+    { type: 'Z', points: [] }
+  ];
+}
+
+function pointListSegments(value, close) {
+  const numbers = (value || '').match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  const segments = [];
+  for (let i = 0; i + 1 < numbers.length; i += 2) {
+    segments.push({ type: i === 0 ? 'M' : 'L', points: [[Number(numbers[i]), Number(numbers[i + 1])]] });
+  }
+  if (close && segments.length > 0) segments.push({ type: 'Z', points: [] });
+  return segments;
+}
+
+// Absolute segments for a basic shape or path; null for unparsable data
+function shapeSegments(element) {
+  const a = element.attributes;
+  switch (element.name) {
+    case 'path':
+      try {
+        return toAbsoluteSegments(parsePathData(a.d || ''));
+      } catch (error) {
+        return null;
+      }
+    case 'rect': {
+      const [x, y, width, height] = [number(a.x), number(a.y), number(a.width), number(a.height)];
+      if (width <= 0 || height <= 0) return [];
+      return [
+        { type: 'M', points: [[x, y]] },
+        { type: 'L', points: [[x + width, y]] },
+        { type: 'L', points: [[x + width, y + height]] },
+        { type: 'L', points: [[x, y + height]] },
+        { type: 'Z', points: [] }
+      ];
+    }
+    case 'circle':
+      return ellipseSegments(number(a.cx), number(a.cy), number(a.r), number(a.r));
+    case 'ellipse':
+      return ellipseSegments(number(a.cx), number(a.cy), number(a.rx), number(a.ry));
+    case 'line':
+      return [
+        { type: 'M', points: [[number(a.x1), number(a.y1)]] },
+        { type: 'L', points: [[number(a.x2), number(a.y2)]] }
+      ];
+    case 'polyline':
+    case 'polygon':
+      return pointListSegments(a.points, element.name === 'polygon');
+    default:
+      return [];
+  }
+}
+
+function vectorAngle(ux, uy, vx, vy) {
+  return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+}
+
+// Point generator for an elliptical arc (SVG endpoint parameterization)
+function arcPointAt([x1, y1], [rx, ry, rotation, largeArc, sweep], [x2, y2]) {
+  if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) {
+    return t => [x1 + (x2 - x1) * t, y1 + (y2 - y1) * t];
+  }
+
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coefficient = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = (coefficient * rx * y1p) / ry;
+  const cyp = (-coefficient * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const startAngle = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let sweepAngle = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && sweepAngle > 0) sweepAngle -= 2 * Math.PI;
+  if (sweep && sweepAngle < 0) sweepAngle += 2 * Math.PI;
+
+  return t => {
+    const angle = startAngle + sweepAngle * t;
+    return [
+      cx + rx * cos * Math.cos(angle) - ry * sin * Math.sin(angle),
+      cy + rx * sin * Math.cos(angle) + ry * cos * Math.sin(angle)
+    ];
+  };
+}
+
+/**
+ * Collect every rendered shape as { style, segments, matrix }.
+ */
+function collectShapes(element, matrix, style, shapes) {
+  const elementStyle = resolveStyle(element, style);
+  if (elementStyle.display === 'none' || elementStyle.visibility === 'hidden') return;
+
+  const elementMatrix = element.attributes.transform
+    ? multiply(matrix, parseTransform(element.attributes.transform))
+    : matrix;
+
+  if (SHAPES.has(element.name)) {
+    const segments = shapeSegments(element);
+    if (segments === null) {
+      throw new Error(`unparsable geometry in <${element.name}>`);
+    }
+    if (segments.length > 0) {
+      shapes.push({ style: elementStyle, segments, matrix: elementMatrix });
+    }
+    return;
+  }
+
+  for (const child of element.children) {
+    if (child.type === 'element' && !NON_RENDERED.has(child.name)) {
+      collectShapes(child, elementMatrix, elementStyle, shapes);
+    }
+  }
+}
+
+// The box coordinates are normalized against: viewBox, then width/height
+function getViewBox(svg) {
+  const values = (svg.attributes.viewBox || '').split(/[\s,]+/).filter(Boolean).map(Number);
+  if (values.length === 4 && values.every(Number.isFinite) && values[2] > 0 && values[3] > 0) {
+    return values;
+  }
+  const width = number(svg.attributes.width);
+  const height = number(svg.attributes.height);
+  return width > 0 && height > 0 ? [0, 0, width, height] : null;
+}
+
+function styleKey(style, scale) {
+  const paint = value => (value === undefined ? null : value === 'none' || value === 'transparent' ? 'none' : 'paint');
+  const fill = paint(style.fill) || 'paint';
+  const stroke = paint(style.stroke) || 'none';
+  const strokeWidth = stroke === 'none' ? '' : Math.round(number(style['stroke-width'], 1) * scale * 100);
+  return `${fill}|${stroke}|${strokeWidth}|${style['fill-rule'] || 'nonzero'}`;
+}
+
+/**
+ * Compute the geometry fingerprint of an icon.
+ * @param {string} svgContent
+ * @returns {{ exact: string, cells: number[], minhash: number[] } | null}
+ *   null when the icon has no measurable geometry
+ * @throws {Error} When the markup or its path data cannot be parsed
+ */
+function fingerprintSvg(svgContent) {
+  const svg = getRootElement(parseSvg(svgContent));
+  if (!svg) throw new Error('SVG has no single root element');
+
+  const shapes = [];
+  collectShapes(svg, IDENTITY, {}, shapes);
+  if (shapes.length === 0) return null;
+
+  const viewBox = getViewBox(svg);
+  if (!viewBox) return null;
+  const [minX, minY, width, height] = viewBox;
+  const scale = 1 / Math.max(width, height);
+  const normalize = (matrix, [x, y]) => {
+    const [tx, ty] = apply(matrix, x, y);
+    return [(tx - minX) * scale, (ty - minY) * scale];
+  };
+
+  const round = value => Math.round(value * EXACT_PRECISION);
+  const exactParts = [];
+  const cells = new Set();
+  let previousStyle = null;
+
+  const addSample = ([x, y]) => {
+    const column = Math.min(GRID_SIZE - 1, Math.max(0, Math.floor(x * GRID_SIZE)));
+    const row = Math.min(GRID_SIZE - 1, Math.max(0, Math.floor(y * GRID_SIZE)));
+    cells.add(row * GRID_SIZE + column);
+  };
+
+  // Sample a curve densely enough to touch every grid cell it crosses
+  const sampleCurve = pointAt => {
+    const probe = [0, 0.25, 0.5, 0.75, 1].map(pointAt);
+    let length = 0;
+    for (let i = 1; i < probe.length; i++) {
+      length += Math.hypot(probe[i][0] - probe[i - 1][0], probe[i][1] - probe[i - 1][1]);
+    }
+    const steps = Math.max(2, Math.ceil(length * GRID_SIZE * 2));
+    for (let i = 0; i <= steps; i++) addSample(pointAt(i / steps));
+  };
+
+  for (const { style, segments, matrix } of shapes) {
+    const matrixScale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+    const key = styleKey(style, scale * matrixScale);
+    // Adjacent shapes with the same style are one shape (merged paths)
+    if (key !== previousStyle) {
+      exactParts.push(`#${key}`);
+      previousStyle = key;
+    }
+
+    let current = [0, 0];
+    let start = [0, 0];
+    for (const segment of segments) {
+      const points = segment.points.map(point => normalize(matrix, point));
+
+      if (segment.type === 'A') {
+        const [rx, ry, rotation, largeArc, sweep] = segment.arc;
+        exactParts.push(`A${round(rx * scale * matrixScale)},${round(ry * scale * matrixScale)},${Math.round(rotation)},${largeArc},${sweep},${points[0].map(round)}`);
+        const pointAt = arcPointAt(segment.from, segment.arc, segment.points[0]);
+        sampleCurve(t => normalize(matrix, pointAt(t)));
+      } else {
+        exactParts.push(segment.type + points.map(point => point.map(round).join(',')).join(' '));
+        if (segment.type === 'L') {
+          const [from, to] = [current, points[0]];
+          sampleCurve(t => [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t]);
+        } else if (segment.type === 'C') {
+          const [p0, [p1, p2, p3]] = [current, points];
+          sampleCurve(t => {
+            const u = 1 - t;
+            return [0, 1].map(i => u * u * u * p0[i] + 3 * u * u * t * p1[i] + 3 * u * t * t * p2[i] + t * t * t * p3[i]);
+          });
+        } else if (segment.type === 'Q') {
+          const [p0, [p1, p2]] = [current, points];
+          sampleCurve(t => {
+            const u = 1 - t;
+            return [0, 1].map(i => u * u * p0[i] + 2 * u * t * p1[i] + t * t * p2[i]);
+          });
+        } else if (segment.type === 'Z') {
+          const [from, to] = [current, start];
+          sampleCurve(t => [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t]);
+        }
+      }
+
+      if (segment.type === 'M') {
+        start = points[0];
+        addSample(points[0]);
+      }
+      current = segment.type === 'Z' ? start : points[points.length - 1] || current;
+    }
+  }
+
+  const sortedCells = Array.from(cells).sort((a, b) => a - b);
+  return {
+    exact: crypto.createHash('sha1').update(exactParts.join('')).digest('hex'),
+    cells: sortedCells,
+    minhash: MINHASH_SEEDS.map(seed =>
+      sortedCells.reduce((min, cell) => Math.min(min, mixHash(cell, seed)), 0xffffffff))
+  };
+}
+
+/** Jaccard index of two sorted cell lists. */
+function cellSimilarity(a, b) {
+  let i = 0;
+  let j = 0;
+  let shared = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      shared++;
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  const union = a.length + b.length - shared;
+  return union === 0 ? 1 : shared / union;
+}
+
+module.exports = {
+  GRID_SIZE,
+  MINHASH_SIZE,
+  fingerprintSvg,
+  cellSimilarity,
+  toAbsoluteSegments,
+  parseTransform
+};
@@ -0,0 +1,307 @@
+/**
+ * IconBoard - SVG Optimizer
+ * Shrinks sanitized icon markup before it is written to chunks.
+ *
+ * Passes: comment and whitespace removal, editor attribute cleanup,
+ * precision rounding, empty-group removal, group collapsing and merging of
+ * adjacent non-overlapping paths. Options can be overridden per category
+ * through the "optimizer" section of iconboard.config.js.
+ */
+
+const { parseSvg, stringifySvg, getRootElement, walkElements } = require('./svg-parser');
+const {
+  parsePathData,
+  stringifyPathData,
+  getPathBounds,
+  boundsIntersect,
+  formatNumber
+} = require('./svg-path');
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  precision: 3,
+  transformPrecision: 5,
+  removeComments: true,
+  removeTitle: false,
+  removeEditorAttributes: true,
+  collapseWhitespace: true,
+  removeEmptyGroups: true,
+  collapseGroups: true,
+  mergePaths: true
+};
+
+const NUMERIC_ATTRIBUTES = new Set([
+  'x', 'y', 'width', 'height', 'cx', 'cy', 'r', 'rx', 'ry',
+  'x1', 'y1', 'x2', 'y2', 'fx', 'fy', 'stroke-width', 'stroke-dashoffset',
+  'stroke-miterlimit', 'opacity', 'fill-opacity', 'stroke-opacity', 'stop-opacity', 'offset'
+]);
+
+const TEXT_ELEMENTS = new Set(['text', 'tspan', 'textPath', 'title', 'desc', 'style']);
+
+// Root attributes that only matter to the editor that exported the file
+const EDITOR_ROOT_ATTRIBUTES = ['version', 'baseProfile', 'id', 'xml:space', 'enable-background'];
+
+// Group attributes that change meaning when pushed down to a child
+const NON_INHERITABLE_GROUP_ATTRIBUTES = new Set(['id', 'class', 'style', 'clip-path', 'mask', 'filter', 'opacity']);
+
+const NUMBER_IN_TEXT = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+/**
+ * Options for a category, from an optimizer config section
+ * ({ default: {...}, categories: { id: {...} } }).
+ */
+function resolveOptimizerOptions(config, category) {
+  const categoryOptions = (config && config.categories && config.categories[String(category).toLowerCase()]) || {};
+  return { ...DEFAULT_OPTIONS, ...((config && config.default) || {}), ...categoryOptions };
+}
+
+function roundNumbersInText(value, precision) {
+  return value.replace(NUMBER_IN_TEXT, match => formatNumber(parseFloat(match), precision));
+}
+
+function roundNumericAttribute(value, precision) {
+  const match = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)(px)?\s*$/.exec(value);
+  return match ? formatNumber(parseFloat(match[1]), precision) : value;
+}
+
+function roundPointList(value, precision) {
+  const numbers = value.match(NUMBER_IN_TEXT) || [];
+  return numbers
+    .map(number => formatNumber(parseFloat(number), precision))
+    .reduce((output, text) => output + (output && text[0] !== '-' ? ' ' : '') + text, '');
+}
+
+function optimizeAttributes(element, options) {
+  for (const [name, value] of Object.entries(element.attributes)) {
+    if (name === 'd') {
+      try {
+        element.attributes.d = stringifyPathData(parsePathData(value), options.precision);
+      } catch (error) {
+        // Leave unparsable path data untouched; the linter reports it
+      }
+    } else if (name === 'points' || name === 'viewBox') {
+      element.attributes[name] = name === 'viewBox'
+        ? (value.match(NUMBER_IN_TEXT) || []).map(number => formatNumber(parseFloat(number), options.precision)).join(' ')
+        : roundPointList(value, options.precision);
+    } else if (name === 'transform' || name === 'gradientTransform' || name === 'patternTransform') {
+      element.attributes[name] = roundNumbersInText(value, options.transformPrecision).replace(/\s*,\s*|\s+/g, ' ').trim();
+    } else if (NUMERIC_ATTRIBUTES.has(name)) {
+      element.attributes[name] = roundNumericAttribute(value, options.precision);
+    }
+  }
+}
+
+function removeEditorAttributes(svg, root) {
+  for (const name of EDITOR_ROOT_ATTRIBUTES) {
+    delete svg.attributes[name];
+  }
+  if (svg.attributes.style) {
+    const style = svg.attributes.style.replace(/enable-background\s*:[^;]*;?/gi, '').trim();
+    if (style) {
+      svg.attributes.style = style;
+    } else {
+      delete svg.attributes.style;
+    }
+  }
+  for (const name of ['x', 'y']) {
+    if (svg.attributes[name] !== undefined && parseFloat(svg.attributes[name]) === 0) {
+      delete svg.attributes[name];
+    }
+  }
+
+  let usesXlink = false;
+  walkElements(root, element => {
+    if (Object.keys(element.attributes).some(name => name.startsWith('xlink:'))) {
+      usesXlink = true;
+    }
+  });
+  if (!usesXlink) {
+    delete svg.attributes['xmlns:xlink'];
+  }
+}
+
+function isElementChild(child) {
+  return child.type === 'element';
+}
+
+function hasContent(element) {
+  return element.children.some(child => child.type !== 'comment' && (child.type !== 'text' || child.value.trim()));
+}
+
+// Try to replace <g attrs><child/></g> with <child attrs/>
+function collapseSingleChildGroup(group) {
+  const elements = group.children.filter(isElementChild);
+  if (elements.length !== 1 || group.children.some(child => child.type === 'text' && child.value.trim())) {
+    return null;
+  }
+
+  const child = elements[0];
+  const groupAttributes = Object.keys(group.attributes);
+  if (groupAttributes.some(name => NON_INHERITABLE_GROUP_ATTRIBUTES.has(name))) {
+    return null;
+  }
+  if (groupAttributes.some(name => name !== 'transform' && child.attributes[name] !== undefined)) {
+    return null;
+  }
+
+  const merged = { ...group.attributes, ...child.attributes };
+  if (group.attributes.transform && child.attributes.transform) {
+    merged.transform = `${group.attributes.transform} ${child.attributes.transform}`;
+  }
+  child.attributes = merged;
+  return child;
+}
+
+function pathMergeKey(element) {
+  const attributes = Object.entries(element.attributes)
+    .filter(([name]) => name !== 'd')
+    .sort(([a], [b]) => a.localeCompare(b));
+  if (attributes.some(([name]) => name === 'id' || name.startsWith('marker'))) {
+    return null;
+  }
+  return JSON.stringify(attributes);
+}
+
+function mergeAdjacentPaths(children, options) {
+  const merged = [];
+  let previous = null;
+  let previousKey = null;
+  let previousSegments = null;
+
+  for (const child of children) {
+    if (child.type === 'text' && !child.value.trim()) {
+      merged.push(child);
+      continue;
+    }
+
+    if (child.type === 'element' && child.name === 'path' && child.children.length === 0 && child.attributes.d) {
+      const key = pathMergeKey(child);
+      let segments = null;
+      try {
+        segments = parsePathData(child.attributes.d);
+      } catch (error) {
+        segments = null;
+      }
+
+      if (segments && segments.length > 0 && key && previous && key === previousKey) {
+        const previousBounds = getPathBounds(previousSegments);
+        const bounds = getPathBounds(segments);
+
+        // Overlapping shapes can change fill-rule and opacity results
+        if (previousBounds && bounds && !boundsIntersect(previousBounds, bounds)) {
+          // A leading relative moveto is absolute; keep it that way once appended
+          segments[0] = { ...segments[0], command: segments[0].command.toUpperCase() };
+          previousSegments = previousSegments.concat(segments);
+          previous.attributes.d = stringifyPathData(previousSegments, options.precision);
+          continue;
+        }
+      }
+
+      merged.push(child);
+      previous = segments ? child : null;
+      previousKey = key;
+      previousSegments = segments;
+      continue;
+    }
+
+    merged.push(child);
+    previous = null;
+    previousKey = null;
+    previousSegments = null;
+  }
+
+  return merged;
+}
+
+function optimizeElement(element, options) {
+  optimizeAttributes(element, options);
+
+  let children = [];
+  for (const child of element.children) {
+    if (child.type === 'comment' && options.removeComments) continue;
+    if (child.type === 'text' && options.collapseWhitespace && !TEXT_ELEMENTS.has(element.name) && !child.value.trim()) continue;
+    if (child.type === 'element' && child.name === 'title' && options.removeTitle) continue;
+
+    if (child.type === 'element') {
+      optimizeElement(child, options);
+
+      if (options.removeEmptyGroups && (child.name === 'g' || child.name === 'defs') && !hasContent(child)) {
+        continue;
+      }
+
+      if (options.collapseGroups && child.name === 'g') {
+        if (Object.keys(child.attributes).length === 0) {
+          children.push(...child.children);
+          continue;
+        }
+        const collapsed = collapseSingleChildGroup(child);
+        if (collapsed) {
+          children.push(collapsed);
+          continue;
+        }
+      }
+    }
+
+    children.push(child);
+  }
+
+  if (options.mergePaths) {
+    children = mergeAdjacentPaths(children, options);
+  }
+
+  element.children = children;
+}
+
+function byteLength(text) {
+  return Buffer.byteLength(text, 'utf8');
+}
+
+/**
+ * Optimize sanitized SVG markup.
+ * @param {string} svgContent - Markup that already passed the sanitizer
+ * @param {object} [options] - See DEFAULT_OPTIONS
+ * @returns {{ svgContent: string, before: number, after: number }}
+ */
+function optimizeSvg(svgContent, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const before = byteLength(svgContent);
+
+  if (!settings.enabled) {
+    return { svgContent, before, after: before };
+  }
+
+  const root = parseSvg(svgContent);
+  const svg = getRootElement(root);
+  if (!svg) {
+    throw new Error('SVG has no single root element');
+  }
+
+  if (settings.removeEditorAttributes) {
+    removeEditorAttributes(svg, root);
+  }
+  optimizeElement(svg, settings);
+
+  const optimized = stringifySvg(svg);
+  // Never make a file bigger
+  if (byteLength(optimized) >= before) {
+    return { svgContent, before, after: before };
+  }
+  return { svgContent: optimized, before, after: byteLength(optimized) };
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+}
+
+function formatSavings(before, after) {
+  const percent = before > 0 ? ((before - after) / before) * 100 : 0;
+  return `${formatBytes(before)} → ${formatBytes(after)} (-${percent.toFixed(1)}%)`;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  resolveOptimizerOptions,
+  optimizeSvg,
+  formatBytes,
+  formatSavings
+};
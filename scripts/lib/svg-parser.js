@@ -0,0 +1,283 @@
+/**
+ * IconBoard - SVG Parser
+ * Minimal, dependency-free XML parser for icon files.
+ *
+ * Produces a small node tree that the ingestion scripts can walk and
+ * rewrite, and serializes it back to markup. It is deliberately strict:
+ * unknown entities, unescaped "&" and "<" in attribute values, duplicate
+ * attributes and unbalanced tags are parse errors rather than guesses.
+ */
+
+const NAMED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'"
+};
+
+const ENTITY_PATTERN = /&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z][A-Za-z0-9]*)?(;?)/g;
+const TAG_NAME_PATTERN = /[A-Za-z_][\w.:-]*/y;
+const ATTRIBUTE_PATTERN = /([^\s=/>"'<]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+const CLOSING_TAG_PATTERN = /<\/([A-Za-z_][\w.:-]*)\s*>/y;
+const WHITESPACE_PATTERN = /\s*/y;
+
+class SvgParseError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (at offset ${position})`);
+    this.name = 'SvgParseError';
+    this.position = position;
+  }
+}
+
+function decodeEntities(text, position) {
+  return text.replace(ENTITY_PATTERN, (match, reference, semicolon) => {
+    if (!reference || !semicolon) {
+      throw new SvgParseError(`Unescaped "&" or unterminated entity "${match}"`, position);
+    }
+
+    if (reference[0] === '#') {
+      const codePoint = reference[1] === 'x'
+        ? parseInt(reference.slice(2), 16)
+        : parseInt(reference.slice(1), 10);
+
+      if (!codePoint || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+        throw new SvgParseError(`Invalid character reference "${match}"`, position);
+      }
+      return String.fromCodePoint(codePoint);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, reference)) {
+      throw new SvgParseError(`Unknown entity "${match}"`, position);
+    }
+    return NAMED_ENTITIES[reference];
+  });
+}
+
+function escapeText(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Find the end of a <!...> declaration, skipping quoted strings and an
+// optional [...] internal subset
+function findDeclarationEnd(source, start) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']') {
+      depth--;
+    } else if (char === '>' && depth <= 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse SVG/XML markup into a node tree.
+ *
+ * Node shapes:
+ *   { type: 'root', children }
+ *   { type: 'element', name, attributes, children }
+ *   { type: 'text', value }          (entities decoded)
+ *   { type: 'cdata', value }
+ *   { type: 'comment', value }
+ *   { type: 'instruction', name, value }
+ *   { type: 'doctype', value }
+ *
+ * `attributes` is a plain object whose key order follows the source.
+ *
+ * @param {string} source - Raw file contents
+ * @returns {object} Root node
+ * @throws {SvgParseError} When the markup is not well-formed
+ */
+function parseSvg(source) {
+  if (typeof source !== 'string') {
+    throw new SvgParseError('SVG source must be a string');
+  }
+
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let pos = source.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  while (pos < source.length) {
+    const parent = stack[stack.length - 1];
+
+    if (source.startsWith('<!--', pos)) {
+      const end = source.indexOf('-->', pos + 4);
+      if (end === -1) throw new SvgParseError('Unterminated comment', pos);
+      const value = source.slice(pos + 4, end);
+      if (value.includes('--') || value.endsWith('-')) {
+        throw new SvgParseError('"--" is not allowed inside a comment', pos);
+      }
+      parent.children.push({ type: 'comment', value });
+      pos = end + 3;
+    } else if (source.startsWith('<![CDATA[', pos)) {
+      const end = source.indexOf(']]>', pos + 9);
+      if (end === -1) throw new SvgParseError('Unterminated CDATA section', pos);
+      parent.children.push({ type: 'cdata', value: source.slice(pos + 9, end) });
+      pos = end + 3;
+    } else if (source.startsWith('<!', pos)) {
+      const end = findDeclarationEnd(source, pos + 2);
+      if (end === -1) throw new SvgParseError('Unterminated declaration', pos);
+      parent.children.push({ type: 'doctype', value: source.slice(pos + 2, end) });
+      pos = end + 1;
+    } else if (source.startsWith('<?', pos)) {
+      const end = source.indexOf('?>', pos + 2);
+      if (end === -1) throw new SvgParseError('Unterminated processing instruction', pos);
+      const value = source.slice(pos + 2, end);
+      parent.children.push({ type: 'instruction', name: value.split(/\s/)[0], value });
+      pos = end + 2;
+    } else if (source.startsWith('</', pos)) {
+      CLOSING_TAG_PATTERN.lastIndex = pos;
+      const match = CLOSING_TAG_PATTERN.exec(source);
+      if (!match) throw new SvgParseError('Malformed closing tag', pos);
+      if (stack.length === 1 || parent.name !== match[1]) {
+        throw new SvgParseError(`Unexpected closing tag </${match[1]}>`, pos);
+      }
+      stack.pop();
+      pos = CLOSING_TAG_PATTERN.lastIndex;
+    } else if (source[pos] === '<') {
+      TAG_NAME_PATTERN.lastIndex = pos + 1;
+      const nameMatch = TAG_NAME_PATTERN.exec(source);
+      if (!nameMatch) throw new SvgParseError('Malformed tag', pos);
+
+      const element = { type: 'element', name: nameMatch[0], attributes: {}, children: [] };
+      let cursor = TAG_NAME_PATTERN.lastIndex;
+      let selfClosing = false;
+
+      for (;;) {
+        WHITESPACE_PATTERN.lastIndex = cursor;
+        WHITESPACE_PATTERN.exec(source);
+        cursor = WHITESPACE_PATTERN.lastIndex;
+
+        if (source.startsWith('/>', cursor)) {
+          selfClosing = true;
+          cursor += 2;
+          break;
+        }
+        if (source[cursor] === '>') {
+          cursor += 1;
+          break;
+        }
+
+        ATTRIBUTE_PATTERN.lastIndex = cursor;
+        const attributeMatch = ATTRIBUTE_PATTERN.exec(source);
+        if (!attributeMatch) {
+          throw new SvgParseError(`Malformed attribute in <${element.name}>`, cursor);
+        }
+
+        const [, attributeName, doubleQuoted, singleQuoted] = attributeMatch;
+        const rawValue = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+        if (rawValue.includes('<')) {
+          throw new SvgParseError(`Unescaped "<" in attribute ${attributeName}`, cursor);
+        }
+        if (Object.prototype.hasOwnProperty.call(element.attributes, attributeName)) {
+          throw new SvgParseError(`Duplicate attribute ${attributeName} on <${element.name}>`, cursor);
+        }
+
+        element.attributes[attributeName] = decodeEntities(rawValue, cursor);
+        cursor = ATTRIBUTE_PATTERN.lastIndex;
+      }
+
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+      pos = cursor;
+    } else {
+      const end = source.indexOf('<', pos);
+      const rawText = source.slice(pos, end === -1 ? source.length : end);
+      parent.children.push({ type: 'text', value: decodeEntities(rawText, pos) });
+      pos = end === -1 ? source.length : end;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new SvgParseError(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+
+  return root;
+}
+
+/**
+ * Serialize a node (or a whole tree) back to markup.
+ * @param {object} node - Node returned by parseSvg, or any subtree
+ * @returns {string}
+ */
+function stringifySvg(node) {
+  switch (node.type) {
+    case 'root':
+      return node.children.map(stringifySvg).join('');
+    case 'element': {
+      const attributes = Object.entries(node.attributes)
+        .map(([name, value]) => ` ${name}="${escapeAttribute(String(value))}"`)
+        .join('');
+      if (node.children.length === 0) {
+        return `<${node.name}${attributes}/>`;
+      }
+      return `<${node.name}${attributes}>${node.children.map(stringifySvg).join('')}</${node.name}>`;
+    }
+    case 'text':
+      return escapeText(node.value);
+    case 'cdata':
+      return `<![CDATA[${node.value}]]>`;
+    case 'comment':
+      return `<!--${node.value}-->`;
+    case 'instruction':
+      return `<?${node.value}?>`;
+    case 'doctype':
+      return `<!${node.value}>`;
+    default:
+      throw new Error(`Unknown node type: ${node.type}`);
+  }
+}
+
+/**
+ * Return the single top-level element of a parsed document, or null when the
+ * document has none or more than one.
+ */
+function getRootElement(root) {
+  const elements = root.children.filter(child => child.type === 'element');
+  return elements.length === 1 ? elements[0] : null;
+}
+
+/**
+ * Depth-first walk over every element below (and including) `node`.
+ * The callback receives (element, parent); returning false skips the subtree.
+ */
+function walkElements(node, callback, parent = null) {
+  if (node.type === 'element' && callback(node, parent) === false) {
+    return;
+  }
+  for (const child of node.children || []) {
+    if (child.type === 'element' || child.type === 'root') {
+      walkElements(child, callback, node);
+    }
+  }
+}
+
+module.exports = {
+  SvgParseError,
+  parseSvg,
+  stringifySvg,
+  getRootElement,
+  walkElements,
+  decodeEntities
+};
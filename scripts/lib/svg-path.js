@@ -0,0 +1,268 @@
+/**
+ * IconBoard - SVG Path Data
+ * Parsing, rounding and compact serialization of path "d" attributes.
+ */
+
+const ARGUMENT_COUNTS = {
+  m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0
+};
+
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+const SEPARATOR_PATTERN = /[\s,]*/y;
+
+/**
+ * Parse path data into segments of { command, args }.
+ * Implicit repeats are expanded, so "M0 0 1 1" becomes M + L.
+ * @throws {Error} On malformed path data
+ */
+function parsePathData(d) {
+  const segments = [];
+  let pos = 0;
+  let command = null;
+
+  const skipSeparators = () => {
+    SEPARATOR_PATTERN.lastIndex = pos;
+    SEPARATOR_PATTERN.exec(d);
+    pos = SEPARATOR_PATTERN.lastIndex;
+  };
+
+  const readNumber = () => {
+    skipSeparators();
+    NUMBER_PATTERN.lastIndex = pos;
+    const match = NUMBER_PATTERN.exec(d);
+    if (!match) throw new Error(`Invalid path data near "${d.slice(pos, pos + 10)}"`);
+    pos = NUMBER_PATTERN.lastIndex;
+    return parseFloat(match[0]);
+  };
+
+  // Arc flags are single characters and may be written without separators
+  const readFlag = () => {
+    skipSeparators();
+    const flag = d[pos];
+    if (flag !== '0' && flag !== '1') throw new Error(`Invalid arc flag near "${d.slice(pos, pos + 10)}"`);
+    pos++;
+    return Number(flag);
+  };
+
+  skipSeparators();
+  while (pos < d.length) {
+    const char = d[pos];
+    if (/[MmLlHhVvCcSsQqTtAaZz]/.test(char)) {
+      command = char;
+      pos++;
+    } else if (!command) {
+      throw new Error('Path data must start with a command');
+    } else if (command === 'z' || command === 'Z') {
+      throw new Error('Unexpected number after closepath');
+    }
+
+    const count = ARGUMENT_COUNTS[command.toLowerCase()];
+    if (count === 0) {
+      segments.push({ command, args: [] });
+    } else {
+      const args = [];
+      for (let i = 0; i < count; i++) {
+        args.push(command.toLowerCase() === 'a' && (i === 3 || i === 4) ? readFlag() : readNumber());
+      }
+      segments.push({ command, args });
+
+      // Subsequent pairs after a moveto are implicit linetos
+      if (command === 'M') command = 'L';
+      if (command === 'm') command = 'l';
+    }
+    skipSeparators();
+  }
+
+  return segments;
+}
+
+function roundNumber(value, precision) {
+  const factor = Math.pow(10, precision);
+  const rounded = Math.round(value * factor) / factor;
+  return Object.is(rounded, -0) ? 0 : rounded;
+}
+
+// Shortest text form of a number: no leading zero, no trailing zeros
+function formatNumber(value, precision) {
+  const rounded = precision === undefined ? value : roundNumber(value, precision);
+  let text = String(rounded);
+  if (/e/.test(text)) {
+    text = rounded.toFixed(precision === undefined ? 6 : precision).replace(/\.?0+$/, '');
+  }
+  return text.replace(/^(-?)0\./, '$1.');
+}
+
+/**
+ * Serialize segments back to the most compact path data.
+ * Repeated commands are omitted where the implicit form is equivalent.
+ * @param {Array} segments - Output of parsePathData
+ * @param {number} [precision] - Decimal places to keep
+ */
+function stringifyPathData(segments, precision) {
+  let output = '';
+  let previousCommand = null;
+  // Whether the text just written is a number that already has a decimal
+  // point, so a following ".5" needs no separator
+  let endsWithFraction = false;
+
+  for (const { command, args } of segments) {
+    const implicit =
+      (previousCommand === command && command !== 'M' && command !== 'm') ||
+      (previousCommand === 'M' && command === 'L') ||
+      (previousCommand === 'm' && command === 'l');
+
+    if (!implicit || args.length === 0) {
+      output += command;
+      endsWithFraction = false;
+    }
+
+    args.forEach((arg, index) => {
+      const text = formatNumber(arg, precision);
+      const needsSeparator =
+        (implicit || index > 0) &&
+        text[0] !== '-' &&
+        !(text[0] === '.' && endsWithFraction);
+      output += (needsSeparator ? ' ' : '') + text;
+      endsWithFraction = text.includes('.');
+    });
+
+    previousCommand = command;
+  }
+
+  return output;
+}
+
+/**
+ * Conservative bounding box of a path: covers every end and control point,
+ * which always contains the rendered geometry.
+ * @returns {{ minX, minY, maxX, maxY } | null}
+ */
+function getPathBounds(segments) {
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+  const include = (px, py) => {
+    box.minX = Math.min(box.minX, px);
+    box.minY = Math.min(box.minY, py);
+    box.maxX = Math.max(box.maxX, px);
+    box.maxY = Math.max(box.maxY, py);
+  };
+
+  // Last control point, for the reflected control point of S and T
+  let controlX = 0;
+  let controlY = 0;
+  let previous = '';
+
+  for (const { command, args } of segments) {
+    const relative = command === command.toLowerCase();
+    const type = command.toLowerCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+    const reflectedX = 2 * x - controlX;
+    const reflectedY = 2 * y - controlY;
+
+    switch (type) {
+      case 'm':
+        x = ox + args[0];
+        y = oy + args[1];
+        startX = x;
+        startY = y;
+        include(x, y);
+        break;
+      case 'l':
+        x = ox + args[0];
+        y = oy + args[1];
+        include(x, y);
+        break;
+      case 'h':
+        x = ox + args[0];
+        include(x, y);
+        break;
+      case 'v':
+        y = oy + args[0];
+        include(x, y);
+        break;
+      case 'c':
+        include(ox + args[0], oy + args[1]);
+        controlX = ox + args[2];
+        controlY = oy + args[3];
+        include(controlX, controlY);
+        x = ox + args[4];
+        y = oy + args[5];
+        include(x, y);
+        break;
+      case 's':
+        if (previous === 'c' || previous === 's') include(reflectedX, reflectedY);
+        controlX = ox + args[0];
+        controlY = oy + args[1];
+        include(controlX, controlY);
+        x = ox + args[2];
+        y = oy + args[3];
+        include(x, y);
+        break;
+      case 'q':
+        controlX = ox + args[0];
+        controlY = oy + args[1];
+        include(controlX, controlY);
+        x = ox + args[2];
+        y = oy + args[3];
+        include(x, y);
+        break;
+      case 't':
+        if (previous === 'q' || previous === 't') {
+          controlX = reflectedX;
+          controlY = reflectedY;
+        } else {
+          controlX = x;
+          controlY = y;
+        }
+        include(controlX, controlY);
+        x = ox + args[0];
+        y = oy + args[1];
+        include(x, y);
+        break;
+      case 'a': {
+        // An arc never leaves the box of its endpoints grown by its radii
+        const endX = ox + args[5];
+        const endY = oy + args[6];
+        const rx = Math.abs(args[0]);
+        const ry = Math.abs(args[1]);
+        include(Math.min(x, endX) - rx, Math.min(y, endY) - ry);
+        include(Math.max(x, endX) + rx, Math.max(y, endY) + ry);
+        x = endX;
+        y = endY;
+        break;
+      }
+      case 'z':
+        x = startX;
+        y = startY;
+        break;
+      default:
+        break;
+    }
+
+    if (type !== 'c' && type !== 's' && type !== 'q' && type !== 't') {
+      controlX = x;
+      controlY = y;
+    }
+    previous = type;
+  }
+
+  return box.minX === Infinity ? null : box;
+}
+
+function boundsIntersect(a, b) {
+  return a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY;
+}
+
+module.exports = {
+  parsePathData,
+  stringifyPathData,
+  getPathBounds,
+  boundsIntersect,
+  formatNumber,
+  roundNumber
+};
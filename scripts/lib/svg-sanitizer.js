@@ -0,0 +1,309 @@
+/**
+ * IconBoard - SVG Sanitizer
+ * Parser-based allowlist sanitizer for third-party icon files.
+ *
+ * Every element, attribute and URL is checked against an allowlist.
+ * Anything outside it is removed (or the file is rejected outright when it
+ * cannot be made safe), and every change is reported so the ingestion
+ * scripts can explain why a file differs from what was dropped in.
+ */
+
+const { parseSvg, stringifySvg, getRootElement } = require('./svg-parser');
+
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'style',
+  'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect',
+  'text', 'tspan', 'textPath',
+  'linearGradient', 'radialGradient', 'stop', 'pattern',
+  'clipPath', 'mask', 'marker', 'image',
+  'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite',
+  'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR',
+  'feGaussianBlur', 'feMerge', 'feMergeNode', 'feMorphology', 'feOffset'
+]);
+
+// Elements whose children are kept when the element itself is not allowed
+const UNWRAPPED_ELEMENTS = new Set(['a', 'switch']);
+
+// Elements whose text content is meaningful
+const TEXT_ELEMENTS = new Set(['title', 'desc', 'style', 'text', 'tspan', 'textPath']);
+
+const ALLOWED_ATTRIBUTES = new Set([
+  // Core and structure
+  'id', 'class', 'style', 'lang', 'xml:space', 'xml:lang',
+  'xmlns', 'xmlns:xlink', 'version', 'baseProfile',
+  'viewBox', 'preserveAspectRatio', 'width', 'height', 'x', 'y',
+  'href', 'xlink:href', 'transform', 'role', 'aria-hidden', 'aria-label', 'focusable',
+  // Geometry
+  'd', 'points', 'cx', 'cy', 'r', 'rx', 'ry', 'x1', 'y1', 'x2', 'y2',
+  'pathLength', 'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust', 'startOffset',
+  // Presentation
+  'fill', 'fill-rule', 'fill-opacity', 'clip-rule', 'clip-path', 'mask', 'filter',
+  'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit',
+  'stroke-dasharray', 'stroke-dashoffset', 'stroke-opacity',
+  'opacity', 'color', 'display', 'visibility', 'overflow', 'vector-effect',
+  'shape-rendering', 'paint-order', 'mix-blend-mode', 'isolation', 'enable-background',
+  'marker-start', 'marker-mid', 'marker-end',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor',
+  'dominant-baseline', 'alignment-baseline', 'letter-spacing', 'word-spacing',
+  // Paint servers, clipping, markers
+  'gradientUnits', 'gradientTransform', 'spreadMethod', 'offset', 'fx', 'fy', 'fr',
+  'stop-color', 'stop-opacity', 'patternUnits', 'patternContentUnits', 'patternTransform',
+  'clipPathUnits', 'maskUnits', 'maskContentUnits',
+  'markerWidth', 'markerHeight', 'markerUnits', 'refX', 'refY', 'orient',
+  // Filters
+  'filterUnits', 'primitiveUnits', 'color-interpolation-filters', 'in', 'in2', 'result',
+  'stdDeviation', 'mode', 'operator', 'k1', 'k2', 'k3', 'k4', 'values', 'type',
+  'tableValues', 'slope', 'intercept', 'amplitude', 'exponent', 'radius',
+  'flood-color', 'flood-opacity', 'edgeMode'
+]);
+
+const URL_REFERENCE_ATTRIBUTES = new Set([
+  'fill', 'stroke', 'clip-path', 'mask', 'filter', 'marker-start', 'marker-mid', 'marker-end'
+]);
+
+const HREF_ATTRIBUTES = new Set(['href', 'xlink:href']);
+
+// Options sanitizeSvg takes; the pipeline reads them from the "sanitizer"
+// section of iconboard.config.js
+const DEFAULT_OPTIONS = {
+  allowRasterImages: true, // false removes every <image>
+  maxBytes: null // larger input files are rejected
+};
+
+const RASTER_DATA_URI = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+// Strip characters browsers ignore when resolving a URL scheme: controls,
+// spaces and C1 controls
+const isIgnoredInUrl = (code) => code <= 0x20 || (code >= 0x7f && code <= 0x9f);
+
+function normalizeUrl(value) {
+  return Array.from(value).filter(char => !isIgnoredInUrl(char.charCodeAt(0))).join('').toLowerCase();
+}
+
+// Resolve CSS escapes (\69, \75 , \i ...) the way a CSS tokenizer does, so
+// escaped keywords cannot slip past the checks below
+function decodeCssEscapes(css) {
+  return css.replace(/\\(?:([0-9a-f]{1,6})(?:\r\n|[ \t\r\n\f])?|(\r\n|[\r\n\f])|([\s\S]))/gi, (match, hex, newline, char) => {
+    if (hex) {
+      const codePoint = parseInt(hex, 16);
+      if (!codePoint || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) return '\ufffd';
+      return String.fromCodePoint(codePoint);
+    }
+    return newline ? '' : char;
+  });
+}
+
+function isLocalReference(value) {
+  return /^#[^\s#]+$/.test(value.trim());
+}
+
+// Only local fragment references are allowed inside url(...)
+function hasExternalUrl(value) {
+  const urls = decodeCssEscapes(value).match(/url\s*\(([^)]*)\)/gi) || [];
+  return urls.some(url => {
+    const target = url.replace(/^url\s*\(\s*/i, '').replace(/\s*\)$/, '').replace(/^["']|["']$/g, '');
+    return !isLocalReference(target);
+  });
+}
+
+/**
+ * Clean a CSS string (a <style> body or a style="" attribute).
+ * Removes @import rules, non-local url() references and legacy script hooks.
+ * Escapes are decoded before checking; CSS that needs no changes is returned
+ * as written, otherwise the decoded, cleaned text is returned.
+ */
+function sanitizeCss(css) {
+  const reasons = [];
+  let cleaned = decodeCssEscapes(css);
+
+  if (/@import/i.test(cleaned)) {
+    cleaned = cleaned.replace(/@import[^;]*;?/gi, '');
+    reasons.push('removed CSS @import');
+  }
+
+  cleaned = cleaned.replace(/url\s*\(([^)]*)\)/gi, (match) => {
+    if (hasExternalUrl(match)) {
+      reasons.push(`removed external CSS ${match.slice(0, 60)}`);
+      return 'none';
+    }
+    return match;
+  });
+
+  if (/expression\s*\(|javascript:|behavior\s*:|-moz-binding/i.test(normalizeUrl(cleaned))) {
+    return { css: '', reasons: [...reasons, 'removed CSS with script hooks'] };
+  }
+
+  return { css: reasons.length > 0 ? cleaned : css, reasons };
+}
+
+function sanitizeAttribute(elementName, name, value) {
+  if (/^on/i.test(name)) {
+    return { remove: `removed event handler ${name} on <${elementName}>` };
+  }
+
+  if (!ALLOWED_ATTRIBUTES.has(name)) {
+    return { remove: `removed attribute ${name} on <${elementName}>` };
+  }
+
+  if (HREF_ATTRIBUTES.has(name)) {
+    if (isLocalReference(value)) return { value };
+    if (elementName === 'image' && RASTER_DATA_URI.test(value.trim())) return { value };
+    const scheme = /^([a-z][a-z0-9+.-]*):/.exec(normalizeUrl(value));
+    return { remove: `removed ${scheme ? `${scheme[1]}: URL` : 'external reference'} in ${name} on <${elementName}>` };
+  }
+
+  if (URL_REFERENCE_ATTRIBUTES.has(name) && hasExternalUrl(value)) {
+    return { remove: `removed external url() in ${name} on <${elementName}>` };
+  }
+
+  if (name === 'style') {
+    const { css, reasons } = sanitizeCss(value);
+    if (!css.trim()) return { remove: reasons[0] || `removed empty style on <${elementName}>` };
+    return { value: css, reasons };
+  }
+
+  if (/javascript:|vbscript:/.test(normalizeUrl(value))) {
+    return { remove: `removed script URL in ${name} on <${elementName}>` };
+  }
+
+  return { value };
+}
+
+function sanitizeChildren(element, changes, options) {
+  const children = [];
+
+  for (const child of element.children) {
+    if (child.type === 'element') {
+      if (ALLOWED_ELEMENTS.has(child.name)) {
+        if (child.name === 'image' && !options.allowRasterImages) {
+          changes.push('removed <image> (raster images are not allowed)');
+        } else if (sanitizeElement(child, changes, options)) {
+          children.push(child);
+        }
+      } else if (UNWRAPPED_ELEMENTS.has(child.name)) {
+        changes.push(`unwrapped <${child.name}>`);
+        children.push(...sanitizeChildren(child, changes, options));
+      } else {
+        changes.push(`removed <${child.name}>`);
+      }
+    } else if (child.type === 'text') {
+      if (TEXT_ELEMENTS.has(element.name) || !child.value.trim()) {
+        children.push(child);
+      } else {
+        changes.push(`removed stray text in <${element.name}>`);
+      }
+    } else if (child.type === 'cdata') {
+      if (element.name === 'style') {
+        children.push(child);
+      } else {
+        changes.push(`removed CDATA section in <${element.name}>`);
+      }
+    } else if (child.type === 'comment') {
+      // Comments carry nothing an icon needs, and a comment such as
+      // <!--><img onerror=...>--> ends early once the markup is parsed as HTML
+      changes.push('removed comment');
+    } else {
+      changes.push(`removed ${child.type} inside <${element.name}>`);
+    }
+  }
+
+  return children;
+}
+
+// Returns false when the element should be dropped entirely
+function sanitizeElement(element, changes, options) {
+  const attributes = {};
+
+  for (const [name, value] of Object.entries(element.attributes)) {
+    const result = sanitizeAttribute(element.name, name, value);
+    if (result.remove) {
+      changes.push(result.remove);
+    } else {
+      attributes[name] = result.value;
+      if (result.reasons) changes.push(...result.reasons);
+    }
+  }
+  element.attributes = attributes;
+
+  if (element.name === 'image' && !attributes.href && !attributes['xlink:href']) {
+    changes.push('removed <image> without an embedded raster source');
+    return false;
+  }
+
+  element.children = sanitizeChildren(element, changes, options);
+
+  if (element.name === 'style') {
+    element.children = element.children
+      .map(child => {
+        if (child.type !== 'text' && child.type !== 'cdata') return child;
+        const { css, reasons } = sanitizeCss(child.value);
+        changes.push(...reasons);
+        return { ...child, value: css };
+      })
+      .filter(child => child.value.trim());
+  }
+
+  return true;
+}
+
+/**
+ * Sanitize an SVG document.
+ *
+ * @param {string} svgContent - Raw SVG markup
+ * @param {object} [options] - See DEFAULT_OPTIONS
+ * @returns {{ accepted: true, svgContent: string, changes: string[] } |
+ *           { accepted: false, reason: string, changes: string[] }}
+ */
+function sanitizeSvg(svgContent, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const changes = [];
+  let root;
+
+  const size = Buffer.byteLength(svgContent, 'utf8');
+  if (settings.maxBytes && size > settings.maxBytes) {
+    return { accepted: false, reason: `file is ${size} bytes, over the ${settings.maxBytes} byte limit`, changes };
+  }
+
+  try {
+    root = parseSvg(svgContent);
+  } catch (error) {
+    return { accepted: false, reason: `not well-formed XML: ${error.message}`, changes };
+  }
+
+  // A plain public DOCTYPE is harmless, but an internal subset can declare
+  // entities, which is how entity-expansion tricks get in
+  if (root.children.some(child => child.type === 'doctype' && child.value.includes('['))) {
+    return { accepted: false, reason: 'DOCTYPE with an internal subset (entity declarations) is not allowed', changes };
+  }
+
+  const svg = getRootElement(root);
+  if (!svg || svg.name !== 'svg') {
+    return { accepted: false, reason: 'document root must be a single <svg> element', changes };
+  }
+
+  for (const child of root.children) {
+    if (child.type === 'instruction') {
+      changes.push(child.name === 'xml' ? 'removed XML declaration' : `removed processing instruction <?${child.name}?>`);
+    } else if (child.type === 'doctype') {
+      changes.push('removed DOCTYPE');
+    } else if (child.type === 'comment') {
+      changes.push('removed comment outside <svg>');
+    }
+  }
+
+  sanitizeElement(svg, changes, settings);
+
+  return {
+    accepted: true,
+    svgContent: stringifySvg(svg).trim(),
+    changes: Array.from(new Set(changes))
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  sanitizeSvg,
+  sanitizeCss,
+  ALLOWED_ELEMENTS,
+  ALLOWED_ATTRIBUTES
+};
@@ -0,0 +1,167 @@
+/**
+ * IconBoard - SVG Sprite Sheets
+ * Split a sprite file (one <svg> holding many <symbol id="..."> entries) into
+ * standalone icons.
+ *
+ * Each symbol becomes an <svg> with the symbol's viewBox and presentation
+ * attributes and the symbol's children. Anything the symbol references by
+ * ID from outside itself (gradients, clip paths, masks, other symbols used
+ * through <use>) is copied into a <defs> of the new icon, following
+ * references between those definitions too. Shared <style> blocks are copied
+ * when the symbol uses classes.
+ */
+
+const { parseSvg, stringifySvg, getRootElement, walkElements } = require('./svg-parser');
+
+// Elements that draw something when they are direct children of the sprite
+const NON_RENDERING_ELEMENTS = new Set(['defs', 'symbol', 'title', 'desc', 'style', 'metadata']);
+
+// Symbol attributes that do not carry over to the standalone <svg>
+const SYMBOL_ONLY_ATTRIBUTES = new Set(['id', 'viewBox', 'x', 'y', 'width', 'height', 'refX', 'refY']);
+
+const URL_REFERENCE = /url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/g;
+
+// Top-level symbols, including those inside top-level <defs>
+function findSymbols(root) {
+  const symbols = [];
+  for (const child of root.children) {
+    if (child.type !== 'element') continue;
+    if (child.name === 'symbol') symbols.push(child);
+    if (child.name === 'defs') {
+      symbols.push(...child.children.filter(node => node.type === 'element' && node.name === 'symbol'));
+    }
+  }
+  return symbols.filter(symbol => symbol.attributes.id);
+}
+
+/**
+ * A sprite sheet has symbols with IDs and draws nothing itself (apart from
+ * <use> previews of its own symbols).
+ */
+function isSpriteSheet(root) {
+  if (!root || root.name !== 'svg' || findSymbols(root).length === 0) {
+    return false;
+  }
+  return root.children
+    .filter(child => child.type === 'element')
+    .every(child => NON_RENDERING_ELEMENTS.has(child.name) || child.name === 'use');
+}
+
+// IDs an element references: url(#id) in attributes and styles, href="#id"
+function collectReferences(element, references) {
+  for (const [name, value] of Object.entries(element.attributes)) {
+    if ((name === 'href' || name === 'xlink:href') && value.trim().startsWith('#')) {
+      references.add(value.trim().slice(1));
+    }
+    for (const [, id] of String(value).matchAll(URL_REFERENCE)) {
+      references.add(id);
+    }
+  }
+  if (element.name === 'style') {
+    const css = element.children.map(child => child.value || '').join('');
+    for (const [, id] of css.matchAll(URL_REFERENCE)) {
+      references.add(id);
+    }
+  }
+}
+
+function toIconName(id) {
+  return id.trim().replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Split a sprite into standalone SVG documents.
+ *
+ * @param {string} svgContent
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Split even when the file also draws
+ *   content outside its symbols (the content is dropped)
+ * @returns {Array<{ name, svgContent }>|null} null when the file is not a
+ *   sprite sheet
+ * @throws {SvgParseError} On malformed markup
+ */
+function splitSprite(svgContent, { force = false } = {}) {
+  const root = getRootElement(parseSvg(svgContent));
+  if (!root || root.name !== 'svg') {
+    return null;
+  }
+  const symbols = findSymbols(root);
+  if (symbols.length === 0 || (!force && !isSpriteSheet(root))) {
+    return null;
+  }
+
+  // Every element with an ID, its parent, and the document-level styles
+  const byId = new Map();
+  const parents = new Map();
+  const order = new Map();
+  const styles = [];
+  walkElements(root, (element, parent) => {
+    parents.set(element, parent);
+    order.set(element, order.size);
+    if (element.attributes.id && !byId.has(element.attributes.id)) {
+      byId.set(element.attributes.id, element);
+    }
+    if (element.name === 'style' && !symbols.some(symbol => isInside(element, symbol))) {
+      styles.push(element);
+    }
+  });
+
+  function isInside(element, ancestor) {
+    for (let node = element; node; node = parents.get(node)) {
+      if (node === ancestor) return true;
+    }
+    return false;
+  }
+
+  const xlinkUsed = /xlink:/.test(svgContent);
+  return symbols.map(symbol => {
+    // Follow references out of the symbol until nothing new turns up
+    const definitions = new Set();
+    const pending = [symbol];
+    let usesClasses = false;
+    while (pending.length > 0) {
+      const references = new Set();
+      walkElements(pending.pop(), element => {
+        collectReferences(element, references);
+        if (element.attributes.class) usesClasses = true;
+      });
+      for (const id of references) {
+        const target = byId.get(id);
+        if (target && !isInside(target, symbol) && !definitions.has(target)) {
+          definitions.add(target);
+          pending.push(target);
+        }
+      }
+    }
+
+    // Drop definitions nested in another copied definition
+    const copied = [...definitions]
+      .filter(element => ![...definitions].some(other => other !== element && isInside(element, other)))
+      .sort((a, b) => order.get(a) - order.get(b));
+    const shared = usesClasses ? styles : [];
+
+    const attributes = { xmlns: 'http://www.w3.org/2000/svg' };
+    if (xlinkUsed) attributes['xmlns:xlink'] = 'http://www.w3.org/1999/xlink';
+    if (symbol.attributes.viewBox) attributes.viewBox = symbol.attributes.viewBox;
+    for (const [name, value] of Object.entries(symbol.attributes)) {
+      if (!SYMBOL_ONLY_ATTRIBUTES.has(name)) attributes[name] = value;
+    }
+
+    const children = [
+      ...(copied.length > 0 || shared.length > 0
+        ? [{ type: 'element', name: 'defs', attributes: {}, children: [...shared, ...copied] }]
+        : []),
+      ...symbol.children
+    ];
+
+    return {
+      name: toIconName(symbol.attributes.id),
+      svgContent: stringifySvg({ type: 'element', name: 'svg', attributes, children })
+    };
+  }).filter(icon => icon.name);
+}
+
+module.exports = {
+  isSpriteSheet,
+  splitSprite
+};
@@ -0,0 +1,320 @@
+/**
+ * IconBoard - Data Transactions
+ * Staged, journaled writes for the scripts that modify public/ data.
+ *
+ * Files are first written to .iconboard/runs/<run-id>/staging. On commit,
+ * each target is backed up and the staged file is renamed over it (an
+ * atomic replace on the same filesystem). If any step fails, files already
+ * swapped are restored before the error is rethrown, so the public data is
+ * never left half-updated. The journal kept per run lets a later
+ * `--rollback <run-id>` restore the previous files.
+ *
+ * A run whose process died mid-commit stays "committing" in its journal.
+ * recoverInterrupted() restores the files it had already swapped from the
+ * run's backups. Creating a transaction or rolling back that run calls it,
+ * so scripts create their transaction (or call it) before reading data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const RUNS_DIR = path.join('.iconboard', 'runs');
+const JOURNAL_FILE = 'journal.json';
+
+function createRunId() {
+  const timestamp = new Date().toISOString().replace(/[-:.Z]/g, '');
+  return `${timestamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+// Write via a temp file + rename so readers never see a partial file
+function writeFileAtomic(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+function copyFileAtomic(source, target) {
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const tempPath = `${target}.${process.pid}.tmp`;
+  fs.copyFileSync(source, tempPath);
+  fs.renameSync(tempPath, target);
+}
+
+// Move a file, falling back to copy + unlink across filesystems
+function moveFile(source, target) {
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  try {
+    fs.renameSync(source, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(source, target);
+    fs.unlinkSync(source);
+  }
+}
+
+// Put back the files a run swapped in, last swap first. Safe to repeat.
+function restoreEntries(projectRoot, runDir, entries) {
+  for (const entry of [...entries].reverse()) {
+    const target = path.join(projectRoot, entry.path);
+    if (entry.existed) {
+      copyFileAtomic(path.join(runDir, 'backup', entry.path), target);
+    } else if (fs.existsSync(target)) {
+      fs.unlinkSync(target);
+    }
+  }
+}
+
+// Files an interrupted commit had swapped: a staged file is renamed into
+// place only after its target is backed up, so one without a staged copy
+// left was swapped, and a deleted file is gone from its target
+function swappedEntries(projectRoot, runDir, journal) {
+  return journal.files.filter(entry => (entry.deleted
+    ? entry.existed && !fs.existsSync(path.join(projectRoot, entry.path))
+    : !fs.existsSync(path.join(runDir, 'staging', entry.path))));
+}
+
+// A commit still in progress in another process is not interrupted
+function isCommitting(pid) {
+  if (!pid || pid === process.pid) return false;
+  try {
+    process.kill(pid, 0); // Signal 0 only checks that the process exists
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Undo a run: restore its files and move archived sources back
+function undoRun(projectRoot, journal, entries, status) {
+  const runDir = path.join(projectRoot, RUNS_DIR, journal.run_id);
+  restoreEntries(projectRoot, runDir, entries);
+
+  for (const relative of journal.archived) {
+    const original = path.join(projectRoot, relative);
+    const archived = path.join(runDir, 'archive', relative);
+    if (fs.existsSync(archived) && !fs.existsSync(original)) {
+      moveFile(archived, original);
+    }
+  }
+
+  journal.status = status;
+  journal[`${status}_at`] = new Date().toISOString();
+  writeFileAtomic(path.join(runDir, JOURNAL_FILE), JSON.stringify(journal, null, 2));
+  return journal;
+}
+
+class Transaction {
+  /**
+   * @param {string} projectRoot - Root that all staged paths are relative to
+   * @param {object} [options]
+   * @param {string} [options.command] - Recorded in the journal (e.g. "add-icons")
+   */
+  constructor(projectRoot, options = {}) {
+    // Interrupted runs are undone first so staging reads consistent data
+    this.recovered = Transaction.recoverInterrupted(projectRoot);
+    this.projectRoot = projectRoot;
+    this.runId = createRunId();
+    this.runDir = path.join(projectRoot, RUNS_DIR, this.runId);
+    this.stagingDir = path.join(this.runDir, 'staging');
+    this.backupDir = path.join(this.runDir, 'backup');
+    this.archiveDir = path.join(this.runDir, 'archive');
+    this.staged = new Map(); // relative path -> staged file path, or null to delete
+    this.journal = {
+      run_id: this.runId,
+      command: options.command || null,
+      status: 'staged',
+      started_at: new Date().toISOString(),
+      files: [],
+      archived: [],
+      summary: {}
+    };
+  }
+
+  relativePath(targetPath) {
+    const relative = path.relative(this.projectRoot, path.resolve(targetPath));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Refusing to write outside the project: ${targetPath}`);
+    }
+    return relative;
+  }
+
+  saveJournal() {
+    writeFileAtomic(path.join(this.runDir, JOURNAL_FILE), JSON.stringify(this.journal, null, 2));
+  }
+
+  /** Stage a write. Nothing under public/ changes until commit(). */
+  writeFile(targetPath, content) {
+    const relative = this.relativePath(targetPath);
+    const stagedPath = path.join(this.stagingDir, relative);
+    fs.mkdirSync(path.dirname(stagedPath), { recursive: true });
+    fs.writeFileSync(stagedPath, content);
+    this.staged.set(relative, stagedPath);
+  }
+
+  /** Stage a deletion. */
+  removeFile(targetPath) {
+    this.staged.set(this.relativePath(targetPath), null);
+  }
+
+  /** Read a file as it will look after commit (staged version first). */
+  readFile(targetPath, encoding = 'utf8') {
+    const relative = this.relativePath(targetPath);
+    if (this.staged.get(relative) === null) {
+      throw new Error(`${relative} is staged for deletion`);
+    }
+    return fs.readFileSync(this.staged.get(relative) || targetPath, encoding);
+  }
+
+  exists(targetPath) {
+    const relative = this.relativePath(targetPath);
+    return this.staged.has(relative) ? this.staged.get(relative) !== null : fs.existsSync(targetPath);
+  }
+
+  get stagedPaths() {
+    return Array.from(this.staged.keys());
+  }
+
+  /**
+   * Swap every staged file into place, backing up what it replaces.
+   * Restores the already swapped files if any step fails.
+   */
+  commit(summary = {}) {
+    this.journal.summary = summary;
+    this.journal.files = this.stagedPaths.map(relative => ({
+      path: relative,
+      existed: fs.existsSync(path.join(this.projectRoot, relative)),
+      deleted: this.staged.get(relative) === null,
+      committed: false
+    }));
+    this.journal.status = 'committing';
+    this.journal.pid = process.pid;
+    this.saveJournal();
+
+    try {
+      for (const entry of this.journal.files) {
+        const target = path.join(this.projectRoot, entry.path);
+        if (entry.existed) {
+          copyFileAtomic(target, path.join(this.backupDir, entry.path));
+        }
+        if (entry.deleted) {
+          if (entry.existed) fs.unlinkSync(target);
+        } else {
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          fs.renameSync(this.staged.get(entry.path), target);
+        }
+        entry.committed = true;
+      }
+    } catch (error) {
+      this.restoreFiles(this.journal.files.filter(entry => entry.committed));
+      this.journal.status = 'failed';
+      this.journal.error = error.message;
+      this.saveJournal();
+      throw new Error(`Commit failed, previous files restored: ${error.message}`);
+    }
+
+    // Recovery treats files without a staged copy as swapped, so the run
+    // must be marked committed before staging goes
+    this.journal.status = 'committed';
+    this.journal.committed_at = new Date().toISOString();
+    this.saveJournal();
+    fs.rmSync(this.stagingDir, { recursive: true, force: true });
+  }
+
+  restoreFiles(entries) {
+    restoreEntries(this.projectRoot, this.runDir, entries);
+  }
+
+  /** Move a processed source file into this run's archive. */
+  archive(sourcePath) {
+    const relative = this.relativePath(sourcePath);
+    moveFile(sourcePath, path.join(this.archiveDir, relative));
+    this.journal.archived.push(relative);
+    this.saveJournal();
+  }
+
+  /** Discard staged files for a run that will not be committed. */
+  abort() {
+    if (this.journal.status === 'staged') {
+      fs.rmSync(this.runDir, { recursive: true, force: true });
+    }
+  }
+
+  static runsDir(projectRoot) {
+    return path.join(projectRoot, RUNS_DIR);
+  }
+
+  static loadJournal(projectRoot, runId) {
+    const journalPath = path.join(Transaction.runsDir(projectRoot), runId, JOURNAL_FILE);
+    if (!fs.existsSync(journalPath)) {
+      throw new Error(`Unknown run "${runId}" (no journal at ${journalPath})`);
+    }
+    return JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+  }
+
+  /** All journals, oldest first. */
+  static listRuns(projectRoot) {
+    const runsDir = Transaction.runsDir(projectRoot);
+    if (!fs.existsSync(runsDir)) return [];
+
+    return fs.readdirSync(runsDir)
+      .filter(runId => fs.existsSync(path.join(runsDir, runId, JOURNAL_FILE)))
+      .map(runId => Transaction.loadJournal(projectRoot, runId))
+      .sort((a, b) => a.started_at.localeCompare(b.started_at) || a.run_id.localeCompare(b.run_id));
+  }
+
+  /**
+   * Undo every run whose commit was interrupted (status still
+   * "committing"): restore the files it had swapped and move its archived
+   * sources back. Newest first; each becomes "recovered".
+   * @returns {object[]} Journals of the recovered runs
+   */
+  static recoverInterrupted(projectRoot) {
+    return Transaction.listRuns(projectRoot)
+      .filter(run => run.status === 'committing' && !isCommitting(run.pid))
+      .reverse()
+      .map(journal => {
+        const runDir = path.join(Transaction.runsDir(projectRoot), journal.run_id);
+        const entries = swappedEntries(projectRoot, runDir, journal);
+        console.warn(`⚠️  Recovering interrupted run ${journal.run_id}: restoring ${entries.length} of ${journal.files.length} files`);
+        undoRun(projectRoot, journal, entries, 'recovered');
+        fs.rmSync(path.join(runDir, 'staging'), { recursive: true, force: true });
+        return journal;
+      });
+  }
+
+  /**
+   * Restore the files a committed run replaced, delete the files it created
+   * and put archived sources back. Runs must be rolled back newest first.
+   * Rolling back a run whose commit was interrupted recovers it instead.
+   */
+  static rollback(projectRoot, runId) {
+    const journal = Transaction.loadJournal(projectRoot, runId);
+    if (journal.status === 'committing') {
+      if (isCommitting(journal.pid)) {
+        throw new Error(`Run ${runId} is still committing (process ${journal.pid})`);
+      }
+      Transaction.recoverInterrupted(projectRoot);
+      return Transaction.loadJournal(projectRoot, runId);
+    }
+    if (journal.status !== 'committed') {
+      throw new Error(`Run ${runId} is "${journal.status}", only committed or interrupted runs can be rolled back`);
+    }
+
+    const runs = Transaction.listRuns(projectRoot);
+    const newer = runs
+      .slice(runs.findIndex(run => run.run_id === runId) + 1)
+      .filter(run => run.status === 'committed');
+    if (newer.length > 0) {
+      throw new Error(`Roll back newer runs first: ${newer.map(run => run.run_id).join(', ')}`);
+    }
+
+    return undoRun(projectRoot, journal, journal.files, 'rolled_back');
+  }
+}
+
+module.exports = {
+  Transaction,
+  writeFileAtomic
+};
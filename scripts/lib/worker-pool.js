@@ -0,0 +1,160 @@
+/**
+ * IconBoard - Worker Pool
+ * A fixed set of worker threads running one module's tasks.
+ *
+ * The worker module calls serveTasks(handler) from this file; handler(task)
+ * returns (or resolves to) a structured-cloneable result. Tasks are queued
+ * and handed to whichever worker is free.
+ */
+
+const os = require('os');
+const { Worker, parentPort, workerData } = require('worker_threads');
+
+/** One worker per core, leaving one for the main thread. */
+function defaultPoolSize() {
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+class WorkerPool {
+  /**
+   * @param {string} workerFile - Absolute path of the worker module
+   * @param {object} [options]
+   * @param {number} [options.size] - Number of threads (default: cores - 1)
+   * @param {*} [options.workerData] - Passed to every worker as workerData
+   */
+  constructor(workerFile, options = {}) {
+    this.size = options.size || defaultPoolSize();
+    this.queue = [];
+    this.idle = [];
+    this.running = new Map();
+    this.nextId = 1;
+    this.failure = null;
+    this.closed = false;
+
+    this.workers = Array.from({ length: this.size }, () => {
+      const worker = new Worker(workerFile, { workerData: options.workerData });
+      worker.on('message', ({ id, result, error }) => {
+        const job = this.running.get(worker);
+        this.running.delete(worker);
+        if (!job || job.id !== id) return;
+        if (error) job.reject(new Error(error));
+        else job.resolve(result);
+        this.release(worker);
+      });
+      worker.on('error', error => this.fail(error));
+      worker.on('exit', code => {
+        if (code !== 0 && !this.closed) this.fail(new Error(`Worker thread exited with code ${code}`));
+      });
+      return worker;
+    });
+    this.idle.push(...this.workers);
+  }
+
+  /** Run one task on the next free worker. */
+  run(task) {
+    if (this.failure) return Promise.reject(this.failure);
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Run every task, handing results to onResult in task order while later
+   * tasks are still running. At most `window` tasks are in flight or
+   * waiting for an earlier one, so memory stays flat however many tasks
+   * there are.
+   *
+   * @param {Array} tasks
+   * @param {function(*, number): void} onResult - (result, index)
+   * @param {number} [window] - Default: 4 tasks per worker
+   */
+  forEachOrdered(tasks, onResult, window = this.size * 4) {
+    return new Promise((resolve, reject) => {
+      const done = new Map();
+      let nextToSend = 0;
+      let nextToEmit = 0;
+      let stopped = false;
+
+      const pump = () => {
+        while (!stopped && nextToSend < tasks.length && nextToSend - nextToEmit < window) {
+          const index = nextToSend++;
+          this.run(tasks[index]).then(result => {
+            if (stopped) return;
+            done.set(index, result);
+            try {
+              while (done.has(nextToEmit)) {
+                const next = done.get(nextToEmit);
+                done.delete(nextToEmit);
+                onResult(next, nextToEmit++);
+              }
+            } catch (error) {
+              stopped = true;
+              reject(error);
+              return;
+            }
+            if (nextToEmit === tasks.length) resolve();
+            else pump();
+          }, error => {
+            stopped = true;
+            reject(error);
+          });
+        }
+      };
+
+      if (tasks.length === 0) resolve();
+      else pump();
+    });
+  }
+
+  async close() {
+    this.closed = true;
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.pop();
+      const job = this.queue.shift();
+      this.running.set(worker, job);
+      worker.postMessage({ id: job.id, task: job.task });
+    }
+  }
+
+  release(worker) {
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  // A crashed worker fails everything still queued or running
+  fail(error) {
+    if (this.failure) return;
+    this.failure = error;
+    for (const job of [...this.running.values(), ...this.queue]) {
+      job.reject(error);
+    }
+    this.running.clear();
+    this.queue = [];
+  }
+}
+
+/**
+ * Answer a pool's tasks from inside a worker thread.
+ * @param {function(*, *): *} handler - (task, workerData) -> result
+ */
+function serveTasks(handler) {
+  parentPort.on('message', async ({ id, task }) => {
+    try {
+      parentPort.postMessage({ id, result: await handler(task, workerData) });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  WorkerPool,
+  defaultPoolSize,
+  serveTasks
+};
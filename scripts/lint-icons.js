@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * IconBoard - Lint Icons Script
+ * Check icon quality in the chunked data and in the new icons folder
+ *
+ * Usage:
+ *   npm run lint-icons -- [--source all|chunks|new] [--category <id>] [--json]
+ *
+ * Rules (see scripts/lib/icon-lint.js): missing-viewbox, viewbox-consistency,
+ * hardcoded-color, stroke-width-consistency, raster-image, oversized-file.
+ * Severities are set per category in the "lint" section of
+ * iconboard.config.js.
+ *
+ * New icons are linted as add-icons would store them (sanitized and
+ * optimized), against the existing icons of their category, so this shows
+ * in advance what add-icons will refuse.
+ *
+ * Options:
+ *   --source all|chunks|new  What to lint (default all)
+ *   --category <id>          Only lint one category
+ *   --json                   Print the findings as JSON on stdout
+ *
+ * Exits with status 1 when any finding is an error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { IconDataset } = require('./lib/icon-dataset');
+const { sanitizeSvg } = require('./lib/svg-sanitizer');
+const { resolveOptimizerOptions, optimizeSvg } = require('./lib/svg-optimizer');
+const { lintIcons } = require('./lib/icon-lint');
+const { loadScriptConfig, formatIconId } = require('./lib/config');
+
+const SOURCES = ['all', 'chunks', 'new'];
+
+class IconLinter {
+  constructor(options = {}) {
+    this.source = options.source || 'all';
+    this.category = options.category ? options.category.toLowerCase() : null;
+    this.json = Boolean(options.json);
+    // Progress goes to stderr in JSON mode so stdout only carries the report
+    this.log = this.json ? console.error : console.log;
+
+    this.projectRoot = path.join(__dirname, '..');
+    this.config = loadScriptConfig(this.projectRoot);
+    this.publicDir = this.config.paths.output;
+    this.newIconsDir = this.config.paths.newIcons;
+    this.dataset = new IconDataset(this.publicDir, null, { config: this.config });
+  }
+
+  async run() {
+    this.log('🚀 IconBoard - Linting Icons...\n');
+
+    try {
+      if (!SOURCES.includes(this.source)) {
+        throw new Error(`Unknown --source "${this.source}" (expected ${SOURCES.join(', ')})`);
+      }
+
+      const config = this.config.lint;
+      const existing = this.readExistingIcons();
+      const { icons: newIcons, rejected } = this.source === 'chunks'
+        ? { icons: [], rejected: [] }
+        : this.readNewIcons();
+
+      const findings = this.source === 'new'
+        ? lintIcons(newIcons, config, { context: existing })
+        : lintIcons([...existing, ...newIcons], config);
+      findings.push(...rejected);
+
+      const files = new Map(newIcons.map(icon => [icon.id, icon.file]));
+      findings.forEach(finding => {
+        if (files.has(finding.id)) finding.file = files.get(finding.id);
+      });
+
+      const report = {
+        generated_at: new Date().toISOString(),
+        source: this.source,
+        icons_checked: (this.source === 'new' ? 0 : existing.length) + newIcons.length + rejected.length,
+        errors: findings.filter(finding => finding.severity === 'error').length,
+        warnings: findings.filter(finding => finding.severity === 'warning').length,
+        findings
+      };
+      this.printReport(report);
+
+      if (report.errors > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('❌ Error linting icons:', error.message);
+      process.exit(1);
+    }
+  }
+
+  // Chunk icons, limited to --category
+  readExistingIcons() {
+    if (!fs.existsSync(path.join(this.publicDir, 'chunks-index.json'))) {
+      return [];
+    }
+
+    this.dataset.load();
+    const chunkNumbers = this.category
+      ? this.dataset.categoryChunks[this.category] || []
+      : this.dataset.chunksIndex.chunks.map(info => info.chunk_number);
+
+    const icons = [];
+    for (const chunkNumber of chunkNumbers) {
+      icons.push(...this.dataset.readChunk(chunkNumber).filter(icon => !this.category || icon.category === this.category));
+    }
+    this.log(`📦 Loaded ${icons.length} icons from ${chunkNumbers.length} chunks`);
+    return icons;
+  }
+
+  /**
+   * SVGs in the new icons folder, sanitized and optimized like add-icons does.
+   * @returns {{ icons: object[], rejected: object[] }} rejected holds a
+   *   finding per file the sanitizer refuses
+   */
+  readNewIcons() {
+    const icons = [];
+    const rejected = [];
+    if (!fs.existsSync(this.newIconsDir)) {
+      return { icons, rejected };
+    }
+
+    const categoryFolders = fs.readdirSync(this.newIconsDir)
+      .filter(item => fs.statSync(path.join(this.newIconsDir, item)).isDirectory())
+      .filter(item => !this.category || item.toLowerCase() === this.category);
+
+    for (const categoryFolder of categoryFolders) {
+      const categoryPath = path.join(this.newIconsDir, categoryFolder);
+      const category = categoryFolder.toLowerCase();
+
+      for (const filename of fs.readdirSync(categoryPath).filter(file => file.toLowerCase().endsWith('.svg'))) {
+        const id = formatIconId(this.config, categoryFolder, path.basename(filename, '.svg'));
+        const file = path.relative(this.projectRoot, path.join(categoryPath, filename));
+        const result = sanitizeSvg(fs.readFileSync(path.join(categoryPath, filename), 'utf8'), this.config.sanitizer);
+
+        if (!result.accepted) {
+          rejected.push({ id, category, rule: 'sanitizer', severity: 'error', message: result.reason, file });
+          continue;
+        }
+        const optimized = optimizeSvg(result.svgContent, resolveOptimizerOptions(this.config.optimizer, categoryFolder));
+        icons.push({ id, category, svgContent: optimized.svgContent, file });
+      }
+    }
+
+    this.log(`📁 Loaded ${icons.length + rejected.length} icons from ${path.relative(this.projectRoot, this.newIconsDir)}/`);
+    return { icons, rejected };
+  }
+
+  printReport(report) {
+    if (this.json) {
+      process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+      return;
+    }
+
+    const byCategory = new Map();
+    report.findings.forEach(finding => {
+      if (!byCategory.has(finding.category)) byCategory.set(finding.category, []);
+      byCategory.get(finding.category).push(finding);
+    });
+
+    for (const [category, findings] of [...byCategory].sort((a, b) => a[0].localeCompare(b[0]))) {
+      this.log(`\n📁 ${category}`);
+      findings.forEach(finding => {
+        const icon = finding.file || finding.id;
+        this.log(`   ${finding.severity === 'error' ? '❌' : '⚠️ '} ${icon}: ${finding.message} [${finding.rule}]`);
+      });
+    }
+
+    this.log(`\n📋 Checked ${report.icons_checked} icons`);
+    this.log(`${report.errors > 0 ? '❌' : '✅'} ${report.errors} errors, ${report.warnings} warnings`);
+    if (report.errors > 0) {
+      this.log('💡 Fix the icons, or change the rule\'s severity for the category in iconboard.config.js (lint section)');
+    }
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      source: { type: 'string', default: 'all' },
+      category: { type: 'string' },
+      json: { type: 'boolean', default: false }
+    }
+  });
+
+  const linter = new IconLinter({
+    source: values.source,
+    category: values.category,
+    json: values.json
+  });
+  linter.run();
+}
+
+module.exports = IconLinter;
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * IconBoard - Manage Icons Script
+ * Update, rename or remove icons that are already in the chunked data
+ *
+ * Usage:
+ *   npm run update-icon -- <icon-id> [--svg <file>] [--meta <file>]
+ *   npm run rename-icon -- <icon-id> <new-name> [--category <category>]
+ *   npm run remove-icon -- <icon-id>
+ *
+ * update  Replace the SVG (sanitized and optimized like add-icons) and/or
+ *         apply a metadata file in the .meta.json format. Tags in the
+ *         metadata replace the icon's custom tags.
+ * rename  Give the icon a new name and optionally move it to another
+ *         category. The old ID is recorded in public/icon-redirects.json.
+ * remove  Delete the icon. Its chunk is kept, even when empty, so chunk
+ *         numbers stay contiguous.
+ *
+ * Only the chunk holding the icon is rewritten; chunk counts, category counts
+ * and category-chunks.json are recomputed. Every change is journaled and can
+ * be undone with: npm run add-icons -- --rollback <run-id>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { sanitizeSvg } = require('./lib/svg-sanitizer');
+const {
+  resolveOptimizerOptions,
+  optimizeSvg,
+  formatSavings
+} = require('./lib/svg-optimizer');
+const { validateMetadata, defaultTags, applyIconMetadata } = require('./lib/icon-metadata');
+const { IconDataset } = require('./lib/icon-dataset');
+const { Transaction } = require('./lib/transaction');
+const { loadScriptConfig, formatIconId } = require('./lib/config');
+
+const OPTIONAL_FIELDS = ['aliases', 'description', 'author', 'deprecated', 'collection'];
+
+class IconManager {
+  constructor() {
+    this.projectRoot = path.join(__dirname, '..');
+    this.config = loadScriptConfig(this.projectRoot);
+    this.publicDir = this.config.paths.output;
+    this.transaction = new Transaction(this.projectRoot);
+    this.dataset = new IconDataset(this.publicDir, this.transaction, { config: this.config });
+  }
+
+  async run(command, args, options) {
+    const commands = {
+      update: () => this.update(args[0], options),
+      rename: () => this.rename(args[0], args[1], options),
+      remove: () => this.remove(args[0])
+    };
+
+    try {
+      if (!commands[command]) {
+        throw new Error(`Unknown command "${command}" (expected update, rename or remove)`);
+      }
+      if (!args[0]) {
+        throw new Error('Missing icon ID');
+      }
+
+      this.transaction.journal.command = `${command}-icon`;
+      this.dataset.load();
+
+      const summary = commands[command]();
+
+      this.log('\n📝 Updating metadata...');
+      this.dataset.refreshMetadata();
+      this.dataset.stage();
+      this.transaction.commit(summary);
+      this.log(`   ✅ Wrote ${this.transaction.stagedPaths.length} files`);
+      this.log(`\n↩️  Undo with: npm run add-icons -- --rollback ${this.transaction.runId}`);
+    } catch (error) {
+      this.transaction.abort();
+      console.error(`❌ Error running ${command}:`, error.message);
+      process.exit(1);
+    }
+  }
+
+  log(...messages) {
+    console.log(...messages);
+  }
+
+  locate(iconId) {
+    const location = this.dataset.findIcon(iconId);
+    if (!location) {
+      const redirect = this.dataset.redirects[iconId];
+      throw new Error(`Icon "${iconId}" not found${redirect ? ` (it was renamed to "${redirect}")` : ''}`);
+    }
+    this.log(`🎯 Found ${iconId} in chunk ${location.chunkNumber}`);
+    return location;
+  }
+
+  update(iconId, options) {
+    if (!options.svg && !options.meta) {
+      throw new Error('Nothing to update: pass --svg and/or --meta');
+    }
+
+    const location = this.locate(iconId);
+    let icon = { ...location.icon };
+
+    if (options.svg) {
+      const svgContent = fs.readFileSync(options.svg, 'utf8');
+      const result = sanitizeSvg(svgContent, this.config.sanitizer);
+      if (!result.accepted) {
+        throw new Error(`${options.svg} was rejected: ${result.reason}`);
+      }
+      result.changes.forEach(change => this.log(`   🧽 ${change}`));
+
+      const optimized = optimizeSvg(
+        result.svgContent,
+        resolveOptimizerOptions(this.config.optimizer, icon.category)
+      );
+      this.log(`   🗜️  ${path.basename(options.svg)}: ${formatSavings(Buffer.byteLength(svgContent, 'utf8'), optimized.after)}`);
+      icon.svgContent = optimized.svgContent;
+    }
+
+    if (options.meta) {
+      const metadata = validateMetadata(JSON.parse(fs.readFileSync(options.meta, 'utf8')), options.meta);
+      if (metadata.tags) {
+        icon.tags = defaultTags(icon.category, icon.name);
+      }
+      // Fields present in the file replace the current values
+      OPTIONAL_FIELDS.filter(field => field in metadata).forEach(field => delete icon[field]);
+      icon = applyIconMetadata(icon, metadata);
+      this.log(`   🏷️  Applied ${Object.keys(metadata).join(', ')} from ${options.meta}`);
+    }
+
+    this.dataset.replaceIcon(location, icon);
+    this.log(`✅ Updated ${iconId}`);
+    return { updated: iconId };
+  }
+
+  rename(iconId, newName, options) {
+    if (!newName) {
+      throw new Error('Missing new name');
+    }
+    if (!/^[\w.-]+$/.test(newName)) {
+      throw new Error(`Invalid name "${newName}": use letters, digits, "-", "_" and "."`);
+    }
+
+    const location = this.locate(iconId);
+    const icon = location.icon;
+    const category = (options.category || icon.category).toLowerCase();
+    const newId = formatIconId(this.config, category, newName);
+
+    if (newId === iconId) {
+      throw new Error(`"${iconId}" already has that name`);
+    }
+    if (this.dataset.hasIcon(newId)) {
+      throw new Error(`An icon with ID "${newId}" already exists`);
+    }
+
+    // Swap the generated tags, keep any custom ones
+    const oldTags = defaultTags(icon.category, icon.name);
+    const customTags = (icon.tags || []).filter(tag => !oldTags.includes(tag));
+
+    this.dataset.replaceIcon(location, {
+      ...icon,
+      id: newId,
+      name: newName,
+      category,
+      filename: `${newName}.svg`,
+      tags: Array.from(new Set([...defaultTags(category, newName), ...customTags]))
+    });
+    this.dataset.addRedirect(iconId, newId);
+
+    this.log(`✅ Renamed ${iconId} → ${newId}`);
+    this.log(`   🔀 Recorded redirect in icon-redirects.json`);
+    return { renamed: { from: iconId, to: newId } };
+  }
+
+  remove(iconId) {
+    const location = this.locate(iconId);
+    this.dataset.removeIcon(location);
+    this.dataset.removeRedirectsTo(iconId);
+
+    const remaining = this.dataset.readChunk(location.chunkNumber).length;
+    this.log(`✅ Removed ${iconId} (chunk ${location.chunkNumber} now has ${remaining} icons)`);
+    return { removed: iconId };
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      svg: { type: 'string' },
+      meta: { type: 'string' },
+      category: { type: 'string' }
+    }
+  });
+
+  const [command, ...args] = positionals;
+  const manager = new IconManager();
+  manager.run(command, args, values);
+}
+
+module.exports = IconManager;
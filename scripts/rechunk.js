@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+/**
+ * IconBoard - Rechunk Script
+ * Rebuild public/chunks with a new layout and compact away gaps left by
+ * removed icons
+ *
+ * Usage:
+ *   npm run rechunk -- [--strategy count|bytes|category] [options]
+ *
+ * Strategies:
+ *   count     Fixed number of icons per chunk (the original layout)
+ *   bytes     Fill each chunk up to a target size
+ *   category  Never mix categories in a chunk; each category is split by
+ *             the target size, so browsing a category downloads only its
+ *             own icons
+ *
+ * Options:
+ *   --size <n>       Max icons per chunk (default: chunks.size)
+ *   --target-kb <n>  Target chunk size for bytes/category (default:
+ *                    chunks.targetKb)
+ *   --dry-run        Report the new layout and browse savings, write nothing
+ *
+ * Without --strategy, the chunks section of iconboard.config.js decides.
+ * Icon order is kept (grouped by category for the category strategy).
+ * chunks-index.json, category-chunks.json and the data manifest are
+ * regenerated; chunk files that are no longer referenced are retired by the
+ * manifest rather than deleted right away. The run is journaled and can be
+ * undone with: npm run add-icons -- --rollback <run-id>
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { IconDataset } = require('./lib/icon-dataset');
+const { Transaction } = require('./lib/transaction');
+const { formatBytes } = require('./lib/svg-optimizer');
+const { chunkFilename, publishStagedManifest } = require('./lib/data-manifest');
+const { stageSearchIndex } = require('./lib/search-index');
+const { CHUNK_STRATEGIES, planChunks } = require('./lib/chunk-layout');
+const { loadScriptConfig } = require('./lib/config');
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+class Rechunker {
+  constructor(options = {}) {
+    this.projectRoot = path.join(__dirname, '..');
+    this.config = loadScriptConfig(this.projectRoot);
+
+    this.strategy = options.strategy || this.config.chunks.strategy;
+    this.maxIcons = options.size || this.config.chunks.size;
+    this.targetBytes = (options.targetKb || this.config.chunks.targetKb) * 1024;
+    this.dryRun = Boolean(options.dryRun);
+
+    this.publicDir = this.config.paths.output;
+    this.transaction = this.dryRun ? null : new Transaction(this.projectRoot, { command: 'rechunk' });
+    this.dataset = new IconDataset(this.publicDir, this.transaction, { config: this.config });
+  }
+
+  async run() {
+    console.log(`🚀 IconBoard - Rechunking (${this.strategy} strategy)...\n`);
+
+    try {
+      if (!CHUNK_STRATEGIES.includes(this.strategy)) {
+        throw new Error(`Unknown strategy "${this.strategy}" (expected ${CHUNK_STRATEGIES.join(', ')})`);
+      }
+      if (!(this.maxIcons > 0) || !(this.targetBytes > 0)) {
+        throw new Error('--size and --target-kb must be positive numbers');
+      }
+
+      this.dataset.load();
+      const icons = this.loadAllIcons();
+      const chunks = this.planChunks(icons);
+      const layout = chunks.map(chunkIcons => JSON.stringify(chunkIcons));
+
+      console.log(`📦 ${this.dataset.chunksIndex.total_chunks} chunks → ${chunks.length} chunks`);
+      this.reportBrowseSavings(chunks, layout);
+
+      if (this.dryRun) {
+        console.log('\n💡 Dry run - nothing was written. Run without --dry-run to apply');
+        return;
+      }
+
+      this.stageChunks(chunks, layout);
+      this.transaction.commit({ strategy: this.strategy, chunks: chunks.length });
+
+      console.log(`\n✅ Rechunked ${icons.length} icons into ${chunks.length} chunks`);
+      console.log(`↩️  Undo with: npm run add-icons -- --rollback ${this.transaction.runId}`);
+    } catch (error) {
+      if (this.transaction) {
+        this.transaction.abort();
+      }
+      console.error('❌ Error rechunking:', error.message);
+      process.exit(1);
+    }
+  }
+
+  loadAllIcons() {
+    console.log('📊 Loading current chunks...');
+    const icons = [];
+    for (const info of this.dataset.chunksIndex.chunks) {
+      icons.push(...this.dataset.readChunk(info.chunk_number));
+    }
+    console.log(`   🎯 ${icons.length} icons in ${this.dataset.chunksIndex.total_chunks} chunks`);
+    return icons;
+  }
+
+  planChunks(icons) {
+    return planChunks(icons, {
+      strategy: this.strategy,
+      maxIcons: this.maxIcons,
+      targetBytes: this.targetBytes
+    });
+  }
+
+  buildCategoryChunks(chunks) {
+    const categoryChunks = {};
+    chunks.forEach((chunkIcons, index) => {
+      for (const category of new Set(chunkIcons.map(icon => icon.category))) {
+        if (!categoryChunks[category]) categoryChunks[category] = [];
+        categoryChunks[category].push(index + 1);
+      }
+    });
+    return categoryChunks;
+  }
+
+  // Bytes a client downloads to browse each category, before and after
+  reportBrowseSavings(chunks, layout) {
+    const oldSizes = new Map(this.dataset.chunksIndex.chunks.map(info => {
+      const chunkPath = this.dataset.getChunkPath(info.chunk_number);
+      return [info.chunk_number, fs.existsSync(chunkPath) ? fs.statSync(chunkPath).size : 0];
+    }));
+    const newSizes = new Map(layout.map((content, index) => [index + 1, Buffer.byteLength(content, 'utf8')]));
+    const newCategoryChunks = this.buildCategoryChunks(chunks);
+
+    const browseBytes = (chunkNumbers, sizes) =>
+      (chunkNumbers || []).reduce((total, chunkNumber) => total + (sizes.get(chunkNumber) || 0), 0);
+
+    const rows = Object.keys(newCategoryChunks).sort().map(category => ({
+      category,
+      before: browseBytes(this.dataset.categoryChunks[category], oldSizes),
+      after: browseBytes(newCategoryChunks[category], newSizes),
+      chunks: newCategoryChunks[category].length
+    }));
+
+    console.log('\n📏 Category browse size (bytes downloaded to show one category):');
+    rows.forEach(row => {
+      const delta = row.after - row.before;
+      console.log(`   📂 ${row.category}: ${formatBytes(row.before)} → ${formatBytes(row.after)} (${delta <= 0 ? '-' : '+'}${formatBytes(Math.abs(delta))}, ${row.chunks} chunks)`);
+    });
+
+    const medianBefore = median(rows.map(row => row.before));
+    const medianAfter = median(rows.map(row => row.after));
+    console.log(`\n   📊 Typical (median) category browse: ${formatBytes(medianBefore)} → ${formatBytes(medianAfter)}`);
+    console.log(`   💾 Saved per typical browse: ${formatBytes(Math.max(0, medianBefore - medianAfter))}`);
+
+    return rows;
+  }
+
+  stageChunks(chunks, layout) {
+    console.log('\n💾 Writing chunks...');
+    const chunksIndex = this.dataset.chunksIndex;
+    let rewritten = 0;
+    let startIndex = 0;
+
+    chunksIndex.chunks = chunks.map((chunkIcons, index) => {
+      const chunkNumber = index + 1;
+      // Content-hashed names: an existing file with this name is identical
+      const filename = chunkFilename(chunkNumber, layout[index]);
+      if (!fs.existsSync(path.join(this.publicDir, filename))) {
+        this.transaction.writeFile(path.join(this.publicDir, filename), layout[index]);
+        rewritten++;
+      }
+
+      const info = {
+        chunk_number: chunkNumber,
+        filename,
+        start_index: startIndex,
+        count: chunkIcons.length,
+        size_kb: Math.round(layout[index].length / 1024 * 100) / 100
+      };
+      startIndex += chunkIcons.length;
+      return info;
+    });
+
+    chunksIndex.total_icons = startIndex;
+    chunksIndex.total_chunks = chunks.length;
+    chunksIndex.chunk_size = this.maxIcons;
+    chunksIndex.strategy = this.strategy;
+    chunksIndex.created_at = new Date().toISOString();
+
+    this.transaction.writeFile(
+      path.join(this.publicDir, 'chunks-index.json'),
+      JSON.stringify(chunksIndex, null, 2)
+    );
+    this.transaction.writeFile(
+      path.join(this.publicDir, 'category-chunks.json'),
+      JSON.stringify(this.buildCategoryChunks(chunks), null, 2)
+    );
+    stageSearchIndex(this.config, this.publicDir, this.transaction, chunksIndex);
+    const manifest = publishStagedManifest(this.publicDir, this.transaction);
+
+    console.log(`   ✅ ${rewritten} chunks written, ${chunks.length - rewritten} unchanged`);
+    console.log(`   🏷️  Data version ${manifest.version} (${manifest.retired.length} old files retired)`);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      strategy: { type: 'string' },
+      size: { type: 'string' },
+      'target-kb': { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const rechunker = new Rechunker({
+    strategy: values.strategy,
+    size: values.size === undefined ? undefined : Number(values.size),
+    targetKb: values['target-kb'] === undefined ? undefined : Number(values['target-kb']),
+    dryRun: values['dry-run']
+  });
+  rechunker.run();
+}
+
+module.exports = Rechunker;
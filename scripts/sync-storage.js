@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * IconBoard - Sync Storage Script
+ * Publish the data in paths.output to the configured storage target
+ *
+ * Usage:
+ *   npm run sync-storage -- [--target local|s3|supabase] [--dry-run] [options]
+ *
+ * Only files that changed are uploaded: content-hashed files are skipped when
+ * the target already has them, other files when the stored MD5 matches.
+ * Content-hashed files go first with a one-year immutable cache, then the
+ * stable metadata files, and data-manifest.json last so clients only switch
+ * once the new version is complete. Data files at the target that the data
+ * no longer references (chunks-index.json, the manifest and its retired
+ * list) are deleted afterwards; keys that are not IconBoard data files
+ * (chunks/icons-*.json, the metadata files and the manifest) are never
+ * touched.
+ *
+ * Options:
+ *   --target <name>    local, s3 or supabase (default: storage.target in
+ *                      iconboard.config.js)
+ *   --prefix <path>    Folder inside the target (default: storage.prefix)
+ *   --dir <path>       Folder of the local target
+ *   --bucket <name>    Bucket of the s3 or supabase target
+ *   --endpoint <url>   Endpoint of the s3 target, e.g. http://localhost:9000
+ *   --dry-run          Show what would be uploaded and deleted, change nothing
+ *   --keep-stale       Do not delete anything at the target
+ *
+ * Credentials are read from the environment; see scripts/lib/storage-targets.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  MANIFEST_FILE,
+  HASHED_METADATA_FILES,
+  OPTIONAL_HASHED_FILES,
+  isHashedName,
+  loadManifest
+} = require('./lib/data-manifest');
+const { REDIRECTS_FILE } = require('./lib/icon-dataset');
+const { md5, forEachLimit, createStorageTarget } = require('./lib/storage-targets');
+const { formatBytes } = require('./lib/svg-optimizer');
+const { loadScriptConfig, isHttpUrl } = require('./lib/config');
+
+// Hashed files never change; stable names (and the manifest) must revalidate
+const IMMUTABLE_CACHE_SECONDS = 31536000;
+const STABLE_CACHE_SECONDS = 60;
+
+// Every file name sync-storage publishes, hashed names aside
+const DATA_FILES = [...HASHED_METADATA_FILES, ...OPTIONAL_HASHED_FILES, REDIRECTS_FILE, MANIFEST_FILE];
+const CHUNK_KEY = /^(chunks\/)?icons-\d+(\.[0-9a-f]+)?\.json$/;
+
+// Whether a key at the target is one of the data files, so a stale copy
+// may be deleted; anything else sharing the location is left alone
+function isDataKey(key) {
+  return CHUNK_KEY.test(key) || DATA_FILES.includes(isHashedName(key) ? key.replace(/\.[0-9a-f]+\.json$/, '.json') : key);
+}
+
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml'
+};
+
+function headersFor(key) {
+  const maxAge = isHashedName(key) ? IMMUTABLE_CACHE_SECONDS : STABLE_CACHE_SECONDS;
+  return {
+    contentType: CONTENT_TYPES[path.extname(key)] || 'application/octet-stream',
+    cacheControl: isHashedName(key) ? `public, max-age=${maxAge}, immutable` : `public, max-age=${maxAge}`,
+    maxAge
+  };
+}
+
+class StorageSync {
+  constructor(options = {}) {
+    this.dryRun = Boolean(options.dryRun);
+    this.keepStale = Boolean(options.keepStale);
+
+    this.projectRoot = path.join(__dirname, '..');
+    this.config = loadScriptConfig(this.projectRoot);
+    this.publicDir = this.config.paths.output;
+    this.storage = this.applyOverrides(this.config.storage, options);
+  }
+
+  applyOverrides(storage, options) {
+    if (options.endpoint !== undefined && !isHttpUrl(options.endpoint)) {
+      throw new Error(`--endpoint must be an http(s) URL, e.g. http://localhost:9000 (got ${JSON.stringify(options.endpoint)})`);
+    }
+    const target = options.target || storage.target;
+    const bucket = options.bucket ? { bucket: options.bucket } : {};
+    return {
+      ...storage,
+      target,
+      prefix: options.prefix !== undefined ? options.prefix.replace(/^\/+|\/+$/g, '') : storage.prefix,
+      local: { ...storage.local, ...(options.dir ? { dir: path.resolve(this.projectRoot, options.dir) } : {}) },
+      s3: { ...storage.s3, ...(target === 's3' ? bucket : {}), ...(options.endpoint ? { endpoint: options.endpoint } : {}) },
+      supabase: { ...storage.supabase, ...(target === 'supabase' ? bucket : {}) }
+    };
+  }
+
+  async run() {
+    console.log('🚀 IconBoard - Syncing Data to Storage...\n');
+
+    try {
+      this.checkLocalTarget();
+      const target = createStorageTarget(this.storage);
+      console.log(`🎯 Target: ${target.describe()}`);
+
+      const { files, retained } = this.collectFiles();
+      const totalBytes = files.reduce((total, file) => total + file.content.length, 0);
+      console.log(`📦 ${files.length} data files in ${path.relative(this.projectRoot, this.publicDir) || '.'}/ (${formatBytes(totalBytes)})`);
+
+      const remote = await target.list();
+      console.log(`☁️  ${remote.size} files at the target`);
+
+      const uploads = files.filter(file => this.needsUpload(file, remote));
+      const wanted = new Set([...files.map(file => file.key), ...retained]);
+      const unknown = [...remote.keys()].filter(key => !isDataKey(key));
+      const stale = this.keepStale ? [] : [...remote.keys()].filter(key => isDataKey(key) && !wanted.has(key)).sort();
+      const uploadBytes = uploads.reduce((total, file) => total + file.content.length, 0);
+
+      console.log(`\n📋 ${uploads.length} to upload (${formatBytes(uploadBytes)}), ${files.length - uploads.length} unchanged, ${stale.length} stale${this.keepStale ? ' (kept)' : ''}`);
+      if (unknown.length > 0) {
+        console.log(`   ${unknown.length} other files at the target are not IconBoard data and are left alone`);
+      }
+
+      if (this.dryRun) {
+        uploads.forEach(file => {
+          const headers = headersFor(file.key);
+          const cacheControl = target.cacheControl ? target.cacheControl(headers) : headers.cacheControl;
+          console.log(`   ⬆️  ${file.key} (${formatBytes(file.content.length)}, ${cacheControl})`);
+        });
+        if (target.cacheControlNote) {
+          console.log(`   ⚠️  ${target.cacheControlNote}`);
+        }
+        stale.forEach(key => console.log(`   🗑️  ${key}`));
+        console.log('\n🔍 Dry run: nothing was changed');
+        return;
+      }
+
+      // Data files, then the stable names pointing at them, then the manifest
+      const phases = [
+        ['data files', uploads.filter(file => file.phase === 0)],
+        ['stable metadata files', uploads.filter(file => file.phase === 1)],
+        ['data manifest', uploads.filter(file => file.phase === 2)]
+      ];
+      for (const [label, batch] of phases.filter(([, batch]) => batch.length > 0)) {
+        console.log(`\n📤 Uploading ${batch.length} ${label}...`);
+        await forEachLimit(batch, this.storage.concurrency, async file => {
+          await target.put(file.key, file.content, headersFor(file.key));
+          console.log(`   ✅ ${file.key}`);
+        });
+      }
+
+      if (stale.length > 0) {
+        console.log(`\n🗑️  Deleting ${stale.length} stale files...`);
+        await forEachLimit(stale, this.storage.concurrency, async key => {
+          await target.remove(key);
+          console.log(`   ✅ ${key}`);
+        });
+      }
+
+      console.log(uploads.length === 0 && stale.length === 0 ? '\n✅ Target is up to date' : '\n🎉 Sync complete');
+      if (target.publicUrl) {
+        console.log(`\n🌐 Serve the app with REACT_APP_STATIC_BASE=${target.publicUrl}`);
+      }
+    } catch (error) {
+      console.error('❌ Error syncing storage:', error.message);
+      process.exit(1);
+    }
+  }
+
+  // A local mirror must not sit on top of the data it mirrors
+  checkLocalTarget() {
+    if (this.storage.target !== 'local') return;
+    const root = path.join(this.storage.local.dir, this.storage.prefix);
+    const relative = path.relative(root, this.publicDir);
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+      throw new Error(`The local target ${root} contains ${this.publicDir}; choose another folder`);
+    }
+  }
+
+  /**
+   * Every file the published data references, in upload phases: 0 for
+   * chunks and hashed metadata, 1 for stable metadata, 2 for the manifest.
+   * @returns {{ files: object[], retained: string[] }} retained: files the
+   *   manifest still lists as retired, left in place if the target has them
+   */
+  collectFiles() {
+    const chunksIndexPath = path.join(this.publicDir, 'chunks-index.json');
+    if (!fs.existsSync(chunksIndexPath)) {
+      throw new Error(`No chunks-index.json in ${this.publicDir}; run generate-icons-data first`);
+    }
+    const chunksIndex = JSON.parse(fs.readFileSync(chunksIndexPath, 'utf8'));
+    const manifest = loadManifest(this.publicDir);
+
+    const keys = [
+      ...chunksIndex.chunks.map(info => [info.filename, 0]),
+      ...Object.values((manifest && manifest.files) || {}).map(file => [file, 0]),
+      ...[...HASHED_METADATA_FILES, ...OPTIONAL_HASHED_FILES, REDIRECTS_FILE].map(file => [file, 1]),
+      ...(manifest ? [[MANIFEST_FILE, 2]] : [])
+    ];
+
+    const files = [];
+    for (const [key, phase] of keys) {
+      const localPath = path.join(this.publicDir, key);
+      if (!fs.existsSync(localPath)) {
+        // Optional stable files only exist once built
+        if (phase === 1 && !HASHED_METADATA_FILES.includes(key)) continue;
+        throw new Error(`${key} is referenced by the data but missing from ${this.publicDir}`);
+      }
+      const content = fs.readFileSync(localPath);
+      files.push({ key, phase, content, md5: md5(content) });
+    }
+
+    const retained = ((manifest && manifest.retired) || []).map(entry => entry.file);
+    return { files, retained };
+  }
+
+  // Hashed names are immutable, so existing ones never need re-uploading
+  needsUpload(file, remote) {
+    if (!remote.has(file.key)) return true;
+    return !isHashedName(file.key) && remote.get(file.key) !== file.md5;
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      target: { type: 'string' },
+      prefix: { type: 'string' },
+      dir: { type: 'string' },
+      bucket: { type: 'string' },
+      endpoint: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'keep-stale': { type: 'boolean', default: false }
+    }
+  });
+
+  const sync = new StorageSync({
+    target: values.target,
+    prefix: values.prefix,
+    dir: values.dir,
+    bucket: values.bucket,
+    endpoint: values.endpoint,
+    dryRun: values['dry-run'],
+    keepStale: values['keep-stale']
+  });
+  sync.run();
+}
+
+module.exports = StorageSync;
@@ -0,0 +1,679 @@
+#!/usr/bin/env node
+
+/**
+ * IconBoard - Verify Data Script
+ * Check the generated data (paths.output in iconboard.config.js) against its
+ * schema and against itself
+ *
+ * Usage:
+ *   npm run verify-data -- [--json] [--fix]
+ *
+ * Checks:
+ *   chunks-index.json     Shape, contiguous chunk numbers, totals, start
+ *                         indexes and counts against the chunk files, and
+ *                         content hashes in chunk file names
+ *   chunks/*.json         Icon records, duplicate IDs, unparsable SVGs, and
+ *                         orphaned files (not in the index and not retired)
+ *   category-chunks.json  Lists exactly the chunks holding each category
+ *   categories.json       Counts, and categories missing or without icons
+ *   search-index.json, collections.json
+ *                         Match what the chunks and collections/ produce
+ *   data-manifest.json    Points at existing hashed copies of the current
+ *                         metadata files
+ *   icon-redirects.json   Targets exist, no live icon is shadowed
+ *   api/health.json, api/categories.json
+ *                         Agree with the dataset
+ *
+ * Exits with status 1 when any error is found.
+ *
+ * --fix regenerates every derived file from the chunk files (chunks-index,
+ * categories, category-chunks, search index, collections, manifest, redirects
+ * and the static API files) and verifies again. Orphaned chunks are retired
+ * by the new manifest. Duplicate IDs and unparsable SVGs need a manual fix
+ * (see update-icon, rename-icon and remove-icon). The fix is journaled and
+ * can be undone with: npm run add-icons -- --rollback <run-id>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { parseSvg, getRootElement } = require('./lib/svg-parser');
+const { IconDataset, REDIRECTS_FILE } = require('./lib/icon-dataset');
+const { Transaction } = require('./lib/transaction');
+const {
+  MANIFEST_FILE,
+  RETENTION_MS,
+  hashContent,
+  hashedName,
+  isHashedName,
+  loadManifest
+} = require('./lib/data-manifest');
+const { SEARCH_INDEX_FILE, buildSearchIndex } = require('./lib/search-index');
+const {
+  COLLECTIONS_FILE,
+  loadCollections,
+  buildCollectionsFile,
+  stageCollections
+} = require('./lib/collections');
+const { loadScriptConfig } = require('./lib/config');
+
+const HEALTH_FILE = 'api/health.json';
+const API_CATEGORIES_FILE = 'api/categories.json';
+
+// Field types; a trailing "?" marks optional fields
+const CHUNK_INFO_SCHEMA = {
+  chunk_number: 'integer',
+  filename: 'string',
+  start_index: 'integer',
+  count: 'integer',
+  size_kb: 'number'
+};
+
+const ICON_SCHEMA = {
+  id: 'string',
+  name: 'string',
+  category: 'string',
+  filename: 'string',
+  svgContent: 'string',
+  tags: 'string[]',
+  downloads: 'number',
+  featured: 'boolean',
+  'aliases?': 'string[]',
+  'description?': 'string',
+  'author?': 'string',
+  'deprecated?': 'boolean',
+  'collection?': 'string'
+};
+
+const CATEGORY_SCHEMA = {
+  id: 'string',
+  name: 'string',
+  count: 'integer'
+};
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value) && value >= 0;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Compare an object with a schema.
+ * @returns {string[]} One message per problem
+ */
+function checkShape(value, schema, label) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [`${label} must be an object`];
+  }
+
+  const problems = [];
+  for (const [key, type] of Object.entries(schema)) {
+    const optional = key.endsWith('?');
+    const field = optional ? key.slice(0, -1) : key;
+    if (value[field] === undefined) {
+      if (!optional) problems.push(`${label} is missing "${field}"`);
+    } else if (!matchesType(value[field], type)) {
+      problems.push(`${label}: "${field}" must be ${type === 'string[]' ? 'an array of strings' : `a ${type}`}`);
+    }
+  }
+  return problems;
+}
+
+function sameNumbers(a, b) {
+  return a.length === b.length && a.every((value, index) => value === b[index]);
+}
+
+class DataVerifier {
+  constructor(options = {}) {
+    this.json = Boolean(options.json);
+    this.fix = Boolean(options.fix);
+    // Progress goes to stderr in JSON mode so stdout only carries the report
+    this.log = this.json ? console.error : console.log;
+
+    this.projectRoot = path.join(__dirname, '..');
+    this.config = loadScriptConfig(this.projectRoot);
+    this.publicDir = this.config.paths.output;
+    this.collectionsDir = this.config.paths.collections;
+    this.issues = [];
+  }
+
+  async run() {
+    this.log('🚀 IconBoard - Verifying Data...\n');
+
+    try {
+      let report = this.verify();
+
+      if (this.fix && report.errors > 0) {
+        const fixed = this.applyFix(report);
+        if (fixed) {
+          this.log('\n🔁 Verifying again...');
+          this.issues = [];
+          report = this.verify();
+        }
+      }
+
+      this.printReport(report);
+      if (report.errors > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('❌ Error verifying data:', error.message);
+      process.exit(1);
+    }
+  }
+
+  error(file, message, fixable = false) {
+    this.issues.push({ severity: 'error', file, message, fixable });
+  }
+
+  warn(file, message, fixable = false) {
+    this.issues.push({ severity: 'warning', file, message, fixable });
+  }
+
+  readJson(file, { optional = false } = {}) {
+    const filePath = path.join(this.publicDir, file);
+    if (!fs.existsSync(filePath)) {
+      if (optional) {
+        this.warn(file, 'not published', true);
+      } else {
+        this.error(file, 'missing');
+      }
+      return undefined;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      this.error(file, `invalid JSON: ${error.message}`, !optional);
+      return undefined;
+    }
+  }
+
+  /**
+   * Run every check.
+   * @returns {{ issues: object[], errors: number, warnings: number, totals: object }}
+   */
+  verify() {
+    const chunksIndex = this.readJson('chunks-index.json');
+    const chunks = chunksIndex ? this.verifyChunksIndex(chunksIndex) : new Map();
+    const { icons, categoryCounts, total } = this.verifyChunks(chunks);
+
+    this.verifyOrphans(chunksIndex);
+    this.verifyCategoryChunks(chunks);
+    const categories = this.verifyCategories(categoryCounts, total);
+    this.verifyRedirects(icons);
+    this.verifyCollections(icons);
+    if (chunksIndex && chunks.size === chunksIndex.chunks.length) {
+      this.verifySearchIndex(chunksIndex, chunks);
+    }
+    this.verifyManifest(chunksIndex);
+    this.verifyStaticApi(total, categories);
+
+    return {
+      issues: this.issues,
+      errors: this.issues.filter(issue => issue.severity === 'error').length,
+      warnings: this.issues.filter(issue => issue.severity === 'warning').length,
+      totals: {
+        icons: total,
+        chunks: chunksIndex ? chunksIndex.chunks.length : 0
+      }
+    };
+  }
+
+  /**
+   * Check chunks-index.json and load the chunk files it lists.
+   * @returns {Map<number, object[]>} chunk number -> icons, for readable chunks
+   */
+  verifyChunksIndex(chunksIndex) {
+    const file = 'chunks-index.json';
+    this.log('📦 Checking chunks-index.json and chunk files...');
+    const chunks = new Map();
+    this.chunkFiles = new Map();
+
+    checkShape(chunksIndex, { total_icons: 'integer', total_chunks: 'integer' }, file)
+      .forEach(problem => this.error(file, problem));
+    if (!Array.isArray(chunksIndex.chunks)) {
+      this.error(file, '"chunks" must be an array');
+      chunksIndex.chunks = [];
+      return chunks;
+    }
+
+    let expectedStart = 0;
+    let total = 0;
+    chunksIndex.chunks.forEach((info, index) => {
+      const label = `chunk entry ${index + 1}`;
+      const problems = checkShape(info, CHUNK_INFO_SCHEMA, label);
+      if (problems.length > 0) {
+        problems.forEach(problem => this.error(file, problem));
+        return;
+      }
+
+      if (info.chunk_number !== index + 1) {
+        this.error(file, `${label} has chunk_number ${info.chunk_number}; chunk numbers must run 1..${chunksIndex.chunks.length}`);
+      }
+      if (info.start_index !== expectedStart) {
+        this.error(file, `chunk ${info.chunk_number}: start_index is ${info.start_index}, expected ${expectedStart}`, true);
+      }
+
+      const nameMatch = info.filename.match(/^chunks\/icons-(\d+)(?:\.([0-9a-f]+))?\.json$/);
+      if (!nameMatch || Number(nameMatch[1]) !== info.chunk_number) {
+        this.error(file, `chunk ${info.chunk_number}: unexpected filename "${info.filename}"`);
+      }
+
+      const chunkPath = path.join(this.publicDir, info.filename);
+      if (!fs.existsSync(chunkPath)) {
+        this.error(info.filename, `missing (listed as chunk ${info.chunk_number})`);
+        expectedStart += info.count;
+        total += info.count;
+        return;
+      }
+
+      const content = fs.readFileSync(chunkPath, 'utf8');
+      if (isHashedName(info.filename) && !info.filename.endsWith(`.${hashContent(content)}.json`)) {
+        this.error(info.filename, 'content does not match the hash in its name');
+      }
+
+      let icons;
+      try {
+        icons = JSON.parse(content);
+      } catch (error) {
+        this.error(info.filename, `invalid JSON: ${error.message}`);
+      }
+      if (icons !== undefined && !Array.isArray(icons)) {
+        this.error(info.filename, 'must be an array of icons');
+        icons = undefined;
+      }
+
+      if (icons) {
+        chunks.set(info.chunk_number, icons);
+        this.chunkFiles.set(info.chunk_number, info.filename);
+        if (info.count !== icons.length) {
+          this.error(file, `chunk ${info.chunk_number}: count is ${info.count}, file has ${icons.length} icons`, true);
+        }
+        expectedStart += icons.length;
+        total += icons.length;
+      } else {
+        expectedStart += info.count;
+        total += info.count;
+      }
+    });
+
+    if (chunksIndex.total_chunks !== chunksIndex.chunks.length) {
+      this.error(file, `total_chunks is ${chunksIndex.total_chunks}, index lists ${chunksIndex.chunks.length}`, true);
+    }
+    if (chunksIndex.total_icons !== total) {
+      this.error(file, `total_icons is ${chunksIndex.total_icons}, chunks hold ${total}`, true);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Check every icon record and its SVG.
+   * @returns {{ icons: Map<string, object>, categoryCounts: Map<string, number>, total: number }}
+   *   icons maps each ID to its first { icon, chunkNumber }; counts include
+   *   every record, as the metadata files do
+   */
+  verifyChunks(chunks) {
+    this.log('🎯 Checking icon records and SVGs...');
+    const icons = new Map();
+    const categoryCounts = new Map();
+    let total = 0;
+
+    for (const [chunkNumber, chunkIcons] of chunks) {
+      const file = this.chunkFiles.get(chunkNumber);
+      chunkIcons.forEach((icon, index) => {
+        total++;
+        if (icon && typeof icon.category === 'string') {
+          categoryCounts.set(icon.category, (categoryCounts.get(icon.category) || 0) + 1);
+        }
+
+        const problems = checkShape(icon, ICON_SCHEMA, `icon ${index}${icon && icon.id ? ` (${icon.id})` : ''}`);
+        if (problems.length > 0) {
+          problems.forEach(problem => this.error(file, problem));
+          if (!icon || typeof icon.id !== 'string') return;
+        }
+
+        if (icons.has(icon.id)) {
+          this.error(file, `duplicate icon ID "${icon.id}" (also in ${this.chunkFiles.get(icons.get(icon.id).chunkNumber)})`);
+          return;
+        }
+        icons.set(icon.id, { icon, chunkNumber });
+
+        if (typeof icon.svgContent === 'string') {
+          try {
+            const root = getRootElement(parseSvg(icon.svgContent));
+            if (!root || root.name !== 'svg') {
+              this.error(file, `${icon.id}: svgContent has no <svg> root element`);
+            }
+          } catch (error) {
+            this.error(file, `${icon.id}: unparsable svgContent (${error.message})`);
+          }
+        }
+      });
+    }
+
+    return { icons, categoryCounts, total };
+  }
+
+  // Chunk files that nothing references and the manifest has not retired
+  verifyOrphans(chunksIndex) {
+    const chunksDir = path.join(this.publicDir, 'chunks');
+    if (!chunksIndex || !fs.existsSync(chunksDir)) return;
+
+    const referenced = new Set(chunksIndex.chunks.map(info => info.filename));
+    const manifest = fs.existsSync(path.join(this.publicDir, MANIFEST_FILE)) ? this.safeManifest() : null;
+    const retired = new Set(((manifest && manifest.retired) || []).map(entry => entry.file));
+
+    fs.readdirSync(chunksDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => `chunks/${name}`)
+      .filter(file => !referenced.has(file) && !retired.has(file))
+      .forEach(file => this.error(file, 'orphaned: not in chunks-index.json and not retired', true));
+  }
+
+  safeManifest() {
+    try {
+      return loadManifest(this.publicDir);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  verifyCategoryChunks(chunks) {
+    const file = 'category-chunks.json';
+    this.log('📂 Checking category-chunks.json and categories.json...');
+    const categoryChunks = this.readJson(file);
+    if (!categoryChunks) return;
+
+    const actual = {};
+    for (const [chunkNumber, chunkIcons] of [...chunks.entries()].sort((a, b) => a[0] - b[0])) {
+      for (const category of new Set(chunkIcons.map(icon => icon && icon.category))) {
+        if (!actual[category]) actual[category] = [];
+        actual[category].push(chunkNumber);
+      }
+    }
+
+    for (const [category, chunkNumbers] of Object.entries(actual)) {
+      const listed = categoryChunks[category];
+      if (!listed) {
+        this.error(file, `"${category}" is missing (in chunks ${chunkNumbers.join(', ')})`, true);
+      } else if (!Array.isArray(listed) || !sameNumbers([...listed].sort((a, b) => a - b), chunkNumbers)) {
+        this.error(file, `"${category}" lists chunks ${JSON.stringify(listed)}, icons are in ${chunkNumbers.join(', ')}`, true);
+      }
+    }
+    Object.keys(categoryChunks)
+      .filter(category => !actual[category])
+      .forEach(category => this.error(file, `"${category}" has no icons in any chunk`, true));
+  }
+
+  /**
+   * @returns {object[]|undefined} The parsed categories.json
+   */
+  verifyCategories(counts, total) {
+    const file = 'categories.json';
+    const categories = this.readJson(file);
+    if (!categories) return undefined;
+    if (!Array.isArray(categories)) {
+      this.error(file, 'must be an array of categories', true);
+      return undefined;
+    }
+
+    const seen = new Set();
+    categories.forEach((category, index) => {
+      const problems = checkShape(category, CATEGORY_SCHEMA, `category ${index}`);
+      if (problems.length > 0) {
+        problems.forEach(problem => this.error(file, problem));
+        return;
+      }
+      if (seen.has(category.id)) {
+        this.error(file, `duplicate category "${category.id}"`, true);
+      }
+      seen.add(category.id);
+
+      const expected = category.id === 'all' ? total : (counts.get(category.id) || 0);
+      if (category.count !== expected) {
+        this.error(file, `"${category.id}" count is ${category.count}, expected ${expected}`, true);
+      }
+    });
+
+    for (const [category, count] of counts) {
+      if (!seen.has(category)) {
+        this.error(file, `"${category}" is missing (${count} icons)`, true);
+      }
+    }
+    return categories;
+  }
+
+  verifyRedirects(icons) {
+    const file = REDIRECTS_FILE;
+    if (!fs.existsSync(path.join(this.publicDir, file))) return;
+    this.log('🔀 Checking icon-redirects.json...');
+    const redirects = this.readJson(file);
+    if (!redirects) return;
+
+    for (const [from, to] of Object.entries(redirects)) {
+      if (icons.has(from)) {
+        this.error(file, `"${from}" is a live icon but redirects to "${to}"`, true);
+      } else if (redirects[to] !== undefined) {
+        this.warn(file, `"${from}" → "${to}" is a chain; "${to}" redirects again`, true);
+      } else if (!icons.has(to)) {
+        this.error(file, `"${from}" redirects to missing icon "${to}"`, true);
+      }
+    }
+  }
+
+  verifyCollections(icons) {
+    if (!fs.existsSync(this.collectionsDir)) return;
+    this.log('📜 Checking collections...');
+
+    const collectionsLabel = path.relative(this.projectRoot, this.collectionsDir);
+    let collections;
+    try {
+      collections = loadCollections(this.collectionsDir);
+    } catch (error) {
+      this.error(collectionsLabel, error.message);
+      return;
+    }
+
+    const ids = new Set(collections.map(collection => collection.id));
+    for (const [id, { icon, chunkNumber }] of icons) {
+      if (icon.collection && !ids.has(icon.collection)) {
+        this.error(this.chunkFiles.get(chunkNumber), `${id}: unknown collection "${icon.collection}"`);
+      }
+    }
+
+    const filePath = path.join(this.publicDir, COLLECTIONS_FILE);
+    if (!fs.existsSync(filePath)) {
+      this.warn(COLLECTIONS_FILE, 'not published', true);
+    } else if (fs.readFileSync(filePath, 'utf8') !== buildCollectionsFile(collections)) {
+      this.error(COLLECTIONS_FILE, `out of date with ${collectionsLabel}/`, true);
+    }
+  }
+
+  verifySearchIndex(chunksIndex, chunks) {
+    const filePath = path.join(this.publicDir, SEARCH_INDEX_FILE);
+    this.log('🔍 Checking search-index.json...');
+    if (!fs.existsSync(filePath)) {
+      this.warn(SEARCH_INDEX_FILE, 'not published', true);
+      return;
+    }
+
+    const expected = buildSearchIndex(this.config, chunksIndex, chunkNumber => chunks.get(chunkNumber));
+    if (fs.readFileSync(filePath, 'utf8') !== expected) {
+      this.error(SEARCH_INDEX_FILE, 'out of date with the chunks', true);
+    }
+  }
+
+  verifyManifest(chunksIndex) {
+    const file = MANIFEST_FILE;
+    if (!fs.existsSync(path.join(this.publicDir, file))) {
+      this.warn(file, 'not published', true);
+      return;
+    }
+    this.log('🏷️  Checking data-manifest.json...');
+    const manifest = this.readJson(file);
+    if (!manifest) return;
+
+    if (!manifest.files || typeof manifest.files !== 'object') {
+      this.error(file, '"files" must be an object', true);
+      return;
+    }
+
+    for (const [stableName, hashed] of Object.entries(manifest.files)) {
+      const hashedPath = path.join(this.publicDir, hashed);
+      const stablePath = path.join(this.publicDir, stableName);
+      if (!fs.existsSync(hashedPath)) {
+        this.error(file, `${stableName} points at missing ${hashed}`, true);
+      } else if (fs.existsSync(stablePath) && hashedName(stableName, fs.readFileSync(stablePath, 'utf8')) !== hashed) {
+        this.error(file, `${stableName} changed since the manifest was published`, true);
+      }
+    }
+
+    if (chunksIndex && (manifest.total_icons !== chunksIndex.total_icons || manifest.total_chunks !== chunksIndex.total_chunks)) {
+      this.error(file, `totals (${manifest.total_icons} icons, ${manifest.total_chunks} chunks) do not match chunks-index.json`, true);
+    }
+
+    const now = Date.now();
+    for (const entry of manifest.retired || []) {
+      if (fs.existsSync(path.join(this.publicDir, entry.file)) && now - Date.parse(entry.retired_at) >= RETENTION_MS) {
+        this.warn(file, `${entry.file} was retired at ${entry.retired_at} and can be deleted`, true);
+      }
+    }
+  }
+
+  verifyStaticApi(iconCount, categories) {
+    if (fs.existsSync(path.join(this.publicDir, HEALTH_FILE))) {
+      const health = this.readJson(HEALTH_FILE);
+      if (health && health.icons !== iconCount) {
+        this.error(HEALTH_FILE, `claims ${health.icons} icons, dataset has ${iconCount}`, true);
+      }
+    }
+
+    if (categories && fs.existsSync(path.join(this.publicDir, API_CATEGORIES_FILE))) {
+      const apiCategories = this.readJson(API_CATEGORIES_FILE);
+      if (apiCategories && JSON.stringify(apiCategories) !== JSON.stringify(categories)) {
+        this.error(API_CATEGORIES_FILE, 'differs from categories.json', true);
+      }
+    }
+  }
+
+  /**
+   * Regenerate the derived files from the chunk files.
+   * @returns {boolean} Whether anything was written
+   */
+  applyFix(report) {
+    const blocking = report.issues.filter(issue => issue.severity === 'error' && !issue.fixable);
+    const unreadable = blocking.filter(issue =>
+      /^chunks-index\.json$|^chunks\//.test(issue.file) && /missing|invalid JSON|must be an array/.test(issue.message));
+    if (unreadable.length > 0) {
+      this.log('\n⛔ Not fixing: chunk files or the index are unreadable');
+      return false;
+    }
+
+    this.log('\n🛠️  Regenerating derived files from the chunks...');
+    const transaction = new Transaction(this.projectRoot, { command: 'verify-data' });
+
+    try {
+      const dataset = new IconDataset(this.publicDir, transaction, { config: this.config }).load();
+      dataset.rebuildMetadata();
+      this.fixRedirects(dataset);
+
+      if (fs.existsSync(this.collectionsDir)) {
+        stageCollections(this.publicDir, transaction, loadCollections(this.collectionsDir));
+      }
+      dataset.stage();
+
+      const healthPath = path.join(this.publicDir, HEALTH_FILE);
+      if (fs.existsSync(healthPath)) {
+        const health = JSON.parse(fs.readFileSync(healthPath, 'utf8'));
+        transaction.writeFile(healthPath, `${JSON.stringify({
+          ...health,
+          icons: dataset.chunksIndex.total_icons,
+          timestamp: new Date().toISOString().replace(/\.\d+Z$/, 'Z')
+        }, null, 2)}\n`);
+      }
+      if (fs.existsSync(path.join(this.publicDir, API_CATEGORIES_FILE))) {
+        transaction.writeFile(path.join(this.publicDir, API_CATEGORIES_FILE), JSON.stringify(dataset.categories, null, 2));
+      }
+
+      transaction.commit({ fixed: report.issues.filter(issue => issue.fixable).length });
+      this.log(`   ✅ Wrote ${transaction.stagedPaths.length} files`);
+      this.log(`   ↩️  Undo with: npm run add-icons -- --rollback ${transaction.runId}`);
+      return true;
+    } catch (error) {
+      transaction.abort();
+      throw error;
+    }
+  }
+
+  // Drop redirects that shadow live icons or lead nowhere; collapse chains
+  fixRedirects(dataset) {
+    const redirects = dataset.redirects;
+    const resolve = (id, seen = new Set()) =>
+      redirects[id] === undefined || seen.has(id) ? id : resolve(redirects[id], seen.add(id));
+
+    for (const from of Object.keys(redirects)) {
+      const target = resolve(from);
+      if (dataset.hasIcon(from) || !dataset.hasIcon(target)) {
+        delete redirects[from];
+      } else if (target !== redirects[from]) {
+        redirects[from] = target;
+      } else {
+        continue;
+      }
+      dataset.redirectsChanged = true;
+    }
+  }
+
+  printReport(report) {
+    if (this.json) {
+      process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+      return;
+    }
+
+    this.log(`\n📋 Checked ${report.totals.icons} icons in ${report.totals.chunks} chunks`);
+    if (report.issues.length === 0) {
+      this.log('✅ All data is consistent');
+      return;
+    }
+
+    const byFile = new Map();
+    report.issues.forEach(issue => {
+      if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+      byFile.get(issue.file).push(issue);
+    });
+    for (const [file, issues] of byFile) {
+      this.log(`\n📄 ${file}`);
+      issues.forEach(issue => {
+        this.log(`   ${issue.severity === 'error' ? '❌' : '⚠️ '} ${issue.message}${issue.fixable ? '' : ' (manual fix)'}`);
+      });
+    }
+
+    this.log(`\n${report.errors > 0 ? '❌' : '✅'} ${report.errors} errors, ${report.warnings} warnings`);
+    if (!this.fix && report.issues.some(issue => issue.fixable)) {
+      this.log('💡 Run with --fix to regenerate the derived files');
+    }
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      json: { type: 'boolean', default: false },
+      fix: { type: 'boolean', default: false }
+    }
+  });
+
+  const verifier = new DataVerifier({ json: values.json, fix: values.fix });
+  verifier.run();
+}
+
+module.exports = DataVerifier;
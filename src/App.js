@@ -23,18 +23,21 @@ const CarbonIconGrid = lazy(() => import("./components/CarbonIconGrid"));
 const CarbonDetailsPanel = lazy(() => import("./components/CarbonDetailsPanel"));
 const DynamicOGMeta = lazy(() => import("./components/DynamicOGMeta"));
 import { iconAPI, categoryAPI } from "./services/api";
+import { parseSearchQuery } from "./services/searchQuery";
 
 const Home = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [selectedIcon, setSelectedIcon] = useState(null);
   const [icons, setIcons] = useState([]);
+  const [correctedQuery, setCorrectedQuery] = useState(null); // search typos fixed by the index
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [hasMore, setHasMore] = useState(true);
-  const [currentLimit, setCurrentLimit] = useState(100);
+  const [nextCursor, setNextCursor] = useState(null); // where the next page starts
+  const [totalIcons, setTotalIcons] = useState(null); // icons in all pages, when known
   const [isMobileSidebarOpen, setIsMobileSidebarOpen] = useState(false);
   const [isMobileDetailsOpen, setIsMobileDetailsOpen] = useState(false);
   const posthog = usePostHog();
@@ -134,14 +137,15 @@ const Home = () => {
   // Load icons when category or debounced search changes
   useEffect(() => {
     const loadIcons = async () => {
+      let superseded = false;
       try {
         setLoading(true);
         // Don't clear icons immediately - keep showing current icons while loading
-        setCurrentLimit(150); // Reset limit for 2 more rows
-        setHasMore(true); // Reset hasMore flag
+        setNextCursor(null); // The old query's pages are not continued
         
         const params = {
-          limit: 150 // Increased initial load for 2 more rows of icons
+          limit: 150, // Increased initial load for 2 more rows of icons
+          consumer: 'grid' // Supersedes the grid's page still loading
         };
         
         if (selectedCategory !== 'all') {
@@ -149,55 +153,63 @@ const Home = () => {
         }
         
         if (debouncedSearchTerm) {
-          params.search = debouncedSearchTerm;
+          params.query = parseSearchQuery(debouncedSearchTerm);
         }
         
         // Track search/load performance
         const startTime = performance.now();
-        const iconsData = await iconAPI.getIcons(params);
+        const page = await iconAPI.getIcons(params);
         const endTime = performance.now();
         const loadTime = endTime - startTime;
         
         
-        setIcons(iconsData);
+        setIcons(page.items);
+        setCorrectedQuery(page.correctedQuery || null);
+        setTotalIcons(page.total);
+        setNextCursor(page.nextCursor);
+        setHasMore(Boolean(page.nextCursor));
 
         // Track performance metrics
         if (debouncedSearchTerm) {
-          trackSearchPerformance(debouncedSearchTerm, iconsData.length, loadTime, 'search');
+          trackSearchPerformance(debouncedSearchTerm, page.total !== null ? page.total : page.items.length, loadTime, 'search');
         } else {
           trackCustomMetric('icon_load_time', loadTime, {
             category: params.category || 'all',
-            result_count: iconsData.length,
+            result_count: page.items.length,
             load_type: 'initial'
           });
         }
-        
-        // Check if we have fewer icons than the limit, meaning no more to load
-        if (iconsData.length < 150) {
-          setHasMore(false);
-        }
       } catch (err) {
+        // A newer query replaced this one and owns the loading state
+        if (err.name === 'AbortError') {
+          superseded = true;
+          return;
+        }
         console.error('Failed to load icons:', err);
         setError('Failed to load icons');
         setIcons([]);
+        setCorrectedQuery(null);
+        setTotalIcons(null);
+        setHasMore(false);
       } finally {
-        setLoading(false);
+        if (!superseded) setLoading(false);
       }
     };
 
     loadIcons();
   }, [selectedCategory, debouncedSearchTerm]);
 
-  // Function to load more icons
+  // Function to load more icons: fetch the next page and append it
   const loadMoreIcons = async () => {
-    if (loadingMore || !hasMore) return;
+    if (loading || loadingMore || !hasMore || !nextCursor) return;
     
     try {
       setLoadingMore(true);
-      const newLimit = currentLimit + 100;
       
       const params = {
-        limit: newLimit
+        limit: 100,
+        cursor: nextCursor,
+        consumer: 'grid'
       };
       
       if (selectedCategory !== 'all') {
@@ -205,19 +217,17 @@ const Home = () => {
       }
       
       if (debouncedSearchTerm) {
-        params.search = debouncedSearchTerm;
+        params.query = parseSearchQuery(debouncedSearchTerm);
       }
       
-      const iconsData = await iconAPI.getIcons(params);
-      setIcons(iconsData);
-      setCurrentLimit(newLimit);
-      
-      // Check if we have fewer new icons than expected, meaning no more to load
-      if (iconsData.length < newLimit) {
-        setHasMore(false);
-      }
+      const page = await iconAPI.getIcons(params);
+      setIcons(prevIcons => [...prevIcons, ...page.items]);
+      setNextCursor(page.nextCursor);
+      setHasMore(Boolean(page.nextCursor));
     } catch (err) {
-      console.error('Failed to load more icons:', err);
+      if (err.name !== 'AbortError') {
+        console.error('Failed to load more icons:', err);
+      }
     } finally {
       setLoadingMore(false);
     }
@@ -333,6 +343,7 @@ const Home = () => {
           onToggleMobileSidebar={handleToggleMobileSidebar}
           isMobileSidebarOpen={isMobileSidebarOpen}
           icons={icons}
+          categories={categories}
         />
       </EnhancedErrorBoundary>
       
@@ -369,9 +380,11 @@ const Home = () => {
                 onIconSelect={handleIconSelect}
                 selectedIcon={selectedIcon}
                 searchTerm={searchTerm}
+                correctedQuery={correctedQuery}
                 category={selectedCategory}
                 loading={loading}
                 loadingMore={loadingMore}
+                totalIcons={totalIcons}
                 hasMore={hasMore}
                 onLoadMore={loadMoreIcons}
                 isSearching={isSearching}
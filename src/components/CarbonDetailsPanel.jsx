@@ -1,19 +1,51 @@
-import React, { useState } from 'react';
-import { Download, Copy, Check, Code2, Tag, Folder, X, FileCode } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Download, Copy, Check, Code2, Tag, Folder, X, FileCode, Scale, ExternalLink } from 'lucide-react';
 import { Button } from './ui/button';
 import { Badge } from './ui/badge';
+import { ToastAction } from './ui/toast';
 import { useToast } from '../hooks/use-toast';
 import { useTheme } from '../contexts/ThemeContext';
 import { usePostHog } from 'posthog-js/react';
+import { collectionAPI } from '../services/api';
+import { buildAttribution } from '../utils/attribution';
+import { describeMatch, highlightSegments } from '../utils/searchMatch';
 import IconCodeGenerator from './IconCodeGenerator';
 
+// Text with the words a search matched highlighted
+const Highlighted = ({ text, words, isDark }) => highlightSegments(text, words).map((segment, index) => (
+  segment.highlight ? (
+    <mark key={index} className={`rounded-sm ${isDark ? 'bg-yellow-500/30 text-yellow-100' : 'bg-yellow-100 text-gray-900'}`}>
+      {segment.text}
+    </mark>
+  ) : (
+    <React.Fragment key={index}>{segment.text}</React.Fragment>
+  )
+));
+
 const CarbonDetailsPanel = ({ selectedIcon, onClose, isMobile = false }) => {
   const { isDark } = useTheme();
   const [copied, setCopied] = useState(false);
   const [showCodeGenerator, setShowCodeGenerator] = useState(false);
+  const [collection, setCollection] = useState(undefined); // undefined while loading
   const { toast } = useToast();
   const posthog = usePostHog();
 
+  // Provenance and license of the icon's set
+  useEffect(() => {
+    let cancelled = false;
+    setCollection(undefined);
+    if (selectedIcon) {
+      collectionAPI.getCollectionForIcon(selectedIcon)
+        .then(result => {
+          if (!cancelled) setCollection(result);
+        })
+        .catch(() => {});
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedIcon]);
+
   if (!selectedIcon) {
     return (
       <div className={`w-full md:w-80 border-l h-full ${
@@ -46,6 +78,61 @@ const CarbonDetailsPanel = ({ selectedIcon, onClose, isMobile = false }) => {
     );
   }
 
+  const attribution = buildAttribution(selectedIcon, collection);
+
+  // Search results explain their match; matched tags are listed first
+  const matchDescription = describeMatch(selectedIcon.match);
+  const matchedWords = selectedIcon.match ? selectedIcon.match.words : [];
+  const matchedFields = selectedIcon.match ? selectedIcon.match.fields : [];
+  const isMatchedTag = (tag) => matchedWords.some(word => tag.toLowerCase().includes(word));
+  const tags = [...selectedIcon.tags.filter(isMatchedTag), ...selectedIcon.tags.filter(tag => !isMatchedTag(tag))];
+
+  const handleCopyAttribution = async () => {
+    try {
+      await navigator.clipboard.writeText(attribution);
+
+      if (posthog) {
+        posthog.capture('icon_attribution_copied', {
+          icon_name: selectedIcon.name,
+          icon_category: selectedIcon.category,
+          icon_collection: collection.id,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      toast({
+        title: "Copied",
+        description: "Attribution copied to clipboard.",
+      });
+    } catch (err) {
+      toast({
+        title: "Failed",
+        description: "Failed to copy attribution.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  // Copy and download toasts name the license and offer the attribution
+  const licenseToast = (title, description) => {
+    if (!attribution) {
+      toast({ title, description });
+      return;
+    }
+
+    toast({
+      title,
+      description: `${description} ${collection.name} · ${collection.license}${
+        collection.attribution_required ? ' (attribution required)' : ''
+      }`,
+      action: (
+        <ToastAction altText="Copy attribution" onClick={handleCopyAttribution}>
+          Copy attribution
+        </ToastAction>
+      ),
+    });
+  };
+
   const handleDownload = () => {
     if (!selectedIcon.svgContent) {
       toast({
@@ -77,10 +164,7 @@ const CarbonDetailsPanel = ({ selectedIcon, onClose, isMobile = false }) => {
       });
     }
 
-    toast({
-      title: "Downloaded",
-      description: `${selectedIcon.name} downloaded successfully.`,
-    });
+    licenseToast("Downloaded", `${selectedIcon.name} downloaded successfully.`);
   };
 
   const handleCopy = async () => {
@@ -109,10 +193,7 @@ const CarbonDetailsPanel = ({ selectedIcon, onClose, isMobile = false }) => {
         });
       }
       
-      toast({
-        title: "Copied",
-        description: "SVG code copied to clipboard.",
-      });
+      licenseToast("Copied", "SVG code copied to clipboard.");
     } catch (err) {
       toast({
         title: "Failed",
@@ -168,8 +249,13 @@ const CarbonDetailsPanel = ({ selectedIcon, onClose, isMobile = false }) => {
               ? 'bg-gray-900 border-gray-600 text-gray-200' 
               : 'bg-white border-gray-200 text-gray-900'
           }`}>
-            {selectedIcon.filename}.svg
+            <Highlighted text={selectedIcon.filename} words={matchedWords} isDark={isDark} />.svg
           </div>
+          {matchDescription && (
+            <p className={`mt-1 text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+              {matchDescription} · relevance {selectedIcon.match.score}
+            </p>
+          )}
         </div>
       </div>
 
@@ -278,7 +364,7 @@ const CarbonDetailsPanel = ({ selectedIcon, onClose, isMobile = false }) => {
             </label>
           </div>
           <div className="flex flex-wrap gap-1">
-            {selectedIcon.tags.slice(0, 6).map((tag) => (
+            {tags.slice(0, 6).map((tag) => (
               <Badge 
                 key={tag} 
                 variant="outline" 
@@ -288,7 +374,7 @@ const CarbonDetailsPanel = ({ selectedIcon, onClose, isMobile = false }) => {
                     : 'bg-white border-gray-200 text-gray-700'
                 }`}
               >
-                {tag}
+                <Highlighted text={tag} words={matchedWords} isDark={isDark} />
               </Badge>
             ))}
           </div>
@@ -312,12 +398,94 @@ const CarbonDetailsPanel = ({ selectedIcon, onClose, isMobile = false }) => {
               isDark 
                 ? 'bg-blue-900/50 border-blue-700 text-blue-300' 
                 : 'bg-blue-50 border-blue-200 text-blue-700'
-            }`}
+            } ${matchedFields.includes('category') ? 'ring-1 ring-yellow-400' : ''}`}
           >
             {selectedIcon.category}
           </Badge>
         </div>
 
+        {/* License */}
+        {collection !== undefined && (
+          <div>
+            <div className="flex items-center gap-1 mb-2">
+              <Scale className={`w-3 h-3 ${
+                isDark ? 'text-gray-400' : 'text-gray-600'
+              }`} />
+              <label className={`text-xs font-medium ${
+                isDark ? 'text-gray-300' : 'text-gray-700'
+              }`}>
+                License
+              </label>
+            </div>
+            {collection ? (
+              <div className={`space-y-2 text-xs ${
+                isDark ? 'text-gray-300' : 'text-gray-700'
+              }`}>
+                <div className="flex flex-wrap items-center gap-1">
+                  <Badge 
+                    variant="outline" 
+                    className={`text-xs px-2 py-0.5 ${
+                      isDark 
+                        ? 'bg-green-900/50 border-green-700 text-green-300' 
+                        : 'bg-green-50 border-green-200 text-green-700'
+                    }`}
+                  >
+                    {collection.license_url ? (
+                      <a href={collection.license_url} target="_blank" rel="noopener noreferrer">
+                        {collection.license}
+                      </a>
+                    ) : collection.license}
+                  </Badge>
+                  {collection.attribution_required && (
+                    <span className={isDark ? 'text-yellow-300' : 'text-yellow-700'}>
+                      Attribution required
+                    </span>
+                  )}
+                </div>
+                <p>
+                  From{' '}
+                  <a
+                    href={collection.source_url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-0.5 underline"
+                  >
+                    {collection.name}
+                    {collection.version ? ` ${collection.version}` : ''}
+                    <ExternalLink className="w-3 h-3" />
+                  </a>
+                  {' '}by {collection.author}
+                </p>
+                {collection.trademark_notes && (
+                  <p className={`leading-relaxed ${
+                    isDark ? 'text-gray-400' : 'text-gray-500'
+                  }`}>
+                    {collection.trademark_notes}
+                  </p>
+                )}
+                <Button
+                  onClick={handleCopyAttribution}
+                  variant="outline"
+                  className={`w-full h-7 text-xs font-medium ${
+                    isDark 
+                      ? 'border-gray-600 bg-gray-900 hover:bg-gray-700 text-gray-300 hover:text-white' 
+                      : 'border-gray-300 bg-white hover:bg-gray-50 text-gray-700'
+                  }`}
+                >
+                  <Copy className="w-3 h-3 mr-2" />
+                  Copy attribution
+                </Button>
+              </div>
+            ) : (
+              <p className={`text-xs ${
+                isDark ? 'text-gray-400' : 'text-gray-500'
+              }`}>
+                No license information for this icon set. Check the source before using it.
+              </p>
+            )}
+          </div>
+        )}
+
         {/* SVG Code */}
         <div>
           <div className="flex items-center gap-1 mb-2">
@@ -9,12 +9,13 @@ import { useScreenReader } from '../hooks/useAccessibility';
 import SearchDropdown from './SearchDropdown';
 import { useRecentSearches } from '../hooks/useRecentSearches';
 
-const CarbonHeader = ({ onSearch, searchTerm, onToggleMobileSidebar, isMobileSidebarOpen, icons = [] }) => {
+const CarbonHeader = ({ onSearch, searchTerm, onToggleMobileSidebar, isMobileSidebarOpen, icons = [], categories = [] }) => {
   const { isDark, toggleTheme } = useTheme();
   const posthog = usePostHog();
   const searchInputRef = useRef(null);
   const [showShortcutHint, setShowShortcutHint] = useState(false);
   const [isSearchDropdownOpen, setIsSearchDropdownOpen] = useState(false);
+  const blurTimerRef = useRef(null);
   
   // Hooks
   const haptics = useHapticFeedback();
@@ -85,9 +86,16 @@ const CarbonHeader = ({ onSearch, searchTerm, onToggleMobileSidebar, isMobileSid
     setIsSearchDropdownOpen(true);
   };
 
+  // A qualifier picked from the dropdown: keep it open for the value
+  const handleSearchComplete = (searchValue) => {
+    clearTimeout(blurTimerRef.current);
+    onSearch(searchValue);
+    setIsSearchDropdownOpen(true);
+  };
+
   const handleSearchBlur = () => {
     // Delay to allow click on dropdown items
-    setTimeout(() => {
+    blurTimerRef.current = setTimeout(() => {
       setIsSearchDropdownOpen(false);
     }, 200);
   };
@@ -199,7 +207,9 @@ const CarbonHeader = ({ onSearch, searchTerm, onToggleMobileSidebar, isMobileSid
           <SearchDropdown
             searchTerm={searchTerm}
             onSearch={handleSearchSubmit}
+            onComplete={handleSearchComplete}
             icons={icons}
+            categories={categories}
             isOpen={isSearchDropdownOpen}
             onClose={handleCloseDropdown}
             inputRef={searchInputRef}
@@ -218,7 +228,7 @@ const CarbonHeader = ({ onSearch, searchTerm, onToggleMobileSidebar, isMobileSid
           
           {/* Screen reader only search description */}
           <div id="search-hint" className="sr-only">
-            Use Cmd+K or forward slash to focus search. Type to search through 13,000+ icons.
+            Use Cmd+K or forward slash to focus search. Type to search through 13,000+ icons; narrow results with category:, tag:, set: or name:, exclude words with a leading minus and combine alternatives with OR.
           </div>
         </div>
 
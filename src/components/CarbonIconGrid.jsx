@@ -4,10 +4,12 @@ import { useTheme } from '../contexts/ThemeContext';
 import { IconGridSkeleton, SearchLoadingState, LoadMoreSkeleton } from './LoadingStates';
 import { useHapticFeedback } from '../hooks/useHapticFeedback';
 import { useScreenReader } from '../hooks/useAccessibility';
+import { describeMatch } from '../utils/searchMatch';
 
 // Simple Icon Cell Component
 const IconCell = React.memo(({ icon, onIconSelect, selectedIcon, isDark, haptics, announce }) => {
   const isSelected = selectedIcon?.id === icon.id;
+  const matchDescription = describeMatch(icon.match); // why a search result matched
 
   const handleIconSelect = useCallback(() => {
     haptics.select();
@@ -37,7 +39,7 @@ const IconCell = React.memo(({ icon, onIconSelect, selectedIcon, isDark, haptics
         containIntrinsicSize: '96px 96px', // Reserve space for 24h (h-24) container
         contain: 'layout style paint'
       }}
-      title={`${icon.name} - ${icon.category} category`}
+      title={`${icon.name} - ${icon.category} category${matchDescription ? `\n${matchDescription}` : ''}`}
       aria-label={`Select ${icon.name} icon`}
     >
       <div 
@@ -107,9 +109,11 @@ const CarbonIconGrid = ({
   onIconSelect, 
   selectedIcon, 
   searchTerm, 
+  correctedQuery = null,
   category, 
   loading, 
   loadingMore, 
+  totalIcons = null,
   hasMore, 
   onLoadMore, 
   isSearching = false 
@@ -118,6 +122,8 @@ const CarbonIconGrid = ({
   const haptics = useHapticFeedback();
   const screenReader = useScreenReader();
   const announce = screenReader?.announce || (() => {});
+  // Pages load as the grid scrolls; count every icon when the total is known
+  const iconCount = totalIcons !== null ? totalIcons : icons.length;
 
   // Enhanced icon selection with haptic feedback
   const handleIconSelect = useCallback((icon) => {
@@ -230,7 +236,9 @@ const CarbonIconGrid = ({
                 <p className={`text-sm mt-0.5 ${
                   isDark ? 'text-gray-400' : 'text-gray-600'
                 }`}>
-                  Results for "{searchTerm}"
+                  {correctedQuery
+                    ? <>Showing results for "<span className="font-medium">{correctedQuery}</span>" (searched for "{searchTerm}")</>
+                    : <>Results for "{searchTerm}"</>}
                 </p>
               )}
             </div>
@@ -238,7 +246,7 @@ const CarbonIconGrid = ({
           <div className={`text-sm ${
             isDark ? 'text-gray-400' : 'text-gray-600'
           }`}>
-            {icons.length} {icons.length === 1 ? 'icon' : 'icons'}
+            {iconCount} {iconCount === 1 ? 'icon' : 'icons'}
           </div>
         </div>
       </div>
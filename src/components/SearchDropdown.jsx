@@ -3,11 +3,18 @@ import { Search, Clock, X, TrendingUp } from 'lucide-react';
 import { useTheme } from '../contexts/ThemeContext';
 import { useAutocomplete } from '../hooks/useAutocomplete';
 import { useRecentSearches } from '../hooks/useRecentSearches';
+import { collectionAPI } from '../services/api';
+import { QUERY_FIELDS } from '../services/searchQuery';
+
+// Suggestions ending in a bare qualifier still need a value
+const needsValue = (item) => item.endsWith(':');
 
 const SearchDropdown = ({ 
   searchTerm, 
   onSearch, 
+  onComplete,
   icons = [], 
+  categories = [],
   isOpen, 
   onClose,
   inputRef 
@@ -15,13 +22,26 @@ const SearchDropdown = ({
   const { isDark } = useTheme();
   const dropdownRef = useRef(null);
   const [selectedIndex, setSelectedIndex] = useState(0);
+  const [collections, setCollections] = useState([]); // icon sets, for set: values
+
+  // Icon sets are only needed once the dropdown is used
+  useEffect(() => {
+    if (!isOpen || collections.length > 0) return;
+    let cancelled = false;
+    collectionAPI.getCollections().then(result => {
+      if (!cancelled) setCollections(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, collections.length]);
   
-  const { suggestions, isLoading } = useAutocomplete(searchTerm, icons);
+  const { suggestions, isLoading } = useAutocomplete(searchTerm, icons, { categories, collections });
   const { recentSearches, addRecentSearch, removeRecentSearch } = useRecentSearches();
 
   // Determine what to show
   const showRecent = !searchTerm && recentSearches.length > 0;
-  const showSuggestions = searchTerm.length >= 2 && suggestions.length > 0;
+  const showSuggestions = searchTerm.length > 0 && suggestions.length > 0;
   const showContent = showRecent || showSuggestions;
 
   const items = showRecent ? recentSearches : suggestions;
@@ -79,6 +99,15 @@ const SearchDropdown = ({
   }, [onClose, inputRef]);
 
   const handleSelectItem = (item) => {
+    // A qualifier goes into the search box and the dropdown offers its values
+    if (!showRecent && needsValue(item) && onComplete) {
+      onComplete(item);
+      if (inputRef.current) {
+        inputRef.current.focus();
+      }
+      return;
+    }
+
     onSearch(item);
     addRecentSearch(item);
     onClose();
@@ -167,6 +196,12 @@ const SearchDropdown = ({
               {item}
             </span>
           </div>
+
+          {!showRecent && needsValue(item) && (
+            <span className={`text-xs ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>
+              {QUERY_FIELDS[item.slice(0, -1).split(/[\s-]/).pop()]}
+            </span>
+          )}
           
           {showRecent && (
             <button
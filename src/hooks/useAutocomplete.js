@@ -1,22 +1,59 @@
 import { useState, useEffect, useMemo } from 'react';
+import { QUERY_FIELDS, currentSearchTerm } from '../services/searchQuery';
+
+// Values offered after a qualifier, best first: those starting with what
+// was typed, then those containing it
+function suggestValues(values, typed) {
+  const unique = Array.from(new Set(values.filter(Boolean).map(value => value.toLowerCase())));
+  const starting = unique.filter(value => value.startsWith(typed)).sort();
+  const containing = unique.filter(value => !value.startsWith(typed) && value.includes(typed)).sort();
+  return [...starting, ...containing].slice(0, 8);
+}
 
 /**
- * Hook for providing autocomplete suggestions based on icon data
+ * Hook for providing autocomplete suggestions based on icon data. Only the
+ * last term of the search box is completed; qualifiers (category:, tag:,
+ * set:, name:) are completed first, then their values.
  * @param {string} searchTerm - Current search term
  * @param {Array} icons - Current icon data for suggestions
- * @returns {object} { suggestions, isLoading }
+ * @param {object} [sources] - { categories, collections } for qualifier values
+ * @returns {object} { suggestions, isLoading } - suggestions are the whole
+ *   search box text with the last term completed; those ending in ":" still
+ *   need a value
  */
-export function useAutocomplete(searchTerm, icons = []) {
+export function useAutocomplete(searchTerm, icons = [], { categories = [], collections = [] } = {}) {
   const [suggestions, setSuggestions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
 
   // Generate suggestions from current icon data and common terms
   const generateSuggestions = useMemo(() => {
-    if (!searchTerm || searchTerm.length < 2) {
-      return [];
+    const { before, negated, field, value } = currentSearchTerm(searchTerm);
+    const prefix = `${before}${negated ? '-' : ''}`;
+
+    if (field) {
+      const values = {
+        category: categories.map(category => category.id).filter(id => id !== 'all'),
+        tag: icons.flatMap(icon => icon.tags || []),
+        set: collections.map(collection => collection.id),
+        name: icons.map(icon => icon.name)
+      }[field];
+      const typed = value.toLowerCase().trim();
+      return suggestValues(values, typed)
+        .filter(suggestion => suggestion !== typed)
+        .map(suggestion => `${prefix}${field}:${/\s/.test(suggestion) ? `"${suggestion}"` : suggestion}`);
     }
 
-    const term = searchTerm.toLowerCase().trim();
+    const fieldSuggestions = value
+      ? Object.keys(QUERY_FIELDS)
+        .filter(name => name.startsWith(value.toLowerCase()))
+        .map(name => `${prefix}${name}:`)
+      : [];
+
+    if (value.length < 2) {
+      return fieldSuggestions;
+    }
+
+    const term = value.toLowerCase().trim();
     const suggestionSet = new Set();
     
     // Extract common search patterns from icons
@@ -59,7 +96,7 @@ export function useAutocomplete(searchTerm, icons = []) {
       }
     });
 
-    return Array.from(suggestionSet)
+    const wordSuggestions = Array.from(suggestionSet)
       .slice(0, 8) // Limit to 8 suggestions
       .sort((a, b) => {
         // Prioritize exact starts
@@ -71,11 +108,14 @@ export function useAutocomplete(searchTerm, icons = []) {
         
         // Then by length (shorter first)
         return a.length - b.length;
-      });
-  }, [searchTerm, icons]);
+      })
+      .map(suggestion => `${prefix}${suggestion}`);
+
+    return [...fieldSuggestions, ...wordSuggestions].slice(0, 8);
+  }, [searchTerm, icons, categories, collections]);
 
   useEffect(() => {
-    if (searchTerm && searchTerm.length >= 2) {
+    if (searchTerm && searchTerm.trim()) {
       setIsLoading(true);
       
       // Simulate a small delay for better UX
@@ -0,0 +1,103 @@
+/**
+ * @jest-environment node
+ */
+
+import { IconSearchIndex } from '../iconSearch';
+import { parseSearchQuery } from '../searchQuery';
+
+const icons = (category, names) => names.map(name => ({ id: `${category}_${name}`, name, category, tags: [] }));
+
+describe('search snapshots', () => {
+  test('later pages come from the first page\'s results while the index grows', async () => {
+    const index = new IconSearchIndex();
+    index.indexChunk(icons('material', ['arrow-up', 'arrow-down', 'arrow-left']), 1);
+    const query = parseSearchQuery('arrow');
+
+    const first = await index.search(query, { limit: 2 });
+    index.indexChunk(icons('lucide', ['arrow', 'arrow-right']), 2);
+    const second = await index.search(query, { offset: 2, limit: 2, snapshot: first.snapshot });
+
+    expect(first.total).toBe(3);
+    expect(second.total).toBe(3);
+    const ids = [...first.matches, ...second.matches].map(match => match.id);
+    expect(new Set(ids).size).toBe(3);
+    expect(ids).not.toContain('lucide_arrow');
+
+    const fresh = await index.search(query, { limit: 2 });
+    expect(fresh.total).toBe(5);
+    expect(fresh.snapshot).not.toBe(first.snapshot);
+  });
+
+  test('rejects a snapshot of a different query', async () => {
+    const index = new IconSearchIndex();
+    index.indexChunk(icons('material', ['arrow-up', 'home']), 1);
+    const { snapshot } = await index.search(parseSearchQuery('arrow'));
+
+    await expect(index.search(parseSearchQuery('home'), { snapshot })).rejects.toThrow('have expired');
+  });
+});
+
+describe('typo correction', () => {
+  const index = new IconSearchIndex();
+  index.indexChunk(icons('material', ['arrow-up', 'home', 'home-filled', 'hose', 'settings']), 1);
+
+  test('corrects a misspelled word to the closest indexed word', async () => {
+    const result = await index.search(parseSearchQuery('arrwo'));
+
+    expect(result.correctedQuery).toBe('arrow');
+    expect(result.matches.map(match => match.id)).toEqual(['material_arrow-up']);
+  });
+
+  test('corrects longer words with two typos', async () => {
+    const result = await index.search(parseSearchQuery('setings'));
+    expect(result.correctedQuery).toBe('settings');
+
+    expect((await index.search(parseSearchQuery('sertinsg'))).correctedQuery).toBe('settings');
+  });
+
+  test('prefers the word more icons use', async () => {
+    expect((await index.search(parseSearchQuery('hone'))).correctedQuery).toBe('home');
+  });
+
+  test('leaves words that start an indexed word alone', async () => {
+    const result = await index.search(parseSearchQuery('sett'));
+
+    expect(result.correctedQuery).toBeNull();
+    expect(result.matches.map(match => match.id)).toEqual(['material_settings']);
+  });
+});
+
+describe('ranking', () => {
+  const ids = result => result.matches.map(match => match.id);
+
+  test('ranks exact words above prefixes, and prefixes above matches inside a word', async () => {
+    const index = new IconSearchIndex();
+    index.indexChunk(icons('material', ['sparrow', 'arrows', 'arrow']), 1);
+
+    const result = await index.search(parseSearchQuery('arrow'));
+
+    expect(ids(result)).toEqual(['material_arrow', 'material_arrows', 'material_sparrow']);
+    expect(result.matches[0].match).toEqual({ score: 30, fields: ['name'], words: ['arrow'] });
+  });
+
+  test('ranks name matches above tag matches', async () => {
+    const index = new IconSearchIndex();
+    index.indexChunk([
+      { id: 'ui_bell', name: 'bell', category: 'ui', tags: ['alert'] },
+      { id: 'ui_alert', name: 'alert', category: 'ui', tags: [] }
+    ], 1);
+
+    const result = await index.search(parseSearchQuery('alert'));
+
+    expect(ids(result)).toEqual(['ui_alert', 'ui_bell']);
+    expect(result.matches[1].match.fields).toEqual(['tags']);
+  });
+
+  test('matches one or two letters inside words only when no word starts with them', async () => {
+    const index = new IconSearchIndex();
+    index.indexChunk(icons('material', ['expand', 'flex', 'box']), 1);
+
+    expect(ids(await index.search(parseSearchQuery('ex')))).toEqual(['material_expand']);
+    expect(ids(await index.search(parseSearchQuery('ox')))).toEqual(['material_box']);
+  });
+});
@@ -0,0 +1,54 @@
+import { parseSearchQuery, formatSearchQuery, currentSearchTerm, isEmptySearchQuery } from '../searchQuery';
+
+const term = (value, extra = {}) => ({ field: 'any', value, phrase: false, negated: false, ...extra });
+
+describe('parseSearchQuery', () => {
+  test('parses words, qualifiers, negation and phrases', () => {
+    expect(parseSearchQuery('Arrow category:Material -filled "chevron  left"')).toEqual({
+      groups: [[
+        term('arrow'),
+        term('material', { field: 'category' }),
+        term('filled', { negated: true }),
+        term('chevron left', { phrase: true })
+      ]]
+    });
+  });
+
+  test('splits alternatives on OR and |', () => {
+    const { groups } = parseSearchQuery('caret OR chevron | tag:nav');
+
+    expect(groups).toEqual([[term('caret')], [term('chevron')], [term('nav', { field: 'tag' })]]);
+  });
+
+  test('keeps an unknown qualifier as part of the word', () => {
+    expect(parseSearchQuery('foo:bar').groups).toEqual([[term('foo:bar')]]);
+  });
+
+  test('leaves out empty terms, single letters and words without letters or digits', () => {
+    expect(parseSearchQuery('a +++ — "" tag: OR').groups).toEqual([]);
+    expect(isEmptySearchQuery(parseSearchQuery('+++'))).toBe(true);
+    expect(parseSearchQuery('x2 -- up').groups).toEqual([[term('x2'), term('up')]]);
+  });
+
+  test('drops empty alternatives', () => {
+    expect(parseSearchQuery('OR home OR OR').groups).toEqual([[term('home')]]);
+  });
+});
+
+describe('formatSearchQuery', () => {
+  test('turns a parsed query back into the same query', () => {
+    const text = 'arrow -tag:filled "chevron left" OR set:lucide';
+
+    expect(formatSearchQuery(parseSearchQuery(text))).toBe(text);
+  });
+});
+
+describe('currentSearchTerm', () => {
+  test('returns the qualified term being typed', () => {
+    expect(currentSearchTerm('arrow -category:mat')).toEqual({ before: 'arrow ', negated: true, field: 'category', value: 'mat' });
+  });
+
+  test('treats spaces inside quotes as part of the term', () => {
+    expect(currentSearchTerm('name:"chevron le')).toEqual({ before: '', negated: false, field: 'name', value: 'chevron le' });
+  });
+});
@@ -1,5 +1,8 @@
 // Removed axios dependency - using fetch() instead
 import LRUCache from '../utils/LRUCache';
+import { SearchWorkerClient } from './searchWorkerClient';
+import { abortError, matchesSearchQuery } from './iconSearch';
+import { parseSearchQuery, formatSearchQuery, isEmptySearchQuery } from './searchQuery';
 
 // Detect if we're in local development or deployed
 const isLocalDevelopment = process.env.NODE_ENV === 'development' && 
@@ -14,6 +17,33 @@ const API_BASE = isLocalDevelopment ? `${BACKEND_URL}/api` : '/api';
 const STATIC_BASE = process.env.REACT_APP_STATIC_BASE || 
                     (isLocalDevelopment ? `${BACKEND_URL}` : '');
 
+// Worker fetches are resolved against the worker script, so send absolute URLs
+const absoluteUrl = (url) => new URL(url, window.location.href).href;
+
+// Page cursors are opaque to callers. A search cursor is
+// "s<snapshot>.<offset>", the worker's snapshot of the first page's ranked
+// results (which later pages are cut from however many chunks have loaded
+// since) and the offset of the next match in it. A browse cursor is
+// "<position>.<offset>", the next chunk in the page's chunk list and the
+// next matching icon in that chunk.
+const SEARCH_CURSOR = 's';
+const BROWSE_CURSOR = '';
+
+const formatCursor = (kind, ...numbers) => `${kind}${numbers.join('.')}`;
+
+function parseCursor(cursor, kind, length) {
+  const numbers = String(cursor).slice(kind.length).split('.');
+  if (!String(cursor).startsWith(kind) || !numbers.every(number => /^\d+$/.test(number)) || numbers.length !== length) {
+    throw new Error(`Invalid cursor "${cursor}"`);
+  }
+  return numbers.map(Number);
+}
+
+const isSearchCursor = (cursor) => String(cursor).startsWith(SEARCH_CURSOR);
+
+// Most chunks a browse page loads at once
+const MAX_PAGE_CHUNKS = 15;
+
 // Create fetch wrapper for backwards compatibility
 const apiClient = {
   get: async (url) => {
@@ -26,14 +56,58 @@ const apiClient = {
 // Chunked data loading class with search indexing and LRU memory management
 class ChunkedIconAPI {
   constructor() {
+    this.dataManifest = undefined; // versioned manifest, null when not published
     this.chunksIndex = null;
     this.loadedChunks = new LRUCache(50); // Limit to 50 chunks in memory (~2500 icons max)
     this.categoryChunks = null;
-    this.searchIndex = new Map(); // Fast search index: term -> icon IDs
-    this.iconMetadata = new Map(); // icon ID -> metadata for quick lookup
-    this.iconToChunk = new Map(); // FAST LOOKUP: icon ID -> chunk number for instant access
+    this.categoriesPromise = null; // categories.json, for category totals
+    this.iconRedirects = null; // old icon ID -> new ID, for renamed icons
+    this.collectionsPromise = null; // icon set provenance and licenses
+    // Search index, icon metadata and icon -> chunk mapping live in a worker
+    this.search = new SearchWorkerClient({ onRestart: () => this.resetSearchState() });
+    this.indexedIcons = 0; // icons the worker has indexed
+    this.activeRequests = new Map(); // params.consumer -> AbortController of its getIcons call in flight
     this.isIndexed = false;
     this.isPrecomputedMappingLoaded = false;
+    this.searchIndexPromise = null;
+  }
+
+  // The worker's index was lost; rebuild it on the next search
+  resetSearchState() {
+    this.indexedIcons = 0;
+    this.isIndexed = false;
+    this.isPrecomputedMappingLoaded = false;
+    this.searchIndexPromise = null;
+  }
+
+  // Load the build-time search index (names, tags, categories and chunk
+  // numbers of every icon) so search covers the whole library without
+  // downloading the chunks. Resolves to false when it is not published.
+  loadSearchIndex() {
+    if (!this.searchIndexPromise) {
+      this.searchIndexPromise = this.fetchSearchIndex();
+    }
+    return this.searchIndexPromise;
+  }
+
+  async fetchSearchIndex() {
+    try {
+      const startTime = Date.now();
+      await this.loadDataManifest();
+      // Fetched, parsed and indexed by the search worker
+      const { icons } = await this.search.request('loadSearchIndex', {
+        url: absoluteUrl(this.getDataUrl('search-index.json'))
+      });
+      
+      this.indexedIcons = Math.max(this.indexedIcons, icons);
+      this.isIndexed = true;
+      this.isPrecomputedMappingLoaded = true;
+      console.log(`✅ Loaded search index: ${icons} icons in ${Date.now() - startTime}ms`);
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Search index not available, searching loaded chunks only:', error.message);
+      return false;
+    }
   }
 
   // Build precomputed icon-to-chunk mapping for instant lookups
@@ -43,6 +117,9 @@ class ChunkedIconAPI {
     console.log('🏗️ Building precomputed icon-to-chunk mapping for instant lookups...');
     const startTime = Date.now();
     
+    // The search index already maps every icon to its chunk
+    if (await this.loadSearchIndex()) return;
+    
     await this.loadChunksIndex();
     
     // Build mapping by loading just the first icon from each chunk to determine chunk boundaries
@@ -61,31 +138,64 @@ class ChunkedIconAPI {
     await Promise.all(samplingPromises);
     
     const endTime = Date.now();
-    console.log(`✅ Precomputed mapping built: ${this.iconToChunk.size} icons mapped in ${endTime - startTime}ms`);
+    console.log(`✅ Precomputed mapping built: ${this.indexedIcons} icons mapped in ${endTime - startTime}ms`);
     this.isPrecomputedMappingLoaded = true;
   }
   
   // Sample a chunk to add its icons to the precomputed mapping
   async sampleChunkForMapping(chunkNumber) {
     try {
-      const response = await fetch(`${STATIC_BASE}/chunks/icons-${chunkNumber}.json`);
-      const icons = await response.json();
-      
-      // Add all icons from this chunk to the mapping (but don't cache the full chunk)
-      icons.forEach(icon => {
-        this.iconToChunk.set(icon.id, chunkNumber);
+      // The worker indexes the chunk's icons; the chunk itself is not kept
+      const { indexedIcons } = await this.search.request('loadChunk', {
+        url: absoluteUrl(this.getChunkUrl(chunkNumber)),
+        chunkNumber,
+        keepIcons: false
       });
-      
+      this.indexedIcons = indexedIcons;
     } catch (error) {
       console.warn(`Warning: Could not sample chunk ${chunkNumber} for mapping:`, error);
     }
   }
 
+  // The manifest is the only data file that must be revalidated; everything
+  // it points at is content-hashed and cached immutably. Loading it once per
+  // session pins the session to one consistent dataset version.
+  async loadDataManifest() {
+    if (this.dataManifest !== undefined) return this.dataManifest;
+    
+    try {
+      const response = await fetch(`${STATIC_BASE}/data-manifest.json`, { cache: 'no-cache' });
+      const manifest = response.ok ? await response.json() : null;
+      this.dataManifest = manifest && manifest.files ? manifest : null;
+      if (this.dataManifest) {
+        console.log(`✅ Loaded data manifest: version ${this.dataManifest.version}`);
+      }
+    } catch (error) {
+      // Datasets published before the manifest existed use stable file names
+      this.dataManifest = null;
+    }
+    return this.dataManifest;
+  }
+
+  // URL of a metadata file, through the manifest when there is one
+  getDataUrl(filename) {
+    const hashedFilename = this.dataManifest && this.dataManifest.files[filename];
+    return `${STATIC_BASE}/${hashedFilename || filename}`;
+  }
+
+  // URL of a chunk, using the (content-hashed) file name from the index
+  getChunkUrl(chunkNumber) {
+    const chunkInfo = this.chunksIndex && this.chunksIndex.chunks &&
+      this.chunksIndex.chunks.find(info => info.chunk_number === chunkNumber);
+    return `${STATIC_BASE}/${chunkInfo ? chunkInfo.filename : `chunks/icons-${chunkNumber}.json`}`;
+  }
+
   async loadChunksIndex() {
     if (this.chunksIndex) return this.chunksIndex;
     
     try {
-      const response = await fetch(`${STATIC_BASE}/chunks-index.json`);
+      await this.loadDataManifest();
+      const response = await fetch(this.getDataUrl('chunks-index.json'));
       this.chunksIndex = await response.json();
       console.log(`✅ Loaded chunks index: ${this.chunksIndex.total_chunks} chunks, ${this.chunksIndex.total_icons} icons`);
       return this.chunksIndex;
@@ -103,6 +213,25 @@ class ChunkedIconAPI {
     }
   }
 
+  // categories.json: ID, name and icon count of every category
+  loadCategories() {
+    if (!this.categoriesPromise) {
+      this.categoriesPromise = (async () => {
+        await this.loadDataManifest();
+        const response = await fetch(this.getDataUrl('categories.json'));
+        if (!response.ok) {
+          throw new Error('Categories file not found');
+        }
+        return response.json();
+      })();
+      // Try again next time rather than caching the failure
+      this.categoriesPromise.catch(() => {
+        this.categoriesPromise = null;
+      });
+    }
+    return this.categoriesPromise;
+  }
+
   async loadCategoryChunks(retryCount = 0) {
     if (this.categoryChunks) return this.categoryChunks;
     
@@ -111,7 +240,8 @@ class ChunkedIconAPI {
     
     try {
       console.log(`📡 Loading category chunks (attempt ${retryCount + 1}/${maxRetries + 1})`);
-      const response = await fetch(`${STATIC_BASE}/category-chunks.json`);
+      await this.loadDataManifest();
+      const response = await fetch(this.getDataUrl('category-chunks.json'));
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -150,13 +280,16 @@ class ChunkedIconAPI {
     }
 
     try {
-      const response = await fetch(`${STATIC_BASE}/chunks/icons-${chunkNumber}.json`);
-      const chunk = await response.json();
+      // The index holds the chunk's file name; without it fall back to the stable name
+      await this.loadChunksIndex().catch(() => null);
+      // The worker fetches and parses the chunk and indexes its icons for search
+      const { icons: chunk, indexedIcons } = await this.search.request('loadChunk', {
+        url: absoluteUrl(this.getChunkUrl(chunkNumber)),
+        chunkNumber
+      });
+      this.indexedIcons = indexedIcons;
       this.loadedChunks.set(cacheKey, chunk); // Store with LRU eviction
       
-      // Index icons for search as they're loaded (with chunk number for fast lookup)
-      this.indexIconsFromChunk(chunk, chunkNumber);
-      
       console.log(`✅ Loaded chunk ${chunkNumber}: ${chunk.length} icons`);
       return chunk;
     } catch (error) {
@@ -165,95 +298,17 @@ class ChunkedIconAPI {
     }
   }
 
-  // Build search index from loaded icons
-  indexIconsFromChunk(icons, chunkNumber) {
-    icons.forEach(icon => {
-      // Store icon metadata
-      this.iconMetadata.set(icon.id, {
-        id: icon.id,
-        name: icon.name,
-        category: icon.category,
-        tags: icon.tags || [],
-        filename: icon.filename
-      });
-      
-      // FAST LOOKUP: Store icon -> chunk mapping for instant access
-      this.iconToChunk.set(icon.id, chunkNumber);
-
-      // Create searchable terms
-      const searchTerms = [
-        icon.name.toLowerCase(),
-        icon.category.toLowerCase(),
-        ...(icon.tags || []).map(tag => tag.toLowerCase()),
-        icon.filename.toLowerCase().replace('.svg', ''),
-        // Add variations with spaces and hyphens
-        icon.name.toLowerCase().replace(/[-_]/g, ' '),
-        icon.name.toLowerCase().replace(/[-_\s]/g, ''),
-      ];
-
-      // Index each term
-      searchTerms.forEach(term => {
-        if (term && term.length > 1) {
-          if (!this.searchIndex.has(term)) {
-            this.searchIndex.set(term, new Set());
-          }
-          this.searchIndex.get(term).add(icon.id);
-          
-          // Add partial matches for instant search
-          for (let i = 2; i <= term.length; i++) {
-            const partial = term.substring(0, i);
-            if (!this.searchIndex.has(partial)) {
-              this.searchIndex.set(partial, new Set());
-            }
-            this.searchIndex.get(partial).add(icon.id);
-          }
-        }
-      });
-    });
-  }
-
-  // Fast search using pre-built index with improved completeness
-  async searchIcons(searchTerm, limit = 200) {
-    if (!searchTerm || searchTerm.length < 2) {
-      return [];
-    }
+  // A page of results for a parsed query: search the worker's index, then
+  // load the chunks holding the page's matches. Items come most relevant
+  // first, each with match: { score, fields, words }.
+  async searchIcons(query, { cursor = null, limit = 200, category, signal } = {}) {
+    const [snapshot, offset] = cursor === null ? [null, 0] : parseCursor(cursor, SEARCH_CURSOR, 2);
+    const { matches: metadataResults, total, correctedQuery, snapshot: resultSnapshot } = await this.search.request('search', { query, offset, limit, category, snapshot }, { signal });
 
-    const query = searchTerm.toLowerCase().trim();
-    const matchedIconIds = new Set();
-    
-    // Find exact and partial matches
-    for (const [term, iconIds] of this.searchIndex.entries()) {
-      if (term.includes(query)) {
-        iconIds.forEach(id => matchedIconIds.add(id));
-      }
-    }
-
-    // Get metadata results first
-    const metadataResults = Array.from(matchedIconIds)
-      .map(id => this.iconMetadata.get(id))
-      .filter(Boolean)
-      .sort((a, b) => {
-        // Prioritize exact name matches
-        const aNameMatch = a.name.toLowerCase().includes(query);
-        const bNameMatch = b.name.toLowerCase().includes(query);
-        if (aNameMatch && !bNameMatch) return -1;
-        if (!aNameMatch && bNameMatch) return 1;
-        
-        // Then by name length (shorter = more relevant)
-        return a.name.length - b.name.length;
-      })
-      .slice(0, limit);
-
-    console.log(`🔍 Search index found ${metadataResults.length} results for "${query}" in ${this.searchIndex.size} indexed terms`);
+    console.log(`🔍 Search index found ${total} results for "${formatSearchQuery(query)}"${correctedQuery ? ` (corrected to "${correctedQuery}")` : ''} in ${this.indexedIcons} indexed icons, returning ${offset + 1}-${offset + metadataResults.length}`);
     
     // IMPROVED: Batch load required chunks to avoid missing icons
-    const requiredChunks = new Set();
-    metadataResults.forEach(metadata => {
-      const chunkNumber = this.iconToChunk.get(metadata.id);
-      if (chunkNumber) {
-        requiredChunks.add(chunkNumber);
-      }
-    });
+    const requiredChunks = new Set(metadataResults.map(metadata => metadata.chunkNumber).filter(Boolean));
     
     // Pre-load all required chunks in parallel (with concurrency limiting for production safety)
     if (requiredChunks.size > 0) {
@@ -264,42 +319,112 @@ class ChunkedIconAPI {
       const BATCH_SIZE = 12; // Architect recommended 10-15 for safety
       
       for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
+        if (signal && signal.aborted) throw abortError();
         const batchEnd = Math.min(i + BATCH_SIZE, chunks.length);
         const batch = chunks.slice(i, batchEnd);
         await Promise.all(batch.map(chunkNum => this.loadChunk(chunkNum)));
       }
     }
+    if (signal && signal.aborted) throw abortError();
     
     // Now fetch full icon data - should have high success rate
     const fullResults = [];
     for (const metadata of metadataResults) {
-      const fullIcon = await this.getFullIconData(metadata.id);
+      const fullIcon = await this.getFullIconData(metadata);
       if (fullIcon) {
-        fullResults.push(fullIcon);
+        // Keep the score and matched fields so the UI can explain the match
+        fullResults.push({ ...fullIcon, match: metadata.match });
       } else {
         console.warn(`🚨 Search completeness issue: Could not load icon ${metadata.id}`);
       }
     }
     
     console.log(`✅ Search returned ${fullResults.length}/${metadataResults.length} icons (${fullResults.length === metadataResults.length ? 'complete' : 'incomplete'})`);
-    return fullResults;
+    const nextOffset = offset + metadataResults.length;
+    return {
+      items: fullResults,
+      nextCursor: nextOffset < total ? formatCursor(SEARCH_CURSOR, resultSnapshot, nextOffset) : null,
+      total,
+      correctedQuery
+    };
   }
 
-  // Helper method to get full icon data including SVG content
-  async getFullIconData(iconId) {
-    // FAST LOOKUP: Use chunk mapping for instant access
-    const chunkNumber = this.iconToChunk.get(iconId);
-    if (chunkNumber) {
-      const chunk = await this.loadChunk(chunkNumber);
+  // A page of icons in chunk order, of one category or all of them. Chunks
+  // are loaded from where the cursor points until the page is full. With
+  // a query (searching without the index) icons are filtered by it and the
+  // total is unknown.
+  async browseIcons({ query = null, cursor = null, limit = 200, category, signal }) {
+    await this.loadChunksIndex();
+
+    const categoryFilter = category && category !== 'all' ? category.toLowerCase() : null;
+    let chunkNumbers;
+    let total = null;
+    if (categoryFilter) {
+      const categoryChunks = await this.loadCategoryChunks();
+      chunkNumbers = categoryChunks[categoryFilter] || [];
+      if (!query) {
+        const categories = await this.loadCategories().catch(() => []);
+        const categoryInfo = categories.find(info => info.id === categoryFilter);
+        total = categoryInfo ? categoryInfo.count : null;
+      }
+    } else {
+      chunkNumbers = this.chunksIndex.chunks.map(info => info.chunk_number);
+      if (!query) total = this.chunksIndex.total_icons;
+    }
+
+    const matches = (icon) =>
+      (!categoryFilter || icon.category.toLowerCase() === categoryFilter) &&
+      (!query || matchesSearchQuery(icon, query));
+    const chunkSize = this.chunksIndex.chunk_size || 50;
+
+    let [position, offset] = cursor === null ? [0, 0] : parseCursor(cursor, BROWSE_CURSOR, 2);
+    const items = [];
+    while (items.length < limit && position < chunkNumbers.length) {
+      if (signal && signal.aborted) throw abortError();
+
+      // Load about as many chunks as the rest of the page needs, together
+      const batchSize = Math.min(MAX_PAGE_CHUNKS, Math.max(1, Math.ceil((limit - items.length) / chunkSize)));
+      const batch = chunkNumbers.slice(position, position + batchSize);
+      console.log(`📦 Loading chunks ${batch[0]}-${batch[batch.length - 1]} for ${limit - items.length} icons`);
+      const chunks = await Promise.all(batch.map(chunkNumber => this.loadChunk(chunkNumber)));
+
+      for (const chunk of chunks) {
+        const chunkIcons = chunk.filter(matches);
+        const taken = chunkIcons.slice(offset, offset + limit - items.length);
+        items.push(...taken);
+        offset += taken.length;
+        if (offset < chunkIcons.length) break; // The page ends inside this chunk
+
+        position++;
+        offset = 0;
+        if (items.length >= limit) break;
+      }
+    }
+    if (signal && signal.aborted) throw abortError();
+
+    return {
+      items,
+      nextCursor: position < chunkNumbers.length ? formatCursor(BROWSE_CURSOR, position, offset) : null,
+      total,
+      correctedQuery: null
+    };
+  }
+
+  // Helper method to get full icon data including SVG content for a search match
+  async getFullIconData(metadata) {
+    const iconId = metadata.id;
+    // FAST LOOKUP: the match carries its chunk number
+    if (metadata.chunkNumber) {
+      const chunk = await this.loadChunk(metadata.chunkNumber);
       const icon = chunk.find(icon => icon.id === iconId);
       if (!icon) {
-        console.warn(`🚨 Icon ${iconId} missing from chunk ${chunkNumber}!`);
+        console.warn(`🚨 Icon ${iconId} missing from chunk ${metadata.chunkNumber}!`);
       }
       return icon;
     }
     
     // Check if we already have the full data in loaded chunks
-    for (const [chunkNum, chunkData] of this.loadedChunks.entries()) {
+    for (const chunkData of this.loadedChunks.values()) {
       const icon = chunkData.find(icon => icon.id === iconId);
       if (icon) {
         return icon; // Already has full data including svgContent
@@ -308,118 +433,129 @@ class ChunkedIconAPI {
     
     // If no chunk mapping available, this indicates a search index inconsistency
     console.warn(`⚠️ Missing chunk mapping for icon ${iconId} - search index may be stale`);
-    return this.iconMetadata.get(iconId);
+    return metadata;
   }
 
+  /**
+   * A page of icons: { items, nextCursor, total, correctedQuery }.
+   * params: limit (page size), category, query (a parsed search query, see
+   * searchQuery.js) or search (text to parse into one), and cursor, the
+   * nextCursor of the previous page for the same params (none for the
+   * first page). Only the chunks a page needs are loaded. nextCursor is
+   * null on the last page; total is null when unknown.
+   *
+   * Calls with the same params.consumer (e.g. the icon grid) supersede
+   * each other: a page still loading when the consumer asks for the next
+   * one is cancelled and rejects with an AbortError. params.signal cancels
+   * a call too.
+   */
   async getIcons(params = {}) {
     const startTime = Date.now();
-    const { limit = 200, category, search } = params;
+    const { limit = 200, category, cursor = null, consumer } = params;
+    const query = params.query || (params.search ? parseSearchQuery(params.search) : null);
+    const hasQuery = !isEmptySearchQuery(query);
+    
+    const controller = new AbortController();
+    if (consumer !== undefined) {
+      if (this.activeRequests.has(consumer)) this.activeRequests.get(consumer).abort();
+      this.activeRequests.set(consumer, controller);
+    }
+    if (params.signal) {
+      if (params.signal.aborted) controller.abort();
+      params.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+    const { signal } = controller;
     
     try {
       console.log('🔍 ChunkedIconAPI: Fetching icons with params:', params);
       
       // Use instant search if search term is provided and we have indexed data
-      if (search && this.searchIndex.size > 0) {
-        let searchResults = await this.searchIcons(search, limit * 2); // Get more for filtering
-        
-        // Apply category filter to search results if needed
-        if (category && category !== 'all') {
-          searchResults = searchResults.filter(icon => 
-            icon.category.toLowerCase() === category.toLowerCase()
-          );
-        }
-        
-        const result = searchResults.slice(0, limit);
-        const endTime = Date.now();
-        const responseTime = endTime - startTime;
-        
-        console.log(`⚡ Search index returned ${result.length} icons in ${responseTime}ms`);
-        return result;
-      }
-      
-      await this.loadChunksIndex();
-      
-      let chunksToLoad = [];
-      
-      if (category && category !== 'all') {
-        // Load category-specific chunks
-        const categoryChunks = await this.loadCategoryChunks();
-        chunksToLoad = categoryChunks[category.toLowerCase()] || [];
-        console.log(`📁 Category '${category}' requires chunks:`, chunksToLoad);
-      } else {
-        // Load chunks progressively based on limit
-        const chunksNeeded = Math.min(Math.ceil(limit / 50), this.chunksIndex.total_chunks);
-        chunksToLoad = Array.from({length: chunksNeeded}, (_, i) => i + 1);
-        console.log(`📊 Loading first ${chunksNeeded} chunks for ${limit} icons`);
-      }
-      
-      // Load required chunks - CRITICAL FIX: Remove artificial 10-chunk limit with proper concurrency control
-      console.log(`🔧 LOADING ALL ${chunksToLoad.length} REQUIRED CHUNKS (was limited to 10 before)`);
-      
-      // Load chunks in controlled batches to avoid overwhelming the system
-      const batchSize = 15; // Controlled batch size for stability
-      const chunks = [];
-      
-      for (let i = 0; i < chunksToLoad.length; i += batchSize) {
-        const batch = chunksToLoad.slice(i, i + batchSize);
-        console.log(`📦 Loading batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(chunksToLoad.length/batchSize)}: chunks ${batch[0]}-${batch[batch.length-1]}`);
-        
-        // Load this batch of chunks with proper concurrency control
-        const batchPromises = batch.map(chunkNum => this.loadChunk(chunkNum));
-        const batchResults = await Promise.all(batchPromises);
-        chunks.push(...batchResults);
-        
-        // Small delay between batches to prevent overwhelming the browser
-        if (i + batchSize < chunksToLoad.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-      }
-      
-      // Combine all icons from chunks
-      let allIcons = [];
-      chunks.forEach(chunk => {
-        if (chunk) allIcons.push(...chunk);
-      });
-      
-      // Apply category filter
-      if (category && category !== 'all') {
-        allIcons = allIcons.filter(icon => icon.category.toLowerCase() === category.toLowerCase());
-      }
-      
-      // Apply legacy search filter (fallback for unindexed searches)
-      if (search && this.searchIndex.size === 0) {
-        const searchLower = search.toLowerCase();
-        allIcons = allIcons.filter(icon =>
-          icon.name.toLowerCase().includes(searchLower) ||
-          icon.category.toLowerCase().includes(searchLower) ||
-          (icon.tags && icon.tags.some(tag => tag.toLowerCase().includes(searchLower)))
-        );
+      if (hasQuery) {
+        await this.loadSearchIndex();
+        if (signal.aborted) throw abortError();
       }
-
-      // Apply limit
-      const result = allIcons.slice(0, limit);
+      // Later pages continue the way the first page was fetched
+      const searching = hasQuery && (cursor === null ? this.indexedIcons > 0 : isSearchCursor(cursor));
+      const page = searching
+        ? await this.searchIcons(query, { cursor, limit, category, signal })
+        : await this.browseIcons({ query: hasQuery ? query : null, cursor, limit, category, signal });
       
-      const endTime = Date.now();
-      const responseTime = endTime - startTime;
-      
-      console.log(`✅ ChunkedIconAPI: Loaded ${result.length} icons in ${responseTime}ms from ${chunks.length} chunks`);
+      const responseTime = Date.now() - startTime;
+      console.log(`✅ ChunkedIconAPI: Loaded ${page.items.length}${page.total !== null ? ` of ${page.total}` : ''} icons in ${responseTime}ms`);
       
       // Log performance metrics
       if (responseTime > 1000) {
-        console.warn(`🐌 Slow chunked loading: ${responseTime}ms for ${result.length} icons`);
+        console.warn(`🐌 Slow chunked loading: ${responseTime}ms for ${page.items.length} icons`);
       }
       
-      return result;
+      return page;
     } catch (error) {
-      console.error('❌ ChunkedIconAPI: Error fetching icons:', error);
+      if (error.name !== 'AbortError') {
+        console.error('❌ ChunkedIconAPI: Error fetching icons:', error);
+      }
       throw error;
+    } finally {
+      if (this.activeRequests.get(consumer) === controller) this.activeRequests.delete(consumer);
+    }
+  }
+
+  // Renamed icons keep working under their old IDs
+  async loadIconRedirects() {
+    if (this.iconRedirects) return this.iconRedirects;
+    
+    try {
+      const response = await fetch(`${STATIC_BASE}/icon-redirects.json`);
+      this.iconRedirects = response.ok ? await response.json() : {};
+    } catch (error) {
+      console.warn('⚠️ Could not load icon redirects:', error.message);
+      this.iconRedirects = {};
+    }
+    return this.iconRedirects;
+  }
+
+  // Collection manifests (source, license, author, trademark notes) of
+  // every icon set. Resolves to an empty list when they are not published.
+  loadCollections() {
+    if (!this.collectionsPromise) {
+      this.collectionsPromise = (async () => {
+        try {
+          await this.loadDataManifest();
+          const response = await fetch(this.getDataUrl('collections.json'));
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return await response.json();
+        } catch (error) {
+          console.warn('⚠️ Collections not available:', error.message);
+          return [];
+        }
+      })();
     }
+    return this.collectionsPromise;
+  }
+
+  // The icon's own collection, or the one that owns its category
+  async getCollectionForIcon(icon) {
+    const collections = await this.loadCollections();
+    const collectionId = icon.collection ||
+      ((await this.search.request('metadata', { id: icon.id })) || {}).collection;
+    if (collectionId) {
+      return collections.find(collection => collection.id === collectionId) || null;
+    }
+    const category = (icon.category || '').toLowerCase();
+    return collections.find(collection => collection.categories.includes(category)) || null;
   }
 
   async getIcon(iconId) {
     try {
+      const redirects = await this.loadIconRedirects();
+      if (redirects[iconId]) {
+        console.log(`🔀 Icon ${iconId} was renamed to ${redirects[iconId]}`);
+        iconId = redirects[iconId];
+      }
+      
       // FAST LOOKUP: Check if we know which chunk contains this icon
-      const chunkNumber = this.iconToChunk.get(iconId);
+      const chunkNumber = await this.search.request('locate', { id: iconId });
       if (chunkNumber) {
         console.log(`🎯 Fast lookup: Icon ${iconId} is in chunk ${chunkNumber}`);
         const chunk = await this.loadChunk(chunkNumber);
@@ -476,7 +612,12 @@ const chunkedAPI = new ChunkedIconAPI();
 
 // Icon API calls
 export const iconAPI = {
-  // Get all icons with optional filtering (now uses chunked loading)
+  // Get a page of icons, { items, nextCursor, total, correctedQuery }, with
+  // optional filtering: limit, category, a parsed search query
+  // (params.query) or search string (params.search), and the cursor of the
+  // next page. Search results are ranked by relevance and carry
+  // match: { score, fields, words }. A new call for the same
+  // params.consumer cancels the one it supersedes.
   getIcons: async (params = {}) => {
     return await chunkedAPI.getIcons(params);
   },
@@ -492,18 +633,26 @@ export const iconAPI = {
   },
 };
 
+// Collection (icon set provenance and license) API calls
+export const collectionAPI = {
+  getCollections: async () => {
+    return await chunkedAPI.loadCollections();
+  },
+
+  // Collection manifest for an icon, or null when its license is unknown
+  getCollectionForIcon: async (icon) => {
+    return await chunkedAPI.getCollectionForIcon(icon);
+  },
+};
+
 // Category API calls
 export const categoryAPI = {
   // Get all categories - use static file only to avoid duplication
   getCategories: async () => {
     try {
-      const response = await fetch(`${STATIC_BASE}/categories.json`);
-      if (response.ok) {
-        const categories = await response.json();
-        console.log(`✅ Loaded ${categories.length} categories from static file`);
-        return categories;
-      }
-      throw new Error('Categories file not found');
+      const categories = await chunkedAPI.loadCategories();
+      console.log(`✅ Loaded ${categories.length} categories from static file`);
+      return categories;
     } catch (error) {
       console.error('Error fetching categories from static file:', error);
       // Return minimal fallback categories to prevent app crash
@@ -0,0 +1,654 @@
+// Icon search index, kept off the main thread by the search worker
+// (src/workers/search.worker.js). Holds every indexed icon's metadata, the
+// chunk it lives in, and an inverted index of the words of its name,
+// aliases, tags, category and description.
+import { formatSearchQuery } from './searchQuery';
+
+// Long searches hand the thread back this often so cancel requests get in
+const SLICE_MS = 8;
+
+// Ranked result lists kept for paging (see search)
+const MAX_SNAPSHOTS = 10;
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// Let queued messages (e.g. a cancel) run before continuing
+const yieldToEventLoop = () => new Promise(resolve => {
+  if (typeof MessageChannel !== 'undefined') {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => {
+      channel.port1.close();
+      resolve();
+    };
+    channel.port2.postMessage(null);
+  } else {
+    setTimeout(resolve, 0);
+  }
+});
+
+export const abortError = () => new DOMException('Superseded by a newer query', 'AbortError');
+
+// Checked on every loop step of a long search; pause() when due() hands
+// the thread back and rejects if the search was cancelled meanwhile
+function createTimeSlicer(isCancelled) {
+  let sliceStart = now();
+  let steps = 0;
+  return {
+    due: () => ++steps % 1024 === 0 && now() - sliceStart > SLICE_MS,
+    async pause() {
+      await yieldToEventLoop();
+      if (isCancelled()) throw abortError();
+      sliceStart = now();
+    }
+  };
+}
+
+// How a query word matched an indexed word, and what that is worth
+const EXACT = 0;
+const PREFIX = 1;
+const SUBSTRING = 2;
+const MATCH_WEIGHTS = [1, 0.6, 0.25];
+
+// Matches of typo-corrected words count for less
+const CORRECTED_WEIGHT = 0.5;
+
+// Bonuses for a name that is the query, or holds its words in order
+const EXACT_NAME_BONUS = 20;
+const NAME_PHRASE_BONUS = 8;
+
+// Fields an icon is indexed under, as bits of its postings, with the score
+// a match in each is worth. Icon sets are only matched by set:.
+const FIELDS = [
+  { key: 'name', bit: 1, weight: 10 },
+  { key: 'aliases', bit: 2, weight: 6 },
+  { key: 'tags', bit: 4, weight: 5 },
+  { key: 'category', bit: 8, weight: 3 },
+  { key: 'description', bit: 16, weight: 1 },
+  { key: 'collection', bit: 32, weight: 0 }
+];
+const FIELD_BITS = Object.fromEntries(FIELDS.map(({ key, bit }) => [key, bit]));
+
+// Fields a qualifier matches in
+const QUALIFIER_FIELDS = { name: 'name', tag: 'tags', category: 'category', set: 'collection' };
+
+const fieldScore = (mask) => FIELDS.reduce((score, { bit, weight }) => (mask & bit ? score + weight : score), 0);
+
+const fieldKeys = (mask) => FIELDS.filter(({ bit }) => mask & bit).map(({ key }) => key);
+
+// Lowercase words of a name, tag or phrase
+const wordsOf = (text) => (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// Typos allowed in a query word: none in short words, more in longer ones
+const maxEditsFor = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+// Trigrams of a word, padded so its first and last letters start and end
+// trigrams of their own; unpadded, only those inside the word
+function trigramsOf(word, padded = true) {
+  const text = padded ? `$$${word}$$` : word;
+  const trigrams = new Set();
+  for (let i = 0; i + 3 <= text.length; i++) {
+    trigrams.add(text.slice(i, i + 3));
+  }
+  return trigrams;
+}
+
+// Position of the first of the sorted words that does not sort before word
+function lowerBound(sorted, word) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (sorted[middle] < word) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+// Optimal string alignment distance (a swap of neighbouring letters is one
+// edit), or max + 1 as soon as it must exceed max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      let value = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, before[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Indexed words of an icon -> bits of the fields they occur in. Names and
+// aliases are also indexed run together ("arrowright").
+function indexWordsFor(icon) {
+  const words = new Map();
+  const add = (word, key) => words.set(word, (words.get(word) || 0) | FIELD_BITS[key]);
+  const addText = (text, key, joined) => {
+    const textWords = wordsOf(text);
+    textWords.forEach(word => add(word, key));
+    if (joined && textWords.length > 1) add(textWords.join(''), key);
+  };
+
+  addText(icon.name, 'name', true);
+  addText((icon.filename || '').replace('.svg', ''), 'name', true);
+  (icon.aliases || []).forEach(alias => addText(alias, 'aliases', true));
+  (icon.tags || []).forEach(tag => addText(tag, 'tags'));
+  addText(icon.category, 'category', true);
+  wordsOf(icon.description).filter(word => word.length > 2).forEach(word => add(word, 'description'));
+  return words;
+}
+
+// Searchable text of an icon, which phrases and exclusions must turn up in
+function searchTermsFor(icon) {
+  const name = icon.name.toLowerCase();
+  return [
+    name,
+    icon.category.toLowerCase(),
+    ...(icon.tags || []).map(tag => tag.toLowerCase()),
+    // Sidecar metadata: aliases and the words of the description
+    ...(icon.aliases || []).map(alias => alias.toLowerCase()),
+    ...(icon.description || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2),
+    (icon.filename || '').toLowerCase().replace('.svg', ''),
+    // Add variations with spaces and hyphens
+    name.replace(/[-_]/g, ' '),
+    name.replace(/[-_\s]/g, '')
+  ];
+}
+
+// Whether an icon (metadata or full icon data) matches a query term,
+// negation aside. Words and phrases match inside any searchable term and
+// name: inside the name; category:, tag: and set: must match exactly.
+function matchesTerm(icon, { field, value }) {
+  switch (field) {
+    case 'name': {
+      const name = icon.name.toLowerCase();
+      return name.includes(value) || name.replace(/[-_]/g, ' ').includes(value);
+    }
+    case 'category':
+      return icon.category.toLowerCase() === value;
+    case 'tag':
+      return (icon.tags || []).some(tag => tag.toLowerCase() === value);
+    case 'set':
+      return (icon.collection || '').toLowerCase() === value;
+    default:
+      return searchTermsFor(icon).some(term => term.includes(value));
+  }
+}
+
+// Whether an icon matches a parsed query, for filtering without the index
+export function matchesSearchQuery(icon, query) {
+  return query.groups.some(terms => terms.every(term => matchesTerm(icon, term) !== term.negated));
+}
+
+export class IconSearchIndex {
+  constructor() {
+    this.postings = new Map(); // indexed word -> (icon ID -> field bits)
+    this.metadata = new Map(); // icon ID -> metadata for quick lookup
+    this.iconToChunk = new Map(); // icon ID -> chunk number
+    this.nameCounts = new Map(); // name -> icons drawn under it, for popularity
+    this.trigrams = new Map(); // padded trigram -> indexed words holding it
+    this.sortedWords = null; // indexed words in order, rebuilt once new ones come in
+    this.snapshots = new Map(); // snapshot ID -> ranked results of one query
+    this.nextSnapshot = 1;
+  }
+
+  // Number of indexed icons
+  get size() {
+    return this.metadata.size;
+  }
+
+  indexIcon(icon, chunkNumber) {
+    const isNew = !this.metadata.has(icon.id);
+    this.metadata.set(icon.id, {
+      id: icon.id,
+      name: icon.name,
+      category: icon.category,
+      tags: icon.tags || [],
+      aliases: icon.aliases || [],
+      description: icon.description,
+      author: icon.author,
+      deprecated: Boolean(icon.deprecated),
+      collection: icon.collection || null,
+      filename: icon.filename
+    });
+    this.iconToChunk.set(icon.id, chunkNumber);
+
+    indexWordsFor(icon).forEach((bits, word) => {
+      if (!this.postings.has(word)) {
+        this.postings.set(word, new Map());
+        this.sortedWords = null;
+        trigramsOf(word).forEach(trigram => {
+          if (!this.trigrams.has(trigram)) {
+            this.trigrams.set(trigram, new Set());
+          }
+          this.trigrams.get(trigram).add(word);
+        });
+      }
+      const postings = this.postings.get(word);
+      postings.set(icon.id, (postings.get(icon.id) || 0) | bits);
+    });
+
+    if (isNew) {
+      const name = wordsOf(icon.name).join(' ');
+      this.nameCounts.set(name, (this.nameCounts.get(name) || 0) + 1);
+    }
+  }
+
+  indexChunk(icons, chunkNumber) {
+    icons.forEach(icon => this.indexIcon(icon, chunkNumber));
+  }
+
+  // Index the build-time search-index.json (names, tags, categories and
+  // chunk numbers of every icon). Returns the number of icons it holds.
+  loadPrebuilt({ categories, category_collections: categoryCollections = [], id_scheme: idScheme = '{category}_{name}', icons }) {
+    icons.forEach(([name, categoryIndex, chunkNumber, extraTags = [], extra = {}]) => {
+      const category = categories[categoryIndex];
+      // Generated tags are left out of the file; rebuild them like the scripts do
+      const generatedTags = [category.toLowerCase(), name.replace(/-/g, ' ').replace(/_/g, ' ')];
+      this.indexIcon({
+        // Only IDs that do not follow the scheme are written out
+        id: extra.id || idScheme.replace(/\{category\}/g, category).replace(/\{name\}/g, name),
+        name,
+        category,
+        filename: extra.filename || `${name}.svg`,
+        tags: [...generatedTags, ...extraTags],
+        aliases: extra.aliases,
+        description: extra.description,
+        author: extra.author,
+        deprecated: extra.deprecated,
+        collection: 'collection' in extra ? extra.collection : categoryCollections[categoryIndex]
+      }, chunkNumber);
+    });
+    return icons.length;
+  }
+
+  locate(iconId) {
+    return this.iconToChunk.get(iconId) || null;
+  }
+
+  getMetadata(iconId) {
+    return this.metadata.get(iconId) || null;
+  }
+
+  // How many icon sets draw an icon under this one's name; breaks ties
+  // between equally relevant icons
+  popularity(metadata) {
+    return this.nameCounts.get(wordsOf(metadata.name).join(' ')) || 0;
+  }
+
+  // Indexed words in order, for finding those that start with a query word
+  wordsInOrder() {
+    if (!this.sortedWords) {
+      this.sortedWords = Array.from(this.postings.keys()).sort();
+    }
+    return this.sortedWords;
+  }
+
+  // Whether any indexed word starts with word
+  hasPrefix(word) {
+    const sorted = this.wordsInOrder();
+    const next = sorted[lowerBound(sorted, word)];
+    return next !== undefined && next.startsWith(word);
+  }
+
+  // Indexed words that may be within maxEdits of word. An edit changes at
+  // most four of a word's padded trigrams, so those words share all but
+  // 4 * maxEdits of its trigrams; words with too few trigrams to tell fall
+  // back to every indexed word of a length within reach.
+  correctionCandidates(word, maxEdits) {
+    const trigrams = trigramsOf(word);
+    const needed = trigrams.size - 4 * maxEdits;
+    const inReach = indexed => Math.abs(indexed.length - word.length) <= maxEdits;
+    if (needed < 1) {
+      return Array.from(this.postings.keys()).filter(inReach);
+    }
+
+    const shared = new Map(); // indexed word -> trigrams shared with word
+    trigrams.forEach(trigram => {
+      (this.trigrams.get(trigram) || []).forEach(indexed => shared.set(indexed, (shared.get(indexed) || 0) + 1));
+    });
+    return Array.from(shared).filter(([indexed, count]) => count >= needed && inReach(indexed)).map(([indexed]) => indexed);
+  }
+
+  // Indexed words that hold word after their first letter. Words of three
+  // or more letters are found through their trigrams; shorter ones by
+  // going through every indexed word, and only when scan is set.
+  async wordsContaining(word, scan, slicer) {
+    let candidates = [];
+    if (word.length >= 3) {
+      const sets = Array.from(trigramsOf(word, false), trigram => this.trigrams.get(trigram) || new Set());
+      candidates = sets.reduce((smallest, set) => (set.size < smallest.size ? set : smallest));
+    } else if (scan) {
+      candidates = this.postings.keys();
+    }
+
+    const found = [];
+    for (const indexed of candidates) {
+      if (slicer.due()) await slicer.pause();
+      if (!indexed.startsWith(word) && indexed.includes(word)) found.push(indexed);
+    }
+    return found;
+  }
+
+  // Best score each icon gets for one query word, with the fields the word
+  // matched in (icon ID -> { score, fields }). Matches inside words of one
+  // or two letters are only looked for when the word starts none.
+  async matchWord(word, slicer, weight = 1) {
+    const hits = new Map();
+    const addPostings = (indexed, kind) => {
+      this.postings.get(indexed).forEach((bits, id) => {
+        const score = fieldScore(bits) * MATCH_WEIGHTS[kind] * weight;
+        const hit = hits.get(id);
+        if (!hit) {
+          hits.set(id, { score, fields: bits });
+        } else {
+          hit.score = Math.max(hit.score, score);
+          hit.fields |= bits;
+        }
+      });
+    };
+
+    const sorted = this.wordsInOrder();
+    for (let i = lowerBound(sorted, word); i < sorted.length && sorted[i].startsWith(word); i++) {
+      if (slicer.due()) await slicer.pause();
+      addPostings(sorted[i], sorted[i] === word ? EXACT : PREFIX);
+    }
+    (await this.wordsContaining(word, hits.size === 0, slicer)).forEach(indexed => addPostings(indexed, SUBSTRING));
+    return hits;
+  }
+
+  // The query with every word that no indexed word starts with replaced by
+  // the closest indexed word (used by most icons on ties, then first in
+  // order), or null when nothing changed
+  async correctQuery(query, slicer) {
+    let corrected = false;
+    const parts = query.split(/([^a-z0-9]+)/);
+    for (let i = 0; i < parts.length; i += 2) {
+      const word = parts[i];
+      const known = !word || this.hasPrefix(word);
+
+      const maxEdits = maxEditsFor(word.length);
+      let best = null;
+      let bestDistance = maxEdits + 1;
+      let bestCount = 0;
+      if (!known && maxEdits > 0) {
+        for (const indexed of this.correctionCandidates(word, maxEdits)) {
+          if (slicer.due()) await slicer.pause();
+          if (indexed.length < 3 || !/[a-z]/.test(indexed)) continue;
+          const { size } = this.postings.get(indexed);
+          const distance = editDistance(word, indexed, maxEdits);
+          if (distance < bestDistance || (distance === bestDistance && distance <= maxEdits &&
+            (size > bestCount || (size === bestCount && indexed < best)))) {
+            best = indexed;
+            bestDistance = distance;
+            bestCount = size;
+          }
+        }
+      }
+
+      if (best) {
+        parts[i] = best;
+        corrected = true;
+      }
+    }
+    return corrected ? parts.join('') : null;
+  }
+
+  // Ranks ({ score, fields, words, corrected }) of the icons matching every
+  // term of one group of a parsed query. Each query word adds its best
+  // score; a name equal to the words, or holding them in order, earns a
+  // bonus. Corrections made are recorded in corrections (term value ->
+  // corrected value).
+  async searchGroup(terms, slicer, corrections) {
+    const words = terms.filter(term => term.field === 'any' && !term.negated);
+    const filters = terms.filter(term => !words.includes(term));
+    let ranks = null; // icon ID -> rank, null while every icon matches
+
+    for (const term of words) {
+      const corrected = await this.correctQuery(term.value, slicer);
+      if (corrected) corrections.set(term.value, corrected);
+      const correctedWords = wordsOf(corrected || term.value);
+
+      const termWords = wordsOf(term.value);
+      for (let i = 0; i < termWords.length; i++) {
+        const hits = await this.matchWord(termWords[i], slicer);
+        const correctedHits = correctedWords[i] !== termWords[i]
+          ? await this.matchWord(correctedWords[i], slicer, CORRECTED_WEIGHT)
+          : new Map();
+
+        // Icons need every word; an icon ranks by the sum of their scores
+        const next = new Map();
+        const addHit = (id, { score, fields }, word, isCorrected) => {
+          const previous = ranks ? ranks.get(id) : { score: 0, fields: 0, words: [], corrected: false };
+          if (!previous) return;
+          const current = next.get(id);
+          if (current && current.hitScore >= score) return;
+          next.set(id, {
+            score: previous.score + score,
+            fields: previous.fields | fields,
+            words: [...previous.words, word],
+            corrected: previous.corrected || isCorrected,
+            hitScore: score
+          });
+        };
+        hits.forEach((hit, id) => addHit(id, hit, termWords[i], false));
+        correctedHits.forEach((hit, id) => addHit(id, hit, correctedWords[i], true));
+        next.forEach(rank => delete rank.hitScore);
+        ranks = next;
+      }
+
+      // A phrase or hyphenated word needs its words next to each other
+      if (termWords.length > 1) {
+        const correctedTerm = corrected ? { ...term, value: corrected } : null;
+        for (const id of ranks.keys()) {
+          if (slicer.due()) await slicer.pause();
+          const metadata = this.metadata.get(id);
+          if (!matchesTerm(metadata, term) && !(correctedTerm && matchesTerm(metadata, correctedTerm))) {
+            ranks.delete(id);
+          }
+        }
+      }
+    }
+
+    if (!ranks) {
+      ranks = new Map(Array.from(this.metadata.keys(), id => [id, { score: 0, fields: 0, words: [], corrected: false }]));
+    }
+
+    for (const [id, rank] of ranks) {
+      if (slicer.due()) await slicer.pause();
+      const metadata = this.metadata.get(id);
+      if (!filters.every(term => matchesTerm(metadata, term) !== term.negated)) {
+        ranks.delete(id);
+        continue;
+      }
+
+      if (rank.words.length > 0) {
+        const nameWords = wordsOf(metadata.name);
+        const queryWords = rank.words.flatMap(wordsOf);
+        if (nameWords.join('') === queryWords.join('')) {
+          rank.score += EXACT_NAME_BONUS;
+        } else if (queryWords.length > 1 && ` ${nameWords.join(' ')} `.includes(` ${queryWords.join(' ')} `)) {
+          rank.score += NAME_PHRASE_BONUS;
+        }
+      }
+
+      filters.filter(term => !term.negated).forEach(term => {
+        rank.fields |= FIELD_BITS[QUALIFIER_FIELDS[term.field]] || 0;
+        if (term.field === 'name') rank.words.push(term.value);
+      });
+    }
+    return ranks;
+  }
+
+  /**
+   * Icons matching a parsed query (see searchQuery.js), most relevant
+   * first. Query words are looked up in the index by field: a name match
+   * is worth most, then aliases, tags, the category and the description,
+   * and exact words more than prefixes, prefixes more than matches inside
+   * a word. Equally relevant icons are ordered by popularity, then by
+   * shorter name.
+   *
+   * The index grows as chunks load, so each search keeps its ranked list as
+   * a snapshot; later pages name the snapshot to be cut from the same list.
+   * @param {object} query - Result of parseSearchQuery
+   * @param {object} [options]
+   * @param {number} [options.offset] - Matches to skip, for later pages
+   * @param {number} [options.limit]
+   * @param {string} [options.category] - Only icons in this category
+   * @param {number} [options.snapshot] - Snapshot of an earlier search for
+   *   the same query and category to page through; throws when it has expired
+   * @param {function(): boolean} [options.isCancelled] - Checked whenever
+   *   the search yields; a cancelled search rejects with an AbortError
+   * @returns {Promise<{ matches: object[], total: number, correctedQuery: string|null, snapshot: number|null }>}
+   *   Metadata of the page of matches, with chunkNumber and match: { score,
+   *   fields, words } (the fields the query matched in and the words to
+   *   highlight); total counts every match. correctedQuery is the query
+   *   text with typos corrected, set when corrected matches are on the page.
+   */
+  async search(query, { offset = 0, limit = 200, category, snapshot = null, isCancelled = () => false } = {}) {
+    if (!query || query.groups.length === 0) {
+      return { matches: [], total: 0, correctedQuery: null, snapshot: null };
+    }
+
+    const categoryFilter = category && category !== 'all' ? category.toLowerCase() : null;
+    const key = JSON.stringify([query.groups, categoryFilter]);
+    let results = snapshot === null ? null : this.snapshots.get(snapshot);
+    if (snapshot !== null && (!results || results.key !== key)) {
+      throw new Error(`Search results ${snapshot} have expired, search again`);
+    }
+    if (!results) {
+      results = { key, ...await this.rank(query, categoryFilter, isCancelled) };
+      snapshot = this.nextSnapshot++;
+      this.snapshots.set(snapshot, results);
+      if (this.snapshots.size > MAX_SNAPSHOTS) {
+        this.snapshots.delete(this.snapshots.keys().next().value);
+      }
+    }
+
+    const { ranked, ranks, corrections } = results;
+    const matches = ranked.slice(offset, offset + limit);
+
+    // Only worth a hint when corrected matches made it onto the page
+    const corrected = matches.some(metadata => ranks.get(metadata.id).corrected);
+    return {
+      matches: matches.map(metadata => {
+        const { score, fields, words } = ranks.get(metadata.id);
+        return {
+          ...metadata,
+          chunkNumber: this.iconToChunk.get(metadata.id),
+          match: { score: Math.round(score * 100) / 100, fields: fieldKeys(fields), words: Array.from(new Set(words)) }
+        };
+      }),
+      total: ranked.length,
+      correctedQuery: corrected
+        ? formatSearchQuery({
+          groups: query.groups.map(terms => terms.map(term => (
+            term.field === 'any' && !term.negated && corrections.has(term.value)
+              ? { ...term, value: corrections.get(term.value) }
+              : term
+          )))
+        })
+        : null,
+      snapshot
+    };
+  }
+
+  // Every match of a query, best first: { ranked: metadata[], ranks: icon
+  // ID -> { score, fields, words, corrected }, corrections: word -> fix }
+  async rank(query, categoryFilter, isCancelled) {
+    const slicer = createTimeSlicer(isCancelled);
+    const corrections = new Map();
+    const ranks = new Map(); // icon ID -> best rank in any group
+
+    for (const terms of query.groups) {
+      const groupRanks = await this.searchGroup(terms, slicer, corrections);
+      groupRanks.forEach((rank, id) => {
+        const best = ranks.get(id);
+        if (!best || rank.score > best.score) ranks.set(id, rank);
+      });
+    }
+    if (isCancelled()) throw abortError();
+
+    const ranked = Array.from(ranks.keys())
+      .map(id => this.metadata.get(id))
+      .filter(metadata => metadata && (!categoryFilter || metadata.category.toLowerCase() === categoryFilter))
+      .sort((a, b) => (
+        ranks.get(b.id).score - ranks.get(a.id).score ||
+        this.popularity(b) - this.popularity(a) ||
+        a.name.length - b.name.length ||
+        a.name.localeCompare(b.name) ||
+        (a.id < b.id ? -1 : 1)
+      ));
+    return { ranked, ranks, corrections };
+  }
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Requests the search worker answers, run against one index:
+ *
+ *   loadSearchIndex { url }                     -> { icons }
+ *   loadChunk { url, chunkNumber, keepIcons }   -> { icons|null, indexedIcons }
+ *   search { query, offset, limit, category, snapshot }
+ *                                               -> { matches, total, correctedQuery, snapshot }
+ *     (query as parseSearchQuery returns it; matches carry match scores;
+ *     pass the first page's snapshot to page through the same results)
+ *   locate { id }                               -> chunk number or null
+ *   metadata { id }                             -> metadata or null
+ *
+ * Chunk and index JSON is fetched and parsed here, not by the caller.
+ * @returns {function(string, object, function(): boolean): Promise<*>}
+ */
+export function createSearchHandler(index = new IconSearchIndex()) {
+  const handlers = {
+    async loadSearchIndex({ url }) {
+      return { icons: index.loadPrebuilt(await fetchJson(url)) };
+    },
+
+    async loadChunk({ url, chunkNumber, keepIcons = true }) {
+      const icons = await fetchJson(url);
+      index.indexChunk(icons, chunkNumber);
+      return { icons: keepIcons ? icons : null, indexedIcons: index.size };
+    },
+
+    search({ query, offset, limit, category, snapshot }, isCancelled) {
+      return index.search(query, { offset, limit, category, snapshot, isCancelled });
+    },
+
+    locate: ({ id }) => index.locate(id),
+
+    metadata: ({ id }) => index.getMetadata(id)
+  };
+
+  return async (type, payload, isCancelled = () => false) => {
+    if (!handlers[type]) {
+      throw new Error(`Unknown search request "${type}"`);
+    }
+    return handlers[type](payload, isCancelled);
+  };
+}
@@ -0,0 +1,109 @@
+// Query language of the header search box, e.g.
+//
+//   arrow category:material -filled tag:navigation
+//   "chevron left" OR caret
+//
+// Words and "quoted phrases" match any searchable text of an icon. A field
+// qualifier (category:, tag:, set:, name:) restricts a word or phrase to one
+// field, a leading - excludes the icons matching it and OR (or |) separates
+// alternatives. parseSearchQuery turns the text into the structured query
+// iconAPI.getIcons and the search worker take.
+
+// Qualifiers, with the hint the search dropdown shows for each
+export const QUERY_FIELDS = {
+  category: 'Icons in a category',
+  tag: 'Icons with a tag',
+  set: 'Icons from an icon set',
+  name: 'Icons whose name contains it'
+};
+
+// Optional -, optional qualifier, then a quoted phrase or a word
+const TERM_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|([^\s"]*))/iy;
+
+const normalize = (value) => value.toLowerCase().trim().replace(/\s+/g, ' ');
+
+/**
+ * Parse search box text.
+ * @param {string} text
+ * @returns {{ groups: Array<Array<{ field: string, value: string, phrase: boolean, negated: boolean }>> }}
+ *   Icons match when they match every term of any group. field is 'any'
+ *   for unqualified terms; an unknown qualifier is part of the word. Terms
+ *   without a value, single-letter words and words without a letter or
+ *   digit are left out.
+ */
+export function parseSearchQuery(text = '') {
+  const groups = [[]];
+  let position = 0;
+
+  while (position < text.length) {
+    if (/\s/.test(text[position])) {
+      position++;
+      continue;
+    }
+
+    TERM_PATTERN.lastIndex = position;
+    const [match, minus, qualifier, quoted, word] = TERM_PATTERN.exec(text);
+    position += match.length || 1;
+
+    if (!minus && !qualifier && (word === 'OR' || word === '|')) {
+      if (groups[groups.length - 1].length > 0) groups.push([]);
+      continue;
+    }
+
+    const field = qualifier && qualifier.toLowerCase() in QUERY_FIELDS ? qualifier.toLowerCase() : 'any';
+    const phrase = quoted !== undefined;
+    let value = normalize(phrase ? quoted : word || '');
+    if (qualifier && field === 'any') {
+      value = normalize(`${qualifier}:${value}`);
+    }
+    // Search matches words of letters and digits, so others would match anything
+    if (!value || (field === 'any' && (value.length < 2 || !/[a-z0-9]/.test(value)))) continue;
+
+    groups[groups.length - 1].push({ field, value, phrase, negated: Boolean(minus) });
+  }
+
+  return { groups: groups.filter(terms => terms.length > 0) };
+}
+
+// True when a parsed query has nothing to search for
+export const isEmptySearchQuery = (query) => !query || query.groups.length === 0;
+
+/**
+ * Turn a parsed query back into search box text.
+ * @param {object} query - Result of parseSearchQuery
+ * @returns {string}
+ */
+export function formatSearchQuery(query) {
+  return query.groups
+    .map(terms => terms.map(({ field, value, phrase, negated }) => {
+      const text = phrase || /\s/.test(value) ? `"${value}"` : value;
+      return `${negated ? '-' : ''}${field === 'any' ? '' : `${field}:`}${text}`;
+    }).join(' '))
+    .join(' OR ');
+}
+
+/**
+ * The term being typed at the end of the search box, for autocompletion.
+ * @param {string} text
+ * @returns {{ before: string, negated: boolean, field: string|null, value: string }}
+ *   before is the text ahead of the term; field is null until a known
+ *   qualifier has been typed
+ */
+export function currentSearchTerm(text = '') {
+  // The term starts after the last space outside quotes
+  let start = 0;
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && /\s/.test(text[i])) start = i + 1;
+  }
+
+  const [, minus, qualifier, value] = /^(-?)(?:([a-z]+):)?"?([^"]*)"?$/i.exec(text.slice(start)) || [];
+  const known = qualifier && qualifier.toLowerCase() in QUERY_FIELDS;
+  return {
+    before: text.slice(0, start),
+    negated: Boolean(minus),
+    field: known ? qualifier.toLowerCase() : null,
+    value: known ? value || '' : text.slice(start + (minus ? 1 : 0))
+  };
+}
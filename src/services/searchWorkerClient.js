@@ -0,0 +1,93 @@
+// Main-thread side of the search worker. Sends requests, matches replies
+// to them and cancels requests whose AbortSignal fires. Where workers are
+// unavailable (or the worker fails to start) the same handler runs on the
+// main thread instead.
+import { createSearchHandler, abortError } from './iconSearch';
+
+export class SearchWorkerClient {
+  // onRestart: called when requests move to the main thread, whose index
+  // starts out empty
+  constructor({ onRestart } = {}) {
+    this.onRestart = onRestart;
+    this.pending = new Map(); // request ID -> { type, payload, resolve, reject, signal }
+    this.nextId = 1;
+    this.worker = null;
+    this.inlineHandler = null;
+
+    try {
+      this.worker = new Worker(new URL('../workers/search.worker.js', import.meta.url));
+      this.worker.onmessage = ({ data }) => this.settle(data);
+      this.worker.onerror = (event) => {
+        console.warn('⚠️ Search worker failed, searching on the main thread:', event.message);
+        this.useInlineHandler();
+      };
+    } catch (error) {
+      this.useInlineHandler();
+    }
+  }
+
+  /**
+   * Run a request (see createSearchHandler for the types).
+   * @param {string} type
+   * @param {object} payload
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request; the
+   *   promise rejects with an AbortError
+   */
+  request(type, payload = {}, { signal } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(abortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const request = { type, payload, resolve, reject, signal };
+      this.pending.set(id, request);
+
+      if (signal) {
+        request.onAbort = () => {
+          if (!this.pending.has(id)) return;
+          this.pending.delete(id);
+          if (this.worker) this.worker.postMessage({ id: this.nextId++, type: 'cancel', payload: { id } });
+          reject(abortError());
+        };
+        signal.addEventListener('abort', request.onAbort, { once: true });
+      }
+
+      this.send(id, request);
+    });
+  }
+
+  send(id, { type, payload, signal }) {
+    if (this.worker) {
+      this.worker.postMessage({ id, type, payload });
+      return;
+    }
+
+    this.inlineHandler(type, payload, () => Boolean(signal && signal.aborted))
+      .then(
+        result => this.settle({ id, result }),
+        error => this.settle(error.name === 'AbortError' ? { id, cancelled: true } : { id, error: error.message })
+      );
+  }
+
+  settle({ id, result, error, cancelled }) {
+    const request = this.pending.get(id);
+    if (!request) return; // Already cancelled
+    this.pending.delete(id);
+    if (request.signal) request.signal.removeEventListener('abort', request.onAbort);
+
+    if (cancelled) request.reject(abortError());
+    else if (error) request.reject(new Error(error));
+    else request.resolve(result);
+  }
+
+  // Answer on the main thread from now on, re-running what the worker had
+  useInlineHandler() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    if (!this.inlineHandler) this.inlineHandler = createSearchHandler();
+    if (this.onRestart) this.onRestart();
+    this.pending.forEach((request, id) => this.send(id, request));
+  }
+}
@@ -0,0 +1,13 @@
+/**
+ * Attribution text for an icon, built from its collection manifest
+ * (see collections/ and public/collections.json)
+ */
+export const buildAttribution = (icon, collection) => {
+  if (!collection) return null;
+
+  const license = collection.license_url
+    ? `${collection.license} (${collection.license_url})`
+    : collection.license;
+
+  return `"${icon.name}" icon from ${collection.name} by ${collection.author}, licensed under ${license}. Source: ${collection.source_url}`;
+};
@@ -0,0 +1,41 @@
+/**
+ * Helpers for explaining search matches. Search results carry
+ * match: { score, fields, words } (see src/services/iconSearch.js).
+ */
+
+const FIELD_LABELS = {
+  name: 'name',
+  aliases: 'aliases',
+  tags: 'tags',
+  category: 'category',
+  description: 'description',
+  collection: 'icon set'
+};
+
+/**
+ * Short explanation of why an icon matched, e.g. "Matched name, tags"
+ */
+export const describeMatch = (match) => {
+  if (!match || match.fields.length === 0) return null;
+  return `Matched ${match.fields.map(field => FIELD_LABELS[field] || field).join(', ')}`;
+};
+
+/**
+ * Split text into segments, flagging the parts that contain a matched word
+ * (case-insensitive) so they can be highlighted
+ * @returns {Array<{ text: string, highlight: boolean }>}
+ */
+export const highlightSegments = (text, words = []) => {
+  const patterns = words
+    .filter(Boolean)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (!text || patterns.length === 0) return [{ text: text || '', highlight: false }];
+
+  // Longer words first so "arrow" wins over "arr"
+  const pattern = new RegExp(`(${patterns.sort((a, b) => b.length - a.length).join('|')})`, 'gi');
+  // Splitting on a capturing pattern puts the matches at odd indexes
+  return text
+    .split(pattern)
+    .map((part, index) => ({ text: part, highlight: index % 2 === 1 }))
+    .filter(segment => segment.text);
+};
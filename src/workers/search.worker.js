@@ -0,0 +1,27 @@
+// Search worker: fetches, parses and indexes chunks and the search index,
+// and answers searches, so none of it blocks the main thread. Messages are
+// { id, type, payload }; { type: 'cancel', payload: { id } } stops a
+// running request, which then replies { id, cancelled: true }.
+import { createSearchHandler } from '../services/iconSearch';
+
+const handle = createSearchHandler();
+const running = new Set();
+const cancelled = new Set();
+
+globalThis.onmessage = async ({ data: { id, type, payload } }) => {
+  if (type === 'cancel') {
+    if (running.has(payload.id)) cancelled.add(payload.id);
+    return;
+  }
+
+  running.add(id);
+  try {
+    const result = await handle(type, payload, () => cancelled.has(id));
+    globalThis.postMessage({ id, result });
+  } catch (error) {
+    globalThis.postMessage(error.name === 'AbortError' ? { id, cancelled: true } : { id, error: error.message });
+  } finally {
+    running.delete(id);
+    cancelled.delete(id);
+  }
+};